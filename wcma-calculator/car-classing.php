@@ -37,6 +37,29 @@ $drivetrain_display = isset($_POST['drivetrain_display']) ? trim($_POST['drivetr
 $tires_display = isset($_POST['tires_display']) ? trim($_POST['tires_display']) : $tires;
 $brake_suspension = isset($_POST['brake_suspension']) ? $_POST['brake_suspension'] : [];
 
+// Units weight and power were entered in (forms from before units could be chosen send none)
+$weight_unit = isset($_POST['weight_unit']) && trim($_POST['weight_unit']) !== '' ? trim($_POST['weight_unit']) : 'lb';
+$power_unit = isset($_POST['power_unit']) && trim($_POST['power_unit']) !== '' ? trim($_POST['power_unit']) : 'hp';
+
+// Values converted to pounds and HP by the browser
+$converted_competition_weight = isset($_POST['converted_competition_weight']) ? trim($_POST['converted_competition_weight']) : '';
+$converted_declared_hp = isset($_POST['converted_declared_hp']) ? trim($_POST['converted_declared_hp']) : '';
+$converted_dyno_hp = isset($_POST['converted_dyno_hp']) ? trim($_POST['converted_dyno_hp']) : '';
+
+// Known units and their factor to pounds or HP (the first unit of each kind).
+// Must match UNITS in js/units.js - test/units.test.js compares the two
+$units = [
+    'weight' => [
+        'lb' => ['label' => 'lb', 'factor' => 1],
+        'kg' => ['label' => 'kg', 'factor' => 2.20462262]
+    ],
+    'power' => [
+        'hp' => ['label' => 'HP', 'factor' => 1],
+        'kw' => ['label' => 'kW', 'factor' => 1.34102209],
+        'ps' => ['label' => 'PS', 'factor' => 0.98632007]
+    ]
+];
+
 // Subject with submitter name and date
 $subject = 'WCMA Classing Calculator Submission - ' . htmlspecialchars($name) . ' - ' . date('M j, Y');
 
@@ -46,6 +69,12 @@ $base_ratio = isset($_POST['base_ratio']) ? trim($_POST['base_ratio']) : '';
 $modified_ratio = isset($_POST['modified_ratio']) ? trim($_POST['modified_ratio']) : '';
 $modification_factor = isset($_POST['modification_factor']) ? trim($_POST['modification_factor']) : '';
 $weight_factor = isset($_POST['weight_factor']) ? trim($_POST['weight_factor']) : '';
+$rules_edition = isset($_POST['rules_edition']) ? trim($_POST['rules_edition']) : '';
+$integrity_code = isset($_POST['integrity_code']) ? trim($_POST['integrity_code']) : '';
+
+// Itemized breakdown from the calculated_results JSON
+$calculated_results = isset($_POST['calculated_results']) ? json_decode($_POST['calculated_results'], true) : null;
+$breakdown = (is_array($calculated_results) && isset($calculated_results['breakdown']) && is_array($calculated_results['breakdown'])) ? $calculated_results['breakdown'] : null;
 
 // Handle brake_suspension as array
 if (is_string($brake_suspension)) {
@@ -73,6 +102,23 @@ if (!empty($dyno_hp) && (!ctype_digit((string)$dyno_hp) && !is_int($dyno_hp + 0)
     $errors[] = 'Dyno HP must be a whole number (no decimals)';
 }
 
+// Validate units against the known list
+if (!isset($units['weight'][$weight_unit])) {
+    $errors[] = 'Unknown weight unit: ' . $weight_unit;
+}
+if (!isset($units['power'][$power_unit])) {
+    $errors[] = 'Unknown power unit: ' . $power_unit;
+}
+
+// Dyno chart rule of the rulebook edition, checked in the browser too (js/dyno-checks.js)
+$edition_rules = loadRulebookEdition($rules_edition);
+if ($edition_rules === null) {
+    $errors[] = 'Unknown rulebook edition: ' . $rules_edition;
+} elseif (!empty($dyno_hp) && !empty($edition_rules['dynoChecks']['requireChart'])
+    && !(isset($_FILES['dyno_chart']) && $_FILES['dyno_chart']['error'] == UPLOAD_ERR_OK)) {
+    $errors[] = 'A dyno chart must be attached when a dyno HP figure is given';
+}
+
 // Handle file uploads
 $attachments = [];
 $upload_dir = __DIR__ . '/uploads/';
@@ -95,7 +141,7 @@ $allowed_mimes = [
 $allowed_extensions = ['pdf', 'doc', 'docx', 'jpg', 'jpeg', 'png', 'txt'];
 $max_file_size = 2 * 1024 * 1024; // 2 MB
 
-$file_inputs = ['dyno_chart', 'dyno_table', 'car_image'];
+$file_inputs = ['dyno_chart', 'dyno_table', 'car_image', 'classing_sheet'];
 
 foreach ($file_inputs as $input_name) {
     if (isset($_FILES[$input_name]) && $_FILES[$input_name]['error'] == UPLOAD_ERR_OK) {
@@ -148,6 +194,11 @@ if (!empty($errors)) {
     exit;
 }
 
+// Weight and power as entered, with the pounds and HP the class is calculated from
+$competition_weight_text = describeEnteredValue($units['weight'], $competition_weight, $weight_unit, $converted_competition_weight);
+$declared_hp_text = describeEnteredValue($units['power'], $declared_hp, $power_unit, $converted_declared_hp);
+$dyno_hp_text = describeEnteredValue($units['power'], $dyno_hp, $power_unit, $converted_dyno_hp);
+
 // Email body (HTML format for better readability)
 $email_body = '<html><body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">';
 $email_body .= '<h2 style="color: #1a5490;">WCMA Classing Calculator Submission</h2>';
@@ -165,10 +216,10 @@ $email_body .= '</table>';
 
 $email_body .= '<h3 style="color: #1a5490; border-bottom: 2px solid #1a5490; padding-bottom: 5px;">Vehicle Factors</h3>';
 $email_body .= '<table cellpadding="5" cellspacing="0" style="width: 100%; margin-bottom: 20px;">';
-$email_body .= '<tr><td style="width: 200px;"><strong>Competition Weight (lbs):</strong></td><td>' . htmlspecialchars($competition_weight) . '</td></tr>';
-$email_body .= '<tr><td><strong>Declared HP:</strong></td><td>' . htmlspecialchars($declared_hp) . '</td></tr>';
+$email_body .= '<tr><td style="width: 200px;"><strong>Competition Weight:</strong></td><td>' . htmlspecialchars($competition_weight_text) . '</td></tr>';
+$email_body .= '<tr><td><strong>Declared HP:</strong></td><td>' . htmlspecialchars($declared_hp_text) . '</td></tr>';
 if (!empty($dyno_hp)) {
-    $email_body .= '<tr><td><strong>Dyno HP:</strong></td><td>' . htmlspecialchars($dyno_hp) . '</td></tr>';
+    $email_body .= '<tr><td><strong>Dyno HP:</strong></td><td>' . htmlspecialchars($dyno_hp_text) . '</td></tr>';
 }
 if (!empty($chassis_display)) {
     $email_body .= '<tr><td><strong>Chassis:</strong></td><td>' . htmlspecialchars($chassis_display) . '</td></tr>';
@@ -193,6 +244,9 @@ $email_body .= '</table>';
 
 $email_body .= '<h3 style="color: #1a5490; border-bottom: 2px solid #1a5490; padding-bottom: 5px;">Calculation Results</h3>';
 $email_body .= '<table cellpadding="5" cellspacing="0" style="width: 100%; margin-bottom: 20px; background-color: #f9f9f9; border: 1px solid #ddd;">';
+if (!empty($rules_edition)) {
+    $email_body .= '<tr><td style="width: 200px;"><strong>Rules Edition:</strong></td><td>' . htmlspecialchars($rules_edition) . '</td></tr>';
+}
 if (!empty($weight_factor)) {
     $email_body .= '<tr><td style="width: 200px;"><strong>Weight Factor:</strong></td><td>' . htmlspecialchars($weight_factor) . '</td></tr>';
 }
@@ -208,8 +262,26 @@ if (!empty($modified_ratio)) {
 if (!empty($calculated_class)) {
     $email_body .= '<tr><td style="font-size: 1.2em; padding-top: 10px;"><strong>Calculated Class:</strong></td><td style="font-size: 1.2em; font-weight: bold; color: #1a5490; padding-top: 10px;">' . htmlspecialchars($calculated_class) . '</td></tr>';
 }
+if (!empty($integrity_code)) {
+    $email_body .= '<tr><td><strong>Integrity Code:</strong></td><td style="font-family: monospace;">' . htmlspecialchars($integrity_code) . '</td></tr>';
+}
 $email_body .= '</table>';
 
+if ($breakdown) {
+    $email_body .= '<h3 style="color: #1a5490; border-bottom: 2px solid #1a5490; padding-bottom: 5px;">Calculation Breakdown</h3>';
+    $email_body .= '<table cellpadding="5" cellspacing="0" style="width: 100%; margin-bottom: 20px;">';
+    foreach (($breakdown['modifiers'] ?? []) as $item) {
+        $email_body .= '<tr><td style="width: 200px;"><strong>' . htmlspecialchars($item['groupLabel'] ?? '') . ':</strong></td><td>' . htmlspecialchars($item['description'] ?? '') . ' [' . htmlspecialchars($item['lookupClass'] ?? '') . '] ' . sprintf('%+.2f', (float)($item['value'] ?? 0)) . '</td></tr>';
+    }
+    foreach (($breakdown['skipped'] ?? []) as $item) {
+        $email_body .= '<tr><td><strong>Skipped ' . htmlspecialchars($item['groupLabel'] ?? '') . ':</strong></td><td>' . htmlspecialchars($item['description'] ?? $item['optionId'] ?? '') . ' (' . htmlspecialchars($item['reason'] ?? '') . ')</td></tr>';
+    }
+    foreach (($breakdown['weightFactorPasses'] ?? []) as $pass) {
+        $email_body .= '<tr><td><strong>Weight Factor Pass ' . (int)($pass['pass'] ?? 0) . ':</strong></td><td>Tried ' . htmlspecialchars($pass['triedClass'] ?? '') . ', ' . htmlspecialchars($pass['weightBand'] ?? '') . ' ' . sprintf('%+.2f', (float)($pass['weightFactor'] ?? 0)) . ', ratio ' . sprintf('%.2f', (float)($pass['modifiedRatio'] ?? 0)) . ' = ' . htmlspecialchars($pass['resultingClass'] ?? '') . '</td></tr>';
+    }
+    $email_body .= '</table>';
+}
+
 $email_body .= '</body></html>';
 
 // Plain text version for email clients that don't support HTML
@@ -223,9 +295,9 @@ if (!empty($comments)) {
     $email_body_text .= "Comments: $comments\n";
 }
 $email_body_text .= "\nVEHICLE FACTORS\n";
-$email_body_text .= "Competition Weight (lbs): $competition_weight\n";
-$email_body_text .= "Declared HP: $declared_hp\n";
-if (!empty($dyno_hp)) $email_body_text .= "Dyno HP: $dyno_hp\n";
+$email_body_text .= "Competition Weight: $competition_weight_text\n";
+$email_body_text .= "Declared HP: $declared_hp_text\n";
+if (!empty($dyno_hp)) $email_body_text .= "Dyno HP: $dyno_hp_text\n";
 if (!empty($chassis_display)) $email_body_text .= "Chassis: $chassis_display\n";
 if (!empty($body_mods_display)) $email_body_text .= "Body Mods: $body_mods_display\n";
 if (!empty($transmission_display)) $email_body_text .= "Transmission: $transmission_display\n";
@@ -236,11 +308,25 @@ if (!empty($brake_suspension)) {
     $email_body_text .= "Brake & Suspension: $brake_list\n";
 }
 $email_body_text .= "\nCALCULATION RESULTS\n";
+if (!empty($rules_edition)) $email_body_text .= "Rules Edition: $rules_edition\n";
 if (!empty($weight_factor)) $email_body_text .= "Weight Factor: $weight_factor\n";
 if (!empty($base_ratio)) $email_body_text .= "Base Ratio: $base_ratio\n";
 if (!empty($modification_factor)) $email_body_text .= "Additional Mod Factors: $modification_factor\n";
 if (!empty($modified_ratio)) $email_body_text .= "Modified Ratio: $modified_ratio\n";
 if (!empty($calculated_class)) $email_body_text .= "Calculated Class: $calculated_class\n";
+if (!empty($integrity_code)) $email_body_text .= "Integrity Code: $integrity_code\n";
+if ($breakdown) {
+    $email_body_text .= "\nCALCULATION BREAKDOWN\n";
+    foreach (($breakdown['modifiers'] ?? []) as $item) {
+        $email_body_text .= ($item['groupLabel'] ?? '') . ': ' . ($item['description'] ?? '') . ' [' . ($item['lookupClass'] ?? '') . '] ' . sprintf('%+.2f', (float)($item['value'] ?? 0)) . "\n";
+    }
+    foreach (($breakdown['skipped'] ?? []) as $item) {
+        $email_body_text .= 'Skipped ' . ($item['groupLabel'] ?? '') . ': ' . ($item['description'] ?? $item['optionId'] ?? '') . ' (' . ($item['reason'] ?? '') . ")\n";
+    }
+    foreach (($breakdown['weightFactorPasses'] ?? []) as $pass) {
+        $email_body_text .= 'Weight Factor Pass ' . (int)($pass['pass'] ?? 0) . ': tried ' . ($pass['triedClass'] ?? '') . ', ' . ($pass['weightBand'] ?? '') . ' ' . sprintf('%+.2f', (float)($pass['weightFactor'] ?? 0)) . ', ratio ' . sprintf('%.2f', (float)($pass['modifiedRatio'] ?? 0)) . ' = ' . ($pass['resultingClass'] ?? '') . "\n";
+    }
+}
 
 // If there are attachments, build a multipart email
 if (!empty($attachments)) {
@@ -416,6 +502,52 @@ if ($mail_sent) {
     ]);
 }
 
+/**
+ * Describe a weight or power value with its unit and the pounds or HP it converts to,
+ * e.g. "1300 kg (2866 lb)", or "2900 lb" when entered in pounds.
+ * Converted the same way as js/units.js (rounded to one decimal). If the browser
+ * reported a different conversion, it is shown too so the organisers can check it.
+ */
+function describeEnteredValue($kind_units, $value, $unit, $reported) {
+    if ($value === '') {
+        return '';
+    }
+    $canonical_unit = array_keys($kind_units)[0];
+    $canonical_label = $kind_units[$canonical_unit]['label'];
+    if (!isset($kind_units[$unit]) || $unit === $canonical_unit) {
+        return $value . ' ' . $canonical_label;
+    }
+
+    $converted = round((float)$value * $kind_units[$unit]['factor'], 1);
+    $text = $value . ' ' . $kind_units[$unit]['label'] . ' (' . $converted . ' ' . $canonical_label . ')';
+    if ($reported !== '' && abs((float)$reported - $converted) > 0.05) {
+        $text .= ' - browser reported ' . $reported . ' ' . $canonical_label;
+    }
+    return $text;
+}
+
+/**
+ * Load a rulebook edition from rules/, the way js/rulebook.js finds it:
+ * rules/index.json names each edition's file and the default edition.
+ * Returns the edition as an array, or null if it isn't listed or can't be read.
+ */
+function loadRulebookEdition($edition_id) {
+    $rules_dir = __DIR__ . '/rules/';
+    $index = json_decode((string)@file_get_contents($rules_dir . 'index.json'), true);
+    if (!is_array($index) || !isset($index['editions']) || !is_array($index['editions'])) {
+        return null;
+    }
+
+    $wanted = $edition_id !== '' ? $edition_id : (isset($index['default']) ? $index['default'] : '');
+    foreach ($index['editions'] as $entry) {
+        if (isset($entry['edition'], $entry['file']) && $entry['edition'] === $wanted) {
+            $edition = json_decode((string)@file_get_contents($rules_dir . basename($entry['file'])), true);
+            return is_array($edition) ? $edition : null;
+        }
+    }
+    return null;
+}
+
 /**
  * Format bytes to human readable format
  */
@@ -0,0 +1,26 @@
+/**
+ * Node Rulebook Loader
+ * Loads rulebook editions from the rules/ directory on disk, with the same
+ * schema validation the browser applies
+ */
+
+import { readFileSync } from 'node:fs';
+import { loadEdition } from '../js/rulebook.js';
+
+/**
+ * Read and parse a JSON file
+ * @param {URL} url - file: URL of the JSON file
+ * @returns {Object} Parsed JSON
+ */
+function readJsonFile(url) {
+    return JSON.parse(readFileSync(url, 'utf8'));
+}
+
+/**
+ * Load a rulebook edition from disk
+ * @param {string} editionId - Edition id; defaults to the current season
+ * @returns {Promise<Object>} Rulebook edition
+ */
+export function loadEditionFromDisk(editionId = null) {
+    return loadEdition(editionId, readJsonFile);
+}
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+/**
+ * WCMA Submission Server
+ * Accepts the classing form's multipart submission in place of car-classing.php,
+ * recalculates the class independently and stores the submission for the committee
+ *
+ * Usage:
+ *   node cli/submission-server.js --port 8080 --dir submissions
+ *   node cli/submission-server.js --on-mismatch reject
+ */
+
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { validateSubmission, recalculateSubmission, FILE_FIELDS } from './verify-submission.js';
+import { loadEditionFromDisk } from './load-rules.js';
+
+const USAGE = `Usage: node cli/submission-server.js [options]
+
+  -p, --port <port>            Port to listen on (default: 8080)
+      --host <host>            Address to listen on (default: 127.0.0.1)
+  -d, --dir <dir>              Directory to store submissions in (default: submissions)
+      --on-mismatch <action>   What to do when the class reported by the browser
+                               differs from the server's: flag (store the submission,
+                               marked for review) or reject (default: flag)
+      --allow-origin <origin>  Allow the form to post from another origin (CORS)
+  -h, --help                   Show this help
+
+Point the form's action at this server (or proxy car-classing.php to it). Each
+submission is stored in its own directory as submission.json plus the uploaded
+files. Responses are the { success, message, errors } JSON the page expects.`;
+
+// Largest request accepted: four 2 MB files plus the text fields
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - { success, message, errors, ... }
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read the request body, refusing anything over the size limit
+ * @param {IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body
+ */
+async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            throw new Error('Request too large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Make a file name safe to write to disk
+ * @param {string} name - Uploaded file name
+ * @returns {string} Sanitized name
+ */
+function safeFileName(name) {
+    return name.replace(/[^a-zA-Z0-9._-]/g, '').replace(/^\.+/, '') || 'upload';
+}
+
+/**
+ * Store a submission: its text fields, the server's calculation and the files
+ * @param {string} dir - Submissions directory
+ * @param {FormData} formData - Submitted form
+ * @param {Object} record - Calculation and review details to store with the fields
+ * @returns {Promise<string>} Id of the stored submission
+ */
+async function storeSubmission(dir, formData, record) {
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomBytes(3).toString('hex')}`;
+    const submissionDir = join(dir, id);
+    await mkdir(submissionDir, { recursive: true });
+
+    const fields = {};
+    for (const [name, value] of formData.entries()) {
+        if (typeof value !== 'string') continue;
+        fields[name] = name in fields ? [].concat(fields[name], value) : value;
+    }
+
+    const files = [];
+    for (const field of FILE_FIELDS) {
+        const file = formData.get(field);
+        if (!file || typeof file === 'string' || file.size === 0) continue;
+        const fileName = `${field}-${safeFileName(file.name)}`;
+        await writeFile(join(submissionDir, fileName), Buffer.from(await file.arrayBuffer()));
+        files.push({ field, name: file.name, storedAs: fileName, size: file.size });
+    }
+
+    await writeFile(join(submissionDir, 'submission.json'), JSON.stringify({
+        id,
+        receivedAt: new Date().toISOString(),
+        ...record,
+        fields,
+        files
+    }, null, 2));
+    return id;
+}
+
+/**
+ * Handle one form submission
+ * @param {FormData} formData - Submitted form
+ * @param {Object} options - { dir, onMismatch }
+ * @returns {Promise<Object>} { status, body }
+ */
+async function handleSubmission(formData, { dir, onMismatch }) {
+    const validation = validateSubmission(formData);
+    if (!validation.isValid) {
+        return { status: 400, body: { success: false, message: 'The submission has errors', errors: validation.errors } };
+    }
+
+    const editionId = typeof formData.get('rules_edition') === 'string' ? formData.get('rules_edition').trim() : '';
+    let edition;
+    try {
+        edition = await loadEditionFromDisk(editionId || null);
+    } catch (error) {
+        return { status: 400, body: { success: false, message: error.message, errors: [error.message] } };
+    }
+
+    const check = recalculateSubmission(formData, edition);
+    if (!check.isValid) {
+        return { status: 400, body: { success: false, message: 'The submission has errors', errors: check.errors } };
+    }
+
+    const calculatedClass = check.results.calculatedClass;
+    const mismatch = check.discrepancies.length > 0;
+    if (mismatch && onMismatch === 'reject') {
+        console.warn(`Rejected submission: ${check.discrepancies.join('; ')}`);
+        return {
+            status: 422,
+            body: {
+                success: false,
+                message: `The class calculated in your browser doesn't match the server's calculation (${calculatedClass} under ${edition.title}). Reload the page and submit again.`,
+                errors: check.discrepancies
+            }
+        };
+    }
+
+    const id = await storeSubmission(dir, formData, {
+        edition: edition.edition,
+        flagged: mismatch,
+        discrepancies: check.discrepancies,
+        vehicleFactors: check.carData,
+        results: check.results,
+        integrityCode: check.integrityCode,
+        dyno: { hp: check.dyno.hp, steps: check.dyno.steps },
+        dynoChecks: { warnings: check.dynoChecks.warnings, classChange: check.dynoChecks.classChange }
+    });
+    console.log(`Stored submission ${id}: ${calculatedClass}${mismatch ? ` (flagged: ${check.discrepancies.join('; ')})` : ''}`);
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            message: mismatch
+                ? `Submission received. It has been flagged for review: the server calculated ${calculatedClass} under ${edition.title}, which differs from the result shown in your browser.`
+                : `Submission received. Class ${calculatedClass} confirmed under ${edition.title}.`,
+            errors: [],
+            flagged: mismatch,
+            calculatedClass
+        }
+    };
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            options: {
+                port: { type: 'string', short: 'p', default: '8080' },
+                host: { type: 'string', default: '127.0.0.1' },
+                dir: { type: 'string', short: 'd', default: 'submissions' },
+                'on-mismatch': { type: 'string', default: 'flag' },
+                'allow-origin': { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }).values;
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!['flag', 'reject'].includes(args['on-mismatch'])) {
+        console.error(`--on-mismatch must be flag or reject (got ${args['on-mismatch']})`);
+        return 2;
+    }
+
+    // Fail at startup rather than on the first submission if the rules don't load
+    try {
+        await loadEditionFromDisk();
+    } catch (error) {
+        console.error(error.message);
+        (error.errors || []).forEach(message => console.error(`  - ${message}`));
+        return 1;
+    }
+
+    const options = { dir: resolve(args.dir), onMismatch: args['on-mismatch'] };
+    const corsHeaders = args['allow-origin']
+        ? { 'Access-Control-Allow-Origin': args['allow-origin'], 'Vary': 'Origin' }
+        : {};
+
+    const server = createServer(async (req, res) => {
+        if (req.method === 'OPTIONS' && args['allow-origin']) {
+            res.writeHead(204, { ...corsHeaders, 'Access-Control-Allow-Methods': 'POST', 'Access-Control-Max-Age': '86400' });
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { success: false, message: 'Submissions must be POSTed', errors: [] }, { Allow: 'POST', ...corsHeaders });
+            return;
+        }
+
+        let formData;
+        try {
+            const body = await readBody(req);
+            formData = await new Request(`http://${req.headers.host || 'localhost'}${req.url}`, {
+                method: 'POST',
+                headers: { 'Content-Type': req.headers['content-type'] || '' },
+                body
+            }).formData();
+        } catch (error) {
+            const tooLarge = error.message === 'Request too large';
+            sendJson(res, tooLarge ? 413 : 400, {
+                success: false,
+                message: tooLarge ? 'The submission is too large. Files are limited to 2 MB each.' : 'The submission could not be read as a form',
+                errors: []
+            }, corsHeaders);
+            return;
+        }
+
+        try {
+            const { status, body } = await handleSubmission(formData, options);
+            sendJson(res, status, body, corsHeaders);
+        } catch (error) {
+            console.error('Error handling submission:', error);
+            sendJson(res, 500, { success: false, message: 'The submission could not be saved. Please try again later.', errors: [] }, corsHeaders);
+        }
+    });
+
+    server.listen(Number(args.port), args.host, () => {
+        console.log(`Accepting submissions on http://${args.host}:${args.port}/ (storing in ${options.dir}, ${options.onMismatch} on mismatch)`);
+    });
+    return 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,267 @@
+/**
+ * Submission Verification
+ * Checks a classing form submission on the server: validates the fields and files
+ * with the same rules as the browser, recalculates the class from the vehicle
+ * factors, and lists every result the browser reported differently
+ *
+ * Works on a web FormData (as parsed from the multipart request body), with the
+ * field names the form posts: competition_weight, body_mods, brake_suspension[],
+ * and the hidden calculated_class, base_ratio, ... fields added on submit.
+ */
+
+import { updateCalculations, validateSelections, MODIFIER_FIELDS } from '../js/calculator.js';
+import { getModifierGroup } from '../js/modifiers.js';
+import { createIntegrityCode } from '../js/integrity.js';
+import { normalizeDynoHp } from '../js/dyno-correction.js';
+import { checkDynoConsistency } from '../js/dyno-checks.js';
+import { toCanonical, isKnownUnit, getCanonicalUnit } from '../js/units.js';
+import {
+    validateEmail, validateYear, validateRequired, validateNumeric, validateFileType, validateFileSize
+} from '../js/form-handler.js';
+
+// Form field holding the selection(s) of each modification group
+const OPTION_FORM_FIELDS = {
+    chassis: 'chassis',
+    body: 'body_mods',
+    trans: 'transmission',
+    dt: 'drivetrain',
+    tire: 'tires',
+    brake: 'brake_suspension[]'
+};
+
+const REQUIRED_FIELDS = [
+    { field: 'name', label: 'Name' },
+    { field: 'email', label: 'Email' },
+    { field: 'year', label: 'Year' },
+    { field: 'make', label: 'Make' },
+    { field: 'model', label: 'Model' }
+];
+
+const NUMERIC_FIELDS = [
+    { field: 'competition_weight', label: 'Competition Weight', required: true },
+    { field: 'declared_hp', label: 'Declared HP', required: true },
+    { field: 'dyno_hp', label: 'Dyno HP', required: false }
+];
+
+export const FILE_FIELDS = ['dyno_chart', 'dyno_table', 'car_image', 'classing_sheet'];
+
+// Results the browser sends as hidden fields, formatted the way it formats them
+const REPORTED_RESULTS = [
+    { field: 'calculated_class', label: 'Calculated class', format: (results) => results.calculatedClass || '--' },
+    { field: 'base_ratio', label: 'Base ratio', format: (results) => results.baseRatio > 0 ? results.baseRatio.toFixed(2) : '--' },
+    { field: 'modified_ratio', label: 'Modified ratio', format: (results) => results.modifiedRatio > 0 ? results.modifiedRatio.toFixed(2) : '--' },
+    { field: 'modification_factor', label: 'Modification factor', format: (results) => results.modificationFactor.toFixed(2) },
+    { field: 'weight_factor', label: 'Weight factor', format: (results) => results.weightFactor.toFixed(2) },
+    { field: 'integrity_code', label: 'Integrity code', format: (results, integrityCode) => integrityCode }
+];
+
+/**
+ * Read a text field
+ * @param {FormData} formData - Submitted form
+ * @param {string} field - Field name
+ * @returns {string} Trimmed value, or empty string if missing or a file
+ */
+function getText(formData, field) {
+    const value = formData.get(field);
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Check whether a file was uploaded in a field
+ * @param {FormData} formData - Submitted form
+ * @param {string} field - File field name
+ * @returns {boolean} True if the field holds a file
+ */
+function hasFile(formData, field) {
+    const file = formData.get(field);
+    // Browsers send an empty, unnamed file for a file input left blank
+    return Boolean(file) && typeof file !== 'string' && !(file.size === 0 && !file.name);
+}
+
+/**
+ * Read the unit weight or power was entered in
+ * @param {FormData} formData - Submitted form
+ * @param {string} kind - 'weight' or 'power'
+ * @returns {string} Unit id; pages without unit choices send pounds and HP
+ */
+function getUnit(formData, kind) {
+    return getText(formData, `${kind}_unit`) || getCanonicalUnit(kind);
+}
+
+/**
+ * Validate the contact details, numbers and uploaded files
+ * @param {FormData} formData - Submitted form
+ * @returns {Object} { isValid, errors }
+ */
+export function validateSubmission(formData) {
+    const errors = [];
+
+    REQUIRED_FIELDS.forEach(({ field, label }) => {
+        const validation = validateRequired(getText(formData, field), label);
+        if (!validation.isValid) errors.push(validation.error);
+    });
+
+    const email = getText(formData, 'email');
+    if (email && !validateEmail(email)) {
+        errors.push('Please enter a valid email address');
+    }
+    const year = getText(formData, 'year');
+    if (year && !validateYear(year)) {
+        errors.push('Year must be 4 digits');
+    }
+
+    NUMERIC_FIELDS.forEach(({ field, label, required }) => {
+        const validation = validateNumeric(getText(formData, field), label, required);
+        if (!validation.isValid) errors.push(validation.error);
+    });
+    ['weight', 'power'].forEach(kind => {
+        if (!isKnownUnit(kind, getUnit(formData, kind))) {
+            errors.push(`Unknown ${kind} unit: ${getUnit(formData, kind)}`);
+        }
+    });
+
+    FILE_FIELDS.forEach(field => {
+        if (!hasFile(formData, field)) return;
+        const file = formData.get(field);
+
+        [validateFileType(file, field), validateFileSize(file)].forEach(validation => {
+            if (!validation.isValid) errors.push(`${file.name}: ${validation.error}`);
+        });
+    });
+
+    return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Read the vehicle factors as calculator form data, checking each option id
+ * belongs to its group in the edition and the combination is one the rulebook allows
+ * @param {FormData} formData - Submitted form
+ * @param {Object} edition - Rulebook edition named by rules_edition
+ * @returns {Object} { carData, errors }
+ */
+export function readVehicleFactors(formData, edition) {
+    // Weight and power in pounds and HP, whatever unit they were entered in
+    const carData = {
+        competitionWeight: toCanonical('weight', getText(formData, 'competition_weight'), getUnit(formData, 'weight')),
+        declaredHp: toCanonical('power', getText(formData, 'declared_hp'), getUnit(formData, 'power')),
+        dynoHp: toCanonical('power', getText(formData, 'dyno_hp'), getUnit(formData, 'power'))
+    };
+    const errors = [];
+
+    Object.entries(OPTION_FORM_FIELDS).forEach(([groupId, formField]) => {
+        const group = getModifierGroup(edition, groupId);
+        const optionIds = formData.getAll(formField)
+            .filter(value => typeof value === 'string' && value.trim())
+            .map(value => value.trim());
+
+        optionIds.forEach(optionId => {
+            if (!group || !group.options.some(option => option.id === optionId)) {
+                errors.push(`Unknown ${group ? group.label : groupId} option: ${optionId}`);
+            }
+        });
+
+        // Keep every value of a single-select group so validateSelections() sees them all
+        const field = MODIFIER_FIELDS[groupId];
+        carData[field] = group && !group.multiple && optionIds.length <= 1 ? (optionIds[0] || '') : optionIds;
+    });
+
+    // The rulebook's combination rules (one option per single-select group, excludes)
+    errors.push(...validateSelections(carData, edition).errors);
+
+    if (!(parseFloat(carData.competitionWeight) > 0)) {
+        errors.push('Competition Weight must be greater than zero');
+    }
+    if (!(parseFloat(carData.declaredHp) > 0)) {
+        errors.push('Declared HP must be greater than zero');
+    }
+
+    return { carData, errors };
+}
+
+/**
+ * Read the dyno figure and the details of the dyno sheet it came from
+ * @param {FormData} formData - Submitted form
+ * @returns {Object} Dyno entry for normalizeDynoHp()
+ */
+export function readDynoEntry(formData) {
+    return {
+        hp: toCanonical('power', getText(formData, 'dyno_hp'), getUnit(formData, 'power')),
+        correction: getText(formData, 'dyno_correction'),
+        dynoType: getText(formData, 'dyno_type'),
+        temperature: getText(formData, 'dyno_temperature'),
+        pressure: getText(formData, 'dyno_pressure'),
+        humidity: getText(formData, 'dyno_humidity')
+    };
+}
+
+/**
+ * Recalculate the class and compare it with what the browser reported
+ * @param {FormData} formData - Submitted form (already validated)
+ * @param {Object} edition - Rulebook edition named by rules_edition
+ * @returns {Object} { isValid, errors, carData, results, integrityCode, dyno, dynoChecks, discrepancies } -
+ *                   errors are input problems that prevent a calculation; dyno is the dyno
+ *                   figure converted to the edition's basis (from normalizeDynoHp()) and
+ *                   dynoChecks its checks against the declared HP (from checkDynoConsistency());
+ *                   discrepancies list each reported result that differs from the server's
+ */
+export function recalculateSubmission(formData, edition) {
+    const { carData, errors } = readVehicleFactors(formData, edition);
+    const dyno = normalizeDynoHp(readDynoEntry(formData), edition);
+    errors.push(...dyno.errors.map(error => `Dyno HP: ${error}`));
+    const dynoChecks = checkDynoConsistency(carData, edition, { hp: dyno.hp, hasChart: hasFile(formData, 'dyno_chart') });
+    errors.push(...dynoChecks.errors);
+    if (errors.length > 0) {
+        return { isValid: false, errors, carData, results: null, integrityCode: null, dyno, dynoChecks, discrepancies: [] };
+    }
+
+    const results = updateCalculations(carData, edition);
+    const integrityCode = createIntegrityCode(carData, edition, results);
+    const discrepancies = [];
+
+    REPORTED_RESULTS.forEach(({ field, label, format }) => {
+        const reported = getText(formData, field);
+        const calculated = format(results, integrityCode);
+        if (!reported) {
+            // Older pages don't send an integrity code; everything else is always sent
+            if (field !== 'integrity_code') {
+                discrepancies.push(`${label} was not reported (server calculated ${calculated})`);
+            }
+        } else if (reported !== calculated) {
+            discrepancies.push(`${label}: browser reported ${reported}, server calculated ${calculated}`);
+        }
+    });
+
+    // Older pages don't send the converted values
+    [
+        { field: 'converted_competition_weight', label: 'Converted competition weight', value: carData.competitionWeight },
+        { field: 'converted_declared_hp', label: 'Converted declared HP', value: carData.declaredHp },
+        { field: 'converted_dyno_hp', label: 'Converted dyno HP', value: carData.dynoHp }
+    ].forEach(({ field, label, value }) => {
+        const reported = getText(formData, field);
+        if (reported && reported !== value) {
+            discrepancies.push(`${label}: browser reported ${reported}, server calculated ${value || 'none'}`);
+        }
+    });
+
+    // ...nor the dyno figure on the rules basis
+    const reportedDyno = getText(formData, 'dyno_hp_normalized');
+    const calculatedDyno = dyno.hp !== null ? dyno.hp.toFixed(1) : '';
+    if (reportedDyno && reportedDyno !== calculatedDyno) {
+        discrepancies.push(`Dyno HP on the rules basis: browser reported ${reportedDyno}, server calculated ${calculatedDyno || 'none'}`);
+    }
+
+    const resultsJson = getText(formData, 'calculated_results');
+    if (resultsJson) {
+        let reportedResults = null;
+        try {
+            reportedResults = JSON.parse(resultsJson);
+        } catch (error) {
+            discrepancies.push('calculated_results is not valid JSON');
+        }
+        if (reportedResults && reportedResults.calculatedClass !== results.calculatedClass) {
+            discrepancies.push(`calculated_results: browser reported class ${reportedResults.calculatedClass || '--'}, server calculated ${results.calculatedClass}`);
+        }
+    }
+
+    return { isValid: true, errors: [], carData, results, integrityCode, dyno, dynoChecks, discrepancies };
+}
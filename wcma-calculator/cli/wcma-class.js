@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * WCMA Classing Command-Line Tool
+ * Classes a car with the same calculation core the web page uses
+ *
+ * Usage:
+ *   node cli/wcma-class.js --weight 2900 --hp 300 --option tire4 --option trans3
+ *   echo '{"competitionWeight": 2900, "declaredHp": 300, "tires": "tire4"}' | node cli/wcma-class.js --json
+ *   node cli/wcma-class.js --csv entries.csv --out entries-classed.csv
+ */
+
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { classifyEntryList } from '../js/batch.js';
+import { updateCalculations, formatNumber, selectionsFromOptionIds, validateSelections } from '../js/calculator.js';
+import { formatClassRange } from '../js/rulebook.js';
+import { loadEditionFromDisk } from './load-rules.js';
+
+const USAGE = `Usage: node cli/wcma-class.js [options]
+
+Car spec (flags, or a JSON car spec on stdin when --weight/--hp are omitted):
+  -w, --weight <lbs>     Competition weight in lbs
+  -p, --hp <hp>          Declared maximum average horsepower
+  -o, --option <id>      Modifier option id; repeat or comma-separate (e.g. tire4,brake2)
+
+Batch mode:
+      --csv <file>       Class every car in a CSV entry list ("-" reads stdin)
+      --out <file>       Write the annotated CSV here instead of stdout
+
+Rules and output:
+  -e, --edition <id>     Rulebook edition (default: current season)
+      --json             Print results as JSON instead of text
+      --list-options     List the option ids of the edition and exit
+  -h, --help             Show this help
+
+JSON spec fields: competitionWeight, declaredHp, chassis, bodyMods, transmission,
+drivetrain, tires, brakeSuspension (array) - the same fields as a saved
+configuration - or an "options" array of option ids. An "edition" field is used
+when --edition is not given.
+
+CSV columns (header row required, any order): year, make, model, weight, hp,
+chassis, body, trans, drivetrain, tire, brake (brake ids separated by ; or |).
+The output adds calculated_class, base_ratio, modification_factor,
+weight_factor, modified_ratio, skipped_options and errors columns.`;
+
+/**
+ * Read all of stdin as text
+ * @returns {Promise<string>} stdin contents
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Split repeated and comma-separated option flags into option ids
+ * @param {Array} values - Raw --option values
+ * @returns {Array} Option ids
+ */
+function splitOptionIds(values) {
+    return values.flatMap(value => value.split(',')).map(id => id.trim()).filter(id => id);
+}
+
+/**
+ * Convert a car spec into calculator form data
+ * @param {Object} spec - Car spec (form data fields, or weight/hp/options)
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { formData, errors }
+ */
+function specToFormData(spec, edition) {
+    const formData = {
+        competitionWeight: String(spec.competitionWeight ?? spec.weight ?? ''),
+        declaredHp: String(spec.declaredHp ?? spec.hp ?? ''),
+        chassis: spec.chassis || '',
+        bodyMods: spec.bodyMods || '',
+        transmission: spec.transmission || '',
+        drivetrain: spec.drivetrain || '',
+        tires: spec.tires || '',
+        brakeSuspension: spec.brakeSuspension || []
+    };
+
+    if (!Array.isArray(spec.options)) {
+        return { formData, errors: validateSelections(formData, edition).errors };
+    }
+
+    const { selections, errors } = selectionsFromOptionIds(spec.options, edition);
+    return { formData: { ...formData, ...selections }, errors };
+}
+
+/**
+ * Format a factor with an explicit sign
+ * @param {number} value - Factor value
+ * @returns {string} Signed, formatted value
+ */
+function formatSigned(value) {
+    return `${value >= 0 ? '+' : ''}${formatNumber(value)}`;
+}
+
+/**
+ * Render calculation results as a plain-text report
+ * @param {Object} formData - Calculator form data
+ * @param {Object} results - Results from updateCalculations()
+ * @param {Object} edition - Rulebook edition
+ * @returns {string} Report text
+ */
+function formatTextReport(formData, results, edition) {
+    const { breakdown } = results;
+    const lines = [
+        `WCMA Classing - ${edition.title}`,
+        `Competition weight: ${formData.competitionWeight} lbs`,
+        `Declared HP:        ${formData.declaredHp}`,
+        '',
+        `Modification factors (${breakdown.baseClass} column):`
+    ];
+
+    if (breakdown.modifiers.length === 0) {
+        lines.push('  none');
+    }
+    breakdown.modifiers.forEach(item => {
+        lines.push(`  ${formatSigned(item.value).padStart(6)}  ${item.optionId.padEnd(8)} ${item.groupLabel}: ${item.description}`);
+    });
+
+    if (breakdown.skipped.length > 0) {
+        lines.push('', 'Skipped options:');
+        breakdown.skipped.forEach(item => {
+            lines.push(`  ${item.optionId.padEnd(8)} ${item.groupLabel}: ${item.reason}`);
+        });
+    }
+
+    lines.push('', 'Weight factor passes:');
+    breakdown.weightFactorPasses.forEach(pass => {
+        lines.push(`  ${pass.pass}. tried ${pass.triedClass}: ${pass.weightBand} ${formatSigned(pass.weightFactor)} -> ${formatNumber(pass.modifiedRatio)} (${pass.resultingClass})`);
+    });
+
+    const classDef = edition.classes.find(c => c.name === results.calculatedClass);
+    lines.push(
+        '',
+        `Base ratio:             ${formatNumber(results.baseRatio)}`,
+        `Additional mod factors: ${formatSigned(results.modificationFactor)}`,
+        `Weight factor:          ${formatSigned(results.weightFactor)}`,
+        `Modified ratio:         ${formatNumber(results.modifiedRatio)}`,
+        `Calculated class:       ${results.calculatedClass}${classDef ? ` (${formatClassRange(classDef)})` : ''}`
+    );
+
+    return lines.join('\n');
+}
+
+/**
+ * List the option ids of an edition, grouped by modification factor
+ * @param {Object} edition - Rulebook edition
+ * @returns {string} Option list text
+ */
+function formatOptionList(edition) {
+    return edition.modifierGroups.map(group => {
+        const options = group.options.map(option => {
+            const classes = edition.classes
+                .filter(c => option.values[c.name] !== null)
+                .map(c => c.name);
+            return `  ${option.id.padEnd(8)} ${option.description} [${classes.join(',')}]`;
+        });
+        return [`${group.label}${group.multiple ? ' (multiple allowed)' : ''}:`, ...options].join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Class a CSV entry list and write the annotated CSV
+ * @param {Object} args - Parsed command-line flags
+ * @returns {Promise<number>} Exit code
+ */
+async function runBatch(args) {
+    let edition;
+    try {
+        edition = await loadEditionFromDisk(args.edition || null);
+    } catch (error) {
+        console.error(error.message);
+        (error.errors || []).forEach(message => console.error(`  - ${message}`));
+        return 1;
+    }
+
+    let csvText;
+    try {
+        csvText = args.csv === '-' ? await readStdin() : readFileSync(args.csv, 'utf8');
+    } catch (error) {
+        console.error(`Could not read ${args.csv}: ${error.message}`);
+        return 2;
+    }
+
+    const { csv, entries, summary, errors } = classifyEntryList(csvText, edition);
+    if (errors.length > 0) {
+        errors.forEach(message => console.error(message));
+        return 1;
+    }
+
+    if (args.out) {
+        writeFileSync(args.out, csv);
+    } else {
+        process.stdout.write(csv);
+    }
+
+    entries.forEach(entry => {
+        entry.warnings.forEach(warning => console.error(`Line ${entry.line}: warning: ${warning}`));
+        if (entry.errors.length > 0) {
+            console.error(`Line ${entry.line}: ${entry.errors.join('; ')}`);
+        }
+    });
+    console.error(`${summary.classed} of ${summary.total} cars classed (${edition.title})`);
+
+    return summary.failed > 0 ? 1 : 0;
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            options: {
+                weight: { type: 'string', short: 'w' },
+                hp: { type: 'string', short: 'p' },
+                option: { type: 'string', short: 'o', multiple: true, default: [] },
+                edition: { type: 'string', short: 'e' },
+                json: { type: 'boolean', default: false },
+                'list-options': { type: 'boolean', default: false },
+                csv: { type: 'string' },
+                out: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }).values;
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (args.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    if (args.csv) {
+        return runBatch(args);
+    }
+
+    // Read the car spec first - it may name the edition
+    let spec;
+    if (args.weight !== undefined || args.hp !== undefined || args['list-options']) {
+        spec = { weight: args.weight, hp: args.hp, options: splitOptionIds(args.option) };
+    } else if (!process.stdin.isTTY) {
+        try {
+            spec = JSON.parse(await readStdin());
+        } catch (error) {
+            console.error(`Invalid JSON car spec on stdin: ${error.message}`);
+            return 2;
+        }
+        // null, arrays, strings and numbers are valid JSON but not a car spec
+        if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+            console.error('Invalid JSON car spec on stdin: expected an object of car spec fields');
+            console.error(USAGE);
+            return 2;
+        }
+    } else {
+        console.error(USAGE);
+        return 2;
+    }
+
+    let edition;
+    try {
+        edition = await loadEditionFromDisk(args.edition || spec.edition || null);
+    } catch (error) {
+        console.error(error.message);
+        (error.errors || []).forEach(message => console.error(`  - ${message}`));
+        return 1;
+    }
+
+    if (args['list-options']) {
+        console.log(formatOptionList(edition));
+        return 0;
+    }
+
+    const { formData, errors } = specToFormData(spec, edition);
+    const weightNum = parseFloat(formData.competitionWeight);
+    const hpNum = parseFloat(formData.declaredHp);
+    if (isNaN(weightNum) || weightNum <= 0) {
+        errors.push('Competition weight must be a positive number');
+    }
+    if (isNaN(hpNum) || hpNum <= 0) {
+        errors.push('Declared HP must be a positive number');
+    }
+
+    if (errors.length > 0) {
+        if (args.json) {
+            console.log(JSON.stringify({ success: false, errors }, null, 2));
+        } else {
+            errors.forEach(message => console.error(message));
+        }
+        return 1;
+    }
+
+    const results = updateCalculations(formData, edition);
+
+    if (args.json) {
+        console.log(JSON.stringify({ success: true, edition: edition.edition, input: formData, results }, null, 2));
+    } else {
+        console.log(formatTextReport(formData, results, edition));
+    }
+    return 0;
+}
+
+process.exitCode = await main();
@@ -0,0 +1,294 @@
+/**
+ * Batch Classing Module
+ * Runs a CSV entry list through the calculator and produces an annotated CSV
+ * Used by the command-line tool and the batch file drop on the page
+ */
+
+import { updateCalculations, validateSelections } from './calculator.js';
+import { getModifierGroup } from './modifiers.js';
+
+// Input columns: form data field, accepted header names, and modifier group
+const INPUT_COLUMNS = [
+    { field: 'year', headers: ['year'] },
+    { field: 'make', headers: ['make'] },
+    { field: 'model', headers: ['model'] },
+    { field: 'competitionWeight', headers: ['weight', 'competitionweight', 'competitionwgt'] },
+    { field: 'declaredHp', headers: ['hp', 'declaredhp', 'horsepower'] },
+    { field: 'chassis', headers: ['chassis'], group: 'chassis' },
+    { field: 'bodyMods', headers: ['body', 'bodymods'], group: 'body' },
+    { field: 'transmission', headers: ['trans', 'transmission'], group: 'trans' },
+    { field: 'drivetrain', headers: ['dt', 'drivetrain'], group: 'dt' },
+    { field: 'tires', headers: ['tire', 'tires'], group: 'tire' },
+    { field: 'brakeSuspension', headers: ['brake', 'brakes', 'brakesuspension', 'brakesusp'], group: 'brake' }
+];
+
+// Columns appended to every row of the annotated CSV
+export const RESULT_COLUMNS = [
+    'calculated_class',
+    'base_ratio',
+    'modification_factor',
+    'weight_factor',
+    'modified_ratio',
+    'skipped_options',
+    'errors'
+];
+
+/**
+ * Parse CSV text into records of cells, each with the file line it starts on
+ * (RFC 4180 quoting, CRLF or LF line endings)
+ * @param {string} text - CSV text
+ * @returns {Array} Array of { cells, line } - line is 1-based; blank lines are dropped
+ */
+function parseCsvRecords(text) {
+    const records = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    // Strip a byte order mark left by spreadsheet exports
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        const isCrlf = char === '\r' && input[i + 1] === '\n';
+        if (isCrlf && !inQuotes) {
+            // The \n that follows ends the row
+            continue;
+        }
+        const isLineBreak = char === '\n' || char === '\r';
+        if (isLineBreak && !isCrlf) {
+            line++;
+        }
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (isLineBreak) {
+            row.push(cell);
+            records.push({ cells: row, line: rowLine });
+            row = [];
+            cell = '';
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        records.push({ cells: row, line: rowLine });
+    }
+
+    // Drop blank lines
+    return records.filter(r => r.cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line endings)
+ * @param {string} text - CSV text
+ * @returns {Array} Array of rows, each an array of cell strings
+ */
+export function parseCsv(text) {
+    return parseCsvRecords(text).map(record => record.cells);
+}
+
+/**
+ * Serialize rows of cells as CSV text
+ * @param {Array} rows - Array of rows, each an array of values
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Stop a spreadsheet from running a cell that came from the entry list as a
+ * formula (CSV injection) by prefixing it with an apostrophe
+ * @param {string} value - Cell text
+ * @returns {string} Cell text that can't start a formula
+ */
+function neutralizeFormula(value) {
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Normalize a header cell for matching (case, spaces and punctuation ignored)
+ * @param {string} header - Header cell text
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split a brake/suspension cell into option ids (separated by ; | space or comma)
+ * @param {string} value - Cell text
+ * @returns {Array} Option ids
+ */
+function splitOptionList(value) {
+    return value.split(/[;|,\s]+/).map(id => id.trim()).filter(id => id);
+}
+
+/**
+ * Check a whole-number field value
+ * @param {string} value - Cell text
+ * @returns {boolean} True if value is a positive whole number
+ */
+function isPositiveWholeNumber(value) {
+    return /^\d+$/.test(value) && parseInt(value, 10) > 0;
+}
+
+/**
+ * Classify one entry
+ * @param {Object} entry - Entry fields keyed by form data field name
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { results, errors, skipped }
+ */
+function classifyEntry(entry, edition) {
+    const errors = [];
+
+    if (!entry.competitionWeight) {
+        errors.push('Missing weight');
+    } else if (!isPositiveWholeNumber(entry.competitionWeight)) {
+        errors.push(`Invalid weight: ${entry.competitionWeight}`);
+    }
+    if (!entry.declaredHp) {
+        errors.push('Missing declared HP');
+    } else if (!isPositiveWholeNumber(entry.declaredHp)) {
+        errors.push(`Invalid declared HP: ${entry.declaredHp}`);
+    }
+
+    const formData = {
+        competitionWeight: entry.competitionWeight,
+        declaredHp: entry.declaredHp
+    };
+
+    INPUT_COLUMNS.filter(column => column.group).forEach(column => {
+        const group = getModifierGroup(edition, column.group);
+        const ids = group && group.multiple
+            ? splitOptionList(entry[column.field] || '')
+            : [(entry[column.field] || '').trim()].filter(id => id);
+
+        ids.forEach(id => {
+            if (!group || !group.options.some(option => option.id === id)) {
+                errors.push(`Unknown ${group ? group.label : column.group} option id: ${id}`);
+            }
+        });
+        if (group && !group.multiple && ids.length > 1) {
+            errors.push(`Only one ${group.label} option allowed`);
+        }
+
+        formData[column.field] = group && group.multiple ? ids : (ids[0] || '');
+    });
+
+    // The rulebook's combination rules (e.g. no body mods with a Sports Racer chassis)
+    errors.push(...validateSelections(formData, edition).errors);
+
+    if (errors.length > 0) {
+        return { results: null, errors, skipped: [] };
+    }
+
+    const results = updateCalculations(formData, edition);
+    const skipped = results.breakdown.skipped.map(item => `${item.optionId} (${item.reason})`);
+    return { results, errors, skipped };
+}
+
+/**
+ * Classify every car in a CSV entry list
+ * @param {string} csvText - Entry list CSV with a header row
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { csv, entries, summary, errors } - csv is the annotated CSV text;
+ *                   each entry has the file line its row starts on (the header is line 1)
+ *                   and warnings about its row (e.g. cells beyond the header, which
+ *                   the annotated CSV can't keep);
+ *                   errors lists problems with the file itself (e.g. missing columns)
+ */
+export function classifyEntryList(csvText, edition) {
+    const records = parseCsvRecords(csvText);
+    const rows = records.map(record => record.cells);
+    if (rows.length === 0) {
+        return { csv: '', entries: [], summary: { total: 0, classed: 0, failed: 0 }, errors: ['The CSV file is empty'] };
+    }
+
+    const [headerRow, ...dataRows] = rows;
+    const normalizedHeaders = headerRow.map(normalizeHeader);
+
+    // Map each input field to its column index
+    const columnIndex = {};
+    INPUT_COLUMNS.forEach(column => {
+        columnIndex[column.field] = normalizedHeaders.findIndex(h => column.headers.includes(h));
+    });
+
+    const missing = ['competitionWeight', 'declaredHp'].filter(field => columnIndex[field] === -1);
+    if (missing.length > 0) {
+        const names = { competitionWeight: 'weight', declaredHp: 'declared HP' };
+        return {
+            csv: '',
+            entries: [],
+            summary: { total: dataRows.length, classed: 0, failed: dataRows.length },
+            errors: missing.map(field => `Missing ${names[field]} column`)
+        };
+    }
+
+    const entries = dataRows.map((row, i) => {
+        const entry = { line: records[i + 1].line };
+        INPUT_COLUMNS.forEach(column => {
+            const index = columnIndex[column.field];
+            entry[column.field] = index === -1 ? '' : (row[index] || '').trim();
+        });
+
+        const warnings = [];
+        const extraCells = row.slice(headerRow.length).filter(value => value.trim() !== '');
+        if (extraCells.length > 0) {
+            warnings.push(`${extraCells.length} cell${extraCells.length === 1 ? '' : 's'} beyond the header ` +
+                `left out of the annotated CSV: ${extraCells.join(', ')}`);
+        }
+        return { ...entry, ...classifyEntry(entry, edition), warnings };
+    });
+
+    // Cells copied from the entry list are neutralized; the result columns are ours
+    const outputRows = [
+        [...headerRow.map(neutralizeFormula), ...RESULT_COLUMNS],
+        ...dataRows.map((row, i) => {
+            const { results, errors, skipped } = entries[i];
+            const padded = headerRow.map((_, index) => neutralizeFormula(row[index] || ''));
+            if (!results) {
+                return [...padded, '', '', '', '', '', '', errors.join('; ')];
+            }
+            return [
+                ...padded,
+                results.calculatedClass,
+                results.baseRatio.toFixed(2),
+                results.modificationFactor.toFixed(2),
+                results.weightFactor.toFixed(2),
+                results.modifiedRatio.toFixed(2),
+                skipped.join('; '),
+                ''
+            ];
+        })
+    ];
+
+    const classed = entries.filter(e => e.results).length;
+    return {
+        csv: toCsv(outputRows),
+        entries,
+        summary: { total: entries.length, classed, failed: entries.length - classed },
+        errors: []
+    };
+}
@@ -3,88 +3,80 @@
  * Handles all calculation logic for weight/horsepower ratios and class determination
  */
 
-import {
-    chassisModifierTable,
-    bodyModifierTable,
-    transModifierTable,
-    dtModifierTable,
-    tireModifierTable,
-    brakeModifierTable,
-    getModifierValue,
-    getClassIndex
-} from './modifiers.js';
+import { getModifierGroup, getModifierValue } from './modifiers.js';
+
+// Form data field holding the selection(s) for each modification group
+export const MODIFIER_FIELDS = {
+    chassis: 'chassis',
+    body: 'bodyMods',
+    trans: 'transmission',
+    dt: 'drivetrain',
+    tire: 'tires',
+    brake: 'brakeSuspension'
+};
 
 /**
- * Calculate weight factor based on competition weight and target class
- * Based on WCMA calculator: https://www.wcma.ca/classing/car-classing.php
+ * Check whether a weight falls inside a weight factor band
+ * @param {Object} band - Band definition ({ below } or { above }, plus factor)
+ * @param {number} weight - Competition weight in lbs
+ * @returns {boolean} True if the band applies
+ */
+function matchesWeightBand(band, weight) {
+    if (band.below !== undefined) {
+        return weight < band.below;
+    }
+    if (band.above !== undefined) {
+        return weight > band.above;
+    }
+    return false;
+}
+
+/**
+ * Find the weight factor band that applies to a weight and target class
+ * Bands come from the rulebook edition and are checked in order
  * @param {number} weight - Competition weight in lbs
  * @param {string} targetClass - Target class (GTU, GT1, GT2, GT3, GT4, IT1, IT2)
- * @returns {number} Weight factor modifier
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object|null} Matching band, or null if no band applies
  */
-export function calculateWeightFactor(weight, targetClass) {
-    if (!weight || weight <= 0 || !targetClass) {
-        return 0;
+export function findWeightBand(weight, targetClass, edition) {
+    if (!weight || weight <= 0 || !targetClass || !edition) {
+        return null;
     }
 
-    let weightModFactor = 0;
-
-    switch (targetClass) {
-        case "GTU":
-        case "GT1":
-        case "GT2":
-        case "GT3":
-        case "GT4":
-            if (weight < 2200) {
-                weightModFactor = -0.3;
-            } else if (weight < 2600) {
-                weightModFactor = -0.2;
-            } else if (weight < 3000) {
-                weightModFactor = -0.1;
-            } else if (weight > 4050) {
-                weightModFactor = +0.7;
-            } else if (weight > 3900) {
-                weightModFactor = +0.6;
-            } else if (weight > 3750) {
-                weightModFactor = +0.5;
-            } else if (weight > 3600) {
-                weightModFactor = +0.4;
-            } else if (weight > 3500) {
-                weightModFactor = +0.3;
-            } else if (weight > 3400) {
-                weightModFactor = +0.2;
-            } else if (weight > 3300) {
-                weightModFactor = +0.1;
-            }
-            break;
-        case "IT1":
-        case "IT2":
-            if (weight < 2150) {
-                weightModFactor = -0.6;
-            } else if (weight < 2250) {
-                weightModFactor = -0.5;
-            } else if (weight < 2450) {
-                weightModFactor = -0.4;
-            } else if (weight < 2550) {
-                weightModFactor = -0.3;
-            } else if (weight < 2650) {
-                weightModFactor = -0.2;
-            } else if (weight < 2850) {
-                weightModFactor = -0.1;
-            } else if (weight > 3600) {
-                weightModFactor = +0.4;
-            } else if (weight > 3500) {
-                weightModFactor = +0.3;
-            } else if (weight > 3400) {
-                weightModFactor = +0.2;
-            } else if (weight > 3300) {
-                weightModFactor = +0.1;
-            }
-            break;
-        default:
-            weightModFactor = 0;
+    const weightGroup = edition.weightFactors.find(g => g.classes.includes(targetClass));
+    if (!weightGroup) {
+        return null;
+    }
+
+    return weightGroup.bands.find(b => matchesWeightBand(b, weight)) || null;
+}
+
+/**
+ * Describe a weight factor band for display
+ * @param {Object|null} band - Band from findWeightBand()
+ * @returns {string} Description (e.g., "Under 3000 lbs")
+ */
+export function describeWeightBand(band) {
+    if (!band) {
+        return 'No weight band (no adjustment)';
     }
+    if (band.below !== undefined) {
+        return `Under ${band.below} lbs`;
+    }
+    return `Over ${band.above} lbs`;
+}
 
-    return weightModFactor;
+/**
+ * Calculate weight factor based on competition weight and target class
+ * @param {number} weight - Competition weight in lbs
+ * @param {string} targetClass - Target class (GTU, GT1, GT2, GT3, GT4, IT1, IT2)
+ * @param {Object} edition - Rulebook edition
+ * @returns {number} Weight factor modifier
+ */
+export function calculateWeightFactor(weight, targetClass, edition) {
+    const band = findWeightBand(weight, targetClass, edition);
+    return band ? band.factor : 0;
 }
 
 /**
@@ -138,28 +130,18 @@ export function calculateModifiedRatio(baseRatio, modFactor) {
 /**
  * Determine class based on adjusted weight/horsepower ratio
  * @param {number} ratio - Adjusted weight/hp ratio
+ * @param {Object} edition - Rulebook edition
  * @returns {string} Class name (GTU, GT1, GT2, GT3, GT4, IT1, IT2)
  */
-export function determineClass(ratio) {
-    if (!ratio || ratio <= 0) {
+export function determineClass(ratio, edition) {
+    if (!ratio || ratio <= 0 || !edition) {
         return '';
     }
 
-    if (ratio < 6.00) {
-        return 'GTU';
-    } else if (ratio >= 6.00 && ratio < 8.00) {
-        return 'GT1';
-    } else if (ratio >= 8.00 && ratio < 10.00) {
-        return 'GT2';
-    } else if (ratio >= 10.00 && ratio < 12.00) {
-        return 'GT3';
-    } else if (ratio >= 12.00 && ratio < 14.00) {
-        return 'GT4';
-    } else if (ratio >= 14.00 && ratio < 18.00) {
-        return 'IT1';
-    } else {
-        return 'IT2';
-    }
+    const classDef = edition.classes.find(c =>
+        (c.min === null || ratio >= c.min) && (c.max === null || ratio < c.max)
+    );
+    return classDef ? classDef.name : '';
 }
 
 /**
@@ -175,23 +157,125 @@ export function formatNumber(value, decimals = 2) {
     return parseFloat(value).toFixed(decimals);
 }
 
+/**
+ * Build modifier selections from a flat list of option IDs
+ * Each option is placed in the form data field of the group it belongs to
+ * @param {Array} optionIds - Option IDs (e.g., ['chassis1', 'tire4', 'brake2'])
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { selections, errors } - selections uses the form data field names
+ */
+export function selectionsFromOptionIds(optionIds, edition) {
+    const selections = {
+        chassis: '',
+        bodyMods: '',
+        transmission: '',
+        drivetrain: '',
+        tires: '',
+        brakeSuspension: []
+    };
+    const errors = [];
+
+    optionIds.filter(id => id).forEach(optionId => {
+        const groupId = Object.keys(MODIFIER_FIELDS).find(id => {
+            const group = getModifierGroup(edition, id);
+            return group && group.options.some(o => o.id === optionId);
+        });
+
+        if (!groupId) {
+            errors.push(`Unknown option id: ${optionId}`);
+            return;
+        }
+
+        const group = getModifierGroup(edition, groupId);
+        const field = MODIFIER_FIELDS[groupId];
+        if (group.multiple) {
+            const current = toOptionIds(selections[field]);
+            if (!current.includes(optionId)) {
+                selections[field] = [...current, optionId];
+            }
+        } else if (selections[field] && selections[field] !== optionId) {
+            errors.push(`Only one ${group.label} option allowed (got ${selections[field]} and ${optionId})`);
+        } else {
+            selections[field] = optionId;
+        }
+    });
+
+    errors.push(...validateSelections(selections, edition).errors);
+
+    return { selections, errors };
+}
+
+/**
+ * Check modifier selections against the rulebook's combination rules:
+ * single-select groups take at most one option, and an option's excludes
+ * rule out any selection in the groups it names
+ * @param {Object} formData - Form data with the selections (form data field names)
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { isValid, errors }
+ */
+export function validateSelections(formData, edition) {
+    const errors = [];
+    const selected = {};
+
+    Object.entries(MODIFIER_FIELDS).forEach(([groupId, field]) => {
+        const group = getModifierGroup(edition, groupId);
+        selected[groupId] = toOptionIds(formData[field]);
+        if (group && !group.multiple && selected[groupId].length > 1) {
+            errors.push(`Only one ${group.label} option allowed (got ${selected[groupId].join(', ')})`);
+        }
+    });
+
+    Object.entries(selected).forEach(([groupId, optionIds]) => {
+        const group = getModifierGroup(edition, groupId);
+        if (!group) {
+            return;
+        }
+        group.options
+            .filter(option => optionIds.includes(option.id) && Array.isArray(option.excludes))
+            .forEach(option => option.excludes.forEach(excludedId => {
+                if (selected[excludedId] && selected[excludedId].length > 0) {
+                    const excluded = getModifierGroup(edition, excludedId);
+                    errors.push(`${excluded ? excluded.label : excludedId} options can't be used with ${option.id} ` +
+                        `(got ${selected[excludedId].join(', ')})`);
+                }
+            }));
+    });
+
+    return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Normalize a form data selection to an array of option IDs
+ * Single selects hold a string; multi-select groups hold an array
+ * (a single string is accepted for backward compatibility)
+ * @param {string|Array} selection - Selected option ID(s)
+ * @returns {Array} Array of option IDs
+ */
+export function toOptionIds(selection) {
+    if (Array.isArray(selection)) {
+        return selection.filter(id => id);
+    }
+    return selection ? [selection] : [];
+}
+
 /**
  * Main calculation orchestrator
  * Performs all calculations and returns results object
+ *
+ * Besides the totals, results.breakdown itemizes how the class was reached:
+ * - modifiers: each applied option with the class column it was looked up in
+ * - skipped: selected options that were not applicable (or unknown)
+ * - weightFactorPasses: every pass of the weight factor loop
+ * - weightBand: the band used for the final weight factor
+ *
  * @param {Object} formData - Object containing all form input values
+ * @param {Object} edition - Rulebook edition to calculate against
  * @returns {Object} Calculation results
  */
-export function updateCalculations(formData) {
+export function updateCalculations(formData, edition) {
     const {
         competitionWeight,
-        declaredHp,
-        targetClass,
-        chassis,
-        bodyMods,
-        transmission,
-        drivetrain,
-        tires,
-        brakeSuspension
+        declaredHp
     } = formData;
 
     const results = {
@@ -199,7 +283,15 @@ export function updateCalculations(formData) {
         baseRatio: 0,
         modificationFactor: 0,
         modifiedRatio: 0,
-        calculatedClass: ''
+        calculatedClass: '',
+        breakdown: {
+            edition: edition ? edition.edition : '',
+            baseClass: '',
+            modifiers: [],
+            skipped: [],
+            weightBand: null,
+            weightFactorPasses: []
+        }
     };
 
     // Check if we have minimum required data
@@ -207,7 +299,7 @@ export function updateCalculations(formData) {
     const hpNum = parseFloat(declaredHp);
     const hasBaseData = !isNaN(weightNum) && !isNaN(hpNum) && weightNum > 0 && hpNum > 0;
 
-    if (!hasBaseData) {
+    if (!hasBaseData || !edition) {
         return results;
     }
 
@@ -215,73 +307,45 @@ export function updateCalculations(formData) {
     results.baseRatio = calculateBaseRatio(weightNum, hpNum);
     
     // Determine class from base ratio to determine which modifier values apply
-    let classForModifiers = determineClass(results.baseRatio);
+    let classForModifiers = determineClass(results.baseRatio, edition);
+    results.breakdown.baseClass = classForModifiers;
     
-    // Collect modification factors using modifier tables
+    // Collect modification factors using the edition's modifier tables
     // Modifiers are based on the base class (before modifiers are applied)
     let modifierSum = 0;
     
-    // Look up chassis modifier
-    if (chassis && classForModifiers) {
-        const chassisValue = getModifierValue(chassisModifierTable, chassis, classForModifiers);
-        if (chassisValue !== null && !isNaN(chassisValue)) {
-            modifierSum += chassisValue;
-        }
-    }
-    
-    // Look up body modifier
-    if (bodyMods && classForModifiers) {
-        const bodyValue = getModifierValue(bodyModifierTable, bodyMods, classForModifiers);
-        if (bodyValue !== null && !isNaN(bodyValue)) {
-            modifierSum += bodyValue;
-        }
-    }
-    
-    // Look up transmission modifier
-    if (transmission && classForModifiers) {
-        const transValue = getModifierValue(transModifierTable, transmission, classForModifiers);
-        if (transValue !== null && !isNaN(transValue)) {
-            modifierSum += transValue;
-        }
-    }
-    
-    // Look up drivetrain modifier
-    if (drivetrain && classForModifiers) {
-        const dtValue = getModifierValue(dtModifierTable, drivetrain, classForModifiers);
-        if (dtValue !== null && !isNaN(dtValue)) {
-            modifierSum += dtValue;
-        }
-    }
-    
-    // Look up tire modifier
-    if (tires && classForModifiers) {
-        const tireValue = getModifierValue(tireModifierTable, tires, classForModifiers);
-        if (tireValue !== null && !isNaN(tireValue)) {
-            modifierSum += tireValue;
-        }
-    }
-    
-    // Look up brake/suspension modifiers (can be multiple selections)
-    if (brakeSuspension && Array.isArray(brakeSuspension) && brakeSuspension.length > 0 && classForModifiers) {
-        brakeSuspension.forEach(optionId => {
-            const brakeValue = getModifierValue(brakeModifierTable, optionId, classForModifiers);
-            if (brakeValue !== null && !isNaN(brakeValue)) {
-                modifierSum += brakeValue;
-            }
+    if (classForModifiers) {
+        Object.keys(MODIFIER_FIELDS).forEach(groupId => {
+            const group = getModifierGroup(edition, groupId);
+            const table = group ? group.options : [];
+            
+            toOptionIds(formData[MODIFIER_FIELDS[groupId]]).forEach(optionId => {
+                const option = table.find(o => o.id === optionId);
+                const item = {
+                    group: groupId,
+                    groupLabel: group ? group.label : groupId,
+                    optionId,
+                    description: option ? option.description : '',
+                    lookupClass: classForModifiers
+                };
+                
+                const value = getModifierValue(table, optionId, classForModifiers);
+                if (value !== null && !isNaN(value)) {
+                    modifierSum += value;
+                    results.breakdown.modifiers.push({ ...item, value });
+                } else {
+                    item.reason = option ? `Not applicable to ${classForModifiers}` : 'Unknown option';
+                    results.breakdown.skipped.push(item);
+                }
+            });
         });
-    } else if (brakeSuspension && typeof brakeSuspension === 'string' && brakeSuspension && classForModifiers) {
-        // Handle single value for backward compatibility
-        const brakeValue = getModifierValue(brakeModifierTable, brakeSuspension, classForModifiers);
-        if (brakeValue !== null && !isNaN(brakeValue)) {
-            modifierSum += brakeValue;
-        }
     }
     
     results.modificationFactor = modifierSum;
 
     // Iteratively calculate weight factor based on the final calculated class
     // Start with class from base ratio + modifiers (without weight factor)
-    let classForWeightFactor = determineClass(results.baseRatio + results.modificationFactor);
+    let classForWeightFactor = determineClass(results.baseRatio + results.modificationFactor, edition);
     let previousWeightFactor = null;
     let iterations = 0;
     const maxIterations = 10;
@@ -289,13 +353,29 @@ export function updateCalculations(formData) {
     // Iterate until weight factor stabilizes (class used matches resulting class)
     while (iterations < maxIterations) {
         // Calculate weight factor based on current class
-        results.weightFactor = calculateWeightFactor(weightNum, classForWeightFactor);
+        const band = findWeightBand(weightNum, classForWeightFactor, edition);
+        results.weightFactor = band ? band.factor : 0;
         
         // Calculate final modified ratio with this weight factor
         results.modifiedRatio = results.baseRatio + results.weightFactor + results.modificationFactor;
         
         // Determine what class results from this modified ratio
-        const resultingClass = determineClass(results.modifiedRatio);
+        const resultingClass = determineClass(results.modifiedRatio, edition);
+        
+        results.breakdown.weightBand = {
+            lookupClass: classForWeightFactor,
+            band,
+            description: describeWeightBand(band),
+            factor: results.weightFactor
+        };
+        results.breakdown.weightFactorPasses.push({
+            pass: results.breakdown.weightFactorPasses.length + 1,
+            triedClass: classForWeightFactor,
+            weightBand: describeWeightBand(band),
+            weightFactor: results.weightFactor,
+            modifiedRatio: results.modifiedRatio,
+            resultingClass
+        });
         
         // If weight factor hasn't changed and class matches, we're stable
         if (previousWeightFactor !== null && 
@@ -316,8 +396,7 @@ export function updateCalculations(formData) {
     }
     
     // Final class determination
-    results.calculatedClass = determineClass(results.modifiedRatio);
+    results.calculatedClass = determineClass(results.modifiedRatio, edition);
 
     return results;
 }
-
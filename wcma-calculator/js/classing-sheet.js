@@ -0,0 +1,297 @@
+/**
+ * Classing Sheet Module
+ * Lays out the classing sheet as a PDF: the same contact info, vehicle factors,
+ * results, calculation breakdown and class ranges as the print report
+ */
+
+import { PdfDocument } from './pdf-writer.js';
+import { formatNumber } from './calculator.js';
+import { formatClassRange } from './rulebook.js';
+import { createQrCode } from './qr-code.js';
+
+// US Letter, with half-inch margins like the print report
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 36;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// QR code beside the results box, with its caption
+const QR_SIZE = 90;
+const QR_GAP = 14;
+
+const GRAY = [0.4, 0.4, 0.4];
+const LIGHT_GRAY = [0.87, 0.87, 0.87];
+const RESULTS_FILL = [0.976, 0.976, 0.976];
+const HIGHLIGHT_FILL = [0.91, 0.91, 0.91];
+const ACTIVE_CLASS_FILL = [0.831, 0.929, 0.855];
+
+/**
+ * Format a number with its sign
+ * @param {number} value - Number
+ * @returns {string} e.g. "+0.50" or "-1.00"
+ */
+function formatSigned(value) {
+    return `${value >= 0 ? '+' : ''}${formatNumber(value)}`;
+}
+
+/**
+ * Build the classing sheet PDF
+ * @param {Object} sheet - { edition, results, values, integrityCode, link, generatedAt } - values holds the
+ *                         form as displayed (name, email, year, make, model, comments,
+ *                         competitionWeight, declaredHp, dynoHp, dynoBasis, dynoNormalized,
+ *                         dynoChecks, and the selected option descriptions chassis, bodyMods,
+ *                         transmission, drivetrain, tires, brakeSuspension); results come from updateCalculations(), and
+ *                         integrityCode from createIntegrityCode(); link is printed as a
+ *                         QR code
+ * @returns {Uint8Array} PDF file contents
+ */
+export function buildClassingSheet({ edition, results, values, integrityCode = '', link = '', generatedAt = new Date() }) {
+    const pdf = new PdfDocument({
+        title: `WCMA Classing Sheet - ${[values.year, values.make, values.model].filter(v => v).join(' ') || edition.edition}`,
+        pageWidth: PAGE_WIDTH,
+        pageHeight: PAGE_HEIGHT,
+        creationDate: generatedAt
+    });
+    pdf.addPage();
+    let y = MARGIN;
+
+    // Start a new page if the next block doesn't fit
+    const ensureSpace = (height) => {
+        if (y + height > PAGE_HEIGHT - MARGIN) {
+            pdf.addPage();
+            y = MARGIN;
+        }
+    };
+
+    const sectionTitle = (title, x = MARGIN, width = CONTENT_WIDTH) => {
+        ensureSpace(30);
+        pdf.text(x, y + 11, title, { font: 'bold', size: 11 });
+        pdf.line(x, y + 15, x + width, y + 15, { width: 0.75, color: [0.2, 0.2, 0.2] });
+        y += 21;
+    };
+
+    // Label and wrapped value in a column, with the fallback in gray if there is no
+    // value; returns the y below the row
+    const labelRow = (label, value, fallback, x, width, rowY) => {
+        const lines = pdf.wrapText(value || fallback, width - 110, 'regular', 9);
+        pdf.text(x, rowY + 9, label, { font: 'bold', size: 9 });
+        lines.forEach((line, i) => {
+            pdf.text(x + 110, rowY + 9 + i * 11, line, { size: 9, color: value ? [0, 0, 0] : GRAY });
+        });
+        return rowY + lines.length * 11 + 2;
+    };
+
+    // Table with wrapped cells; columns are { label, width, align }
+    const table = (columns, rows) => {
+        const headerHeight = 12;
+        ensureSpace(headerHeight + 12);
+        let x = MARGIN;
+        columns.forEach(column => {
+            pdf.text(column.align === 'right' ? x + column.width - 3 : x + 3, y + 8.5, column.label,
+                { font: 'bold', size: 8, align: column.align || 'left' });
+            x += column.width;
+        });
+        pdf.line(MARGIN, y + headerHeight, MARGIN + CONTENT_WIDTH, y + headerHeight, { color: LIGHT_GRAY });
+        y += headerHeight;
+
+        rows.forEach(cells => {
+            const wrapped = cells.map((cell, i) => pdf.wrapText(cell, columns[i].width - 6, 'regular', 8));
+            const height = Math.max(...wrapped.map(lines => lines.length)) * 10 + 3;
+            ensureSpace(height);
+            x = MARGIN;
+            wrapped.forEach((lines, i) => {
+                const column = columns[i];
+                lines.forEach((line, j) => {
+                    pdf.text(column.align === 'right' ? x + column.width - 3 : x + 3, y + 8.5 + j * 10, line,
+                        { size: 8, align: column.align || 'left' });
+                });
+                x += column.width;
+            });
+            pdf.line(MARGIN, y + height, MARGIN + CONTENT_WIDTH, y + height, { color: LIGHT_GRAY });
+            y += height;
+        });
+        y += 6;
+    };
+
+    const note = (text) => {
+        pdf.wrapText(text, CONTENT_WIDTH, 'regular', 8).forEach(line => {
+            ensureSpace(11);
+            pdf.text(MARGIN, y + 8, line, { size: 8, color: GRAY });
+            y += 11;
+        });
+        y += 4;
+    };
+
+    // Header
+    const dateGenerated = generatedAt.toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    pdf.text(PAGE_WIDTH / 2, y + 14, `WCMA Classing Calculator - ${edition.edition}`, { font: 'bold', size: 16, align: 'center' });
+    pdf.text(PAGE_WIDTH / 2, y + 27, `Rules: ${edition.title} · Date Generated: ${dateGenerated}`, { size: 8, color: GRAY, align: 'center' });
+    pdf.line(MARGIN, y + 34, MARGIN + CONTENT_WIDTH, y + 34, { width: 1.5 });
+    y += 46;
+
+    // Contact information and vehicle factors side by side
+    const columnWidth = (CONTENT_WIDTH - 20) / 2;
+    const rightX = MARGIN + columnWidth + 20;
+    const notProvided = 'Not provided';
+    const notSelected = 'Not selected';
+
+    const top = y;
+    sectionTitle('Contact Information', MARGIN, columnWidth);
+    let leftY = y;
+    y = top;
+    sectionTitle('Vehicle Factors', rightX, columnWidth);
+    let rightY = y;
+
+    leftY = labelRow('Name:', values.name, notProvided, MARGIN, columnWidth, leftY);
+    leftY = labelRow('Email:', values.email, notProvided, MARGIN, columnWidth, leftY);
+    leftY = labelRow('Vehicle:', [values.year, values.make, values.model].filter(v => v).join(' '), '', MARGIN, columnWidth, leftY);
+
+    const factorRows = [
+        ['Competition Weight:', values.competitionWeight, notProvided],
+        ['Declared HP:', values.declaredHp, notProvided],
+        ...(values.dynoHp ? [['Dyno HP:', values.dynoBasis ? `${values.dynoHp} - ${values.dynoBasis}` : values.dynoHp, '']] : []),
+        ...(values.dynoNormalized ? [['Dyno HP (rules):', values.dynoNormalized, '']] : []),
+        ['Chassis:', values.chassis, notSelected],
+        ['Body Mods:', values.bodyMods, notSelected],
+        ['Transmission:', values.transmission, notSelected],
+        ['Drivetrain:', values.drivetrain, notSelected],
+        ['Tires:', values.tires, notSelected],
+        ...(values.brakeSuspension ? [['Brake & Susp:', values.brakeSuspension, '']] : [])
+    ];
+    factorRows.forEach(([label, value, fallback]) => {
+        rightY = labelRow(label, value, fallback, rightX, columnWidth, rightY);
+    });
+    y = Math.max(leftY, rightY) + 8;
+
+    [['Comments', values.comments], ['Dyno Checks', values.dynoChecks]].forEach(([title, text]) => {
+        if (!text) return;
+        sectionTitle(title);
+        pdf.wrapText(text, CONTENT_WIDTH, 'regular', 9).forEach(line => {
+            ensureSpace(11);
+            pdf.text(MARGIN, y + 9, line, { size: 9 });
+            y += 11;
+        });
+        y += 8;
+    });
+
+    // Results box
+    const resultRows = [
+        ['Weight Factor:', results.weightFactor !== undefined && results.weightFactor !== null ? formatSigned(results.weightFactor) : '--'],
+        ['Base Ratio:', results.baseRatio > 0 ? formatNumber(results.baseRatio) : '--'],
+        ['Additional Mod Factors:', formatNumber(results.modificationFactor)],
+        ['Modified Ratio:', results.modifiedRatio > 0 ? formatNumber(results.modifiedRatio) : formatNumber(results.baseRatio)]
+    ];
+    const boxHeight = Math.max(30 + resultRows.length * 15 + 22 + (integrityCode ? 16 : 0), link ? QR_SIZE + 14 : 0);
+    const boxWidth = link ? CONTENT_WIDTH - QR_SIZE - QR_GAP : CONTENT_WIDTH;
+    const boxRight = MARGIN + boxWidth;
+    ensureSpace(boxHeight + 10);
+    pdf.rect(MARGIN, y, boxWidth, boxHeight, { fill: RESULTS_FILL, stroke: [0, 0, 0], lineWidth: 1.5 });
+    pdf.text(MARGIN + boxWidth / 2, y + 20, 'Calculation Results', { font: 'bold', size: 12, align: 'center' });
+    let rowY = y + 30;
+    resultRows.forEach(([label, value]) => {
+        pdf.text(MARGIN + 10, rowY + 10, label, { font: 'bold', size: 9 });
+        pdf.text(boxRight - 10, rowY + 10, value, { font: 'bold', size: 9, align: 'right' });
+        pdf.line(MARGIN + 10, rowY + 14, boxRight - 10, rowY + 14, { color: LIGHT_GRAY });
+        rowY += 15;
+    });
+    pdf.rect(MARGIN + 10, rowY + 2, boxWidth - 20, 16, { fill: HIGHLIGHT_FILL });
+    pdf.text(MARGIN + 15, rowY + 14, 'Calculated Class:', { font: 'bold', size: 10 });
+    pdf.text(boxRight - 15, rowY + 14, results.calculatedClass || '--', { font: 'bold', size: 10, align: 'right' });
+    if (integrityCode) {
+        pdf.text(MARGIN + boxWidth / 2, rowY + 32, `Integrity code: ${integrityCode} - check it with Verify a Printout in the calculator`,
+            { size: 8, align: 'center' });
+    }
+
+    // QR code linking back to this configuration, one filled rect per run of dark modules
+    if (link) {
+        const qr = createQrCode(link);
+        const moduleSize = QR_SIZE / qr.size;
+        const qrX = boxRight + QR_GAP;
+        qr.modules.forEach((row, qy) => {
+            for (let qx = 0; qx < qr.size; qx++) {
+                if (!row[qx]) continue;
+                const start = qx;
+                while (qx + 1 < qr.size && row[qx + 1]) qx++;
+                pdf.rect(qrX + start * moduleSize, y + qy * moduleSize, (qx - start + 1) * moduleSize, moduleSize,
+                    { fill: [0, 0, 0] });
+            }
+        });
+        pdf.text(qrX + QR_SIZE / 2, y + QR_SIZE + 10, 'Scan to open in the calculator', { size: 6.5, color: GRAY, align: 'center' });
+    }
+    y += boxHeight + 12;
+
+    // Calculation breakdown
+    sectionTitle('Calculation Breakdown');
+    const breakdown = results.breakdown;
+    if (!breakdown || breakdown.weightFactorPasses.length === 0) {
+        note('Enter competition weight and declared HP to see how the class is calculated.');
+    } else {
+        pdf.text(MARGIN, y + 9, `Modification factors (looked up in the ${breakdown.baseClass} column)`, { font: 'bold', size: 9 });
+        y += 13;
+        if (breakdown.modifiers.length > 0) {
+            table([
+                { label: 'Factor', width: 120 },
+                { label: 'Option', width: 302 },
+                { label: 'Class', width: 50 },
+                { label: 'Value', width: 68, align: 'right' }
+            ], breakdown.modifiers.map(item => [
+                item.groupLabel, item.description || item.optionId, item.lookupClass, formatSigned(item.value)
+            ]));
+        } else {
+            note('No modification factors selected.');
+        }
+
+        if (breakdown.skipped.length > 0) {
+            ensureSpace(30);
+            pdf.text(MARGIN, y + 9, 'Skipped options', { font: 'bold', size: 9 });
+            y += 13;
+            table([
+                { label: 'Factor', width: 120 },
+                { label: 'Option', width: 222 },
+                { label: 'Reason', width: 198 }
+            ], breakdown.skipped.map(item => [item.groupLabel, item.description || item.optionId, item.reason]));
+        }
+
+        ensureSpace(30);
+        const band = breakdown.weightBand;
+        pdf.text(MARGIN, y + 9, `Weight factor: ${band.description} in ${band.lookupClass} (${formatSigned(band.factor)})`, { font: 'bold', size: 9 });
+        y += 13;
+        table([
+            { label: 'Pass', width: 40 },
+            { label: 'Class tried', width: 80 },
+            { label: 'Weight band', width: 210 },
+            { label: 'Factor', width: 70, align: 'right' },
+            { label: 'Ratio', width: 70, align: 'right' },
+            { label: 'Result', width: 70 }
+        ], breakdown.weightFactorPasses.map(pass => [
+            String(pass.pass), pass.triedClass, pass.weightBand, formatSigned(pass.weightFactor),
+            formatNumber(pass.modifiedRatio), pass.resultingClass
+        ]));
+    }
+
+    // Class ranges, four to a row
+    sectionTitle('Class Ranges');
+    const cellWidth = CONTENT_WIDTH / 4;
+    edition.classes.forEach((classDef, i) => {
+        if (i % 4 === 0) {
+            ensureSpace(14);
+            if (i > 0) y += 14;
+        }
+        const x = MARGIN + (i % 4) * cellWidth;
+        const active = results.calculatedClass === classDef.name;
+        if (active) {
+            pdf.rect(x, y, cellWidth - 4, 13, { fill: ACTIVE_CLASS_FILL });
+        }
+        const font = active ? 'bold' : 'regular';
+        pdf.text(x + 4, y + 9.5, classDef.name, { font, size: 8 });
+        pdf.text(x + cellWidth - 8, y + 9.5, formatClassRange(classDef), { font, size: 8, align: 'right' });
+    });
+
+    return pdf.toBytes();
+}
@@ -0,0 +1,132 @@
+/**
+ * Configuration Comparison Module
+ * Lines up saved configurations side by side: every input and every result,
+ * with the cells that differ from the first configuration flagged
+ */
+
+import { updateCalculations, formatNumber, toOptionIds, MODIFIER_FIELDS } from './calculator.js';
+import { getModifierGroup } from './modifiers.js';
+import { describeStoredValue } from './units.js';
+
+// Input rows shown before the modification factors; weight and power in the units they were entered in
+const INPUT_ROWS = [
+    { label: 'Rules Edition', value: (data, edition) => edition.title },
+    { label: 'Car', value: data => [data.year, data.make, data.model].filter(v => v).join(' ') },
+    { label: 'Competition Weight', value: data => describeStoredValue('weight', data.competitionWeight, data.weightUnit) },
+    { label: 'Declared HP', value: data => describeStoredValue('power', data.declaredHp, data.powerUnit) },
+    { label: 'Dyno HP', value: data => describeStoredValue('power', data.dynoHp, data.powerUnit) }
+];
+
+// Result rows, in the order of the Calculation Results box
+const RESULT_ROWS = [
+    { label: 'Base Ratio', value: results => formatNumber(results.baseRatio) },
+    { label: 'Additional Mod Factors', value: results => formatNumber(results.modificationFactor) },
+    { label: 'Weight Factor', value: results => formatNumber(results.weightFactor) },
+    { label: 'Modified Ratio', value: results => formatNumber(results.modifiedRatio) },
+    { label: 'Calculated Class', value: results => results.calculatedClass || '--' }
+];
+
+/**
+ * Describe the selected option(s) of a modification group
+ * @param {Object} data - Saved configuration data
+ * @param {string} groupId - Modification group ID
+ * @param {Object} edition - Rulebook edition of the configuration
+ * @returns {string} Option descriptions, or an empty string if none selected
+ */
+function describeSelection(data, groupId, edition) {
+    const group = getModifierGroup(edition, groupId);
+    return toOptionIds(data[MODIFIER_FIELDS[groupId]]).map(optionId => {
+        const option = group ? group.options.find(o => o.id === optionId) : null;
+        return option ? `${option.description} (${optionId})` : optionId;
+    }).join('; ');
+}
+
+/**
+ * Describe how a class compares with the baseline class
+ * @param {string} baseClass - Class of the first configuration
+ * @param {string} calculatedClass - Class of this configuration
+ * @param {Object} edition - Rulebook edition of this configuration
+ * @returns {Object} { from, to, direction } - direction is same, faster (lower ratio),
+ *                   slower, or changed (classes not comparable across editions)
+ */
+function describeClassChange(baseClass, calculatedClass, edition) {
+    const change = { from: baseClass, to: calculatedClass, direction: 'same' };
+    if (baseClass === calculatedClass) {
+        return change;
+    }
+
+    const names = edition.classes.map(c => c.name);
+    const fromIndex = names.indexOf(baseClass);
+    const toIndex = names.indexOf(calculatedClass);
+    if (fromIndex === -1 || toIndex === -1) {
+        change.direction = 'changed';
+    } else {
+        change.direction = toIndex < fromIndex ? 'faster' : 'slower';
+    }
+    return change;
+}
+
+/**
+ * Build a row of display values and flag the ones that differ from the first column
+ * @param {string} section - Row section (input or result)
+ * @param {string} label - Row label
+ * @param {Array} values - Display value per configuration
+ * @returns {Object} { section, label, values, differs, hasDifference }
+ */
+function buildRow(section, label, values) {
+    const differs = values.map((value, i) => i > 0 && value !== values[0]);
+    return { section, label, values, differs, hasDifference: differs.some(d => d) };
+}
+
+/**
+ * Compare saved configurations side by side
+ * The first configuration is the baseline the others are compared against
+ * @param {Array} entries - Configurations to compare: { name, data, edition }
+ * @returns {Object} { columns, rows } - columns hold { name, results, classChange };
+ *                   rows hold one display value per column plus difference flags
+ */
+export function compareConfigurations(entries) {
+    const columns = entries.map(({ name, data, edition }) => ({
+        name,
+        edition,
+        results: updateCalculations(data, edition)
+    }));
+
+    const baseClass = columns.length > 0 ? columns[0].results.calculatedClass : '';
+    columns.forEach(column => {
+        column.classChange = describeClassChange(baseClass, column.results.calculatedClass, column.edition);
+    });
+
+    const rows = [
+        ...INPUT_ROWS.map(row => buildRow('input', row.label,
+            entries.map(({ data, edition }) => row.value(data, edition)))),
+        ...Object.keys(MODIFIER_FIELDS).map(groupId => {
+            const group = entries.length > 0 ? getModifierGroup(entries[0].edition, groupId) : null;
+            return buildRow('input', group ? group.label : groupId,
+                entries.map(({ data, edition }) => describeSelection(data, groupId, edition)));
+        }),
+        ...RESULT_ROWS.map(row => buildRow('result', row.label,
+            columns.map(column => row.value(column.results))))
+    ];
+
+    return { columns, rows };
+}
+
+/**
+ * Work out what changed between two versions of a configuration
+ * @param {Object} before - Earlier version: { name, data, edition }
+ * @param {Object} after - Later version: { name, data, edition }
+ * @returns {Object} { changes, results, classChange } - changes lists the inputs that
+ *                   differ as { label, from, to }; results lists every result row as
+ *                   { label, from, to, changed }; classChange is as in compareConfigurations
+ */
+export function diffConfigurations(before, after) {
+    const { columns, rows } = compareConfigurations([before, after]);
+    const toChange = row => ({ label: row.label, from: row.values[0], to: row.values[1], changed: row.hasDifference });
+
+    return {
+        changes: rows.filter(row => row.section === 'input' && row.hasDifference).map(toChange),
+        results: rows.filter(row => row.section === 'result').map(toChange),
+        classChange: columns[1].classChange
+    };
+}
@@ -0,0 +1,164 @@
+/**
+ * Configuration File Module
+ * Exports garage setups to a JSON file and reads them back for import
+ *
+ * File format:
+ * { "format": "wcma-saved-configs", "version": 1, "exportedAt": "...", "configs": [
+ *     { "car": "...", "name": "...", "tags": [...], "timestamp": "...", "data": { ...form fields } } ] }
+ * car and tags are optional. A bare array of configurations (the localStorage list
+ * used before the garage) is accepted on import too.
+ */
+
+export const CONFIG_FILE_FORMAT = 'wcma-saved-configs';
+export const CONFIG_FILE_VERSION = 1;
+
+// Text fields of a saved configuration's data
+const TEXT_FIELDS = [
+    'name', 'email', 'year', 'make', 'model', 'comments',
+    'competitionWeight', 'declaredHp', 'dynoHp', 'weightUnit', 'powerUnit',
+    'dynoCorrection', 'dynoType', 'dynoTemperature', 'dynoPressure', 'dynoHumidity',
+    'chassis', 'bodyMods', 'transmission', 'drivetrain', 'tires',
+    'edition', 'savedAt'
+];
+
+// Fields that don't describe the car, ignored when looking for duplicates
+const IGNORED_FOR_DUPLICATES = ['savedAt'];
+
+/**
+ * Build the JSON text of a configuration export file
+ * @param {Array} configs - Setups to export ({ car, name, tags, data, timestamp })
+ * @returns {string} File contents
+ */
+export function buildConfigExport(configs) {
+    return JSON.stringify({
+        format: CONFIG_FILE_FORMAT,
+        version: CONFIG_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        configs: configs.map(({ car, name, tags, data, timestamp }) => ({ car, name, tags, data, timestamp }))
+    }, null, 2);
+}
+
+/**
+ * Normalize one imported configuration to the saved configuration shape
+ * Only known fields are kept, and every value is converted to the stored type
+ * @param {*} entry - Entry from the file
+ * @returns {Object} { config, error }
+ */
+function normalizeConfig(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { config: null, error: 'not a configuration object' };
+    }
+    if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+        return { config: null, error: 'missing name' };
+    }
+    if (!entry.data || typeof entry.data !== 'object' || Array.isArray(entry.data)) {
+        return { config: null, error: 'missing data' };
+    }
+
+    const data = {};
+    TEXT_FIELDS.forEach(field => {
+        const value = entry.data[field];
+        data[field] = typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+    });
+    data.brakeSuspension = Array.isArray(entry.data.brakeSuspension)
+        ? entry.data.brakeSuspension.filter(id => typeof id === 'string')
+        : [];
+
+    const timestamp = typeof entry.timestamp === 'string' && !isNaN(Date.parse(entry.timestamp))
+        ? entry.timestamp
+        : new Date().toISOString();
+
+    return {
+        config: {
+            car: typeof entry.car === 'string' ? entry.car.trim() : '',
+            name: entry.name.trim(),
+            tags: Array.isArray(entry.tags) ? entry.tags.filter(tag => typeof tag === 'string' && tag.trim()) : [],
+            data,
+            timestamp
+        },
+        error: null
+    };
+}
+
+/**
+ * Parse a configuration export file
+ * @param {string} text - File contents
+ * @returns {Object} { isValid, errors, configs } - errors lists file problems and
+ *                   skipped entries; isValid is false if nothing could be imported
+ */
+export function parseConfigImport(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { isValid: false, errors: ['The file is not valid JSON'], configs: [] };
+    }
+
+    let entries;
+    if (Array.isArray(parsed)) {
+        entries = parsed;
+    } else if (parsed && parsed.format === CONFIG_FILE_FORMAT && Array.isArray(parsed.configs)) {
+        if (parsed.version > CONFIG_FILE_VERSION) {
+            return { isValid: false, errors: [`The file was made by a newer version of the calculator (format version ${parsed.version})`], configs: [] };
+        }
+        entries = parsed.configs;
+    } else {
+        return { isValid: false, errors: ['The file is not a WCMA saved configurations export'], configs: [] };
+    }
+
+    const errors = [];
+    const configs = [];
+    entries.forEach((entry, i) => {
+        const { config, error } = normalizeConfig(entry);
+        if (error) {
+            errors.push(`Entry ${i + 1} skipped: ${error}`);
+        } else {
+            configs.push(config);
+        }
+    });
+
+    if (configs.length === 0) {
+        errors.push('No configurations found in the file');
+    }
+    return { isValid: configs.length > 0, errors, configs };
+}
+
+/**
+ * Key describing a configuration's form contents, for duplicate checks
+ * Names are left out: setups are renamed freely, and configurations saved before
+ * the garage are named differently once moved into it
+ * @param {Object} config - Saved configuration
+ * @returns {string} Content key
+ */
+function contentKey(config) {
+    // Blank fields are left out too, so setups saved before a field existed still match
+    const fields = Object.keys(config.data)
+        .filter(field => !IGNORED_FOR_DUPLICATES.includes(field) && config.data[field] !== '')
+        .sort();
+    return JSON.stringify(fields.map(field => [field, config.data[field]]));
+}
+
+/**
+ * Work out which imported configurations are new and which are already saved
+ * A configuration is a duplicate if a saved one (or an earlier one in the same
+ * file) has the same form contents
+ * @param {Array} incoming - Configurations from parseConfigImport()
+ * @param {Array} existing - Setups currently in the garage
+ * @returns {Array} Import plan: [{ config, status }] with status 'new' or 'duplicate'
+ */
+export function planConfigImport(incoming, existing) {
+    // Normalize saved entries too - older ones lack fields added since
+    const seen = new Set(existing
+        .map(config => normalizeConfig(config).config)
+        .filter(config => config)
+        .map(contentKey));
+
+    return incoming.map(config => {
+        const key = contentKey(config);
+        if (seen.has(key)) {
+            return { config, status: 'duplicate' };
+        }
+        seen.add(key);
+        return { config, status: 'new' };
+    });
+}
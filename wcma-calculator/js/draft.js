@@ -0,0 +1,76 @@
+/**
+ * Draft Module
+ * Keeps an autosaved copy of the form in localStorage so unsaved entries survive
+ * a closed tab, a refresh or a crash
+ *
+ * Stored value: { "savedAt": "...", "data": { ...same fields as a saved configuration } }
+ * File inputs are never part of a draft - browsers don't allow restoring them.
+ */
+
+export const DRAFT_STORAGE_KEY = 'wcma-draft';
+
+// Fields that are always filled in, so don't make a draft worth keeping
+// (the unit selects always hold a unit, even on a blank form)
+const BOOKKEEPING_FIELDS = ['edition', 'savedAt', 'weightUnit', 'powerUnit'];
+
+/**
+ * Check whether form data has nothing entered in it
+ * @param {Object} data - Form data (as from a saved configuration)
+ * @returns {boolean} True if every field is empty
+ */
+export function isDraftEmpty(data) {
+    return Object.keys(data)
+        .filter(field => !BOOKKEEPING_FIELDS.includes(field))
+        .every(field => {
+            const value = data[field];
+            return Array.isArray(value) ? value.length === 0 : !String(value ?? '').trim();
+        });
+}
+
+/**
+ * Store the form as the current draft, or remove the draft if the form is empty
+ * @param {Object} data - Form data
+ * @returns {boolean} True if the draft was stored (or removed)
+ */
+export function saveDraft(data) {
+    try {
+        if (isDraftEmpty(data)) {
+            localStorage.removeItem(DRAFT_STORAGE_KEY);
+        } else {
+            localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ savedAt: new Date().toISOString(), data }));
+        }
+        return true;
+    } catch (error) {
+        // Storage full or disabled - autosave is best effort
+        console.error('Error saving draft:', error);
+        return false;
+    }
+}
+
+/**
+ * Read the stored draft
+ * @returns {Object|null} { savedAt, data }, or null if there is no usable draft
+ */
+export function loadDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+        if (!draft || typeof draft.data !== 'object' || draft.data === null || isDraftEmpty(draft.data)) {
+            return null;
+        }
+        return draft;
+    } catch (error) {
+        console.error('Error reading draft:', error);
+        return null;
+    }
+}
+
+/**
+ * Remove the stored draft
+ */
+export function clearDraft() {
+    try {
+        localStorage.removeItem(DRAFT_STORAGE_KEY);
+    } catch (error) {
+        console.error('Error clearing draft:', error);
+    }
+}
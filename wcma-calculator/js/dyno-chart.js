@@ -0,0 +1,329 @@
+/**
+ * Dyno Chart Module
+ * Draws the HP and torque curves of a dyno run on a canvas, with the peak HP and the
+ * span the declared (averaged) HP was taken over marked
+ *
+ * Drawing works on any 2D context, so the same chart is shown on the page and
+ * rendered to an image for the print report. Sizes are in CSS pixels; the caller
+ * scales the context for high-density screens.
+ */
+
+const COLORS = {
+    hp: '#3498db',
+    torque: '#e67e22',
+    average: 'rgba(39, 174, 96, 0.15)',
+    averageLine: '#27ae60',
+    grid: '#e5e5e5',
+    axis: '#666',
+    text: '#333',
+    cursor: '#2c3e50'
+};
+
+const FONT = '11px Arial, sans-serif';
+
+/**
+ * Pick a round tick step (1, 2 or 5 times a power of ten) for a range
+ * @param {number} range - Span of the axis
+ * @param {number} targetTicks - Roughly how many ticks to show
+ * @returns {number} Step
+ */
+function niceStep(range, targetTicks) {
+    const rough = range / targetTicks;
+    const power = Math.pow(10, Math.floor(Math.log10(rough)));
+    const multiple = [1, 2, 5, 10].find(m => m * power >= rough);
+    return multiple * power;
+}
+
+/**
+ * Sort a run's samples by RPM
+ * @param {Array} samples - Samples from parseDynoTable()
+ * @returns {Array} Sorted copy
+ */
+function sortByRpm(samples) {
+    return [...samples].sort((a, b) => a.rpm - b.rpm);
+}
+
+/**
+ * Work out the plot area and axis scales for a run
+ * @param {Array} samples - Samples from parseDynoTable()
+ * @param {number} width - Chart width
+ * @param {number} height - Chart height
+ * @returns {Object} { left, top, right, bottom, rpm, hp, torque, xForRpm, rpmForX, yForHp, yForTorque } -
+ *                   rpm, hp and torque are { min, max, step } axis ranges (torque null
+ *                   if the run has no torque)
+ */
+export function getChartLayout(samples, width, height) {
+    const sorted = sortByRpm(samples);
+    const hasTorque = sorted.some(sample => sample.torque !== null);
+
+    const minRpm = sorted[0].rpm;
+    const maxRpm = sorted[sorted.length - 1].rpm;
+    const rpmStep = niceStep(Math.max(maxRpm - minRpm, 1), 6);
+    const rpm = {
+        min: Math.floor(minRpm / rpmStep) * rpmStep,
+        max: Math.ceil(maxRpm / rpmStep) * rpmStep,
+        step: rpmStep
+    };
+    if (rpm.max === rpm.min) rpm.max += rpmStep;
+
+    const valueAxis = (maxValue) => {
+        const step = niceStep(Math.max(maxValue, 1), 5);
+        return { min: 0, max: Math.ceil(maxValue * 1.05 / step) * step, step };
+    };
+    const hp = valueAxis(Math.max(...sorted.map(sample => sample.hp)));
+
+    // Torque shares the HP grid lines, with its own round step
+    let torque = null;
+    if (hasTorque) {
+        const divisions = Math.round((hp.max - hp.min) / hp.step);
+        const maxTorque = Math.max(...sorted.filter(sample => sample.torque !== null).map(sample => sample.torque));
+        const step = niceStep(maxTorque * 1.05 / divisions, 1);
+        torque = { min: 0, max: step * divisions, step };
+    }
+
+    const left = 44;
+    const right = width - (hasTorque ? 44 : 16);
+    const top = 28;
+    const bottom = height - 32;
+
+    return {
+        left, top, right, bottom, rpm, hp, torque,
+        xForRpm: (value) => left + (value - rpm.min) / (rpm.max - rpm.min) * (right - left),
+        rpmForX: (x) => rpm.min + (x - left) / (right - left) * (rpm.max - rpm.min),
+        yForHp: (value) => bottom - (value - hp.min) / (hp.max - hp.min) * (bottom - top),
+        yForTorque: (value) => torque ? bottom - (value - torque.min) / (torque.max - torque.min) * (bottom - top) : bottom
+    };
+}
+
+/**
+ * Read the HP and torque at an RPM, following straight lines between samples
+ * @param {Array} samples - Samples from parseDynoTable()
+ * @param {number} rpm - RPM within the run
+ * @returns {Object|null} { rpm, hp, torque }, or null outside the run
+ */
+export function readRunAt(samples, rpm) {
+    const sorted = sortByRpm(samples);
+    if (rpm < sorted[0].rpm || rpm > sorted[sorted.length - 1].rpm) {
+        return null;
+    }
+
+    const index = sorted.findIndex(sample => sample.rpm >= rpm);
+    const b = sorted[index];
+    const a = index > 0 ? sorted[index - 1] : b;
+    const t = b.rpm === a.rpm ? 0 : (rpm - a.rpm) / (b.rpm - a.rpm);
+    const mix = (from, to) => from === null || to === null ? null : from + (to - from) * t;
+    return { rpm, hp: mix(a.hp, b.hp), torque: mix(a.torque, b.torque) };
+}
+
+/**
+ * Draw the axes, grid lines and tick labels
+ * @param {CanvasRenderingContext2D} context - Drawing context
+ * @param {Object} layout - From getChartLayout()
+ */
+function drawAxes(context, layout) {
+    const { left, top, right, bottom, rpm, hp, torque } = layout;
+
+    context.lineWidth = 1;
+    context.font = FONT;
+    context.fillStyle = COLORS.text;
+
+    // RPM grid and labels
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    for (let value = rpm.min; value <= rpm.max; value += rpm.step) {
+        const x = Math.round(layout.xForRpm(value)) + 0.5;
+        context.strokeStyle = COLORS.grid;
+        context.beginPath();
+        context.moveTo(x, top);
+        context.lineTo(x, bottom);
+        context.stroke();
+        context.fillText(String(value), x, bottom + 4);
+    }
+    context.fillText('RPM', (left + right) / 2, bottom + 17);
+
+    // HP grid and labels on the left
+    context.textAlign = 'right';
+    context.textBaseline = 'middle';
+    for (let value = hp.min; value <= hp.max; value += hp.step) {
+        const y = Math.round(layout.yForHp(value)) + 0.5;
+        context.strokeStyle = COLORS.grid;
+        context.beginPath();
+        context.moveTo(left, y);
+        context.lineTo(right, y);
+        context.stroke();
+        context.fillStyle = COLORS.hp;
+        context.fillText(String(value), left - 4, y);
+    }
+
+    // Torque labels on the right, on the same grid lines
+    if (torque) {
+        context.textAlign = 'left';
+        context.fillStyle = COLORS.torque;
+        for (let value = torque.min; value <= torque.max; value += torque.step) {
+            context.fillText(String(value), right + 4, layout.yForTorque(value));
+        }
+    }
+
+    context.strokeStyle = COLORS.axis;
+    context.strokeRect(left + 0.5, top + 0.5, right - left, bottom - top);
+}
+
+/**
+ * Draw one curve of the run
+ * @param {CanvasRenderingContext2D} context - Drawing context
+ * @param {Array} sorted - Samples sorted by RPM
+ * @param {Function} x - RPM to x
+ * @param {Function} y - Value to y
+ * @param {string} key - 'hp' or 'torque'
+ * @param {string} color - Line color
+ */
+function drawCurve(context, sorted, x, y, key, color) {
+    context.strokeStyle = color;
+    context.lineWidth = 2;
+    context.lineJoin = 'round';
+    context.beginPath();
+    let started = false;
+    sorted.forEach(sample => {
+        if (sample[key] === null) return;
+        if (started) {
+            context.lineTo(x(sample.rpm), y(sample[key]));
+        } else {
+            context.moveTo(x(sample.rpm), y(sample[key]));
+            started = true;
+        }
+    });
+    context.stroke();
+}
+
+/**
+ * Draw a marked point with a label beside it, kept inside the plot
+ * @param {CanvasRenderingContext2D} context - Drawing context
+ * @param {Object} layout - From getChartLayout()
+ * @param {number} x - Point x
+ * @param {number} y - Point y
+ * @param {string} label - Label text
+ * @param {string} color - Marker and label color
+ */
+function drawMarker(context, layout, x, y, label, color) {
+    context.fillStyle = color;
+    context.beginPath();
+    context.arc(x, y, 4, 0, Math.PI * 2);
+    context.fill();
+
+    context.font = FONT;
+    const labelWidth = context.measureText(label).width;
+    const onLeft = x + 8 + labelWidth > layout.right;
+    context.textAlign = onLeft ? 'right' : 'left';
+    context.textBaseline = 'bottom';
+    context.fillText(label, onLeft ? x - 8 : x + 8, Math.max(y - 4, layout.top + 12));
+}
+
+/**
+ * Draw the legend above the plot
+ * @param {CanvasRenderingContext2D} context - Drawing context
+ * @param {Object} layout - From getChartLayout()
+ * @param {Object} run - From summarizeDynoRun()
+ */
+function drawLegend(context, layout, run) {
+    const items = [{ label: 'HP', color: COLORS.hp }];
+    if (layout.torque) items.push({ label: 'Torque (lb-ft)', color: COLORS.torque });
+    if (run.averageHp !== null) items.push({ label: `Averaged over ${run.rpmWindow} rpm`, color: COLORS.averageLine });
+
+    context.font = FONT;
+    context.textAlign = 'left';
+    context.textBaseline = 'middle';
+    let x = layout.left;
+    const y = layout.top - 14;
+    items.forEach(({ label, color }) => {
+        context.fillStyle = color;
+        context.fillRect(x, y - 1.5, 14, 3);
+        context.fillStyle = COLORS.text;
+        context.fillText(label, x + 18, y);
+        x += 18 + context.measureText(label).width + 14;
+    });
+}
+
+/**
+ * Draw the chart of a dyno run
+ * @param {CanvasRenderingContext2D} context - Drawing context
+ * @param {number} width - Chart width
+ * @param {number} height - Chart height
+ * @param {Array} samples - Samples from parseDynoTable()
+ * @param {Object} run - From summarizeDynoRun()
+ * @param {Object} options - { cursorRpm } to mark the readings at an RPM (e.g. under the pointer)
+ * @returns {Object} Layout from getChartLayout(), to map pointer positions back to RPM
+ */
+export function drawDynoChart(context, width, height, samples, run, { cursorRpm = null } = {}) {
+    const sorted = sortByRpm(samples);
+    const layout = getChartLayout(sorted, width, height);
+    const { top, bottom, xForRpm, yForHp, yForTorque } = layout;
+
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+
+    // The span the declared HP was averaged over, behind the curves
+    if (run.averageHp !== null) {
+        const from = xForRpm(run.averageFromRpm);
+        const to = xForRpm(run.averageToRpm);
+        context.fillStyle = COLORS.average;
+        context.fillRect(from, top, to - from, bottom - top);
+    }
+
+    drawAxes(context, layout);
+    if (layout.torque) {
+        drawCurve(context, sorted, xForRpm, yForTorque, 'torque', COLORS.torque);
+    }
+    drawCurve(context, sorted, xForRpm, yForHp, 'hp', COLORS.hp);
+
+    if (run.averageHp !== null) {
+        const y = yForHp(run.averageHp);
+        context.strokeStyle = COLORS.averageLine;
+        context.lineWidth = 1.5;
+        context.setLineDash([5, 3]);
+        context.beginPath();
+        context.moveTo(xForRpm(run.averageFromRpm), y);
+        context.lineTo(xForRpm(run.averageToRpm), y);
+        context.stroke();
+        context.setLineDash([]);
+
+        context.fillStyle = COLORS.averageLine;
+        context.font = FONT;
+        context.textAlign = 'center';
+        context.textBaseline = 'top';
+        context.fillText(`Avg ${run.averageHp.toFixed(1)}`, xForRpm((run.averageFromRpm + run.averageToRpm) / 2), y + 4);
+    }
+
+    drawMarker(context, layout, xForRpm(run.peakHpRpm), yForHp(run.peakHp),
+        `Peak ${run.peakHp.toFixed(1)} HP @ ${Math.round(run.peakHpRpm)}`, COLORS.hp);
+    if (run.peakTorque !== null) {
+        drawMarker(context, layout, xForRpm(run.peakTorqueRpm), yForTorque(run.peakTorque),
+            `${run.peakTorque.toFixed(1)} lb-ft @ ${Math.round(run.peakTorqueRpm)}`, COLORS.torque);
+    }
+
+    drawLegend(context, layout, run);
+
+    const reading = cursorRpm === null ? null : readRunAt(sorted, cursorRpm);
+    if (reading) {
+        const x = Math.round(xForRpm(reading.rpm)) + 0.5;
+        context.strokeStyle = COLORS.cursor;
+        context.lineWidth = 1;
+        context.beginPath();
+        context.moveTo(x, top);
+        context.lineTo(x, bottom);
+        context.stroke();
+
+        context.fillStyle = COLORS.hp;
+        context.beginPath();
+        context.arc(x, yForHp(reading.hp), 3, 0, Math.PI * 2);
+        context.fill();
+        if (reading.torque !== null && layout.torque) {
+            context.fillStyle = COLORS.torque;
+            context.beginPath();
+            context.arc(x, yForTorque(reading.torque), 3, 0, Math.PI * 2);
+            context.fill();
+        }
+    }
+
+    return layout;
+}
@@ -0,0 +1,85 @@
+/**
+ * Dyno Checks Module
+ * Compares the dyno figure with the declared HP under the edition's dynoChecks rules
+ *
+ * The dyno figure is used on the rules basis (see dyno-correction.js). A dyno figure
+ * above the declared HP by more than tolerancePercent is a warning; a dyno figure
+ * without a dyno chart to back it up is an error when requireChart is set. Whenever
+ * both figures are given, the class the car would get on the dyno figure is worked out
+ * so the committee can see what the difference means.
+ */
+
+import { updateCalculations, formatNumber } from './calculator.js';
+
+/**
+ * Check the dyno figure against the declared HP
+ * @param {Object} formData - Calculator form data (declaredHp and the modifier selections)
+ * @param {Object} edition - Rulebook edition; its dynoChecks set the tolerance and chart rule
+ * @param {Object} dyno - { hp, hasChart } - hp is the dyno figure on the rules basis (null
+ *                        if none was entered), hasChart whether a dyno chart is attached
+ * @returns {Object} { isValid, errors, warnings, classChange } - errors block the submission;
+ *                   classChange is { declaredClass, dynoClass, declaredRatio, dynoRatio, message },
+ *                   or null without both figures
+ */
+export function checkDynoConsistency(formData, edition, { hp, hasChart }) {
+    const errors = [];
+    const warnings = [];
+    const rules = (edition && edition.dynoChecks) || {};
+
+    if (hp === null) {
+        return { isValid: true, errors, warnings, classChange: null };
+    }
+    if (rules.requireChart && !hasChart) {
+        errors.push('A dyno chart must be attached when a dyno HP figure is given');
+    }
+
+    const declaredHp = parseFloat(formData.declaredHp);
+    if (!(declaredHp > 0)) {
+        return { isValid: errors.length === 0, errors, warnings, classChange: null };
+    }
+
+    const excessPercent = (hp - declaredHp) / declaredHp * 100;
+    if (typeof rules.tolerancePercent === 'number' && excessPercent > rules.tolerancePercent) {
+        warnings.push(`Dyno HP (${formatNumber(hp, 1)}) is ${formatNumber(excessPercent, 1)}% above the declared HP ` +
+            `(${formatNumber(declaredHp, 0)}); the rules allow ${rules.tolerancePercent}%`);
+    }
+
+    const declared = updateCalculations(formData, edition);
+    const onDyno = updateCalculations({ ...formData, declaredHp: String(hp) }, edition);
+    let message;
+    if (!declared.calculatedClass || !onDyno.calculatedClass) {
+        message = '';
+    } else if (onDyno.calculatedClass === declared.calculatedClass) {
+        message = `On the dyno figure the car stays in ${declared.calculatedClass} ` +
+            `(ratio ${formatNumber(onDyno.modifiedRatio)} instead of ${formatNumber(declared.modifiedRatio)})`;
+    } else {
+        message = `On the dyno figure the car would be in ${onDyno.calculatedClass} instead of ${declared.calculatedClass} ` +
+            `(ratio ${formatNumber(onDyno.modifiedRatio)} instead of ${formatNumber(declared.modifiedRatio)})`;
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        warnings,
+        classChange: message ? {
+            declaredClass: declared.calculatedClass,
+            dynoClass: onDyno.calculatedClass,
+            declaredRatio: declared.modifiedRatio,
+            dynoRatio: onDyno.modifiedRatio,
+            message
+        } : null
+    };
+}
+
+/**
+ * Describe the check results as plain text, one line each, for the submission
+ * @param {Object} checks - Result of checkDynoConsistency()
+ * @returns {string} Lines of text, or empty string if there is nothing to report
+ */
+export function describeDynoChecks(checks) {
+    return [
+        ...checks.errors.map(error => `Error: ${error}`),
+        ...checks.warnings.map(warning => `Warning: ${warning}`),
+        ...(checks.classChange ? [checks.classChange.message] : [])
+    ].join('\n');
+}
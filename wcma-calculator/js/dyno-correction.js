@@ -0,0 +1,197 @@
+/**
+ * Dyno Correction Module
+ * Converts a dyno figure to the basis the rules edition requires: the weather
+ * correction standard it is quoted under and the point of the drivetrain it is
+ * measured at (engine dyno at the crank, hub dyno at the hubs, chassis dyno at the wheels)
+ *
+ * A corrected figure is first taken back to the power observed on the day, using the
+ * weather during the run, then corrected again under the edition's standard. The
+ * edition's drivetrainLoss gives the share of crank power lost before each kind of
+ * dyno measures it, which converts between crank, hub and wheel figures.
+ */
+
+import { DYNO_CORRECTIONS, DYNO_TYPES } from './rulebook.js';
+
+// Labels for the correction standards and dyno types the rulebook schema allows
+export const CORRECTION_LABELS = {
+    'sae-j1349': 'SAE J1349',
+    'std': 'STD (SAE J607)',
+    'uncorrected': 'Uncorrected'
+};
+
+export const DYNO_TYPE_LABELS = {
+    engine: 'Engine dyno at the crank',
+    hub: 'Hub dyno at the hubs',
+    chassis: 'Chassis dyno at the wheels'
+};
+
+// SAE J1349 reference: 99 kPa dry air at 25 C
+const SAE_PRESSURE = 29.235; // inHg
+const SAE_TEMPERATURE = 536.67; // Rankine
+
+// STD (SAE J607) reference: 29.92 inHg dry air at 60 F
+const STD_PRESSURE = 29.92; // inHg
+const STD_TEMPERATURE = 519.67; // Rankine
+
+const HPA_PER_INHG = 33.8639;
+
+// Weather readings outside these ranges are typing mistakes, not dyno days
+const WEATHER_LIMITS = {
+    temperature: { label: 'Temperature', min: -40, max: 140, unit: 'F' },
+    pressure: { label: 'Barometric pressure', min: 20, max: 32, unit: 'inHg' },
+    humidity: { label: 'Humidity', min: 0, max: 100, unit: '%' }
+};
+
+/**
+ * Format a share of power as a percentage
+ * @param {number} share - Share between 0 and 1
+ * @returns {string} e.g. "12.5%"
+ */
+function formatPercent(share) {
+    return `${Number((share * 100).toFixed(1))}%`;
+}
+
+/**
+ * Pressure of the dry air, with the water vapour taken out of the barometric reading
+ * @param {Object} weather - { temperature (F), pressure (inHg), humidity (%) }
+ * @returns {number} Dry air pressure in inHg
+ */
+function dryAirPressure({ temperature, pressure, humidity }) {
+    const celsius = (temperature - 32) * 5 / 9;
+    // Magnus formula for the saturation vapour pressure, in hPa
+    const saturation = 6.1094 * Math.exp(17.625 * celsius / (celsius + 243.04));
+    return pressure - (humidity / 100) * saturation / HPA_PER_INHG;
+}
+
+/**
+ * Correction factor of a standard for the weather during a run
+ * @param {string} correction - Correction standard id
+ * @param {Object} weather - { temperature (F), pressure (inHg), humidity (%) }
+ * @returns {number} Factor the observed power is multiplied by
+ */
+export function getCorrectionFactor(correction, weather) {
+    const rankine = weather.temperature + 459.67;
+    const dryPressure = dryAirPressure(weather);
+    switch (correction) {
+        case 'sae-j1349':
+            return 1.18 * (SAE_PRESSURE / dryPressure) * Math.sqrt(rankine / SAE_TEMPERATURE) - 0.18;
+        case 'std':
+            return (STD_PRESSURE / dryPressure) * Math.sqrt(rankine / STD_TEMPERATURE);
+        default:
+            return 1;
+    }
+}
+
+/**
+ * Read the weather fields of a dyno entry
+ * @param {Object} entry - Dyno entry with temperature, pressure and humidity as entered
+ * @param {string} conversion - Conversion the weather is needed for, for the error message
+ * @returns {Object} { weather, errors }
+ */
+function readWeather(entry, conversion) {
+    const weather = {};
+    const errors = [];
+    const missing = [];
+    Object.entries(WEATHER_LIMITS).forEach(([field, { label, min, max, unit }]) => {
+        const text = String(entry[field] ?? '').trim();
+        const value = Number(text);
+        if (text === '') {
+            missing.push(label.toLowerCase());
+        } else if (isNaN(value) || value < min || value > max) {
+            errors.push(`${label} must be between ${min} and ${max} ${unit}`);
+        } else {
+            weather[field] = value;
+        }
+    });
+    if (missing.length > 0) {
+        const list = missing.length > 1 ? `${missing.slice(0, -1).join(', ')} and ${missing[missing.length - 1]}` : missing[0];
+        errors.unshift(`Enter the ${list} during the run to convert ${conversion}`);
+    }
+    return { weather, errors };
+}
+
+/**
+ * Describe the basis a figure is quoted on
+ * @param {string} correction - Correction standard id
+ * @param {string} dynoType - Dyno type id
+ * @returns {string} e.g. "SAE J1349, Chassis dyno at the wheels"
+ */
+export function describeDynoBasis(correction, dynoType) {
+    return `${CORRECTION_LABELS[correction]}, ${DYNO_TYPE_LABELS[dynoType]}`;
+}
+
+/**
+ * Convert a dyno figure to the basis the edition requires, listing each step
+ * @param {Object} entry - { hp, correction, dynoType, temperature, pressure, humidity } as
+ *                         entered; a blank correction or dyno type is taken as the edition's
+ * @param {Object} edition - Rulebook edition; its dynoBasis sets the required basis
+ * @returns {Object} { isValid, errors, hp, steps, enteredBasis } - hp is the normalized figure
+ *                   (null when there is no figure or it can't be converted); steps are
+ *                   { label, hp }, starting with the entered figure; enteredBasis
+ *                   describes the basis of the entered figure ('' if the edition sets none)
+ */
+export function normalizeDynoHp(entry, edition) {
+    const text = String(entry.hp ?? '').trim();
+    const enteredHp = Number(text);
+    if (text === '' || !(enteredHp > 0)) {
+        return { isValid: true, errors: [], hp: null, steps: [], enteredBasis: '' };
+    }
+
+    const basis = edition && edition.dynoBasis;
+    if (!basis) {
+        return {
+            isValid: true,
+            errors: [],
+            hp: enteredHp,
+            steps: [{ label: 'This edition sets no dyno basis - used as entered', hp: enteredHp }],
+            enteredBasis: ''
+        };
+    }
+
+    const correction = DYNO_CORRECTIONS.includes(entry.correction) ? entry.correction : basis.correction;
+    const dynoType = DYNO_TYPES.includes(entry.dynoType) ? entry.dynoType : basis.dynoType;
+    const enteredBasis = describeDynoBasis(correction, dynoType);
+    const steps = [{ label: `Entered: ${enteredBasis}`, hp: enteredHp }];
+    let hp = enteredHp;
+
+    if (correction !== basis.correction) {
+        const { weather, errors } = readWeather(entry,
+            `from ${CORRECTION_LABELS[correction]} to ${CORRECTION_LABELS[basis.correction]}`);
+        if (errors.length > 0) {
+            return { isValid: false, errors, hp: null, steps, enteredBasis };
+        }
+        const conditions = `${weather.temperature} F, ${weather.pressure} inHg, ${weather.humidity}% humidity`;
+
+        if (correction !== 'uncorrected') {
+            const factor = getCorrectionFactor(correction, weather);
+            hp /= factor;
+            steps.push({ label: `Uncorrected: divided by the ${CORRECTION_LABELS[correction]} factor ${factor.toFixed(3)} (${conditions})`, hp });
+        }
+        if (basis.correction !== 'uncorrected') {
+            const factor = getCorrectionFactor(basis.correction, weather);
+            hp *= factor;
+            steps.push({ label: `${CORRECTION_LABELS[basis.correction]}: multiplied by the factor ${factor.toFixed(3)} (${conditions})`, hp });
+        }
+    }
+
+    if (dynoType !== basis.dynoType) {
+        const losses = basis.drivetrainLoss || {};
+        const lossAt = (type) => type === 'engine' ? 0 : (losses[type] || 0);
+        const fromLoss = lossAt(dynoType);
+        const toLoss = lossAt(basis.dynoType);
+
+        if (fromLoss > 0) {
+            hp /= 1 - fromLoss;
+            steps.push({ label: `At the crank: ${DYNO_TYPE_LABELS[dynoType]} loss of ${formatPercent(fromLoss)} added back`, hp });
+        }
+        if (toLoss > 0) {
+            hp *= 1 - toLoss;
+            steps.push({ label: `${DYNO_TYPE_LABELS[basis.dynoType]}: ${formatPercent(toLoss)} drivetrain loss taken off`, hp });
+        }
+    }
+
+    if (steps.length === 1) {
+        steps[0].label = `Entered: ${enteredBasis} - already on the rules basis`;
+    }
+    return { isValid: true, errors: [], hp, steps, enteredBasis };
+}
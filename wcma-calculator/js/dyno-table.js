@@ -0,0 +1,333 @@
+/**
+ * Dyno Table Module
+ * Reads exported dyno tables (RPM, power and torque columns) and works out the
+ * peak horsepower and the rule's averaged horsepower from the run
+ *
+ * Accepts comma, semicolon, tab or whitespace separated text, as written by the
+ * common dyno software exports. Lines before the header (run details) are skipped;
+ * after it every line must be a data row. Without a header the columns are read as
+ * RPM, HP and torque, in that order. Power in kW and torque in Nm are converted;
+ * power missing from the table is worked out from torque.
+ */
+
+const KW_TO_HP = 1.341022;
+const NM_TO_LBFT = 0.737562;
+
+// Torque (lb-ft) x RPM / 5252 = HP
+const HP_CONSTANT = 5252;
+
+/**
+ * Normalize a header cell for matching (case, spaces and punctuation ignored)
+ * @param {string} header - Header cell text
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Work out which quantity a header cell names
+ * @param {string} header - Header cell text
+ * @returns {string|null} 'rpm', 'power', 'torque' or null
+ */
+function classifyHeader(header) {
+    const name = normalizeHeader(header);
+    if (name.includes('rpm') || name.startsWith('enginespeed')) return 'rpm';
+    if (name.includes('torque') || name.includes('tq')) return 'torque';
+    if (name.includes('hp') || name.includes('power') || name.includes('kw')) return 'power';
+    return null;
+}
+
+/**
+ * Split a line into cells on the separator the line uses
+ * @param {string} line - Line of the table
+ * @param {boolean} isHeader - Header lines may have spaces inside names ("Engine Speed")
+ * @returns {Object} { cells, decimalComma }
+ */
+function splitLine(line, isHeader = false) {
+    let cells;
+    let decimalComma = false;
+    if (line.includes(';')) {
+        // Semicolon separated exports use a decimal comma
+        cells = line.split(';');
+        decimalComma = true;
+    } else if (line.includes(',')) {
+        cells = line.split(',');
+    } else if (line.includes('\t')) {
+        cells = line.split('\t');
+    } else {
+        cells = line.trim().split(isHeader && /\S\s{2,}\S/.test(line) ? /\s{2,}/ : /\s+/);
+    }
+    return {
+        cells: cells.map(cell => cell.trim().replace(/^"(.*)"$/, '$1').trim()),
+        decimalComma
+    };
+}
+
+/**
+ * Read a number from a cell
+ * @param {string} cell - Cell text
+ * @param {boolean} decimalComma - Whether the line uses a decimal comma
+ * @returns {number} Value, or NaN if the cell is not a number
+ */
+function parseNumber(cell, decimalComma) {
+    const text = decimalComma ? cell.replace(',', '.') : cell;
+    return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Find the RPM, power and torque columns in a header line
+ * @param {Array} cells - Header cells
+ * @returns {Object|null} { rpm, power, torque } column indexes (-1 if missing), or
+ *                        null if the line isn't a header
+ */
+function findColumns(cells) {
+    const columns = { rpm: -1, power: -1, torque: -1 };
+    cells.forEach((cell, index) => {
+        const kind = classifyHeader(cell);
+        if (kind && columns[kind] === -1) {
+            columns[kind] = index;
+        }
+    });
+    if (columns.rpm === -1 || (columns.power === -1 && columns.torque === -1)) {
+        return null;
+    }
+    return columns;
+}
+
+/**
+ * Parse an exported dyno table
+ * @param {string} text - File contents
+ * @returns {Object} { samples, errors, columns } - samples are { rpm, hp, torque } in
+ *                   file order (hp in HP, torque in lb-ft or null); errors are
+ *                   { line, message } with line null for problems with the whole file;
+ *                   columns names the header cells used ({ rpm, power, torque })
+ */
+export function parseDynoTable(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    const samples = [];
+    const errors = [];
+    let columns = null;
+    let headers = null;
+    const units = { power: 'hp', torque: 'lbft' };
+    let expectUnitsRow = false;
+
+    const setUnits = (powerHeader, torqueHeader) => {
+        const power = normalizeHeader(powerHeader || '');
+        const torque = normalizeHeader(torqueHeader || '');
+        if (power.includes('kw')) units.power = 'kw';
+        if (torque.includes('nm')) units.torque = 'nm';
+    };
+
+    lines.forEach((rawLine, i) => {
+        const lineNumber = i + 1;
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return;
+
+        if (!columns) {
+            const header = splitLine(line, true);
+            const headerColumns = findColumns(header.cells);
+            if (headerColumns) {
+                columns = headerColumns;
+                headers = {
+                    rpm: header.cells[columns.rpm],
+                    power: columns.power === -1 ? '' : header.cells[columns.power],
+                    torque: columns.torque === -1 ? '' : header.cells[columns.torque]
+                };
+                setUnits(headers.power, headers.torque);
+                expectUnitsRow = true;
+                return;
+            }
+
+            // A table without a header starts at the first all-numeric line
+            const { cells, decimalComma } = splitLine(line);
+            if (cells.length >= 2 && cells.every(cell => !isNaN(parseNumber(cell, decimalComma)))) {
+                columns = { rpm: 0, power: 1, torque: cells.length >= 3 ? 2 : -1 };
+                headers = { rpm: 'column 1', power: 'column 2', torque: cells.length >= 3 ? 'column 3' : '' };
+            } else {
+                return; // Run details before the table
+            }
+        }
+
+        const { cells, decimalComma } = splitLine(line);
+
+        // A units row under the header, e.g. "rpm, kW, Nm"
+        if (expectUnitsRow) {
+            expectUnitsRow = false;
+            if (cells.every(cell => isNaN(parseNumber(cell, decimalComma)))) {
+                setUnits(cells[columns.power], cells[columns.torque]);
+                return;
+            }
+        }
+
+        const needed = Math.max(columns.rpm, columns.power, columns.torque) + 1;
+        if (cells.length < needed) {
+            errors.push({ line: lineNumber, message: `Expected ${needed} columns, found ${cells.length}` });
+            return;
+        }
+
+        const read = (column, label) => {
+            if (column === -1) return null;
+            const value = parseNumber(cells[column], decimalComma);
+            if (isNaN(value)) {
+                throw new Error(`${label} "${cells[column]}" is not a number`);
+            }
+            if (value < 0) {
+                throw new Error(`${label} can't be negative`);
+            }
+            return value;
+        };
+
+        let rpm;
+        let power;
+        let torque;
+        try {
+            rpm = read(columns.rpm, 'RPM');
+            power = read(columns.power, 'Power');
+            torque = read(columns.torque, 'Torque');
+        } catch (error) {
+            errors.push({ line: lineNumber, message: error.message });
+            return;
+        }
+        if (rpm === 0) {
+            errors.push({ line: lineNumber, message: 'RPM must be greater than zero' });
+            return;
+        }
+
+        if (torque !== null && units.torque === 'nm') {
+            torque *= NM_TO_LBFT;
+        }
+        let hp;
+        if (power !== null) {
+            hp = units.power === 'kw' ? power * KW_TO_HP : power;
+        } else {
+            hp = torque * rpm / HP_CONSTANT;
+        }
+        samples.push({ rpm, hp, torque });
+    });
+
+    if (!columns) {
+        errors.push({ line: null, message: 'No dyno table found - expected RPM and HP (or torque) columns' });
+    } else if (samples.length < 2) {
+        errors.push({ line: null, message: 'The table needs at least two rows of readings' });
+    }
+
+    return { samples, errors, columns: headers };
+}
+
+/**
+ * Area under the HP curve from the first sample to an RPM, with straight lines
+ * between samples
+ * @param {Array} samples - Samples sorted by RPM
+ * @param {Array} cumulative - Area up to each sample
+ * @param {number} rpm - RPM within the run
+ * @returns {number} Area (HP x RPM)
+ */
+function areaTo(samples, cumulative, rpm) {
+    // Last sample at or below the RPM
+    let low = 0;
+    let high = samples.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (samples[mid].rpm <= rpm) low = mid;
+        else high = mid - 1;
+    }
+    if (low === samples.length - 1) {
+        return cumulative[low];
+    }
+
+    const a = samples[low];
+    const b = samples[low + 1];
+    const hpAtRpm = a.hp + (b.hp - a.hp) * (rpm - a.rpm) / (b.rpm - a.rpm);
+    return cumulative[low] + (rpm - a.rpm) * (a.hp + hpAtRpm) / 2;
+}
+
+/**
+ * Find the highest average HP over any span of the run of the given width
+ * @param {Array} samples - Samples sorted by RPM
+ * @param {number} rpmWindow - Width of the span in RPM
+ * @returns {Object|null} { hp, fromRpm, toRpm }, or null if the run is narrower
+ */
+function findBestAverage(samples, rpmWindow) {
+    const minRpm = samples[0].rpm;
+    const maxRpm = samples[samples.length - 1].rpm;
+    if (maxRpm - minRpm < rpmWindow) {
+        return null;
+    }
+
+    const cumulative = [0];
+    for (let i = 1; i < samples.length; i++) {
+        const a = samples[i - 1];
+        const b = samples[i];
+        cumulative.push(cumulative[i - 1] + (b.rpm - a.rpm) * (a.hp + b.hp) / 2);
+    }
+
+    const averageFrom = (from) => ({
+        hp: (areaTo(samples, cumulative, from + rpmWindow) - areaTo(samples, cumulative, from)) / rpmWindow,
+        fromRpm: from,
+        toRpm: from + rpmWindow
+    });
+
+    // Spans that start or end on a reading; between two of those the average is a
+    // quadratic in the start RPM, so its peak can also fall in between
+    const starts = [...new Set(samples.flatMap(({ rpm }) => [rpm, rpm - rpmWindow]))]
+        .filter(from => from >= minRpm && from + rpmWindow <= maxRpm)
+        .sort((a, b) => a - b);
+
+    let best = averageFrom(starts[0]);
+    starts.forEach((from, i) => {
+        const candidates = [averageFrom(from)];
+        const next = starts[i + 1];
+        if (next !== undefined) {
+            // Fit the quadratic through the ends and middle of the interval
+            const g0 = candidates[0].hp;
+            const gm = averageFrom((from + next) / 2).hp;
+            const g1 = averageFrom(next).hp;
+            const a = 2 * (g1 - 2 * gm + g0);
+            const b = g1 - g0 - a;
+            const t = a < 0 ? -b / (2 * a) : -1;
+            if (t > 0 && t < 1) {
+                candidates.push(averageFrom(from + t * (next - from)));
+            }
+        }
+        candidates.forEach(candidate => {
+            if (candidate.hp > best.hp) best = candidate;
+        });
+    });
+    return best;
+}
+
+/**
+ * Work out the figures the classing form needs from a dyno run
+ * @param {Array} samples - Samples from parseDynoTable()
+ * @param {Object} edition - Rulebook edition; its dynoAveraging.rpmWindow sets the span
+ *                           the averaged HP is taken over
+ * @returns {Object} { peakHp, peakHpRpm, peakTorque, peakTorqueRpm, averageHp, averageFromRpm,
+ *                   averageToRpm, rpmWindow, minRpm, maxRpm } - averageHp is null when the
+ *                   edition has no averaging rule or the run is narrower than the span;
+ *                   peakTorque is null without a torque column
+ */
+export function summarizeDynoRun(samples, edition) {
+    const sorted = [...samples].sort((a, b) => a.rpm - b.rpm);
+    const peakHpSample = sorted.reduce((best, sample) => sample.hp > best.hp ? sample : best);
+    const torqueSamples = sorted.filter(sample => sample.torque !== null);
+    const peakTorqueSample = torqueSamples.length > 0
+        ? torqueSamples.reduce((best, sample) => sample.torque > best.torque ? sample : best)
+        : null;
+
+    const rpmWindow = edition && edition.dynoAveraging ? edition.dynoAveraging.rpmWindow : null;
+    const average = rpmWindow ? findBestAverage(sorted, rpmWindow) : null;
+
+    return {
+        peakHp: peakHpSample.hp,
+        peakHpRpm: peakHpSample.rpm,
+        peakTorque: peakTorqueSample ? peakTorqueSample.torque : null,
+        peakTorqueRpm: peakTorqueSample ? peakTorqueSample.rpm : null,
+        averageHp: average ? average.hp : null,
+        averageFromRpm: average ? average.fromRpm : null,
+        averageToRpm: average ? average.toRpm : null,
+        rpmWindow,
+        minRpm: sorted[0].rpm,
+        maxRpm: sorted[sorted.length - 1].rpm
+    };
+}
@@ -1,13 +1,20 @@
 /**
  * Form Handler Module
  * Handles form validation and submission
+ *
+ * A submission that can't reach the server is kept in the outbox (outbox.js) and
+ * sent later by sendQueuedSubmissions().
  */
 
+import { isOutboxAvailable, addToOutbox, getOutbox, updateOutboxEntry, removeFromOutbox, toFormData } from './outbox.js';
+
+const SUBMIT_TIMEOUT = 30000; // 30 seconds
 const MAX_FILE_SIZE = 2 * 1024 * 1024; // 2 MB in bytes
 const ALLOWED_FILE_TYPES = {
     'dyno_chart': ['.pdf', '.doc', '.docx', '.jpg', '.jpeg', '.png'],
     'dyno_table': ['.pdf', '.doc', '.docx', '.jpg', '.jpeg', '.png', '.txt'],
-    'car_image': ['.jpg', '.jpeg', '.png']
+    'car_image': ['.jpg', '.jpeg', '.png'],
+    'classing_sheet': ['.pdf']
 };
 
 /**
@@ -304,13 +311,143 @@ export function clearFormMessage() {
     }
 }
 
+/**
+ * Put a submission in the outbox and tell the entrant it will be sent later
+ * @param {HTMLFormElement} form - Submitted form
+ * @param {FormData} formData - Form data as it would have been sent
+ * @param {string} reason - Why it couldn't be sent now
+ * @returns {Promise<Object|null>} { success, queued, message }, or null if it couldn't be queued
+ */
+async function queueSubmission(form, formData, reason) {
+    if (!isOutboxAvailable()) {
+        return null;
+    }
+    try {
+        await addToOutbox(form.action, form.method, formData);
+    } catch (error) {
+        console.error('Error adding submission to the outbox:', error);
+        return null;
+    }
+
+    const message = `${reason} Your submission has been saved in the outbox and will be sent automatically when the connection is back.`;
+    console.log('Submission queued in the outbox');
+    showFormMessage(message, 'info');
+    return { success: true, queued: true, message };
+}
+
+/**
+ * Send one queued submission
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<string>} 'sent', 'failed' (rejected by the server) or 'unreachable'
+ */
+async function sendQueuedEntry(entry) {
+    const attempts = entry.attempts + 1;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SUBMIT_TIMEOUT);
+
+    let response;
+    let result = null;
+    try {
+        response = await fetch(entry.action, {
+            method: entry.method,
+            body: toFormData(entry),
+            signal: controller.signal
+        });
+        const responseText = await response.text();
+        try {
+            result = JSON.parse(responseText);
+        } catch (parseError) {
+            console.error('Queued submission: invalid response from server:', responseText.substring(0, 200));
+        }
+    } catch (fetchError) {
+        console.warn('Queued submission not sent:', fetchError.message);
+        // After a timeout the server may have it already - leave resending to the entrant
+        if (fetchError.name === 'AbortError') {
+            await updateOutboxEntry(entry.id, {
+                attempts,
+                status: 'failed',
+                lastError: 'The server did not respond in time. It may have received the submission - check before sending it again'
+            });
+            return 'failed';
+        }
+        await updateOutboxEntry(entry.id, { attempts, lastError: 'The server could not be reached' });
+        return 'unreachable';
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    if (response.ok && result && result.success) {
+        await removeFromOutbox(entry.id);
+        return 'sent';
+    }
+
+    let lastError;
+    if (result && Array.isArray(result.errors) && result.errors.length > 0) {
+        lastError = result.errors.join(', ');
+    } else if (result && result.message) {
+        lastError = result.message;
+    } else {
+        lastError = `Server error during submission. Status: ${response.status}`;
+    }
+
+    // Server trouble is worth retrying later; a rejected submission needs the entrant
+    if (response.status >= 500) {
+        await updateOutboxEntry(entry.id, { attempts, lastError });
+        return 'unreachable';
+    }
+    await updateOutboxEntry(entry.id, { attempts, status: 'failed', lastError });
+    return 'failed';
+}
+
+let sendingQueue = null;
+
+/**
+ * Send the pending submissions in the outbox, oldest first, stopping at the first
+ * one that can't reach the server. Only one run happens at a time; calling this
+ * during a run returns that run.
+ * @returns {Promise<Object>} { sent, failed, unreachable } - sent and failed count
+ *                            submissions; unreachable is true if sending stopped early
+ */
+export function sendQueuedSubmissions() {
+    if (!sendingQueue) {
+        sendingQueue = (async () => {
+            const summary = { sent: 0, failed: 0, unreachable: false };
+            if (!isOutboxAvailable() || navigator.onLine === false) {
+                summary.unreachable = navigator.onLine === false;
+                return summary;
+            }
+
+            // Read the outbox again each time, to pick up entries queued or retried meanwhile
+            const tried = new Set();
+            for (;;) {
+                const entry = (await getOutbox()).find(e => e.status === 'pending' && !tried.has(e.id));
+                if (!entry) break;
+                tried.add(entry.id);
+
+                const outcome = await sendQueuedEntry(entry);
+                if (outcome === 'unreachable') {
+                    summary.unreachable = true;
+                    break;
+                }
+                summary[outcome]++;
+            }
+            return summary;
+        })().finally(() => {
+            sendingQueue = null;
+        });
+    }
+    return sendingQueue;
+}
+
 /**
  * Handle form submission
  * @param {HTMLFormElement} form - Form element to submit
  * @param {Function} onSubmitCallback - Callback function called before submission
- * @returns {Promise} Promise that resolves when submission is complete
+ * @param {Array} attachments - Extra files to send with the form: [{ name, file, filename }]
+ * @returns {Promise} Promise that resolves when submission is complete - with
+ *                    { success, queued: true, message } if it was put in the outbox
  */
-export async function handleFormSubmit(form, onSubmitCallback = null) {
+export async function handleFormSubmit(form, onSubmitCallback = null, attachments = []) {
     console.log('=== Form Submission Started ===');
     console.log('Form action:', form.action);
     console.log('Form method:', form.method);
@@ -332,6 +469,9 @@ export async function handleFormSubmit(form, onSubmitCallback = null) {
 
     // Create FormData object
     const formData = new FormData(form);
+    attachments.forEach(({ name, file, filename }) => {
+        formData.append(name, file, filename);
+    });
     
     // Log form data (without file contents)
     console.log('Form data entries:');
@@ -361,9 +501,15 @@ export async function handleFormSubmit(form, onSubmitCallback = null) {
     try {
         console.log('Sending fetch request to:', form.action);
 
-        // Submit form with timeout
+        // No point waiting for a timeout when the browser knows it is offline
+        if (navigator.onLine === false) {
+            const queued = await queueSubmission(form, formData, 'You are offline.');
+            if (queued) return queued;
+        }
+
+        // Submit form with timeout, armed until the fetch has settled
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
+        const timeoutId = setTimeout(() => controller.abort(), SUBMIT_TIMEOUT);
 
         let response;
         try {
@@ -375,10 +521,18 @@ export async function handleFormSubmit(form, onSubmitCallback = null) {
             clearTimeout(timeoutId);
         } catch (fetchError) {
             clearTimeout(timeoutId);
+
+            // Network failure: keep the submission for later if we can. A timeout is
+            // not queued - the server may have accepted the POST and still be working
+            // on it, and sending it again from the outbox would file it twice.
+            if (fetchError instanceof TypeError) {
+                const queued = await queueSubmission(form, formData, 'The server could not be reached.');
+                if (queued) return queued;
+            }
             
             if (fetchError.name === 'AbortError') {
                 console.error('Request timeout');
-                showFormMessage('Request timed out. The server may be slow or unreachable. Please try again.', 'error');
+                showFormMessage('Request timed out. The server may be slow, and may still have received your submission - please check before sending it again.', 'error');
                 throw new Error('Request timeout');
             } else if (fetchError.message.includes('Failed to fetch')) {
                 console.error('Network error:', fetchError);
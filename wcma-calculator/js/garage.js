@@ -0,0 +1,502 @@
+/**
+ * Garage Module
+ * Stores cars and their named setups in IndexedDB
+ *
+ * Database "wcma-garage" has three object stores:
+ *   cars:      { id, name, createdAt, updatedAt }
+ *   setups:    { id, carId, name, tags, data, timestamp, updatedAt } (indexed by carId)
+ *   revisions: { id, carId, setupId, setupName, data, timestamp } (indexed by carId)
+ * A setup's data holds the same form fields as a saved configuration, and
+ * timestamp is when it was first saved. Every save of a setup also stores a
+ * revision, so earlier values stay in the car's history after a setup is
+ * updated or deleted. A car is removed, with its history, along with its last setup.
+ */
+
+import { promisifyRequest, openDatabase, runTransaction, createId } from './idb.js';
+
+const DB_NAME = 'wcma-garage';
+const DB_VERSION = 2;
+const STORE_NAMES = ['cars', 'setups', 'revisions'];
+
+// localStorage key of the saved configuration list the garage replaces
+export const LEGACY_STORAGE_KEY = 'wcma-saved-configs';
+
+// Sort orders offered in the garage
+export const SORT_ORDERS = {
+    newest: 'Newest first',
+    oldest: 'Oldest first',
+    class: 'Class (fastest first)',
+    name: 'Name'
+};
+
+/**
+ * Create or upgrade the garage's stores
+ * @param {IDBOpenDBRequest} request - Open request
+ * @param {IDBVersionChangeEvent} event - Upgrade event
+ */
+function upgradeDatabase(request, event) {
+    const db = request.result;
+    if (event.oldVersion < 1) {
+        db.createObjectStore('cars', { keyPath: 'id' });
+        const setups = db.createObjectStore('setups', { keyPath: 'id' });
+        setups.createIndex('carId', 'carId');
+    }
+    if (event.oldVersion < 2) {
+        const revisions = db.createObjectStore('revisions', { keyPath: 'id' });
+        revisions.createIndex('carId', 'carId');
+
+        // Setups saved before revisions existed start their history as they are now
+        request.transaction.objectStore('setups').openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            revisions.add(createRevision(cursor.value, cursor.value.updatedAt));
+            cursor.continue();
+        };
+    }
+}
+
+/**
+ * Run a callback in a transaction over all stores
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives (cars, setups, revisions) object stores; may be async
+ * @returns {Promise} Resolves with the callback result once the transaction completes
+ */
+async function withStores(mode, callback) {
+    const db = await openDatabase(DB_NAME, DB_VERSION, upgradeDatabase);
+    return runTransaction(db, STORE_NAMES, mode, callback, 'Garage update was cancelled');
+}
+
+/**
+ * Build the revision record for a save of a setup
+ * @param {Object} setup - Setup as saved
+ * @param {string} timestamp - When it was saved
+ * @returns {Object} Revision
+ */
+function createRevision(setup, timestamp) {
+    return {
+        id: createId(),
+        carId: setup.carId,
+        setupId: setup.id,
+        setupName: setup.name,
+        data: setup.data,
+        timestamp
+    };
+}
+
+/**
+ * Default car name for a configuration
+ * @param {Object} data - Configuration data
+ * @returns {string} "Year Make Model", or "Unnamed car" if none are filled in
+ */
+export function getCarName(data) {
+    return [data.year, data.make, data.model].filter(v => v).join(' ').trim() || 'Unnamed car';
+}
+
+/**
+ * Split comma-separated tag text into tags
+ * @param {string} text - Tag text (e.g., "2026 season, wet setup")
+ * @returns {Array} Unique trimmed tags, in the order given
+ */
+export function parseTags(text) {
+    const tags = [];
+    (text || '').split(',').map(tag => tag.trim()).filter(tag => tag).forEach(tag => {
+        if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+            tags.push(tag);
+        }
+    });
+    return tags;
+}
+
+/**
+ * Read every car and setup
+ * @returns {Promise<Object>} { cars, setups }
+ */
+export function getGarage() {
+    return withStores('readonly', async (cars, setups) => ({
+        cars: await promisifyRequest(cars.getAll()),
+        setups: await promisifyRequest(setups.getAll())
+    }));
+}
+
+/**
+ * Read one setup
+ * @param {string} setupId - Setup id
+ * @returns {Promise<Object|null>} Setup, or null if it doesn't exist
+ */
+export function getSetup(setupId) {
+    return withStores('readonly', async (cars, setups) =>
+        (await promisifyRequest(setups.get(setupId))) || null
+    );
+}
+
+/**
+ * Find a car by name, ignoring case
+ * @param {IDBObjectStore} cars - Cars store
+ * @param {string} name - Car name
+ * @returns {Promise<Object|null>} Car, or null
+ */
+async function findCarByName(cars, name) {
+    const all = await promisifyRequest(cars.getAll());
+    return all.find(car => car.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Add a car record
+ * @param {IDBObjectStore} cars - Cars store
+ * @param {string} name - Car name
+ * @returns {Promise<Object>} New car
+ */
+async function addCar(cars, name) {
+    const now = new Date().toISOString();
+    const car = { id: createId(), name, createdAt: now, updatedAt: now };
+    await promisifyRequest(cars.add(car));
+    return car;
+}
+
+/**
+ * Mark a car as changed
+ * @param {IDBObjectStore} cars - Cars store
+ * @param {string} carId - Car id
+ */
+async function touchCar(cars, carId) {
+    const car = await promisifyRequest(cars.get(carId));
+    if (car) {
+        car.updatedAt = new Date().toISOString();
+        await promisifyRequest(cars.put(car));
+    }
+}
+
+/**
+ * Save a setup: a new one, to an existing car or a new car, or new values for
+ * an existing setup. Either way the save is added to the car's history.
+ * @param {Object} setup - { carId, carName, setupId, name, tags, data } - carName is
+ *                         used (or an existing car of that name) when carId is empty;
+ *                         setupId updates that setup of the car instead of adding one
+ * @returns {Promise<Object>} { car, setup, updated }
+ */
+export function saveSetup({ carId, carName, setupId, name, tags = [], data }) {
+    return withStores('readwrite', async (cars, setups, revisions) => {
+        let car = carId ? await promisifyRequest(cars.get(carId)) : null;
+        if (carId && !car) {
+            throw new Error('The car was not found in the garage');
+        }
+        if (!car) {
+            const newName = (carName || '').trim() || getCarName(data);
+            car = (await findCarByName(cars, newName)) || (await addCar(cars, newName));
+        }
+
+        const now = new Date().toISOString();
+        let setup = setupId ? await promisifyRequest(setups.get(setupId)) : null;
+        if (setupId && (!setup || setup.carId !== car.id)) {
+            throw new Error('The setup was not found in the garage');
+        }
+
+        if (setup) {
+            setup = { ...setup, name: (name || '').trim() || setup.name, tags, data, updatedAt: now };
+            await promisifyRequest(setups.put(setup));
+        } else {
+            setup = {
+                id: createId(),
+                carId: car.id,
+                name: (name || '').trim() || `Setup ${now.slice(0, 10)}`,
+                tags,
+                data,
+                timestamp: now,
+                updatedAt: now
+            };
+            await promisifyRequest(setups.add(setup));
+        }
+        await promisifyRequest(revisions.add(createRevision(setup, now)));
+        await touchCar(cars, car.id);
+        return { car, setup, updated: Boolean(setupId) };
+    });
+}
+
+/**
+ * Change a setup's name or tags
+ * @param {string} setupId - Setup id
+ * @param {Object} changes - { name, tags } (either may be omitted)
+ * @returns {Promise<Object>} Updated setup
+ */
+export function updateSetup(setupId, changes) {
+    return withStores('readwrite', async (cars, setups) => {
+        const setup = await promisifyRequest(setups.get(setupId));
+        if (!setup) {
+            throw new Error('The setup was not found in the garage');
+        }
+        if (changes.name !== undefined) {
+            const name = changes.name.trim();
+            if (!name) {
+                throw new Error('Setup name cannot be empty');
+            }
+            setup.name = name;
+        }
+        if (changes.tags !== undefined) {
+            setup.tags = changes.tags;
+        }
+        setup.updatedAt = new Date().toISOString();
+        await promisifyRequest(setups.put(setup));
+        await touchCar(cars, setup.carId);
+        return setup;
+    });
+}
+
+/**
+ * Copy a setup within its car
+ * @param {string} setupId - Setup id
+ * @returns {Promise<Object>} New setup, named "<name> (copy)"
+ */
+export function duplicateSetup(setupId) {
+    return withStores('readwrite', async (cars, setups, revisions) => {
+        const setup = await promisifyRequest(setups.get(setupId));
+        if (!setup) {
+            throw new Error('The setup was not found in the garage');
+        }
+        const now = new Date().toISOString();
+        const copy = {
+            ...setup,
+            id: createId(),
+            name: `${setup.name} (copy)`,
+            tags: [...setup.tags],
+            data: { ...setup.data, brakeSuspension: [...(setup.data.brakeSuspension || [])] },
+            timestamp: now,
+            updatedAt: now
+        };
+        await promisifyRequest(setups.add(copy));
+        await promisifyRequest(revisions.add(createRevision(copy, now)));
+        await touchCar(cars, setup.carId);
+        return copy;
+    });
+}
+
+/**
+ * Delete a setup, and its car and history if it was the car's last setup
+ * The setup's revisions otherwise stay in the car's history
+ * @param {string} setupId - Setup id
+ * @returns {Promise<boolean>} True if the car was deleted too
+ */
+export function deleteSetup(setupId) {
+    return withStores('readwrite', async (cars, setups, revisions) => {
+        const setup = await promisifyRequest(setups.get(setupId));
+        if (!setup) {
+            return false;
+        }
+        await promisifyRequest(setups.delete(setupId));
+        const remaining = await promisifyRequest(setups.index('carId').count(setup.carId));
+        if (remaining === 0) {
+            await deleteCarRecords(cars, setups, revisions, setup.carId);
+            return true;
+        }
+        await touchCar(cars, setup.carId);
+        return false;
+    });
+}
+
+/**
+ * Rename a car
+ * @param {string} carId - Car id
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Updated car
+ */
+export function renameCar(carId, name) {
+    return withStores('readwrite', async (cars) => {
+        const car = await promisifyRequest(cars.get(carId));
+        if (!car) {
+            throw new Error('The car was not found in the garage');
+        }
+        if (!name.trim()) {
+            throw new Error('Car name cannot be empty');
+        }
+        car.name = name.trim();
+        car.updatedAt = new Date().toISOString();
+        await promisifyRequest(cars.put(car));
+        return car;
+    });
+}
+
+/**
+ * Delete a car record with its setups and history
+ * @param {IDBObjectStore} cars - Cars store
+ * @param {IDBObjectStore} setups - Setups store
+ * @param {IDBObjectStore} revisions - Revisions store
+ * @param {string} carId - Car id
+ * @returns {Promise<number>} Number of setups deleted
+ */
+async function deleteCarRecords(cars, setups, revisions, carId) {
+    const setupIds = await promisifyRequest(setups.index('carId').getAllKeys(carId));
+    const revisionIds = await promisifyRequest(revisions.index('carId').getAllKeys(carId));
+    await Promise.all([
+        ...setupIds.map(id => promisifyRequest(setups.delete(id))),
+        ...revisionIds.map(id => promisifyRequest(revisions.delete(id)))
+    ]);
+    await promisifyRequest(cars.delete(carId));
+    return setupIds.length;
+}
+
+/**
+ * Delete a car with all of its setups and history
+ * @param {string} carId - Car id
+ * @returns {Promise<number>} Number of setups deleted
+ */
+export function deleteCar(carId) {
+    return withStores('readwrite', (cars, setups, revisions) =>
+        deleteCarRecords(cars, setups, revisions, carId)
+    );
+}
+
+/**
+ * Read a car's history: every save of its setups
+ * @param {string} carId - Car id
+ * @returns {Promise<Array>} Revisions, oldest first
+ */
+export function getCarHistory(carId) {
+    return withStores('readonly', async (cars, setups, revisions) => {
+        const history = await promisifyRequest(revisions.index('carId').getAll(carId));
+        return history.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+    });
+}
+
+/**
+ * Find the revision a revision is best compared against
+ * That is the previous save of the same setup, or for a setup's first save the
+ * previous save of any setup of the car
+ * @param {Array} history - Car history, oldest first
+ * @param {number} index - Position of the revision in the history
+ * @returns {Object|null} Earlier revision, or null for the car's first save
+ */
+export function getPreviousRevision(history, index) {
+    const revision = history[index];
+    const earlier = history.slice(0, index);
+    const sameSetup = earlier.filter(r => r.setupId === revision.setupId);
+    if (sameSetup.length > 0) {
+        return sameSetup[sameSetup.length - 1];
+    }
+    return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+}
+
+/**
+ * Add configurations to the garage, each under the car named in it
+ * Configurations without a car name go under "Year Make Model" from their data;
+ * an existing car with the same name is reused
+ * @param {Array} configs - { car, name, tags, data, timestamp } (car and tags optional)
+ * @returns {Promise<number>} Number of setups added
+ */
+export function importSetups(configs) {
+    return withStores('readwrite', async (cars, setups, revisions) => {
+        for (const config of configs) {
+            const carName = (config.car || '').trim() || getCarName(config.data);
+            const car = (await findCarByName(cars, carName)) || (await addCar(cars, carName));
+            const setup = {
+                id: createId(),
+                carId: car.id,
+                name: config.name,
+                tags: config.tags || [],
+                data: config.data,
+                timestamp: config.timestamp,
+                updatedAt: new Date().toISOString()
+            };
+            await promisifyRequest(setups.add(setup));
+            await promisifyRequest(revisions.add(createRevision(setup, config.timestamp)));
+            await touchCar(cars, car.id);
+        }
+        return configs.length;
+    });
+}
+
+/**
+ * Move configurations saved by earlier versions (localStorage list) into the garage
+ * The localStorage list is removed once its entries are stored
+ * @returns {Promise<number>} Number of configurations moved
+ */
+export async function migrateLegacyConfigurations() {
+    let legacy;
+    try {
+        legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Error reading saved configurations to move to the garage:', error);
+        return 0;
+    }
+    if (!Array.isArray(legacy) || legacy.length === 0) {
+        return 0;
+    }
+
+    // Old entries were named "Year Make Model" - that becomes the car name
+    const configs = legacy
+        .filter(entry => entry && entry.data)
+        .map(entry => ({
+            car: entry.name,
+            name: `Saved ${new Date(entry.timestamp).toLocaleDateString()}`,
+            tags: [],
+            data: entry.data,
+            timestamp: entry.timestamp
+        }));
+    const count = await importSetups(configs);
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    return count;
+}
+
+/**
+ * Check whether a setup matches a search
+ * Every word of the search must appear in the car name, setup name, a tag, or the
+ * year/make/model
+ * @param {Object} setup - Setup
+ * @param {Object} car - The setup's car
+ * @param {string} query - Search text
+ * @returns {boolean} True if the setup matches (always true for an empty search)
+ */
+export function matchesSearch(setup, car, query) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(word => word);
+    const haystack = [
+        car ? car.name : '',
+        setup.name,
+        ...setup.tags,
+        setup.data.year, setup.data.make, setup.data.model
+    ].join(' ').toLowerCase();
+    return words.every(word => haystack.includes(word));
+}
+
+/**
+ * Comparator for one sort order
+ * @param {string} order - Key of SORT_ORDERS
+ * @returns {Function} Comparator over { setup, classRank } entries
+ */
+function getSetupComparator(order) {
+    const byNewest = (a, b) => Date.parse(b.setup.timestamp) - Date.parse(a.setup.timestamp);
+    switch (order) {
+        case 'oldest':
+            return (a, b) => -byNewest(a, b);
+        case 'class':
+            // Unclassified setups (rank null) go last
+            return (a, b) => ((a.classRank ?? Infinity) - (b.classRank ?? Infinity)) || byNewest(a, b);
+        case 'name':
+            return (a, b) => a.setup.name.localeCompare(b.setup.name) || byNewest(a, b);
+        default:
+            return byNewest;
+    }
+}
+
+/**
+ * Group setups under their cars, filtered by a search and sorted
+ * Setups are sorted within each car; cars are ordered by their first setup
+ * (by name for the name order)
+ * @param {Array} cars - Cars
+ * @param {Array} entries - { setup, calculatedClass, classRank } - classRank is the
+ *                          class position in its edition (0 = fastest), or null
+ * @param {string} query - Search text
+ * @param {string} order - Key of SORT_ORDERS
+ * @returns {Array} [{ car, entries }] for cars with at least one matching setup
+ */
+export function groupGarage(cars, entries, query, order) {
+    const compare = getSetupComparator(order);
+    const groups = cars.map(car => ({
+        car,
+        entries: entries
+            .filter(entry => entry.setup.carId === car.id && matchesSearch(entry.setup, car, query))
+            .sort(compare)
+    })).filter(group => group.entries.length > 0);
+
+    if (order === 'name') {
+        return groups.sort((a, b) => a.car.name.localeCompare(b.car.name));
+    }
+    return groups.sort((a, b) => compare(a.entries[0], b.entries[0]));
+}
@@ -0,0 +1,87 @@
+/**
+ * HTML Template Module
+ * Builds HTML with every interpolated value escaped
+ *
+ * html`<td>${value}</td>` escapes value unless it is itself the result of html`...`
+ * or multiline(). Arrays are rendered item by item and joined; null,
+ * undefined and false render as nothing. Use it for any markup that includes
+ * user-entered text (names, comments, saved configuration names).
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Markup that has already been escaped (returned by html and multiline)
+ */
+export class SafeHtml {
+    /**
+     * @param {string} markup - Escaped markup
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escape text for use in HTML content or a quoted attribute value
+ * @param {*} value - Value to escape (null and undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Render one interpolated template value
+ * @param {*} value - Interpolated value
+ * @returns {string} Markup
+ */
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.markup;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    }
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * @param {Array} strings - Template literal strings
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml} Markup
+ */
+export function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => {
+        markup += renderValue(value) + strings[i + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+/**
+ * Escape multi-line text, keeping its line breaks as <br>
+ * @param {string} text - User-entered text (e.g., comments)
+ * @returns {SafeHtml} Markup
+ */
+export function multiline(text) {
+    const lines = escapeHtml(text).split(/\r\n|\r|\n/);
+    return new SafeHtml(lines.join('<br>'));
+}
@@ -0,0 +1,86 @@
+/**
+ * IndexedDB Helpers
+ * Promise wrappers shared by the modules that keep data in IndexedDB
+ * (the garage and the outbox)
+ */
+
+// Open databases by name, so each is opened once per page
+const openDatabases = new Map();
+
+/**
+ * Check whether the browser supports IndexedDB
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isIndexedDbAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} Resolves with the request result
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open a database, creating or upgrading its stores on first use
+ * @param {string} name - Database name
+ * @param {number} version - Database version
+ * @param {Function} onUpgrade - Receives (request, event) when the stores need creating or upgrading
+ * @returns {Promise<IDBDatabase>} Open database (shared between calls with the same name)
+ */
+export function openDatabase(name, version, onUpgrade) {
+    if (!isIndexedDbAvailable()) {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+    if (!openDatabases.has(name)) {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = (event) => onUpgrade(request, event);
+        openDatabases.set(name, promisifyRequest(request).catch(error => {
+            openDatabases.delete(name); // Allow a retry
+            throw error;
+        }));
+    }
+    return openDatabases.get(name);
+}
+
+/**
+ * Run a callback in a transaction over some object stores
+ * @param {IDBDatabase} db - Open database
+ * @param {Array} storeNames - Object stores to include
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object stores, in storeNames order; may be async
+ * @param {string} cancelMessage - Error message if the transaction is aborted without an error
+ * @returns {Promise} Resolves with the callback result once the transaction completes
+ */
+export async function runTransaction(db, storeNames, mode, callback, cancelMessage) {
+    const transaction = db.transaction(storeNames, mode);
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error(cancelMessage));
+    });
+
+    let result;
+    try {
+        result = await callback(...storeNames.map(storeName => transaction.objectStore(storeName)));
+    } catch (error) {
+        transaction.abort();
+        throw error;
+    }
+    await done;
+    return result;
+}
+
+/**
+ * Create a unique record id
+ * @returns {string} Id
+ */
+export function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -0,0 +1,199 @@
+/**
+ * Integrity Module
+ * Short integrity code for classing reports, so an inspector can tell whether a
+ * printout was edited after it was made
+ *
+ * The code is a SHA-256 hash of a canonical serialization of the vehicle factors,
+ * the rules edition and the calculated results, cut to 50 bits and written as ten
+ * Crockford base32 characters, e.g. "7K2QD-M9XAF". It is a tamper check, not a
+ * signature: anyone with the calculator can compute the code for a set of inputs,
+ * but a printout with an edited input or class no longer matches its code.
+ */
+
+import { updateCalculations } from './calculator.js';
+
+// Bump when the serialization changes, so old codes fail instead of matching by accident
+export const INTEGRITY_CODE_VERSION = 1;
+
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 10;
+
+// Vehicle factors covered by the code, in serialization order
+const NUMBER_FIELDS = ['competitionWeight', 'declaredHp', 'dynoHp'];
+const OPTION_FIELDS = ['chassis', 'bodyMods', 'transmission', 'drivetrain', 'tires'];
+
+// SHA-256 round constants
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 digest
+ * Computed here rather than with crypto.subtle, which is asynchronous and missing on
+ * pages not served over HTTPS
+ * @param {Uint8Array} bytes - Message
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256(bytes) {
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+    const hash = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) >>> 0;
+        }
+
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = hash[i] + value;
+        });
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+    return digest;
+}
+
+/**
+ * Normalize a number field, so "2900", "2900.0" and " 2900 " serialize the same
+ * @param {string|number} value - Field value
+ * @returns {string} Normalized number, or empty string if not a number
+ */
+function normalizeNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? '' : String(number);
+}
+
+/**
+ * Build the canonical serialization the integrity code is computed from
+ * @param {Object} data - Vehicle factors (same fields as formData)
+ * @param {Object} edition - Rulebook edition the results were calculated with
+ * @param {Object} results - Results from updateCalculations()
+ * @returns {string} Canonical JSON text
+ */
+export function serializeForIntegrity(data, edition, results) {
+    const brakeSuspension = Array.isArray(data.brakeSuspension) ? [...data.brakeSuspension].sort() : [];
+    return JSON.stringify([
+        INTEGRITY_CODE_VERSION,
+        edition.edition,
+        NUMBER_FIELDS.map(field => normalizeNumber(data[field])),
+        OPTION_FIELDS.map(field => data[field] || ''),
+        brakeSuspension,
+        [
+            results.calculatedClass || '',
+            results.weightFactor.toFixed(2),
+            results.baseRatio.toFixed(2),
+            results.modificationFactor.toFixed(2),
+            results.modifiedRatio.toFixed(2)
+        ]
+    ]);
+}
+
+/**
+ * Compute the integrity code of a report
+ * @param {Object} data - Vehicle factors (same fields as formData)
+ * @param {Object} edition - Rulebook edition the results were calculated with
+ * @param {Object} results - Results from updateCalculations()
+ * @returns {string} Integrity code, e.g. "7K2QD-M9XAF"
+ */
+export function createIntegrityCode(data, edition, results) {
+    const digest = sha256(new TextEncoder().encode(serializeForIntegrity(data, edition, results)));
+
+    // Read the digest 5 bits at a time
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        const bit = i * 5;
+        const pair = (digest[bit >> 3] << 8) | digest[(bit >> 3) + 1];
+        code += CODE_ALPHABET[(pair >> (11 - (bit & 7))) & 31];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Normalize a typed integrity code: case, spaces and dashes don't matter, and the
+ * look-alike letters O, I and L are read as 0, 1 and 1
+ * @param {string} code - Code as entered
+ * @returns {string|null} Code in the printed format, or null if it can't be a code
+ */
+export function normalizeIntegrityCode(code) {
+    const cleaned = String(code || '')
+        .toUpperCase()
+        .replace(/[\s-]/g, '')
+        .replace(/O/g, '0')
+        .replace(/[IL]/g, '1');
+    if (cleaned.length !== CODE_LENGTH || [...cleaned].some(char => !CODE_ALPHABET.includes(char))) {
+        return null;
+    }
+    return `${cleaned.slice(0, 5)}-${cleaned.slice(5)}`;
+}
+
+/**
+ * Check a printed report: recalculate from the vehicle factors and compare the
+ * result with the printed integrity code and, if given, the printed class
+ * @param {Object} printout - { code, printedClass } as read off the report
+ * @param {Object} data - Vehicle factors from the report (same fields as formData)
+ * @param {Object} edition - Rulebook edition named on the report
+ * @returns {Object} { isValid, errors, code, results } - code is the one these inputs
+ *                   produce; results come from updateCalculations()
+ */
+export function verifyIntegrityCode({ code, printedClass = '' }, data, edition) {
+    const printedCode = normalizeIntegrityCode(code);
+    if (!printedCode) {
+        return {
+            isValid: false,
+            errors: [`An integrity code is ${CODE_LENGTH} letters and digits, e.g. 7K2QD-M9XAF`],
+            code: null,
+            results: null
+        };
+    }
+
+    const results = updateCalculations(data, edition);
+    const expectedCode = createIntegrityCode(data, edition, results);
+    const errors = [];
+
+    if (printedClass && printedClass !== results.calculatedClass) {
+        errors.push(`The printed class ${printedClass} doesn't match the calculated class ${results.calculatedClass || '--'}`);
+    }
+    if (printedCode !== expectedCode) {
+        errors.push(`The integrity code doesn't match these vehicle factors under ${edition.title} - the printout was changed, or the factors or edition were entered differently`);
+    }
+
+    return { isValid: errors.length === 0, errors, code: expectedCode, results };
+}
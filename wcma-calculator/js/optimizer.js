@@ -0,0 +1,251 @@
+/**
+ * Modification What-If Module
+ * Searches the modifier options for the smallest sets of changes that move a car
+ * into a target class, or - for a car already in it - the single changes that
+ * keep it there and the ones that drop it out
+ *
+ * Weight and HP stay fixed, so the base class (the column modifiers are looked
+ * up in) never changes; only options available in that class are suggested,
+ * and option combinations the rulebook excludes are never proposed.
+ */
+
+import { updateCalculations, MODIFIER_FIELDS, toOptionIds } from './calculator.js';
+import { getModifierGroup, isOptionAvailable, getExcludedGroups } from './modifiers.js';
+
+// Largest change set searched when no maxChanges option is given
+const DEFAULT_MAX_CHANGES = 2;
+
+// Number of paths returned when no maxResults option is given
+const DEFAULT_MAX_RESULTS = 10;
+
+/**
+ * List every single option change available from the current selections
+ * @param {Object} formData - Current form data
+ * @param {string} baseClass - Class the modifier values are looked up in
+ * @param {Object} edition - Rulebook edition
+ * @returns {Array} Changes: { group, groupLabel, from, to, fromDescription, toDescription }
+ */
+function listCandidateChanges(formData, baseClass, edition) {
+    const changes = [];
+
+    Object.keys(MODIFIER_FIELDS).forEach(groupId => {
+        const group = getModifierGroup(edition, groupId);
+        if (!group) return;
+
+        const describe = id => {
+            const option = group.options.find(o => o.id === id);
+            return option ? option.description : '';
+        };
+        const change = (from, to) => ({
+            group: groupId,
+            groupLabel: group.label,
+            from,
+            to,
+            fromDescription: from ? describe(from) : '',
+            toDescription: to ? describe(to) : ''
+        });
+
+        const current = toOptionIds(formData[MODIFIER_FIELDS[groupId]]);
+        const available = group.options.filter(o => isOptionAvailable(group.options, o.id, baseClass));
+
+        if (group.multiple) {
+            current.forEach(id => changes.push(change(id, null)));
+            available
+                .filter(o => !current.includes(o.id))
+                .forEach(o => changes.push(change(null, o.id)));
+        } else {
+            const selected = current[0] || null;
+            if (selected) {
+                changes.push(change(selected, null));
+            }
+            available
+                .filter(o => o.id !== selected)
+                .forEach(o => changes.push(change(selected, o.id)));
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Key identifying what a change touches; two changes with the same key can't be combined
+ * @param {Object} change - Option change
+ * @param {Object} edition - Rulebook edition
+ * @returns {string} Conflict key
+ */
+function conflictKey(change, edition) {
+    const group = getModifierGroup(edition, change.group);
+    return group.multiple ? `${change.group}:${change.from || change.to}` : change.group;
+}
+
+/**
+ * Apply a set of option changes to form data
+ * @param {Object} formData - Current form data
+ * @param {Array} changes - Option changes
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} New form data
+ */
+function applyChanges(formData, changes, edition) {
+    const updated = { ...formData };
+
+    changes.forEach(change => {
+        const field = MODIFIER_FIELDS[change.group];
+        if (getModifierGroup(edition, change.group).multiple) {
+            const ids = toOptionIds(updated[field]).filter(id => id !== change.from);
+            updated[field] = change.to ? [...ids, change.to] : ids;
+        } else {
+            updated[field] = change.to || '';
+        }
+    });
+
+    return updated;
+}
+
+/**
+ * Check that no selected option rules out another selected group
+ * @param {Object} formData - Form data to check
+ * @param {Object} edition - Rulebook edition
+ * @returns {boolean} True if the combination is allowed
+ */
+function isCombinationAllowed(formData, edition) {
+    const selected = Object.values(MODIFIER_FIELDS).flatMap(field => toOptionIds(formData[field]));
+    return getExcludedGroups(edition, selected)
+        .every(groupId => toOptionIds(formData[MODIFIER_FIELDS[groupId]]).length === 0);
+}
+
+/**
+ * How far a ratio sits inside a class (distance to the nearest boundary)
+ * @param {number} ratio - Modified ratio
+ * @param {Object} classDef - Class definition
+ * @returns {number} Distance to the nearest class boundary
+ */
+function distanceInsideClass(ratio, classDef) {
+    const belowMax = classDef.max === null ? Infinity : classDef.max - ratio;
+    const aboveMin = classDef.min === null ? Infinity : ratio - classDef.min;
+    return Math.min(belowMax, aboveMin);
+}
+
+/**
+ * Call visit() for every conflict-free combination of size changes
+ * @param {Array} candidates - Candidate changes
+ * @param {number} size - Number of changes per combination
+ * @param {Object} edition - Rulebook edition
+ * @param {Function} visit - Called with each combination (array of changes)
+ */
+function forEachCombination(candidates, size, edition, visit) {
+    const keys = candidates.map(change => conflictKey(change, edition));
+
+    const extend = (start, picked, usedKeys) => {
+        if (picked.length === size) {
+            visit(picked.map(i => candidates[i]));
+            return;
+        }
+        for (let i = start; i < candidates.length; i++) {
+            if (usedKeys.has(keys[i])) continue;
+            usedKeys.add(keys[i]);
+            extend(i + 1, [...picked, i], usedKeys);
+            usedKeys.delete(keys[i]);
+        }
+    };
+
+    extend(0, [], new Set());
+}
+
+/**
+ * Describe an option change for display
+ * @param {Object} change - Option change from findModificationPaths()
+ * @returns {string} Description (e.g., "Switch Tires from tire4 to tire1")
+ */
+export function describeChange(change) {
+    if (change.from && change.to) {
+        return `Switch ${change.groupLabel} from ${change.from} to ${change.to}`;
+    }
+    if (change.to) {
+        return `Add ${change.groupLabel} ${change.to}`;
+    }
+    return `Remove ${change.groupLabel} ${change.from}`;
+}
+
+/**
+ * Find modifier option changes that move a car into, or keep it inside, a target class
+ *
+ * For a car outside the target class, paths are the smallest change sets (up to
+ * maxChanges changes) that land in it, most comfortably inside the class first.
+ * For a car already in the class, paths are the single changes that keep it there
+ * and dropouts are the single changes that move it out.
+ *
+ * @param {Object} formData - Form data with weight, HP and modifier selections
+ * @param {string} targetClass - Target class (GTU, GT1, GT2, GT3, GT4, IT1, IT2)
+ * @param {Object} edition - Rulebook edition
+ * @param {Object} options - { maxChanges, maxResults }
+ * @returns {Object} { isValid, error, currentClass, inTarget, paths, dropouts, totalPaths,
+ *                   maxChanges } - each path/dropout is { changes, results }
+ */
+export function findModificationPaths(formData, targetClass, edition, options = {}) {
+    const { maxChanges = DEFAULT_MAX_CHANGES, maxResults = DEFAULT_MAX_RESULTS } = options;
+    const empty = { currentClass: '', inTarget: false, paths: [], dropouts: [], totalPaths: 0, maxChanges };
+
+    const classDef = edition ? edition.classes.find(c => c.name === targetClass) : null;
+    if (!classDef) {
+        return { isValid: false, error: 'Please choose a target class', ...empty };
+    }
+
+    const current = updateCalculations(formData, edition);
+    if (!current.calculatedClass) {
+        return { isValid: false, error: 'Enter competition weight and declared HP first', ...empty };
+    }
+
+    const candidates = listCandidateChanges(formData, current.breakdown.baseClass, edition);
+    const evaluate = changes => {
+        const updated = applyChanges(formData, changes, edition);
+        if (!isCombinationAllowed(updated, edition)) {
+            return null;
+        }
+        return { changes, results: updateCalculations(updated, edition) };
+    };
+    const byMargin = (a, b) => distanceInsideClass(b.results.modifiedRatio, classDef)
+        - distanceInsideClass(a.results.modifiedRatio, classDef);
+
+    if (current.calculatedClass === targetClass) {
+        const paths = [];
+        const dropouts = [];
+        candidates.map(change => evaluate([change])).filter(path => path).forEach(path => {
+            (path.results.calculatedClass === targetClass ? paths : dropouts).push(path);
+        });
+        paths.sort(byMargin);
+        return {
+            isValid: true,
+            error: null,
+            currentClass: current.calculatedClass,
+            inTarget: true,
+            paths,
+            dropouts,
+            totalPaths: paths.length,
+            maxChanges
+        };
+    }
+
+    // Search by increasing size and stop at the first size that works,
+    // so every path returned is a smallest set of changes
+    let found = [];
+    for (let size = 1; size <= maxChanges && found.length === 0; size++) {
+        forEachCombination(candidates, size, edition, changes => {
+            const path = evaluate(changes);
+            if (path && path.results.calculatedClass === targetClass) {
+                found.push(path);
+            }
+        });
+    }
+    found.sort(byMargin);
+
+    return {
+        isValid: true,
+        error: null,
+        currentClass: current.calculatedClass,
+        inTarget: false,
+        paths: found.slice(0, maxResults),
+        dropouts: [],
+        totalPaths: found.length,
+        maxChanges
+    };
+}
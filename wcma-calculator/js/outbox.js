@@ -0,0 +1,147 @@
+/**
+ * Outbox Module
+ * Keeps submissions made without a connection in IndexedDB until they can be sent
+ *
+ * Database "wcma-outbox" has one object store:
+ *   submissions: { id, action, method, fields, files, summary, queuedAt, attempts, status, lastError }
+ * fields holds the form's text entries as [name, value] pairs, in form order, and files
+ * holds the uploads as { name, filename, type, data } with the contents as an
+ * ArrayBuffer (some browsers can't store File objects). status is 'pending' for
+ * submissions waiting to be sent, or 'failed' once the server has rejected one (or
+ * a resend timed out) - those wait for the entrant to retry or cancel them.
+ */
+
+import { isIndexedDbAvailable, promisifyRequest, openDatabase, runTransaction, createId } from './idb.js';
+
+const DB_NAME = 'wcma-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'submissions';
+
+/**
+ * Check whether the browser can keep an outbox
+ * @returns {boolean} True if IndexedDB is available
+ */
+export function isOutboxAvailable() {
+    return isIndexedDbAvailable();
+}
+
+/**
+ * Run a callback in a transaction over the submissions store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store; may be async
+ * @returns {Promise} Resolves with the callback result once the transaction completes
+ */
+async function withStore(mode, callback) {
+    const db = await openDatabase(DB_NAME, DB_VERSION, (request) => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    });
+    return runTransaction(db, [STORE_NAME], mode, callback, 'Outbox update was cancelled');
+}
+
+/**
+ * Describe a submission for the outbox list
+ * @param {FormData} formData - Submitted form
+ * @returns {Object} { name, car, calculatedClass }
+ */
+function describeSubmission(formData) {
+    const text = (field) => {
+        const value = formData.get(field);
+        return typeof value === 'string' ? value.trim() : '';
+    };
+    return {
+        name: text('name'),
+        car: [text('year'), text('make'), text('model')].filter(Boolean).join(' '),
+        calculatedClass: text('calculated_class')
+    };
+}
+
+/**
+ * Add a submission to the outbox
+ * @param {string} action - URL the form posts to
+ * @param {string} method - HTTP method
+ * @param {FormData} formData - Form data as it would have been sent
+ * @returns {Promise<Object>} Stored outbox entry
+ */
+export async function addToOutbox(action, method, formData) {
+    // Read the files before the transaction starts - it would close while we wait
+    const fields = [];
+    const files = [];
+    for (const [name, value] of formData.entries()) {
+        if (typeof value === 'string') {
+            fields.push([name, value]);
+        } else if (value.size > 0 || value.name) {
+            // File inputs left blank post an empty, unnamed file; leave those out
+            files.push({
+                name,
+                filename: value.name,
+                type: value.type,
+                data: await value.arrayBuffer()
+            });
+        }
+    }
+
+    const entry = {
+        id: createId(),
+        action,
+        method,
+        fields,
+        files,
+        summary: describeSubmission(formData),
+        queuedAt: new Date().toISOString(),
+        attempts: 0,
+        status: 'pending',
+        lastError: ''
+    };
+    await withStore('readwrite', store => promisifyRequest(store.add(entry)));
+    return entry;
+}
+
+/**
+ * List the outbox, oldest submission first
+ * @returns {Promise<Array>} Outbox entries
+ */
+export async function getOutbox() {
+    const entries = await withStore('readonly', store => promisifyRequest(store.getAll()));
+    return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * Update an outbox entry, e.g. to record a failed attempt
+ * @param {string} id - Entry id
+ * @param {Object} changes - Fields to change (attempts, status, lastError)
+ * @returns {Promise<Object>} Updated entry
+ */
+export async function updateOutboxEntry(id, changes) {
+    return withStore('readwrite', async (store) => {
+        const entry = await promisifyRequest(store.get(id));
+        if (!entry) {
+            throw new Error('Submission not found in the outbox');
+        }
+        const updated = { ...entry, ...changes, id };
+        await promisifyRequest(store.put(updated));
+        return updated;
+    });
+}
+
+/**
+ * Remove a submission from the outbox (sent, or cancelled by the entrant)
+ * @param {string} id - Entry id
+ * @returns {Promise} Resolves when removed
+ */
+export async function removeFromOutbox(id) {
+    return withStore('readwrite', store => promisifyRequest(store.delete(id)));
+}
+
+/**
+ * Rebuild the form data of an outbox entry for sending
+ * @param {Object} entry - Outbox entry
+ * @returns {FormData} Form data with the original fields and files
+ */
+export function toFormData(entry) {
+    const formData = new FormData();
+    entry.fields.forEach(([name, value]) => formData.append(name, value));
+    entry.files.forEach(({ name, filename, type, data }) => {
+        formData.append(name, new Blob([data], { type }), filename);
+    });
+    return formData;
+}
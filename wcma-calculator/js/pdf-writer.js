@@ -0,0 +1,297 @@
+/**
+ * PDF Writer Module
+ * Builds simple PDF documents (text, lines, rectangles) without external libraries
+ *
+ * Pages use PDF points (1/72 in) with the origin at the top left, so y grows
+ * down the page like in HTML; it is flipped when the content is written.
+ * Text uses the standard Helvetica fonts every PDF viewer has, so no font is
+ * embedded. Those fonts only cover the Windows-1252 (WinAnsi) character set;
+ * other characters are written as "?".
+ */
+
+// Glyph widths of Helvetica and Helvetica-Bold for character codes 32-126 (1/1000 em)
+const FONT_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Width used for WinAnsi characters outside 32-126 (accented letters, quotes, dashes)
+const DEFAULT_WIDTH = 556;
+
+// PDF font resource names
+const FONT_NAMES = { regular: 'F1', bold: 'F2' };
+
+// Characters outside Latin-1 that WinAnsi has, and their codes
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+    '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a,
+    '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+    '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c,
+    'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Common characters WinAnsi lacks, written as the nearest text
+const FALLBACKS = { '→': '->', '←': '<-', '↑': '^', '↓': 'v', '≤': '<=', '≥': '>=' };
+
+/**
+ * Convert text to WinAnsi character codes
+ * @param {string} text - Text to convert
+ * @returns {Array} Character codes (0-255)
+ */
+function toWinAnsi(text) {
+    const codes = [];
+    for (const char of String(text)) {
+        if (FALLBACKS[char]) {
+            codes.push(...toWinAnsi(FALLBACKS[char]));
+            continue;
+        }
+        const code = char.codePointAt(0);
+        if (code === 0x09) {
+            codes.push(0x20);
+        } else if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+            codes.push(code);
+        } else if (WIN_ANSI_EXTRAS[char]) {
+            codes.push(WIN_ANSI_EXTRAS[char]);
+        } else {
+            codes.push(0x3f); // ?
+        }
+    }
+    return codes;
+}
+
+/**
+ * Format a number for a content stream
+ * @param {number} value - Number
+ * @returns {string} Number with at most 2 decimals
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format a colour for a content stream
+ * @param {Array} color - [r, g, b], each 0-1
+ * @returns {string} Colour operands
+ */
+function rgb(color) {
+    return color.map(num).join(' ');
+}
+
+/**
+ * Format a date as a PDF date string
+ * @param {Date} date - Date
+ * @returns {string} D:YYYYMMDDHHmmSSZ (UTC)
+ */
+function pdfDate(date) {
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Escape a string of WinAnsi codes for a PDF literal string
+ * @param {Array} codes - Character codes
+ * @returns {string} Literal string contents (one char per byte)
+ */
+function escapePdfString(codes) {
+    return codes.map(code => {
+        const char = String.fromCharCode(code);
+        return char === '\\' || char === '(' || char === ')' ? `\\${char}` : char;
+    }).join('');
+}
+
+/**
+ * A PDF document being built page by page
+ */
+export class PdfDocument {
+    /**
+     * @param {Object} options - { title, pageWidth, pageHeight, creationDate }
+     *                           (page size defaults to US Letter: 612 x 792 points)
+     */
+    constructor({ title = '', pageWidth = 612, pageHeight = 792, creationDate = new Date() } = {}) {
+        this.title = title;
+        this.pageWidth = pageWidth;
+        this.pageHeight = pageHeight;
+        this.creationDate = creationDate;
+        this.pages = [];
+    }
+
+    /**
+     * Start a new page; later drawing goes on it
+     * @returns {number} Number of pages
+     */
+    addPage() {
+        this.pages.push([]);
+        return this.pages.length;
+    }
+
+    /**
+     * Add operators to the current page
+     * @param {string} operators - Content stream operators
+     */
+    draw(operators) {
+        if (this.pages.length === 0) {
+            this.addPage();
+        }
+        this.pages[this.pages.length - 1].push(operators);
+    }
+
+    /**
+     * Measure text
+     * @param {string} text - Text
+     * @param {string} font - 'regular' or 'bold'
+     * @param {number} size - Font size in points
+     * @returns {number} Width in points
+     */
+    textWidth(text, font = 'regular', size = 10) {
+        const widths = FONT_WIDTHS[font];
+        const units = toWinAnsi(text).reduce((total, code) =>
+            total + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH), 0);
+        return units * size / 1000;
+    }
+
+    /**
+     * Split text into lines that fit a width, keeping its own line breaks
+     * Words longer than the width are broken between characters
+     * @param {string} text - Text
+     * @param {number} maxWidth - Line width in points
+     * @param {string} font - 'regular' or 'bold'
+     * @param {number} size - Font size in points
+     * @returns {Array} Lines
+     */
+    wrapText(text, maxWidth, font = 'regular', size = 10) {
+        const lines = [];
+        String(text).split(/\r\n|\r|\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(word => word).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.textWidth(candidate, font, size) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+                if (line) {
+                    lines.push(line);
+                }
+                // Break a word that is wider than the whole line
+                line = '';
+                for (const char of word) {
+                    if (line && this.textWidth(line + char, font, size) > maxWidth) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += char;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    /**
+     * Draw one line of text
+     * @param {number} x - Left edge (or right edge / centre, see align)
+     * @param {number} y - Baseline, from the top of the page
+     * @param {string} text - Text
+     * @param {Object} options - { font, size, color, align } - align is left, right or center
+     */
+    text(x, y, text, { font = 'regular', size = 10, color = [0, 0, 0], align = 'left' } = {}) {
+        const width = this.textWidth(text, font, size);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        this.draw(`BT ${rgb(color)} rg /${FONT_NAMES[font]} ${num(size)} Tf ` +
+            `1 0 0 1 ${num(left)} ${num(this.pageHeight - y)} Tm (${escapePdfString(toWinAnsi(text))}) Tj ET`);
+    }
+
+    /**
+     * Draw a straight line
+     * @param {number} x1 - Start x
+     * @param {number} y1 - Start y, from the top
+     * @param {number} x2 - End x
+     * @param {number} y2 - End y, from the top
+     * @param {Object} options - { width, color }
+     */
+    line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+        this.draw(`${num(width)} w ${rgb(color)} RG ${num(x1)} ${num(this.pageHeight - y1)} m ` +
+            `${num(x2)} ${num(this.pageHeight - y2)} l S`);
+    }
+
+    /**
+     * Draw a rectangle
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge, from the top of the page
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {Object} options - { fill, stroke, lineWidth } - fill/stroke are colours
+     *                           (omit either to leave it out)
+     */
+    rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+        if (!fill && !stroke) return;
+        const operators = [];
+        if (fill) operators.push(`${rgb(fill)} rg`);
+        if (stroke) operators.push(`${num(lineWidth)} w ${rgb(stroke)} RG`);
+        operators.push(`${num(x)} ${num(this.pageHeight - y - height)} ${num(width)} ${num(height)} re`);
+        operators.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+        this.draw(operators.join(' '));
+    }
+
+    /**
+     * Write the PDF file
+     * @returns {Uint8Array} File contents
+     */
+    toBytes() {
+        if (this.pages.length === 0) {
+            this.addPage();
+        }
+
+        // Objects 1-4 are fixed; each page adds a page object and its content stream
+        const objects = [];
+        const pageIds = this.pages.map((page, i) => 5 + i * 2);
+        const infoId = 5 + this.pages.length * 2;
+
+        objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+        objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+        objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+        this.pages.forEach((page, i) => {
+            const content = page.join('\n');
+            objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(this.pageWidth)} ${num(this.pageHeight)}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+            objects[pageIds[i] + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+        });
+        objects[infoId] = `<< /Title (${escapePdfString(toWinAnsi(this.title))}) ` +
+            `/Producer (WCMA Classing Calculator) /CreationDate (${pdfDate(this.creationDate)}) >>`;
+
+        // Every character of the file is one byte, so string lengths are byte offsets
+        let file = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = file.length;
+            file += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+        }
+
+        const xrefOffset = file.length;
+        file += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+            file += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        file += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(file.length);
+        for (let i = 0; i < file.length; i++) {
+            bytes[i] = file.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,502 @@
+/**
+ * QR Code Module
+ * Encodes text as a QR code entirely in the browser, for the link printed on reports
+ *
+ * Byte mode only (the text is encoded as UTF-8), versions 1-40, error correction
+ * level M by default - enough redundancy for a creased logbook page. Follows the
+ * ISO/IEC 18004 encoding steps: data bits, Reed-Solomon error correction,
+ * interleaving, module placement, and the mask with the lowest penalty score.
+ */
+
+// Error correction codewords per block and number of blocks, indexed by version (0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+    L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+const ERROR_CORRECTION_BLOCKS = {
+    L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Error correction level bits in the format information
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+const MAX_VERSION = 40;
+
+// Penalty weights for choosing a mask
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+/**
+ * Read one bit of a number
+ * @param {number} value - Number
+ * @param {number} index - Bit index, 0 = least significant
+ * @returns {boolean} True if the bit is set
+ */
+function getBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * Number of modules available for data and error correction in a version
+ * @param {number} version - QR version (1-40)
+ * @returns {number} Module count
+ */
+function getRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignmentCount = Math.floor(version / 7) + 2;
+        result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+/**
+ * Number of data codewords a version holds at an error correction level
+ * @param {number} version - QR version
+ * @param {string} level - Error correction level
+ * @returns {number} Codeword count
+ */
+function getDataCodewords(version, level) {
+    return Math.floor(getRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[level][version] * ERROR_CORRECTION_BLOCKS[level][version];
+}
+
+/**
+ * Centre positions of the alignment patterns along each axis
+ * @param {number} version - QR version
+ * @returns {Array} Positions, smallest first
+ */
+function getAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const size = version * 4 + 17;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+/**
+ * Multiply in GF(256) with the QR code polynomial
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number} Product
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Reed-Solomon generator polynomial (leading coefficient left out)
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array} Coefficients, highest power first
+ */
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Error correction codewords for a block of data
+ * @param {Array} data - Data codewords
+ * @param {Array} divisor - Generator polynomial from reedSolomonDivisor()
+ * @returns {Array} Error correction codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * Split the data into blocks, add error correction to each and interleave them
+ * @param {Array} data - Data codewords
+ * @param {number} version - QR version
+ * @param {string} level - Error correction level
+ * @returns {Array} Final codeword sequence
+ */
+function addErrorCorrection(data, version, level) {
+    const blockCount = ERROR_CORRECTION_BLOCKS[level][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+    const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+        const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        // Pad short blocks so every block lines up; the padding is skipped below
+        if (i < shortBlockCount) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Encode text as data codewords, picking the smallest version it fits in
+ * @param {Uint8Array} bytes - UTF-8 text
+ * @param {string} level - Error correction level
+ * @returns {Object} { version, codewords }
+ */
+function encodeData(bytes, level) {
+    let version = 1;
+    for (; version <= MAX_VERSION; version++) {
+        const countBits = version <= 9 ? 8 : 16;
+        if (4 + countBits + bytes.length * 8 <= getDataCodewords(version, level) * 8) break;
+    }
+    if (version > MAX_VERSION) {
+        throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0b0100, 4); // Byte mode
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+
+    // Terminator, then pad to a whole byte and fill with the alternating pad bytes
+    const capacityBits = getDataCodewords(version, level) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return { version, codewords };
+}
+
+/**
+ * Check whether a mask inverts a module
+ * @param {number} mask - Mask pattern (0-7)
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean} True if the module is inverted
+ */
+function maskApplies(mask, x, y) {
+    switch (mask) {
+        case 0: return (x + y) % 2 === 0;
+        case 1: return y % 2 === 0;
+        case 2: return x % 3 === 0;
+        case 3: return (x + y) % 3 === 0;
+        case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+        case 5: return x * y % 2 + x * y % 3 === 0;
+        case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+        default: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+    }
+}
+
+/**
+ * Module grid being drawn: dark modules, and which modules belong to function
+ * patterns (finders, timing, alignment, format and version information)
+ * @param {number} version - QR version
+ * @returns {Object} { size, modules, reserved, set }
+ */
+function createGrid(version) {
+    const size = version * 4 + 17;
+    const grid = {
+        size,
+        modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+        reserved: Array.from({ length: size }, () => new Array(size).fill(false)),
+        // Draw a function pattern module
+        set(x, y, dark) {
+            grid.modules[y][x] = dark;
+            grid.reserved[y][x] = true;
+        }
+    };
+    return grid;
+}
+
+/**
+ * Draw the format information (error correction level and mask) in both places
+ * @param {Object} grid - Module grid
+ * @param {string} level - Error correction level
+ * @param {number} mask - Mask pattern
+ */
+function drawFormatBits(grid, level, mask) {
+    const data = (FORMAT_BITS[level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const { size } = grid;
+
+    // Around the top left finder
+    for (let i = 0; i <= 5; i++) grid.set(8, i, getBit(bits, i));
+    grid.set(8, 7, getBit(bits, 6));
+    grid.set(8, 8, getBit(bits, 7));
+    grid.set(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) grid.set(14 - i, 8, getBit(bits, i));
+
+    // Split between the top right and bottom left finders
+    for (let i = 0; i < 8; i++) grid.set(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) grid.set(8, size - 15 + i, getBit(bits, i));
+    grid.set(8, size - 8, true);
+}
+
+/**
+ * Draw the finder, timing and alignment patterns and the version information
+ * @param {Object} grid - Module grid
+ * @param {number} version - QR version
+ * @param {string} level - Error correction level
+ */
+function drawFunctionPatterns(grid, version, level) {
+    const { size } = grid;
+
+    for (let i = 0; i < size; i++) {
+        grid.set(6, i, i % 2 === 0);
+        grid.set(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    grid.set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+
+    // Alignment patterns, except where they would overlap a finder
+    const positions = getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    grid.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    // Reserve the format areas; the real bits are drawn once the mask is chosen
+    drawFormatBits(grid, level, 0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            grid.set(a, b, getBit(bits, i));
+            grid.set(b, a, getBit(bits, i));
+        }
+    }
+}
+
+/**
+ * Place the codewords in the zigzag order, two columns at a time from the bottom right
+ * @param {Object} grid - Module grid
+ * @param {Array} codewords - Codewords with error correction
+ */
+function drawCodewords(grid, codewords) {
+    const { size } = grid;
+    let bit = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // Skip the vertical timing pattern
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!grid.reserved[y][x] && bit < codewords.length * 8) {
+                    grid.modules[y][x] = getBit(codewords[bit >>> 3], 7 - (bit & 7));
+                    bit++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Invert the data modules a mask applies to (applying it twice removes it)
+ * @param {Object} grid - Module grid
+ * @param {number} mask - Mask pattern
+ */
+function applyMask(grid, mask) {
+    for (let y = 0; y < grid.size; y++) {
+        for (let x = 0; x < grid.size; x++) {
+            if (!grid.reserved[y][x] && maskApplies(mask, x, y)) {
+                grid.modules[y][x] = !grid.modules[y][x];
+            }
+        }
+    }
+}
+
+/**
+ * Penalty score of a masked grid - lower scans more reliably
+ * Scores long runs, 2x2 blocks, finder-like 1:1:3:1:1 patterns and dark/light imbalance
+ * @param {Object} grid - Module grid
+ * @returns {number} Penalty
+ */
+function getPenaltyScore(grid) {
+    const { size, modules } = grid;
+    let penalty = 0;
+
+    // Runs of a color, including how the previous runs form a finder-like pattern
+    const scoreLine = (getModule) => {
+        const runs = [];
+        let color = getModule(0);
+        let length = 0;
+        for (let i = 0; i <= size; i++) {
+            if (i < size && getModule(i) === color) {
+                length++;
+                continue;
+            }
+            if (length >= 5) penalty += PENALTY_RUN + length - 5;
+            runs.push({ color, length });
+            if (i < size) {
+                color = getModule(i);
+                length = 1;
+            }
+        }
+        // A dark 1:1:3:1:1 run with four light modules (or the edge) on either side
+        for (let i = 2; i < runs.length - 2; i++) {
+            const unit = runs[i].length / 3;
+            if (!runs[i].color || !Number.isInteger(unit)) continue;
+            const core = [runs[i - 2], runs[i - 1], runs[i + 1], runs[i + 2]].every(run => run.length === unit);
+            if (!core) continue;
+            const before = i >= 3 ? runs[i - 3].length : size;
+            const after = i + 3 < runs.length ? runs[i + 3].length : size;
+            if (before >= unit * 4) penalty += PENALTY_FINDER_LIKE;
+            if (after >= unit * 4) penalty += PENALTY_FINDER_LIKE;
+        }
+    };
+
+    for (let y = 0; y < size; y++) scoreLine(x => modules[y][x]);
+    for (let x = 0; x < size; x++) scoreLine(y => modules[y][x]);
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += PENALTY_BLOCK;
+                }
+            }
+        }
+    }
+
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_BALANCE;
+    return penalty;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (e.g., a URL)
+ * @param {string} level - Error correction level: 'L', 'M', 'Q' or 'H'
+ * @returns {Object} { version, size, modules } - modules[y][x] is true for dark modules
+ */
+export function createQrCode(text, level = 'M') {
+    if (!FORMAT_BITS.hasOwnProperty(level)) {
+        throw new Error(`Unknown QR error correction level: ${level}`);
+    }
+
+    const { version, codewords } = encodeData(new TextEncoder().encode(text), level);
+    const grid = createGrid(version);
+    drawFunctionPatterns(grid, version, level);
+    drawCodewords(grid, addErrorCorrection(codewords, version, level));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        applyMask(grid, mask);
+        drawFormatBits(grid, level, mask);
+        const penalty = getPenaltyScore(grid);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(grid, mask);
+    }
+    applyMask(grid, bestMask);
+    drawFormatBits(grid, level, bestMask);
+
+    return { version, size: grid.size, modules: grid.modules };
+}
+
+/**
+ * Render a QR code as SVG markup, one path for all dark modules
+ * @param {Object} qr - QR code from createQrCode()
+ * @param {Object} options - { size: rendered width and height (CSS length), quietZone: modules of margin }
+ * @returns {string} SVG element
+ */
+export function qrCodeToSvg(qr, { size = '1in', quietZone = 4 } = {}) {
+    const dimension = qr.size + quietZone * 2;
+    let path = '';
+    qr.modules.forEach((row, y) => {
+        row.forEach((dark, x) => {
+            if (dark) path += `M${x + quietZone} ${y + quietZone}h1v1h-1z`;
+        });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" width="${size}" height="${size}" shape-rendering="crispEdges">`
+        + `<rect width="${dimension}" height="${dimension}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
@@ -0,0 +1,480 @@
+/**
+ * Rulebook Module
+ * Loads and validates rulebook editions - each season is a complete,
+ * self-contained rule set (class ranges, weight factor bands and
+ * modification factor tables) published as a JSON file in rules/
+ */
+
+// Location of the rules directory (rules/index.json lists the editions)
+export const RULES_URL = new URL('../rules/', import.meta.url);
+
+// Modification groups every rulebook must define
+export const MODIFIER_GROUPS = ['chassis', 'body', 'trans', 'dt', 'tire', 'brake'];
+
+// Dyno correction standards and dyno types a dynoBasis can name
+export const DYNO_CORRECTIONS = ['sae-j1349', 'std', 'uncorrected'];
+export const DYNO_TYPES = ['engine', 'hub', 'chassis'];
+
+// Loaded rulebook index and editions
+let rulebookIndex = null;
+const loadedEditions = new Map();
+
+/**
+ * Fetch and parse a JSON file
+ * @param {URL} url - File URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load ${url.pathname} (status ${response.status})`);
+    }
+    return response.json();
+}
+
+/**
+ * Check for a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a finite number
+ */
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+/**
+ * Check for a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a non-empty string
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Validate class ranges: unique names, contiguous and non-overlapping
+ * @param {Array} classes - Class definitions
+ * @param {Array} errors - Error list to append to
+ */
+function validateClasses(classes, errors) {
+    if (!Array.isArray(classes) || classes.length === 0) {
+        errors.push('classes must be a non-empty array');
+        return;
+    }
+
+    const names = new Set();
+    classes.forEach((classDef, i) => {
+        const label = `classes[${i}]`;
+        if (!classDef || !isNonEmptyString(classDef.name)) {
+            errors.push(`${label} needs a name`);
+            return;
+        }
+        if (names.has(classDef.name)) {
+            errors.push(`Class ${classDef.name} is defined more than once`);
+        }
+        names.add(classDef.name);
+
+        const isFirst = i === 0;
+        const isLast = i === classes.length - 1;
+        if (isFirst ? classDef.min !== null : !isNumber(classDef.min)) {
+            errors.push(isFirst
+                ? `Class ${classDef.name} is the lowest class and must have min null`
+                : `Class ${classDef.name} needs a numeric min`);
+        }
+        if (isLast ? classDef.max !== null : !isNumber(classDef.max)) {
+            errors.push(isLast
+                ? `Class ${classDef.name} is the highest class and must have max null`
+                : `Class ${classDef.name} needs a numeric max`);
+        }
+        if (isNumber(classDef.min) && isNumber(classDef.max) && classDef.min >= classDef.max) {
+            errors.push(`Class ${classDef.name} has min ${classDef.min} not below max ${classDef.max}`);
+        }
+    });
+
+    // Each range must start exactly where the previous one ends
+    for (let i = 1; i < classes.length; i++) {
+        const previous = classes[i - 1];
+        const current = classes[i];
+        if (!previous || !current || !isNumber(previous.max) || !isNumber(current.min)) {
+            continue;
+        }
+        if (current.min > previous.max) {
+            errors.push(`Gap between ${previous.name} (max ${previous.max}) and ${current.name} (min ${current.min})`);
+        } else if (current.min < previous.max) {
+            errors.push(`${previous.name} (max ${previous.max}) overlaps ${current.name} (min ${current.min})`);
+        }
+    }
+}
+
+/**
+ * Validate weight factor bands
+ * @param {Array} weightFactors - Weight factor groups
+ * @param {Set} classNames - Valid class names
+ * @param {Array} errors - Error list to append to
+ */
+function validateWeightFactors(weightFactors, classNames, errors) {
+    if (!Array.isArray(weightFactors)) {
+        errors.push('weightFactors must be an array');
+        return;
+    }
+
+    const covered = new Set();
+    weightFactors.forEach((group, i) => {
+        const label = `weightFactors[${i}]`;
+        if (!group || !Array.isArray(group.classes) || group.classes.length === 0) {
+            errors.push(`${label} needs a non-empty classes array`);
+        } else {
+            group.classes.forEach(name => {
+                if (!classNames.has(name)) {
+                    errors.push(`${label} refers to unknown class ${name}`);
+                } else if (covered.has(name)) {
+                    errors.push(`Class ${name} appears in more than one weight factor group`);
+                }
+                covered.add(name);
+            });
+        }
+
+        if (!group || !Array.isArray(group.bands)) {
+            errors.push(`${label} needs a bands array`);
+            return;
+        }
+        group.bands.forEach((band, j) => {
+            const bandLabel = `${label}.bands[${j}]`;
+            const hasBelow = band && band.below !== undefined;
+            const hasAbove = band && band.above !== undefined;
+            if (hasBelow === hasAbove) {
+                errors.push(`${bandLabel} needs exactly one of below or above`);
+            } else if (!isNumber(hasBelow ? band.below : band.above)) {
+                errors.push(`${bandLabel} has a non-numeric weight limit`);
+            }
+            if (!band || !isNumber(band.factor)) {
+                errors.push(`${bandLabel} needs a numeric factor`);
+            }
+        });
+    });
+}
+
+/**
+ * Validate modifier groups: every option has a value for every class,
+ * option ids are unique across the rulebook and excludes name other groups
+ * @param {Array} modifierGroups - Modifier group definitions
+ * @param {Array} classList - Class names in ratio order
+ * @param {Array} errors - Error list to append to
+ */
+function validateModifierGroups(modifierGroups, classList, errors) {
+    if (!Array.isArray(modifierGroups)) {
+        errors.push('modifierGroups must be an array');
+        return;
+    }
+
+    const groupIds = new Set();
+    const optionIds = new Set();
+    modifierGroups.forEach((group, i) => {
+        const label = group && isNonEmptyString(group.id) ? `Group ${group.id}` : `modifierGroups[${i}]`;
+        if (!group || !MODIFIER_GROUPS.includes(group.id)) {
+            errors.push(`${label} is not a known modifier group (expected one of ${MODIFIER_GROUPS.join(', ')})`);
+            return;
+        }
+        if (groupIds.has(group.id)) {
+            errors.push(`${label} is defined more than once`);
+        }
+        groupIds.add(group.id);
+
+        if (!isNonEmptyString(group.label)) {
+            errors.push(`${label} needs a label`);
+        }
+        if (typeof group.multiple !== 'boolean') {
+            errors.push(`${label} needs multiple set to true or false`);
+        }
+        if (!Array.isArray(group.options) || group.options.length === 0) {
+            errors.push(`${label} needs a non-empty options array`);
+            return;
+        }
+
+        group.options.forEach((option, j) => {
+            if (!option || !isNonEmptyString(option.id)) {
+                errors.push(`${label} option ${j + 1} needs an id`);
+                return;
+            }
+            const optionLabel = `Option ${option.id}`;
+            if (optionIds.has(option.id)) {
+                errors.push(`${optionLabel} is defined more than once`);
+            }
+            optionIds.add(option.id);
+
+            if (!isNonEmptyString(option.description)) {
+                errors.push(`${optionLabel} needs a description`);
+            }
+            if (!option.values || typeof option.values !== 'object') {
+                errors.push(`${optionLabel} needs a values object`);
+                return;
+            }
+            classList.forEach(name => {
+                if (!(name in option.values)) {
+                    errors.push(`${optionLabel} has no value for class ${name}`);
+                } else if (option.values[name] !== null && !isNumber(option.values[name])) {
+                    errors.push(`${optionLabel} has a non-numeric value for class ${name}`);
+                }
+            });
+            Object.keys(option.values).forEach(name => {
+                if (!classList.includes(name)) {
+                    errors.push(`${optionLabel} has a value for unknown class ${name}`);
+                }
+            });
+            if (option.excludes !== undefined) {
+                if (!Array.isArray(option.excludes)) {
+                    errors.push(`${optionLabel} excludes must be an array of group ids`);
+                } else {
+                    option.excludes.forEach(groupId => {
+                        if (!MODIFIER_GROUPS.includes(groupId) || groupId === group.id) {
+                            errors.push(`${optionLabel} excludes unknown or own group ${groupId}`);
+                        }
+                    });
+                }
+            }
+        });
+    });
+
+    MODIFIER_GROUPS.forEach(groupId => {
+        if (!groupIds.has(groupId)) {
+            errors.push(`Missing modifier group ${groupId}`);
+        }
+    });
+}
+
+/**
+ * Validate the dyno basis: the correction standard and dyno type dyno figures are
+ * converted to, and the drivetrain loss of each dyno type as a share of crank power
+ * @param {Object} dynoBasis - Dyno basis definition
+ * @param {Array} errors - Error list to append to
+ */
+function validateDynoBasis(dynoBasis, errors) {
+    if (!dynoBasis || typeof dynoBasis !== 'object' || Array.isArray(dynoBasis)) {
+        errors.push('dynoBasis must be an object');
+        return;
+    }
+    if (!DYNO_CORRECTIONS.includes(dynoBasis.correction)) {
+        errors.push(`dynoBasis.correction must be one of ${DYNO_CORRECTIONS.join(', ')}`);
+    }
+    if (!DYNO_TYPES.includes(dynoBasis.dynoType)) {
+        errors.push(`dynoBasis.dynoType must be one of ${DYNO_TYPES.join(', ')}`);
+    }
+
+    const losses = dynoBasis.drivetrainLoss;
+    if (losses === undefined) return;
+    if (!losses || typeof losses !== 'object' || Array.isArray(losses)) {
+        errors.push('dynoBasis.drivetrainLoss must be an object');
+        return;
+    }
+    Object.entries(losses).forEach(([dynoType, loss]) => {
+        if (!DYNO_TYPES.includes(dynoType) || dynoType === 'engine') {
+            errors.push(`dynoBasis.drivetrainLoss.${dynoType} is not a dyno type with a drivetrain loss (expected hub or chassis)`);
+        } else if (!isNumber(loss) || loss < 0 || loss >= 1) {
+            errors.push(`dynoBasis.drivetrainLoss.${dynoType} must be a share of crank power from 0 up to 1`);
+        }
+    });
+}
+
+/**
+ * Validate a rulebook edition against the rulebook schema
+ * @param {Object} data - Parsed rulebook JSON
+ * @returns {Object} Validation result with isValid and errors array
+ */
+export function validateRulebook(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { isValid: false, errors: ['Rulebook must be a JSON object'] };
+    }
+
+    if (!isNonEmptyString(data.edition)) {
+        errors.push('edition is required');
+    }
+    if (!isNonEmptyString(data.title)) {
+        errors.push('title is required');
+    }
+
+    validateClasses(data.classes, errors);
+
+    const classList = Array.isArray(data.classes)
+        ? data.classes.filter(c => c && isNonEmptyString(c.name)).map(c => c.name)
+        : [];
+    validateWeightFactors(data.weightFactors, new Set(classList), errors);
+    validateModifierGroups(data.modifierGroups, classList, errors);
+
+    // Optional: span of the run the declared (averaged) HP is taken over
+    if (data.dynoAveraging !== undefined
+        && (!data.dynoAveraging || !isNumber(data.dynoAveraging.rpmWindow) || data.dynoAveraging.rpmWindow <= 0)) {
+        errors.push('dynoAveraging needs a positive rpmWindow');
+    }
+    if (data.dynoBasis !== undefined) {
+        validateDynoBasis(data.dynoBasis, errors);
+    }
+    // Optional: how the dyno figure is checked against the declared HP
+    if (data.dynoChecks !== undefined) {
+        const checks = data.dynoChecks;
+        if (!checks || typeof checks !== 'object' || Array.isArray(checks)) {
+            errors.push('dynoChecks must be an object');
+        } else {
+            if (checks.tolerancePercent !== undefined && (!isNumber(checks.tolerancePercent) || checks.tolerancePercent < 0)) {
+                errors.push('dynoChecks.tolerancePercent must be a number of 0 or more');
+            }
+            if (checks.requireChart !== undefined && typeof checks.requireChart !== 'boolean') {
+                errors.push('dynoChecks.requireChart must be true or false');
+            }
+        }
+    }
+
+    return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate the rulebook index (rules/index.json)
+ * @param {Object} data - Parsed index JSON
+ * @returns {Object} Validation result with isValid and errors array
+ */
+export function validateRulebookIndex(data) {
+    const errors = [];
+
+    if (!data || !Array.isArray(data.editions) || data.editions.length === 0) {
+        return { isValid: false, errors: ['Rulebook index needs a non-empty editions array'] };
+    }
+
+    const ids = new Set();
+    data.editions.forEach((entry, i) => {
+        if (!entry || !isNonEmptyString(entry.edition) || !isNonEmptyString(entry.title) || !isNonEmptyString(entry.file)) {
+            errors.push(`editions[${i}] needs edition, title and file`);
+            return;
+        }
+        if (ids.has(entry.edition)) {
+            errors.push(`Edition ${entry.edition} is listed more than once`);
+        }
+        ids.add(entry.edition);
+    });
+
+    if (!ids.has(data.default)) {
+        errors.push(`Default edition ${data.default} is not listed in editions`);
+    }
+
+    return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Build a load error carrying the individual validation errors
+ * @param {string} message - Summary message
+ * @param {Array} errors - Validation errors
+ * @returns {Error} Error with an errors array
+ */
+function rulebookError(message, errors) {
+    const error = new Error(message);
+    error.errors = errors;
+    return error;
+}
+
+/**
+ * Load and validate the rulebook index
+ * @param {Function} readJson - Reads a JSON file URL (defaults to fetch)
+ * @returns {Promise<Object>} Rulebook index ({ default, editions })
+ */
+export async function loadRulebookIndex(readJson = fetchJson) {
+    if (rulebookIndex) {
+        return rulebookIndex;
+    }
+
+    const data = await readJson(new URL('index.json', RULES_URL));
+    const validation = validateRulebookIndex(data);
+    if (!validation.isValid) {
+        throw rulebookError('The rulebook index (rules/index.json) is invalid', validation.errors);
+    }
+
+    rulebookIndex = data;
+    return rulebookIndex;
+}
+
+/**
+ * Load and validate a rulebook edition
+ * @param {string} editionId - Edition id; defaults to the index's default edition
+ * @param {Function} readJson - Reads a JSON file URL (defaults to fetch)
+ * @returns {Promise<Object>} Rulebook edition
+ */
+export async function loadEdition(editionId = null, readJson = fetchJson) {
+    const index = await loadRulebookIndex(readJson);
+    const id = editionId || index.default;
+
+    if (loadedEditions.has(id)) {
+        return loadedEditions.get(id);
+    }
+
+    const entry = index.editions.find(e => e.edition === id);
+    if (!entry) {
+        throw rulebookError(`Unknown rulebook edition: ${id}`, [`Edition ${id} is not listed in rules/index.json`]);
+    }
+
+    const data = await readJson(new URL(entry.file, RULES_URL));
+    const validation = validateRulebook(data);
+    if (validation.isValid && data.edition !== entry.edition) {
+        validation.errors.push(`File declares edition ${data.edition}, but the index lists it as ${entry.edition}`);
+    }
+    if (validation.errors.length > 0) {
+        throw rulebookError(`The ${entry.title} rulebook (rules/${entry.file}) is invalid`, validation.errors);
+    }
+
+    loadedEditions.set(id, data);
+    return data;
+}
+
+/**
+ * Get the default edition id from the loaded index
+ * @returns {string} Edition id, or empty string before the index is loaded
+ */
+export function getDefaultEditionId() {
+    return rulebookIndex ? rulebookIndex.default : '';
+}
+
+/**
+ * List all editions in the loaded rulebook index, whatever order the index lists them in
+ * @returns {Array} Array of { edition, title } objects, newest first
+ */
+export function listEditions() {
+    if (!rulebookIndex) {
+        return [];
+    }
+    return rulebookIndex.editions
+        .map(({ edition, title }) => ({ edition, title }))
+        .sort((a, b) => b.edition.localeCompare(a.edition, undefined, { numeric: true }));
+}
+
+/**
+ * Get an already loaded rulebook edition by its id
+ * @param {string} editionId - Edition id (e.g., "2026")
+ * @returns {Object|null} Rulebook edition or null if not loaded
+ */
+export function getEdition(editionId) {
+    return loadedEditions.get(editionId) || null;
+}
+
+/**
+ * Get the class names of an edition in ratio order
+ * @param {Object} edition - Rulebook edition
+ * @returns {Array} Array of class names (e.g., ['GTU', 'GT1', ...])
+ */
+export function getClassNames(edition) {
+    if (!edition) {
+        return [];
+    }
+    return edition.classes.map(c => c.name);
+}
+
+/**
+ * Format a class range for display
+ * @param {Object} classDef - Class definition ({ name, min, max })
+ * @returns {string} Range text (e.g., "< 6.00", "6.00 - 7.99", ">= 18.00")
+ */
+export function formatClassRange(classDef) {
+    if (classDef.min === null) {
+        return `< ${classDef.max.toFixed(2)}`;
+    }
+    if (classDef.max === null) {
+        return `>= ${classDef.min.toFixed(2)}`;
+    }
+    return `${classDef.min.toFixed(2)} - ${(classDef.max - 0.01).toFixed(2)}`;
+}
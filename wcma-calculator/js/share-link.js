@@ -0,0 +1,80 @@
+/**
+ * Share Link Module
+ * Encodes the vehicle factors of a configuration in a URL fragment and reads them back
+ *
+ * Only the rules edition and vehicle factors are encoded - never contact details.
+ * The fragment (#...) is used so the configuration is not sent to the server.
+ * Example: #ed=2026&w=2900&hp=300&tire=tire4&brake=brake2&brake=brake3
+ * Weight and HP are in pounds and HP; wu and pu give the units to show them in.
+ * The dyno sheet details travel with the dyno figure: dc (correction standard),
+ * dtype (dyno type), and the weather as temp (deg F), baro (inHg) and rh (%).
+ */
+
+// URL parameter for each configuration field
+const SHARE_PARAMS = [
+    { param: 'ed', field: 'edition', type: 'edition' },
+    { param: 'w', field: 'competitionWeight', type: 'number' },
+    { param: 'hp', field: 'declaredHp', type: 'number' },
+    { param: 'dyno', field: 'dynoHp', type: 'number' },
+    { param: 'wu', field: 'weightUnit', type: 'unit' },
+    { param: 'pu', field: 'powerUnit', type: 'unit' },
+    { param: 'dc', field: 'dynoCorrection', type: 'basis' },
+    { param: 'dtype', field: 'dynoType', type: 'basis' },
+    { param: 'temp', field: 'dynoTemperature', type: 'signedNumber' },
+    { param: 'baro', field: 'dynoPressure', type: 'number' },
+    { param: 'rh', field: 'dynoHumidity', type: 'number' },
+    { param: 'chassis', field: 'chassis', type: 'option' },
+    { param: 'body', field: 'bodyMods', type: 'option' },
+    { param: 'trans', field: 'transmission', type: 'option' },
+    { param: 'dt', field: 'drivetrain', type: 'option' },
+    { param: 'tire', field: 'tires', type: 'option' },
+    { param: 'brake', field: 'brakeSuspension', type: 'option', multiple: true }
+];
+
+// Accepted value formats - anything else in a link is ignored
+const VALUE_PATTERNS = {
+    edition: /^[A-Za-z0-9._-]+$/,
+    number: /^\d+(\.\d+)?$/,
+    signedNumber: /^-?\d+(\.\d+)?$/,
+    unit: /^[a-z]+$/,
+    basis: /^[a-z0-9-]+$/,
+    option: /^[a-z]+\d+$/
+};
+
+/**
+ * Build the URL fragment for a configuration
+ * @param {Object} data - Configuration data (same fields as a saved configuration)
+ * @returns {string} Fragment including the leading # (e.g., "#ed=2026&w=2900&hp=300")
+ */
+export function buildShareHash(data) {
+    const params = new URLSearchParams();
+
+    SHARE_PARAMS.forEach(({ param, field, multiple }) => {
+        const values = multiple ? (data[field] || []) : [data[field]];
+        values
+            .filter(value => value !== undefined && value !== null && String(value) !== '')
+            .forEach(value => params.append(param, String(value)));
+    });
+
+    return `#${params.toString()}`;
+}
+
+/**
+ * Read a configuration from a URL fragment
+ * Values that don't look like a weight, HP, unit, dyno sheet detail or option id are dropped
+ * @param {string} hash - URL fragment (with or without the leading #)
+ * @returns {Object|null} Configuration data, or null if the fragment is not a share link
+ */
+export function parseShareHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    if (!params.has('w') && !params.has('hp')) {
+        return null;
+    }
+
+    const data = {};
+    SHARE_PARAMS.forEach(({ param, field, type, multiple }) => {
+        const values = params.getAll(param).filter(value => VALUE_PATTERNS[type].test(value));
+        data[field] = multiple ? values : (values[0] || '');
+    });
+    return data;
+}
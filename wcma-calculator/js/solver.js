@@ -0,0 +1,309 @@
+/**
+ * Reverse Solver Module
+ * Finds the declared HP or competition weight that puts a car in a target class
+ *
+ * The forward calculation is not monotonic: modifier values depend on the base
+ * class and the weight factor depends on the weight band of the resulting class,
+ * so a car can drop out of a class and come back in as HP or weight changes.
+ * The solver therefore runs updateCalculations() for every whole-number value in
+ * a bounded window and reports every range that lands in the target class.
+ */
+
+import { updateCalculations, MODIFIER_FIELDS } from './calculator.js';
+import { getModifierGroup } from './modifiers.js';
+
+// Base ratio is rounded to 2 decimals before modifiers are applied
+const ROUNDING_SLACK = 0.01;
+
+// Lowest base ratio the solver will scan down to (keeps open-ended scans finite)
+const MIN_SCAN_RATIO = 0.5;
+
+/**
+ * Largest amount the modifiers and weight factor can move the ratio, in any class
+ * @param {Object} formData - Form data with modifier selections
+ * @param {Object} edition - Rulebook edition
+ * @returns {number} Maximum absolute ratio adjustment
+ */
+function getMaxAdjustment(formData, edition) {
+    let total = ROUNDING_SLACK;
+
+    Object.keys(MODIFIER_FIELDS).forEach(groupId => {
+        const group = getModifierGroup(edition, groupId);
+        const selection = formData[MODIFIER_FIELDS[groupId]];
+        const optionIds = Array.isArray(selection) ? selection : [selection];
+        if (!group) return;
+
+        optionIds.filter(id => id).forEach(optionId => {
+            const option = group.options.find(o => o.id === optionId);
+            if (!option) return;
+            const values = Object.values(option.values).filter(v => v !== null);
+            total += Math.max(0, ...values.map(Math.abs));
+        });
+    });
+
+    const factors = edition.weightFactors.flatMap(g => g.bands.map(b => Math.abs(b.factor)));
+    total += Math.max(0, ...factors);
+
+    return total;
+}
+
+/**
+ * Base ratio window outside which the car can't land in the target class
+ * An open end (lowest or highest class) is reported with lowOpen/highOpen:
+ * beyond it the car is always in the target class
+ * @param {Object} formData - Form data with modifier selections
+ * @param {Object} classDef - Target class definition
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { low, high, lowOpen, highOpen }
+ */
+function getRatioWindow(formData, classDef, edition) {
+    const slack = getMaxAdjustment(formData, edition);
+    const boundaries = edition.classes.flatMap(c => [c.min, c.max]).filter(v => v !== null);
+    const lowest = Math.min(...boundaries);
+    const highest = Math.max(...boundaries);
+
+    return {
+        low: Math.max(MIN_SCAN_RATIO, (classDef.min === null ? lowest : classDef.min) - slack),
+        high: (classDef.max === null ? highest : classDef.max) + slack,
+        lowOpen: classDef.min === null,
+        highOpen: classDef.max === null
+    };
+}
+
+/**
+ * Whole values of one field worth trying for a target class, with the other field fixed
+ * @param {Object} formData - Form data with weight, HP and modifier selections
+ * @param {string} field - Field to scan (declaredHp or competitionWeight)
+ * @param {Object} classDef - Target class definition
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { start, end, startOpen, endOpen } - past an open end the car is
+ *                   always in the target class
+ */
+function getScanBounds(formData, field, classDef, edition) {
+    const window = getRatioWindow(formData, classDef, edition);
+
+    if (field === 'declaredHp') {
+        // HP runs opposite to the ratio: the high ratio end is the low HP end
+        const weight = Number(formData.competitionWeight);
+        return {
+            start: Math.max(1, Math.floor(weight / window.high)),
+            end: Math.ceil(weight / window.low),
+            startOpen: window.highOpen,
+            endOpen: window.lowOpen
+        };
+    }
+
+    const hp = Number(formData.declaredHp);
+    return {
+        start: Math.max(1, Math.floor(hp * window.low)),
+        end: Math.ceil(hp * window.high),
+        startOpen: window.lowOpen,
+        endOpen: window.highOpen
+    };
+}
+
+/**
+ * Run the calculation for every value of one field and collect the target class ranges
+ * @param {Object} formData - Form data (the scanned field is overwritten)
+ * @param {string} field - Form data field to scan (declaredHp or competitionWeight)
+ * @param {number} start - First value to try
+ * @param {number} end - Last value to try
+ * @param {string} targetClass - Target class
+ * @param {Object} edition - Rulebook edition
+ * @returns {Array} Ranges of values in the target class: [{ from, to }]
+ */
+function scanForClass(formData, field, start, end, targetClass, edition) {
+    const ranges = [];
+    let current = null;
+
+    for (let value = start; value <= end; value++) {
+        const results = updateCalculations({ ...formData, [field]: String(value) }, edition);
+        if (results.calculatedClass !== targetClass) {
+            continue;
+        }
+        if (current && current.to === value - 1) {
+            current.to = value;
+        } else {
+            current = { from: value, to: value };
+            ranges.push(current);
+        }
+    }
+
+    return ranges;
+}
+
+/**
+ * Validate the fixed value and target class of a solve request
+ * @param {string} value - Fixed weight or HP
+ * @param {string} label - Field label for the error message
+ * @param {string} targetClass - Target class
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { isValid, error, classDef }
+ */
+function validateSolveInput(value, label, targetClass, edition) {
+    if (!edition) {
+        return { isValid: false, error: 'No rulebook edition loaded' };
+    }
+    const classDef = edition.classes.find(c => c.name === targetClass);
+    if (!classDef) {
+        return { isValid: false, error: 'Please choose a target class' };
+    }
+    // Metric entries are converted to a decimal number of pounds or HP
+    const num = Number(value);
+    if (!value || !isFinite(num) || num <= 0) {
+        return { isValid: false, error: `${label} must be a positive number` };
+    }
+    return { isValid: true, error: null, classDef };
+}
+
+/**
+ * Find the declared HP values that put a car in a target class at a fixed weight
+ * @param {Object} formData - Form data: competitionWeight and modifier selections
+ * @param {string} targetClass - Target class (GTU, GT1, GT2, GT3, GT4, IT1, IT2)
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { isValid, error, ranges, limit, limitResults } - ranges are
+ *                   [{ from, to }] in HP (to is null when there is no upper limit);
+ *                   limit is the maximum HP, or null if there is none
+ */
+export function solveHpForClass(formData, targetClass, edition) {
+    const validation = validateSolveInput(formData.competitionWeight, 'Competition weight', targetClass, edition);
+    if (!validation.isValid) {
+        return { isValid: false, error: validation.error, ranges: [], limit: null, limitResults: null };
+    }
+
+    const { start, end, startOpen, endOpen } = getScanBounds(formData, 'declaredHp', validation.classDef, edition);
+    const ranges = scanForClass(formData, 'declaredHp', start, end, targetClass, edition);
+
+    if (ranges.length > 0) {
+        if (startOpen && ranges[0].from === start) ranges[0].from = 1;
+        if (endOpen && ranges[ranges.length - 1].to === end) ranges[ranges.length - 1].to = null;
+    }
+
+    const limit = ranges.length > 0 ? ranges[ranges.length - 1].to : null;
+    return {
+        isValid: true,
+        error: null,
+        ranges,
+        limit,
+        limitResults: limit !== null ? updateCalculations({ ...formData, declaredHp: String(limit) }, edition) : null
+    };
+}
+
+/**
+ * Find the competition weights that put a car in a target class at a fixed declared HP
+ * @param {Object} formData - Form data: declaredHp and modifier selections
+ * @param {string} targetClass - Target class (GTU, GT1, GT2, GT3, GT4, IT1, IT2)
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { isValid, error, ranges, limit, limitResults } - ranges are
+ *                   [{ from, to }] in lbs (from/to is null when there is no lower/upper
+ *                   limit); limit is the minimum weight, or null if there is none
+ */
+export function solveWeightForClass(formData, targetClass, edition) {
+    const validation = validateSolveInput(formData.declaredHp, 'Declared HP', targetClass, edition);
+    if (!validation.isValid) {
+        return { isValid: false, error: validation.error, ranges: [], limit: null, limitResults: null };
+    }
+
+    const { start, end, startOpen, endOpen } = getScanBounds(formData, 'competitionWeight', validation.classDef, edition);
+    const ranges = scanForClass(formData, 'competitionWeight', start, end, targetClass, edition);
+
+    if (ranges.length > 0) {
+        if (startOpen && ranges[0].from === start) ranges[0].from = null;
+        if (endOpen && ranges[ranges.length - 1].to === end) ranges[ranges.length - 1].to = null;
+    }
+
+    const limit = ranges.length > 0 ? ranges[0].from : null;
+    return {
+        isValid: true,
+        error: null,
+        ranges,
+        limit,
+        limitResults: limit !== null ? updateCalculations({ ...formData, competitionWeight: String(limit) }, edition) : null
+    };
+}
+
+/**
+ * Find the run of whole values around the current one that keeps the car in its class
+ * Walks out from the current value until the class changes, rather than scanning the
+ * whole window the solver covers
+ * @param {Object} formData - Form data with weight, HP and modifier selections
+ * @param {string} field - Field to walk (declaredHp or competitionWeight)
+ * @param {Object} classDef - Current class definition
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { from, to } - lowest and highest value still in class; null past an
+ *                   open end (the lowest HP is 1)
+ */
+function findClassRangeAround(formData, field, classDef, edition) {
+    const value = Number(formData[field]);
+    const { start, end, startOpen, endOpen } = getScanBounds(formData, field, classDef, edition);
+    const inClass = (v) => updateCalculations({ ...formData, [field]: String(v) }, edition).calculatedClass === classDef.name;
+
+    let to = value;
+    for (let v = Math.floor(value) + 1; v <= end && inClass(v); v++) {
+        to = v;
+    }
+    let from = value;
+    for (let v = Math.ceil(value) - 1; v >= start && inClass(v); v--) {
+        from = v;
+    }
+
+    if (endOpen && to >= end) to = null;
+    if (startOpen && from <= start) from = field === 'declaredHp' ? 1 : null;
+    return { from, to };
+}
+
+/**
+ * Measure how close a car is to each boundary of its calculated class
+ *
+ * For each neighbouring class the margin is given as a ratio and as the HP and
+ * weight change the car can absorb before its class changes. The HP and weight
+ * figures are found by stepping the HP and weight one at a time until the class
+ * changes, so they include any weight band or modifier column change on the way.
+ * The faster class is the one with the lower ratio.
+ *
+ * @param {Object} formData - Form data with weight, HP and modifier selections
+ * @param {Object} edition - Rulebook edition
+ * @returns {Object} { isValid, currentClass, modifiedRatio, faster, slower } -
+ *                   faster/slower are null at the ends of the class list, otherwise
+ *                   { className, boundary, ratioMargin, hp, lbs }: hp is the HP that
+ *                   can be added (faster) or dropped (slower), lbs the weight that can
+ *                   be removed (faster) or added (slower) while staying in class
+ */
+export function calculateClassMargins(formData, edition) {
+    const results = updateCalculations(formData, edition);
+    const empty = { isValid: false, currentClass: '', modifiedRatio: 0, faster: null, slower: null };
+    if (!results.calculatedClass) {
+        return empty;
+    }
+
+    const index = edition.classes.findIndex(c => c.name === results.calculatedClass);
+    const classDef = edition.classes[index];
+    const weight = Number(formData.competitionWeight);
+    const hp = Number(formData.declaredHp);
+
+    const hpRange = findClassRangeAround(formData, 'declaredHp', classDef, edition);
+    const weightRange = findClassRangeAround(formData, 'competitionWeight', classDef, edition);
+
+    // Converted metric values have one decimal; keep float noise out of the margins
+    const difference = (a, b) => (a === null || b === null ? null : Math.round((a - b) * 10) / 10);
+
+    return {
+        isValid: true,
+        currentClass: classDef.name,
+        modifiedRatio: results.modifiedRatio,
+        faster: classDef.min === null ? null : {
+            className: edition.classes[index - 1].name,
+            boundary: classDef.min,
+            ratioMargin: results.modifiedRatio - classDef.min,
+            hp: hpRange ? difference(hpRange.to, hp) : null,
+            lbs: weightRange ? difference(weight, weightRange.from) : null
+        },
+        slower: classDef.max === null ? null : {
+            className: edition.classes[index + 1].name,
+            boundary: classDef.max,
+            ratioMargin: classDef.max - results.modifiedRatio,
+            hp: hpRange ? difference(hp, hpRange.from) : null,
+            lbs: weightRange ? difference(weightRange.to, weight) : null
+        }
+    };
+}
@@ -3,18 +3,95 @@
  * Handles DOM manipulation, event handling, and real-time updates
  */
 
-import { updateCalculations, formatNumber } from './calculator.js';
-import { handleFormSubmit, clearFieldError, showFieldError, validateFileSize, validateFileType } from './form-handler.js';
+import { updateCalculations, formatNumber, calculateBaseRatio, determineClass } from './calculator.js';
+import { handleFormSubmit, sendQueuedSubmissions, clearFieldError, showFieldError, validateFileSize, validateFileType } from './form-handler.js';
+import { getModifierTable, getModifierValue, isOptionAvailable, getExcludedGroups } from './modifiers.js';
+import { loadEdition, listEditions, getDefaultEditionId, formatClassRange } from './rulebook.js';
+import { classifyEntryList } from './batch.js';
+import { solveHpForClass, solveWeightForClass, calculateClassMargins } from './solver.js';
+import { findModificationPaths, describeChange } from './optimizer.js';
+import { compareConfigurations, diffConfigurations } from './compare.js';
+import { SafeHtml, html, multiline, escapeHtml } from './html-template.js';
+import { buildShareHash, parseShareHash } from './share-link.js';
+import { buildConfigExport, parseConfigImport, planConfigImport } from './config-file.js';
+import { saveDraft, loadDraft, clearDraft } from './draft.js';
+import { buildClassingSheet } from './classing-sheet.js';
+import { createIntegrityCode, verifyIntegrityCode } from './integrity.js';
+import { createQrCode, qrCodeToSvg } from './qr-code.js';
+import { parseDynoTable, summarizeDynoRun } from './dyno-table.js';
+import { drawDynoChart, readRunAt } from './dyno-chart.js';
+import { normalizeDynoHp, describeDynoBasis, CORRECTION_LABELS, DYNO_TYPE_LABELS } from './dyno-correction.js';
+import { checkDynoConsistency, describeDynoChecks } from './dyno-checks.js';
 import {
-    chassisModifierTable,
-    bodyModifierTable,
-    transModifierTable,
-    dtModifierTable,
-    tireModifierTable,
-    brakeModifierTable,
-    getModifierValue,
-    isOptionAvailable
-} from './modifiers.js';
+    getUnitOptions, getUnitLabel, getCanonicalUnit, isKnownUnit, toCanonical, fromCanonical, formatAmount,
+    describeEnteredValue, describeStoredValue
+} from './units.js';
+import { getOutbox, updateOutboxEntry, removeFromOutbox } from './outbox.js';
+import {
+    SORT_ORDERS, getCarName, parseTags, getGarage, getSetup, saveSetup, updateSetup, duplicateSetup,
+    deleteSetup, renameCar, deleteCar, importSetups, migrateLegacyConfigurations, groupGarage,
+    getCarHistory, getPreviousRevision
+} from './garage.js';
+
+// Rulebook edition used for all calculations (loaded at startup)
+let activeEdition = null;
+
+// Garage: opened (and earlier saves moved into it) on first use
+let garageReady = null;
+
+// Garage contents last read for the load modal: { cars, entries }
+let garageView = null;
+
+// Setups of the garage as read by the save dialog
+let saveDialogSetups = [];
+
+// Garage setup last loaded into the form, offered for update on the next save
+let loadedSetupId = null;
+
+// Car history shown in the history modal: { car, revisions, entries }
+let historyView = null;
+
+// Pause after the last keystroke before the draft is autosaved (ms)
+const DRAFT_SAVE_DELAY = 500;
+
+// Pending draft autosave, and whether the restore prompt is waiting for an answer
+let draftTimer = null;
+let draftPromptOpen = false;
+
+// Pause after the last edit before the solver, class margins and what-if search run again (ms)
+const ANALYSIS_DELAY = 250;
+
+// Pending run of the solver, class margins and what-if search
+let analysisTimer = null;
+
+// Dyno table read from the upload: { samples, errors, fileName, run } (run is its summary,
+// or null if the table couldn't be read)
+let dynoTable = null;
+
+// Layout of the dyno chart as last drawn, to map the pointer back to RPM
+let dynoChartLayout = null;
+
+// Object URL of the annotated CSV the batch results link to, revoked when replaced
+let batchDownloadUrl = null;
+
+// Dyno chart readout when the pointer isn't over the curve
+const DYNO_CHART_HINT = 'Point at the chart to read the curve';
+
+// Size of the dyno chart in the print report (CSS pixels, drawn at twice the resolution)
+const PRINT_CHART_WIDTH = 720;
+const PRINT_CHART_HEIGHT = 230;
+
+// Line errors listed under the dyno table before the rest are summarized
+const MAX_DYNO_ERRORS_SHOWN = 20;
+
+// How often to try the outbox again while submissions are waiting (ms)
+const OUTBOX_RETRY_INTERVAL = 60000;
+
+// Timer retrying the outbox, running only while it has pending submissions
+let outboxRetryTimer = null;
+
+// Ratio margin below which a class boundary is flagged as close
+const TIGHT_MARGIN = 0.1;
 
 // Form data state
 let formData = {
@@ -39,15 +116,49 @@ function getBrakeSuspensionValues() {
     return Array.from(checkboxes).map(cb => cb.value);
 }
 
+/**
+ * Get the unit chosen for weight or power
+ * @param {string} kind - 'weight' or 'power'
+ * @returns {string} Unit id
+ */
+function getUnit(kind) {
+    return document.getElementById(`${kind}-unit`)?.value || getCanonicalUnit(kind);
+}
+
+/**
+ * Read a weight or power field, converted to pounds or HP
+ * @param {string} fieldId - Input id
+ * @param {string} kind - 'weight' or 'power'
+ * @returns {string} Converted value (empty string if blank)
+ */
+function getCanonicalValue(fieldId, kind) {
+    return toCanonical(kind, document.getElementById(fieldId)?.value || '', getUnit(kind));
+}
+
+/**
+ * Describe a weight or power field as entered, with its unit
+ * @param {string} fieldId - Input id
+ * @param {string} kind - 'weight' or 'power'
+ * @returns {string} e.g. "2900 lb", or "1300 kg (2866 lb)" for a metric entry
+ */
+function describeFieldValue(fieldId, kind) {
+    const entered = document.getElementById(fieldId)?.value || '';
+    const unit = getUnit(kind);
+    return unit === getCanonicalUnit(kind)
+        ? `${entered} ${getUnitLabel(kind, unit)}`
+        : describeEnteredValue(kind, entered, unit);
+}
+
 /**
  * Get current form data from DOM
+ * Weight and power are converted to pounds and HP, the units the rules use
  * @returns {Object} Form data object
  */
 function getFormData() {
     return {
-        competitionWeight: document.getElementById('competition-weight')?.value || '',
-        declaredHp: document.getElementById('declared-hp')?.value || '',
-        dynoHp: document.getElementById('dyno-hp')?.value || '',
+        competitionWeight: getCanonicalValue('competition-weight', 'weight'),
+        declaredHp: getCanonicalValue('declared-hp', 'power'),
+        dynoHp: getCanonicalValue('dyno-hp', 'power'),
         targetClass: '', // Not used - class is calculated automatically
         chassis: document.getElementById('chassis')?.value || '',
         bodyMods: document.getElementById('body-mods')?.value || '',
@@ -76,36 +187,25 @@ function hasBaseInfo() {
 }
 
 /**
- * Populate modifier dropdown options based on calculated class
+ * Determine the class used for modifier lookups (class of the base ratio)
+ * @returns {string} Class name, or empty string if base info is missing
  */
-function populateModifierOptions() {
-    // Calculate base ratio to determine initial class
+function getBaseClass() {
     const weightNum = parseFloat(formData.competitionWeight);
     const hpNum = parseFloat(formData.declaredHp);
     
     if (!weightNum || !hpNum || weightNum <= 0 || hpNum <= 0) {
-        return;
+        return '';
     }
     
-    const baseRatio = weightNum / hpNum;
-    let calculatedClass = '';
-    
-    // Determine class from base ratio
-    if (baseRatio < 6.00) {
-        calculatedClass = 'GTU';
-    } else if (baseRatio >= 6.00 && baseRatio < 8.00) {
-        calculatedClass = 'GT1';
-    } else if (baseRatio >= 8.00 && baseRatio < 10.00) {
-        calculatedClass = 'GT2';
-    } else if (baseRatio >= 10.00 && baseRatio < 12.00) {
-        calculatedClass = 'GT3';
-    } else if (baseRatio >= 12.00 && baseRatio < 14.00) {
-        calculatedClass = 'GT4';
-    } else if (baseRatio >= 14.00 && baseRatio < 18.00) {
-        calculatedClass = 'IT1';
-    } else {
-        calculatedClass = 'IT2';
-    }
+    return determineClass(calculateBaseRatio(weightNum, hpNum), activeEdition);
+}
+
+/**
+ * Populate modifier dropdown options based on calculated class
+ */
+function populateModifierOptions() {
+    const calculatedClass = getBaseClass();
     
     if (!calculatedClass) {
         return;
@@ -113,11 +213,11 @@ function populateModifierOptions() {
 
     // Map of field IDs to modifier tables (excluding brake-suspension)
     const modifierMap = {
-        'chassis': chassisModifierTable,
-        'body-mods': bodyModifierTable,
-        'transmission': transModifierTable,
-        'drivetrain': dtModifierTable,
-        'tires': tireModifierTable
+        'chassis': getModifierTable(activeEdition, 'chassis'),
+        'body-mods': getModifierTable(activeEdition, 'body'),
+        'transmission': getModifierTable(activeEdition, 'trans'),
+        'drivetrain': getModifierTable(activeEdition, 'dt'),
+        'tires': getModifierTable(activeEdition, 'tire')
     };
 
     // Populate dropdown selects
@@ -135,8 +235,8 @@ function populateModifierOptions() {
         
         // Populate with available options for this class
         table.forEach(row => {
-            const optionId = row[0];
-            const description = row[1];
+            const optionId = row.id;
+            const description = row.description;
             
             if (isOptionAvailable(table, optionId, calculatedClass)) {
                 const option = document.createElement('option');
@@ -181,10 +281,9 @@ function handleChassisRestrictions() {
 
     const selectedChassis = chassisSelect.value;
 
-    // Restricted chassis types:
-    // chassis1: "Sports Racer, Prototypes, Monocoque race cars (GTU,GT1,GT2)"
-    // chassis2: "Non-Production Vehicle (excluding GT4,IT1,IT2)"
-    const isRestricted = (selectedChassis === 'chassis1' || selectedChassis === 'chassis2');
+    // Restricted chassis types (Sports Racer, Non-Production Vehicle) exclude
+    // Body Mods - the rulebook lists them in the option's excludes
+    const isRestricted = getExcludedGroups(activeEdition, [selectedChassis]).includes('body');
 
     if (isRestricted) {
         // Capture previous value to check if we need to trigger an update
@@ -229,6 +328,15 @@ function handleChassisRestrictions() {
     }
 }
 
+/**
+ * Join names into a list for a sentence
+ * @param {Array} names - Names (e.g., ['GT4', 'IT1', 'IT2'])
+ * @returns {string} List text (e.g., "GT4, IT1 and IT2")
+ */
+function formatNameList(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+}
+
 /**
  * Populate brake/suspension checkboxes based on calculated class
  */
@@ -236,9 +344,16 @@ function populateBrakeSuspensionCheckboxes(calculatedClass) {
     const container = document.getElementById('brake-suspension-options');
     if (!container) return;
     
-    // Only show for IT1 and IT2
-    if (calculatedClass !== 'IT1' && calculatedClass !== 'IT2') {
-        container.innerHTML = '<span class="field-note">Brake and suspension mods are only available for IT1 and IT2 classes</span>';
+    const brakeModifierTable = getModifierTable(activeEdition, 'brake');
+    
+    // Only show for classes with at least one applicable option (IT1 and IT2 in 2026)
+    if (!brakeModifierTable.some(row => isOptionAvailable(brakeModifierTable, row.id, calculatedClass))) {
+        const classes = activeEdition.classes
+            .map(classDef => classDef.name)
+            .filter(name => brakeModifierTable.some(row => isOptionAvailable(brakeModifierTable, row.id, name)));
+        container.innerHTML = (classes.length > 0
+            ? html`<span class="field-note">Brake and suspension mods are only available for ${formatNameList(classes)} ${classes.length === 1 ? 'class' : 'classes'}</span>`
+            : html`<span class="field-note">${activeEdition.title} has no brake and suspension mods</span>`).toString();
         return;
     }
     
@@ -250,8 +365,8 @@ function populateBrakeSuspensionCheckboxes(calculatedClass) {
     
     // Populate with available options for this class
     brakeModifierTable.forEach(row => {
-        const optionId = row[0];
-        const description = row[1];
+        const optionId = row.id;
+        const description = row.description;
         
         if (isOptionAvailable(brakeModifierTable, optionId, calculatedClass)) {
             const modifierValue = getModifierValue(brakeModifierTable, optionId, calculatedClass);
@@ -335,7 +450,7 @@ function updateModificationFieldsState() {
  */
 function updateResultsDisplay(results = null) {
     if (!results) {
-        results = updateCalculations(formData);
+        results = updateCalculations(formData, activeEdition);
     }
 
     // Update weight factor display
@@ -363,10 +478,85 @@ function updateResultsDisplay(results = null) {
     // Update inline results in base information section
     updateInlineResults(results);
     
+    // Update itemized breakdown
+    const breakdownEl = document.getElementById('calculation-breakdown');
+    if (breakdownEl) {
+        breakdownEl.innerHTML = buildBreakdownHtml(results.breakdown).toString();
+    }
+    
     // Update modifier values
     updateModifierValues();
 }
 
+/**
+ * Format a factor with an explicit sign (e.g., "+0.60", "-0.20")
+ * @param {number} value - Factor value
+ * @returns {string} Signed, formatted value
+ */
+function formatSignedNumber(value) {
+    const sign = value >= 0 ? '+' : '';
+    return `${sign}${formatNumber(value)}`;
+}
+
+/**
+ * Build the itemized calculation breakdown as HTML (used on the page and in the print report)
+ * @param {Object} breakdown - results.breakdown from updateCalculations()
+ * @returns {SafeHtml} HTML markup with all text escaped
+ */
+function buildBreakdownHtml(breakdown) {
+    if (!breakdown || breakdown.weightFactorPasses.length === 0) {
+        return html`<p class="breakdown-empty">Enter competition weight and declared HP to see how the class is calculated.</p>`;
+    }
+
+    const modifierRows = breakdown.modifiers.map(item => html`
+            <tr>
+                <td>${item.groupLabel}</td>
+                <td>${item.description || item.optionId}</td>
+                <td>${item.lookupClass}</td>
+                <td class="breakdown-value">${formatSignedNumber(item.value)}</td>
+            </tr>`);
+
+    const skippedRows = breakdown.skipped.map(item => html`
+            <tr>
+                <td>${item.groupLabel}</td>
+                <td>${item.description || item.optionId}</td>
+                <td colspan="2">${item.reason}</td>
+            </tr>`);
+
+    const passRows = breakdown.weightFactorPasses.map(pass => html`
+            <tr>
+                <td>${pass.pass}</td>
+                <td>${pass.triedClass}</td>
+                <td>${pass.weightBand}</td>
+                <td class="breakdown-value">${formatSignedNumber(pass.weightFactor)}</td>
+                <td class="breakdown-value">${formatNumber(pass.modifiedRatio)}</td>
+                <td>${pass.resultingClass}</td>
+            </tr>`);
+
+    return html`
+        <div class="breakdown-section">
+            <div class="breakdown-title">Modification factors (looked up in the ${breakdown.baseClass} column)</div>
+            ${modifierRows.length > 0 ? html`<table class="breakdown-table">
+                <thead><tr><th>Factor</th><th>Option</th><th>Class</th><th>Value</th></tr></thead>
+                <tbody>${modifierRows}</tbody>
+            </table>` : html`<p class="breakdown-empty">No modification factors selected.</p>`}
+        </div>
+        ${skippedRows.length > 0 && html`<div class="breakdown-section">
+            <div class="breakdown-title">Skipped options</div>
+            <table class="breakdown-table">
+                <thead><tr><th>Factor</th><th>Option</th><th colspan="2">Reason</th></tr></thead>
+                <tbody>${skippedRows}</tbody>
+            </table>
+        </div>`}
+        <div class="breakdown-section">
+            <div class="breakdown-title">Weight factor: ${breakdown.weightBand.description} in ${breakdown.weightBand.lookupClass} (${formatSignedNumber(breakdown.weightBand.factor)})</div>
+            <table class="breakdown-table">
+                <thead><tr><th>Pass</th><th>Class tried</th><th>Weight band</th><th>Factor</th><th>Ratio</th><th>Result</th></tr></thead>
+                <tbody>${passRows}</tbody>
+            </table>
+        </div>`;
+}
+
 /**
  * Update inline results next to input fields
  */
@@ -429,10 +619,9 @@ function highlightCalculatedClass(calculatedClass) {
  */
 function updateModifierValues() {
     // Calculate class from current base ratio for modifier lookup
-    const weightNum = parseFloat(formData.competitionWeight);
-    const hpNum = parseFloat(formData.declaredHp);
+    const calculatedClass = getBaseClass();
     
-    if (!weightNum || !hpNum || weightNum <= 0 || hpNum <= 0) {
+    if (!calculatedClass) {
         // Clear all modifier displays if no base info
         ['chassis-modifier', 'body-mods-modifier', 'transmission-modifier', 
          'drivetrain-modifier', 'tires-modifier', 'brake-suspension-modifier'].forEach(id => {
@@ -444,33 +633,13 @@ function updateModifierValues() {
         });
         return;
     }
-    
-    const baseRatio = weightNum / hpNum;
-    let calculatedClass = '';
-    
-    // Determine class from base ratio
-    if (baseRatio < 6.00) {
-        calculatedClass = 'GTU';
-    } else if (baseRatio >= 6.00 && baseRatio < 8.00) {
-        calculatedClass = 'GT1';
-    } else if (baseRatio >= 8.00 && baseRatio < 10.00) {
-        calculatedClass = 'GT2';
-    } else if (baseRatio >= 10.00 && baseRatio < 12.00) {
-        calculatedClass = 'GT3';
-    } else if (baseRatio >= 12.00 && baseRatio < 14.00) {
-        calculatedClass = 'GT4';
-    } else if (baseRatio >= 14.00 && baseRatio < 18.00) {
-        calculatedClass = 'IT1';
-    } else {
-        calculatedClass = 'IT2';
-    }
 
     const modifierFields = [
-        { id: 'chassis', modifierId: 'chassis-modifier', table: chassisModifierTable },
-        { id: 'body-mods', modifierId: 'body-mods-modifier', table: bodyModifierTable },
-        { id: 'transmission', modifierId: 'transmission-modifier', table: transModifierTable },
-        { id: 'drivetrain', modifierId: 'drivetrain-modifier', table: dtModifierTable },
-        { id: 'tires', modifierId: 'tires-modifier', table: tireModifierTable }
+        { id: 'chassis', modifierId: 'chassis-modifier', table: getModifierTable(activeEdition, 'chassis') },
+        { id: 'body-mods', modifierId: 'body-mods-modifier', table: getModifierTable(activeEdition, 'body') },
+        { id: 'transmission', modifierId: 'transmission-modifier', table: getModifierTable(activeEdition, 'trans') },
+        { id: 'drivetrain', modifierId: 'drivetrain-modifier', table: getModifierTable(activeEdition, 'dt') },
+        { id: 'tires', modifierId: 'tires-modifier', table: getModifierTable(activeEdition, 'tire') }
     ];
 
     modifierFields.forEach(field => {
@@ -500,6 +669,7 @@ function updateModifierValues() {
     const brakeModifierEl = document.getElementById('brake-suspension-modifier');
     if (brakeModifierEl && calculatedClass) {
         const checkedBoxes = document.querySelectorAll('#brake-suspension-options input[type="checkbox"]:checked');
+        const brakeModifierTable = getModifierTable(activeEdition, 'brake');
         let totalValue = 0;
         
         checkedBoxes.forEach(checkbox => {
@@ -520,15 +690,368 @@ function updateModifierValues() {
     }
 }
 
+/**
+ * Fill the weight and power unit lists
+ */
+function populateUnitOptions() {
+    ['weight', 'power'].forEach(kind => {
+        const select = document.getElementById(`${kind}-unit`);
+        if (!select) return;
+        select.innerHTML = html`${getUnitOptions(kind).map(({ id, label }) => html`<option value="${id}">${label}</option>`)}`.toString();
+    });
+}
+
+/**
+ * Show weight and power entered in metric units converted to pounds and HP
+ */
+function updateUnitConversions() {
+    const fields = [
+        { fieldId: 'competition-weight', resultId: 'weight-result', kind: 'weight', value: formData.competitionWeight },
+        { fieldId: 'declared-hp', resultId: 'hp-result', kind: 'power', value: formData.declaredHp },
+        { fieldId: 'dyno-hp', resultId: 'dyno-hp-result', kind: 'power', value: formData.dynoHp }
+    ];
+    fields.forEach(({ fieldId, resultId, kind, value }) => {
+        const resultEl = document.getElementById(resultId);
+        if (!resultEl) return;
+        const entered = document.getElementById(fieldId)?.value || '';
+        resultEl.textContent = entered && getUnit(kind) !== getCanonicalUnit(kind)
+            ? `= ${value} ${getUnitLabel(kind, getCanonicalUnit(kind))}`
+            : '--';
+    });
+
+    const dynoUnit = document.getElementById('dyno-hp-unit');
+    if (dynoUnit) dynoUnit.textContent = getUnitLabel('power', getUnit('power'));
+}
+
 /**
  * Handle real-time calculation updates
  */
 function handleCalculationUpdate() {
     updateFormData();
+    updateUnitConversions();
     updateModificationFieldsState();
     updateModifierValues();
-    const results = updateCalculations(formData);
+    const results = updateCalculations(formData, activeEdition);
     updateResultsDisplay(results);
+    updateDynoChecks(updateDynoNormalization());
+    scheduleAnalysisUpdate();
+}
+
+/**
+ * Run the solver, class margins and what-if search once editing pauses
+ * They scan every weight or HP value, too slow to repeat on each keystroke
+ */
+function scheduleAnalysisUpdate() {
+    clearTimeout(analysisTimer);
+    analysisTimer = setTimeout(flushAnalysisUpdate, ANALYSIS_DELAY);
+}
+
+/**
+ * Run a pending solver, class margins and what-if update now
+ */
+function flushAnalysisUpdate() {
+    if (analysisTimer === null) return;
+    clearTimeout(analysisTimer);
+    analysisTimer = null;
+    updateClassMargins();
+    updateSolver();
+    updateWhatIf();
+}
+
+/**
+ * Show how far the car is from each boundary of its calculated class
+ */
+function updateClassMargins() {
+    const marginsEl = document.getElementById('class-margins');
+    if (!marginsEl) return;
+
+    const margins = activeEdition ? calculateClassMargins(formData, activeEdition) : null;
+    if (!margins || !margins.isValid) {
+        marginsEl.innerHTML = '';
+        return;
+    }
+
+    // Margins are worked out in pounds and HP and shown in the units the car was entered in
+    const formatChange = (value, sign, kind) => (value === null ? '--' : `${sign}${formatAmount(kind, value, getUnit(kind))}`);
+    const row = (margin, arrow, hpSign, lbsSign) => html`
+        <tr class="${margin.ratioMargin < TIGHT_MARGIN ? 'margin-tight' : ''}">
+            <td>${arrow} ${margin.className}</td>
+            <td>${formatNumber(margin.ratioMargin)}</td>
+            <td>${formatChange(margin.hp, hpSign, 'power')}</td>
+            <td>${formatChange(margin.lbs, lbsSign, 'weight')}</td>
+        </tr>`;
+
+    marginsEl.innerHTML = html`
+        <div class="class-margins-title">Room left in ${margins.currentClass} before the class changes</div>
+        <table>
+            <thead><tr><th>Toward</th><th>Ratio</th><th>Power</th><th>Weight</th></tr></thead>
+            <tbody>
+                ${margins.faster && row(margins.faster, html`&uarr;`, '+', '-')}
+                ${margins.slower && row(margins.slower, html`&darr;`, '-', '+')}
+            </tbody>
+        </table>
+    `.toString();
+}
+
+/**
+ * Format a solver range for display, in the unit the value is entered in
+ * @param {Object} range - Range from the solver in pounds or HP ({ from, to }; null means open)
+ * @param {string} kind - 'weight' or 'power'
+ * @returns {string} Range text (e.g., "316 HP - 403 HP" or "235.6 kW - 300.5 kW")
+ */
+function formatSolverRange(range, kind) {
+    const amount = (value) => formatAmount(kind, value, getUnit(kind));
+    if (range.from === null) {
+        return `up to ${amount(range.to)}`;
+    }
+    if (range.to === null) {
+        return `${amount(range.from)} and up`;
+    }
+    return range.from === range.to ? amount(range.from) : `${amount(range.from)} - ${amount(range.to)}`;
+}
+
+/**
+ * Run the target class solver against the current form and show the result
+ */
+function updateSolver() {
+    const resultEl = document.getElementById('solver-result');
+    const targetSelect = document.getElementById('solver-target-class');
+    const modeSelect = document.getElementById('solver-mode');
+    if (!resultEl || !targetSelect || !modeSelect) return;
+
+    const targetClass = targetSelect.value;
+    if (!targetClass || !activeEdition) {
+        resultEl.innerHTML = '';
+        return;
+    }
+
+    const solveForHp = modeSelect.value === 'hp';
+    const solution = solveForHp
+        ? solveHpForClass(formData, targetClass, activeEdition)
+        : solveWeightForClass(formData, targetClass, activeEdition);
+
+    if (!solution.isValid) {
+        const needed = solveForHp ? 'competition weight' : 'declared HP';
+        resultEl.innerHTML = html`<p class="breakdown-empty">Enter a ${needed} to solve for ${targetClass}.</p>`.toString();
+        return;
+    }
+
+    const kind = solveForHp ? 'power' : 'weight';
+    const fixed = solveForHp ? describeFieldValue('competition-weight', 'weight') : describeFieldValue('declared-hp', 'power');
+
+    if (solution.ranges.length === 0) {
+        resultEl.innerHTML = html`<p class="solver-error">No ${solveForHp ? 'declared HP' : 'weight'} puts this car in ${targetClass} at ${fixed} with these modifications.</p>`.toString();
+        return;
+    }
+
+    let limitText;
+    if (solution.limit === null) {
+        limitText = solveForHp ? 'No maximum HP' : 'No minimum weight';
+    } else {
+        limitText = `${solveForHp ? 'Max' : 'Min'} ${formatAmount(kind, solution.limit, getUnit(kind))}`;
+    }
+
+    const ranges = solution.ranges.map(range => formatSolverRange(range, kind)).join(', ');
+    resultEl.innerHTML = html`
+        <div class="solver-limit">${limitText}</div>
+        <div>${targetClass} at ${fixed}: <span class="solver-ranges">${ranges}</span></div>
+        ${solution.limitResults && html`<div>Modified ratio at the limit: ${formatNumber(solution.limitResults.modifiedRatio)}</div>`}
+        ${solution.ranges.length > 1 && html`<div class="solver-note">The class changes the modifier and weight factor values, so the car leaves and re-enters this class.</div>`}
+    `.toString();
+}
+
+/**
+ * Render a list of what-if paths
+ * @param {Array} paths - Paths from findModificationPaths()
+ * @returns {SafeHtml} HTML list
+ */
+function buildWhatIfList(paths) {
+    const items = paths.map(path => {
+        const text = path.changes.map(describeChange).join(' + ');
+        const detail = path.changes
+            .map(change => change.toDescription || `No ${change.groupLabel}`)
+            .join('; ');
+        const outcome = `${path.results.calculatedClass} (${formatNumber(path.results.modifiedRatio)})`;
+        return html`<li title="${detail}"><span>${text}</span><span class="whatif-outcome">${outcome}</span></li>`;
+    });
+    return html`<ul class="whatif-list">${items}</ul>`;
+}
+
+/**
+ * Search option changes toward the what-if target class and show the result
+ */
+function updateWhatIf() {
+    const resultEl = document.getElementById('whatif-result');
+    const targetSelect = document.getElementById('whatif-target-class');
+    if (!resultEl || !targetSelect) return;
+
+    const targetClass = targetSelect.value;
+    if (!targetClass || !activeEdition) {
+        resultEl.innerHTML = '';
+        return;
+    }
+
+    const search = findModificationPaths(formData, targetClass, activeEdition);
+    if (!search.isValid) {
+        resultEl.innerHTML = html`<p class="breakdown-empty">${search.error}.</p>`.toString();
+        return;
+    }
+
+    let markup;
+    if (search.inTarget) {
+        markup = html`
+            <div class="breakdown-title">Changes that keep you in ${targetClass}</div>
+            ${search.paths.length > 0
+                ? buildWhatIfList(search.paths)
+                : html`<p class="breakdown-empty">Any single option change moves this car out of its class.</p>`}
+            ${search.dropouts.length > 0 && html`
+                <div class="breakdown-title">Changes that drop you out of ${targetClass}</div>
+                ${buildWhatIfList(search.dropouts)}
+            `}
+        `;
+    } else if (search.paths.length === 0) {
+        markup = html`<p class="solver-error">No combination of up to ${search.maxChanges} option changes moves this car from ${search.currentClass} to ${targetClass}. Try the Target Class Solver for the HP or weight instead.</p>`;
+    } else {
+        const shown = search.totalPaths > search.paths.length
+            ? ` (best ${search.paths.length} of ${search.totalPaths})`
+            : '';
+        markup = html`
+            <div class="breakdown-title">Ways to move from ${search.currentClass} to ${targetClass}${shown}</div>
+            ${buildWhatIfList(search.paths)}
+        `;
+    }
+
+    resultEl.innerHTML = markup.toString();
+}
+
+/**
+ * Check a printed report's integrity code (and class, if chosen) against the vehicle
+ * factors and rules edition entered in the form
+ */
+function verifyPrintout() {
+    const resultEl = document.getElementById('verify-result');
+    const codeInput = document.getElementById('verify-code');
+    const classSelect = document.getElementById('verify-class');
+    if (!resultEl || !codeInput || !classSelect || !activeEdition) return;
+
+    updateFormData();
+    const check = verifyIntegrityCode({ code: codeInput.value, printedClass: classSelect.value }, formData, activeEdition);
+
+    if (!check.results) {
+        resultEl.innerHTML = html`<p class="solver-error">${check.errors[0]}.</p>`.toString();
+        return;
+    }
+
+    const calculated = check.results.calculatedClass || '--';
+    if (check.isValid) {
+        resultEl.innerHTML = html`
+            <div class="verify-ok">Verified: ${calculated} under ${activeEdition.title}</div>
+            <div>The printout matches a fresh calculation from these vehicle factors.</div>
+            ${!classSelect.value && html`<div class="solver-note">Check that this is the class on the printout.</div>`}
+        `.toString();
+        return;
+    }
+
+    resultEl.innerHTML = html`
+        <div class="verify-failed">Not verified</div>
+        <ul class="verify-errors">${check.errors.map(error => html`<li>${error}.</li>`)}</ul>
+        <div>These factors calculate to ${calculated}, code <span class="solver-ranges">${check.code}</span>.</div>
+    `.toString();
+}
+
+/**
+ * Fill the solver, what-if and verify class lists from the active edition
+ */
+function populateSolverClasses() {
+    ['solver-target-class', 'whatif-target-class', 'verify-class'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) populateTargetClassSelect(select);
+    });
+}
+
+/**
+ * Fill a target class select from the active edition, keeping its selection
+ * @param {HTMLSelectElement} select - Target class select
+ */
+function populateTargetClassSelect(select) {
+    if (!activeEdition) return;
+
+    const currentValue = select.value;
+    select.innerHTML = '<option value="">Choose a class</option>';
+    activeEdition.classes.forEach(classDef => {
+        const option = document.createElement('option');
+        option.value = classDef.name;
+        option.textContent = `${classDef.name} (${formatClassRange(classDef)})`;
+        select.appendChild(option);
+    });
+    if (activeEdition.classes.some(c => c.name === currentValue)) {
+        select.value = currentValue;
+    }
+}
+
+/**
+ * Populate the rulebook edition selector
+ */
+function populateEditionSelector() {
+    const select = document.getElementById('rules-edition');
+    if (!select) return;
+
+    select.innerHTML = '';
+    listEditions().forEach(({ edition, title }) => {
+        const option = document.createElement('option');
+        option.value = edition;
+        option.textContent = title;
+        select.appendChild(option);
+    });
+    select.value = activeEdition.edition;
+}
+
+/**
+ * Switch the active rulebook edition, loading its rulebook file if needed
+ * @param {string} editionId - Edition id to switch to (defaults to the current season)
+ * @returns {Promise} Promise that rejects if the rulebook can't be loaded
+ */
+async function setActiveEdition(editionId = null) {
+    const edition = await loadEdition(editionId);
+
+    activeEdition = edition;
+
+    const select = document.getElementById('rules-edition');
+    if (select) select.value = edition.edition;
+
+    const heading = document.getElementById('edition-heading');
+    if (heading) heading.textContent = edition.edition;
+
+    renderClassRanges();
+    populateSolverClasses();
+    populateDynoBasisOptions();
+    renderDynoTableSummary(); // The averaging span can differ between editions
+}
+
+/**
+ * Render the class ranges box from the active edition
+ */
+function renderClassRanges() {
+    const list = document.querySelector('.class-ranges-list');
+    if (!list || !activeEdition) return;
+
+    list.innerHTML = '';
+    activeEdition.classes.forEach(classDef => {
+        const item = document.createElement('div');
+        item.className = 'class-range-item';
+
+        const name = document.createElement('span');
+        name.className = 'class-name';
+        name.textContent = classDef.name;
+
+        const range = document.createElement('span');
+        range.className = 'class-range';
+        range.textContent = formatClassRange(classDef);
+
+        item.appendChild(name);
+        item.appendChild(range);
+        list.appendChild(item);
+    });
 }
 
 /**
@@ -552,6 +1075,7 @@ function handleFileChange(event, fieldName) {
             showFieldError(fileInput.id, typeValidation.error);
             fileInput.value = ''; // Clear invalid file
             if (fileInfoEl) fileInfoEl.textContent = '';
+            if (fieldName === 'dyno_table') readDynoTable(null);
             return;
         }
 
@@ -561,6 +1085,7 @@ function handleFileChange(event, fieldName) {
             showFieldError(fileInput.id, sizeValidation.error);
             fileInput.value = ''; // Clear invalid file
             if (fileInfoEl) fileInfoEl.textContent = '';
+            if (fieldName === 'dyno_table') readDynoTable(null);
             return;
         }
 
@@ -572,47 +1097,498 @@ function handleFileChange(event, fieldName) {
     } else {
         if (fileInfoEl) fileInfoEl.textContent = '';
     }
+
+    if (fieldName === 'dyno_table') readDynoTable(file || null);
 }
 
 /**
- * Handle print button click - creates a printable document with all data
+ * Read an uploaded dyno table and offer its HP figures for the form
+ * @param {File|null} file - Uploaded dyno table, or null when it was removed
  */
-function handlePrint() {
-    // Update form data and calculations to ensure everything is current
-    updateFormData();
-    const results = updateCalculations(formData);
-    
-    const dateGenerated = new Date().toLocaleString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
+async function readDynoTable(file) {
+    dynoTable = null;
+
+    // PDFs and images are only sent along with the form; text exports can be read
+    if (file && file.name.toLowerCase().endsWith('.txt')) {
+        try {
+            dynoTable = { ...parseDynoTable(await file.text()), fileName: file.name, run: null };
+        } catch (error) {
+            console.error('Error reading dyno table:', error);
+            showFieldError('dyno-table', `Could not read ${file.name}`);
+        }
+    }
+
+    renderDynoTableSummary();
+}
+
+/**
+ * Show the figures worked out from the dyno table, and any lines that couldn't be read
+ */
+function renderDynoTableSummary() {
+    const summaryEl = document.getElementById('dyno-table-summary');
+    if (!summaryEl) return;
+    if (!dynoTable || !activeEdition) {
+        summaryEl.innerHTML = '';
+        renderDynoChart();
+        return;
+    }
+
+    const fileErrors = dynoTable.errors.filter(error => error.line === null);
+    const lineErrors = dynoTable.errors.filter(error => error.line !== null);
+    const shownErrors = lineErrors.slice(0, MAX_DYNO_ERRORS_SHOWN);
+    const errorList = lineErrors.length > 0 && html`
+        <div class="dyno-table-errors">
+            <p>${lineErrors.length} line${lineErrors.length === 1 ? '' : 's'} could not be read and ${lineErrors.length === 1 ? 'was' : 'were'} skipped:</p>
+            <ul>
+                ${shownErrors.map(error => html`<li>Line ${error.line}: ${error.message}</li>`)}
+                ${lineErrors.length > shownErrors.length && html`<li>...and ${lineErrors.length - shownErrors.length} more</li>`}
+            </ul>
+        </div>`;
+
+    if (fileErrors.length > 0) {
+        dynoTable.run = null;
+        renderDynoChart();
+        summaryEl.innerHTML = html`
+            <div class="dyno-table-errors">
+                ${fileErrors.map(error => html`<p>${error.message}</p>`)}
+            </div>
+            ${errorList}
+        `.toString();
+        return;
+    }
+
+    const run = summarizeDynoRun(dynoTable.samples, activeEdition);
+    dynoTable.run = run;
+    renderDynoChart();
+
+    const rpm = (value) => `${Math.round(value)} rpm`;
+    let averageText;
+    if (run.averageHp !== null) {
+        averageText = `${formatNumber(run.averageHp, 1)} HP (${rpm(run.averageFromRpm)} - ${rpm(run.averageToRpm)})`;
+    } else if (run.rpmWindow) {
+        averageText = `The run needs to cover at least ${rpm(run.rpmWindow)}`;
+    } else {
+        averageText = `${activeEdition.title} doesn't define an averaged HP`;
+    }
+
+    summaryEl.innerHTML = html`
+        <p class="dyno-table-read">Read ${dynoTable.samples.length} readings from ${rpm(run.minRpm)} to ${rpm(run.maxRpm)}.</p>
+        <dl class="dyno-figures">
+            <dt>Peak HP</dt>
+            <dd>${formatNumber(run.peakHp, 1)} HP at ${rpm(run.peakHpRpm)}</dd>
+            ${run.peakTorque !== null && html`<dt>Peak torque</dt><dd>${formatNumber(run.peakTorque, 1)} lb-ft at ${rpm(run.peakTorqueRpm)}</dd>`}
+            <dt>Averaged HP${run.rpmWindow && ` (best ${rpm(run.rpmWindow)} span)`}</dt>
+            <dd>${averageText}</dd>
+        </dl>
+        <button type="button" id="use-dyno-figures" class="btn btn-small btn-primary">
+            ${run.averageHp !== null
+                ? `Use ${Math.round(run.averageHp)} as Declared HP and ${Math.round(run.peakHp)} as Dyno HP`
+                : `Use ${Math.round(run.peakHp)} as Dyno HP`}
+        </button>
+        ${errorList}
+    `.toString();
+
+    summaryEl.querySelector('#use-dyno-figures').addEventListener('click', () => {
+        const fields = run.averageHp !== null
+            ? { 'declared-hp': run.averageHp, 'dyno-hp': run.peakHp }
+            : { 'dyno-hp': run.peakHp };
+        Object.entries(fields).forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            field.value = fromCanonical('power', Math.round(value), getUnit('power'));
+            clearFieldError(id);
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+        showMessage(run.averageHp !== null
+            ? 'Declared HP and Dyno HP filled in from the dyno table'
+            : 'Dyno HP filled in from the dyno table', 'success');
     });
-    
-    // Get all form values
-    const formValues = {
-        name: document.getElementById('name')?.value || '',
-        email: document.getElementById('email')?.value || '',
-        year: document.getElementById('year')?.value || '',
-        make: document.getElementById('make')?.value || '',
-        model: document.getElementById('model')?.value || '',
-        comments: document.getElementById('comments')?.value || '',
-        competitionWeight: document.getElementById('competition-weight')?.value || '',
-        declaredHp: document.getElementById('declared-hp')?.value || '',
-        dynoHp: document.getElementById('dyno-hp')?.value || '',
-        chassis: getSelectedOptionText('chassis'),
-        bodyMods: getSelectedOptionText('body-mods'),
-        transmission: getSelectedOptionText('transmission'),
-        drivetrain: getSelectedOptionText('drivetrain'),
-        tires: getSelectedOptionText('tires'),
-        brakeSuspension: getBrakeSuspensionSelections()
+}
+
+/**
+ * Draw the dyno curve of the table read from the upload, or hide it if there is none
+ * @param {number|null} cursorRpm - RPM under the pointer, to mark the readings there
+ */
+function renderDynoChart(cursorRpm = null) {
+    const box = document.getElementById('dyno-curve-box');
+    const canvas = document.getElementById('dyno-curve-canvas');
+    if (!box || !canvas) return;
+
+    if (!dynoTable || !dynoTable.run) {
+        box.style.display = 'none';
+        dynoChartLayout = null;
+        return;
+    }
+    box.style.display = 'block';
+
+    // Draw at the screen's pixel density so the lines stay sharp
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const context = canvas.getContext('2d');
+    if (!context || !width || !height) return;
+    const scale = window.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(width * scale) || canvas.height !== Math.round(height * scale)) {
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+    }
+    context.setTransform(scale, 0, 0, scale, 0, 0);
+
+    const { run } = dynoTable;
+    dynoChartLayout = drawDynoChart(context, width, height, dynoTable.samples, run, { cursorRpm });
+    canvas.setAttribute('aria-label', `HP and torque against RPM from ${dynoTable.fileName}: ` +
+        `peak ${formatNumber(run.peakHp, 1)} HP at ${Math.round(run.peakHpRpm)} rpm` +
+        (run.averageHp !== null
+            ? `, averaged ${formatNumber(run.averageHp, 1)} HP from ${Math.round(run.averageFromRpm)} to ${Math.round(run.averageToRpm)} rpm`
+            : ''));
+}
+
+/**
+ * Show the readings under the pointer on the dyno chart
+ * @param {PointerEvent} event - Pointer event over the canvas
+ */
+function handleDynoChartPointer(event) {
+    const readout = document.getElementById('dyno-curve-readout');
+    if (!dynoChartLayout || !dynoTable || !dynoTable.run) return;
+
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const rpm = dynoChartLayout.rpmForX(event.clientX - bounds.left);
+    const reading = event.type === 'pointerleave' ? null : readRunAt(dynoTable.samples, rpm);
+
+    renderDynoChart(reading ? rpm : null);
+    if (readout) {
+        readout.textContent = reading
+            ? `${Math.round(rpm)} rpm: ${formatNumber(reading.hp, 1)} HP` +
+                (reading.torque !== null ? `, ${formatNumber(reading.torque, 1)} lb-ft` : '')
+            : DYNO_CHART_HINT;
+    }
+}
+
+/**
+ * Render the dyno chart as an image for the print report
+ * @returns {string} PNG data URL, or empty string if there is no chart
+ */
+function createDynoChartImage() {
+    if (!dynoTable || !dynoTable.run) return '';
+
+    const canvas = document.createElement('canvas');
+    canvas.width = PRINT_CHART_WIDTH * 2;
+    canvas.height = PRINT_CHART_HEIGHT * 2;
+    const context = canvas.getContext('2d');
+    if (!context) return '';
+    context.scale(2, 2);
+    drawDynoChart(context, PRINT_CHART_WIDTH, PRINT_CHART_HEIGHT, dynoTable.samples, dynoTable.run);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Read the dyno figure and the details of the dyno sheet it came from
+ * @returns {Object} { hp, correction, dynoType, temperature, pressure, humidity } as entered
+ */
+function getDynoEntry() {
+    return {
+        hp: getCanonicalValue('dyno-hp', 'power'),
+        correction: document.getElementById('dyno-correction')?.value || '',
+        dynoType: document.getElementById('dyno-type')?.value || '',
+        temperature: document.getElementById('dyno-temperature')?.value || '',
+        pressure: document.getElementById('dyno-pressure')?.value || '',
+        humidity: document.getElementById('dyno-humidity')?.value || ''
     };
-    
-    // Build HTML content optimized for single page
-    const printContent = `<!DOCTYPE html>
-<html>
-<head>
+}
+
+/**
+ * Fill the correction standard and dyno type lists, naming the active edition's
+ * basis as the choice for figures already on it
+ */
+function populateDynoBasisOptions() {
+    const basis = activeEdition && activeEdition.dynoBasis;
+    const lists = [
+        { id: 'dyno-correction', labels: CORRECTION_LABELS, rulesValue: basis && basis.correction },
+        { id: 'dyno-type', labels: DYNO_TYPE_LABELS, rulesValue: basis && basis.dynoType }
+    ];
+
+    lists.forEach(({ id, labels, rulesValue }) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = html`
+            <option value="">${rulesValue ? `As the rules (${labels[rulesValue]})` : '-- Select --'}</option>
+            ${Object.entries(labels).map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+        `.toString();
+        select.value = selected;
+    });
+}
+
+/**
+ * Convert the dyno figure to the active edition's basis and show the steps
+ * @returns {Object} Result of normalizeDynoHp()
+ */
+function updateDynoNormalization() {
+    const normalization = normalizeDynoHp(getDynoEntry(), activeEdition);
+    const resultEl = document.getElementById('dyno-normalized');
+
+    clearFieldError('dyno-details');
+    if (!normalization.isValid) {
+        showFieldError('dyno-details', normalization.errors.join('. '));
+    }
+    if (!resultEl) return normalization;
+
+    const basis = activeEdition && activeEdition.dynoBasis;
+    if (normalization.hp === null) {
+        resultEl.innerHTML = '';
+        return normalization;
+    }
+    resultEl.innerHTML = html`
+        <table class="dyno-steps">
+            <tbody>
+                ${normalization.steps.map(step => html`<tr><td>${step.label}</td><td>${formatNumber(step.hp, 1)} HP</td></tr>`)}
+            </tbody>
+        </table>
+        <div>Dyno HP${basis && ` on the rules basis (${describeDynoBasis(basis.correction, basis.dynoType)})`}: <strong>${formatNumber(normalization.hp, 1)} HP</strong></div>
+    `.toString();
+    return normalization;
+}
+
+/**
+ * Check whether a dyno chart is attached
+ * @returns {boolean} True if a file is chosen for the dyno chart
+ */
+function hasDynoChart() {
+    const input = document.getElementById('dyno-chart');
+    return Boolean(input && input.files && input.files.length > 0);
+}
+
+/**
+ * Check the dyno figure against the declared HP and show the results by the dyno fields
+ * @param {Object} normalization - Result of updateDynoNormalization()
+ * @returns {Object} Result of checkDynoConsistency()
+ */
+function updateDynoChecks(normalization) {
+    const checks = checkDynoConsistency(formData, activeEdition, { hp: normalization.hp, hasChart: hasDynoChart() });
+    const checksEl = document.getElementById('dyno-checks');
+    if (!checksEl) return checks;
+
+    const { classChange } = checks;
+    if (checks.errors.length === 0 && checks.warnings.length === 0 && !classChange) {
+        checksEl.innerHTML = '';
+        return checks;
+    }
+    checksEl.innerHTML = html`
+        ${checks.errors.map(error => html`<p class="dyno-check dyno-check-error">${error}</p>`)}
+        ${checks.warnings.map(warning => html`<p class="dyno-check dyno-check-warning">${warning}</p>`)}
+        ${classChange && html`<p class="dyno-check${classChange.dynoClass !== classChange.declaredClass ? ' dyno-check-warning' : ''}">${classChange.message}</p>`}
+    `.toString();
+    return checks;
+}
+
+/**
+ * Class every car in a dropped or chosen CSV entry list
+ * @param {File} file - CSV file
+ */
+async function handleBatchFile(file) {
+    const resultsEl = document.getElementById('batch-results');
+    clearFieldError('batch-csv');
+    if (!resultsEl || !file) return;
+
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+        showFieldError('batch-csv', 'Please choose a .csv file');
+        return;
+    }
+
+    let csvText;
+    try {
+        csvText = await file.text();
+    } catch (error) {
+        console.error('Error reading batch CSV:', error);
+        showFieldError('batch-csv', `Could not read ${file.name}`);
+        return;
+    }
+
+    const { csv, entries, summary, errors } = classifyEntryList(csvText, activeEdition);
+    if (batchDownloadUrl) {
+        URL.revokeObjectURL(batchDownloadUrl);
+        batchDownloadUrl = null;
+    }
+    if (errors.length > 0) {
+        resultsEl.innerHTML = '';
+        showFieldError('batch-csv', errors.join('. '));
+        return;
+    }
+
+    const downloadName = file.name.replace(/\.csv$/i, '') + '-classed.csv';
+    const downloadUrl = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    batchDownloadUrl = downloadUrl;
+
+    const rows = entries.map(entry => {
+        const car = [entry.year, entry.make, entry.model].filter(v => v).join(' ') || '--';
+        const warnings = entry.warnings.length > 0 && html`<span class="batch-warning">${entry.warnings.join('; ')}</span>`;
+        const outcome = entry.results
+            ? html`<td>${entry.results.calculatedClass}</td><td>${formatNumber(entry.results.modifiedRatio)}</td><td>${warnings}</td>`
+            : html`<td>--</td><td>--</td><td><span class="batch-error">${entry.errors.join('; ')}</span> ${warnings}</td>`;
+        return html`<tr><td>${entry.line}</td><td>${car}</td>${outcome}</tr>`;
+    });
+
+    resultsEl.innerHTML = html`
+        <div class="batch-summary">
+            <span>${summary.classed} of ${summary.total} cars classed under ${activeEdition.title}</span>
+            <a class="btn btn-small btn-primary" href="${downloadUrl}" download="${downloadName}">Download annotated CSV</a>
+        </div>
+        <table class="batch-table">
+            <thead><tr><th>Line</th><th>Car</th><th>Class</th><th>Modified Ratio</th><th>Errors</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `.toString();
+}
+
+/**
+ * Show a rulebook load failure in place of the calculator
+ * @param {Error} error - Load error, optionally carrying an errors array
+ */
+function showRulebookError(error) {
+    console.error('Rulebook failed to load:', error);
+
+    const layout = document.querySelector('.main-layout');
+    if (layout) layout.style.display = 'none';
+
+    const errorBox = document.getElementById('rulebook-error');
+    if (!errorBox) {
+        alert(error.message);
+        return;
+    }
+
+    errorBox.innerHTML = '';
+    const heading = document.createElement('h2');
+    heading.textContent = 'The classing rules could not be loaded';
+    const summary = document.createElement('p');
+    summary.textContent = error.message;
+    errorBox.appendChild(heading);
+    errorBox.appendChild(summary);
+
+    if (error.errors && error.errors.length > 0) {
+        const list = document.createElement('ul');
+        error.errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            list.appendChild(item);
+        });
+        errorBox.appendChild(list);
+    }
+
+    errorBox.style.display = 'block';
+}
+
+/**
+ * Read the form as shown to the user, for the print report and the PDF classing sheet
+ * @returns {Object} Entered text and the descriptions of the selected options
+ */
+function getReportValues() {
+    const dyno = normalizeDynoHp(getDynoEntry(), activeEdition);
+    const basis = activeEdition && activeEdition.dynoBasis;
+    return {
+        name: document.getElementById('name')?.value || '',
+        email: document.getElementById('email')?.value || '',
+        year: document.getElementById('year')?.value || '',
+        make: document.getElementById('make')?.value || '',
+        model: document.getElementById('model')?.value || '',
+        comments: document.getElementById('comments')?.value || '',
+        competitionWeight: describeEnteredValue('weight', document.getElementById('competition-weight')?.value || '', getUnit('weight')),
+        declaredHp: describeEnteredValue('power', document.getElementById('declared-hp')?.value || '', getUnit('power')),
+        dynoHp: describeEnteredValue('power', document.getElementById('dyno-hp')?.value || '', getUnit('power')),
+        dynoBasis: dyno.enteredBasis,
+        // Only shown when the figure had to be converted
+        dynoNormalized: dyno.hp !== null && dyno.steps.length > 1 && basis
+            ? `${formatNumber(dyno.hp, 1)} (${describeDynoBasis(basis.correction, basis.dynoType)})`
+            : '',
+        dynoChecks: describeDynoChecks(checkDynoConsistency(formData, activeEdition, { hp: dyno.hp, hasChart: hasDynoChart() })),
+        chassis: getSelectedOptionText('chassis'),
+        bodyMods: getSelectedOptionText('body-mods'),
+        transmission: getSelectedOptionText('transmission'),
+        drivetrain: getSelectedOptionText('drivetrain'),
+        tires: getSelectedOptionText('tires'),
+        brakeSuspension: getBrakeSuspensionSelections()
+    };
+}
+
+/**
+ * Build the PDF classing sheet for the current form
+ * @returns {Object} { blob, filename }
+ */
+function createClassingSheet() {
+    updateFormData();
+    const results = updateCalculations(formData, activeEdition);
+    const values = getReportValues();
+
+    const integrityCode = createIntegrityCode(formData, activeEdition, results);
+
+    const bytes = buildClassingSheet({ edition: activeEdition, results, values, integrityCode, link: getShareUrl() });
+    const carName = [values.year, values.make, values.model]
+        .filter(v => v)
+        .join('-')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    return {
+        blob: new Blob([bytes], { type: 'application/pdf' }),
+        filename: `wcma-classing${carName ? '-' + carName : ''}.pdf`
+    };
+}
+
+/**
+ * Handle PDF button click - downloads the classing sheet as a PDF file
+ */
+function downloadClassingSheet() {
+    if (!activeEdition) return;
+
+    let sheet;
+    try {
+        sheet = createClassingSheet();
+    } catch (error) {
+        console.error('Error building classing sheet:', error);
+        showMessage('Could not create the PDF: ' + error.message, 'error');
+        return;
+    }
+
+    const url = URL.createObjectURL(sheet.blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = sheet.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Handle print button click - creates a printable document with all data
+ */
+function handlePrint() {
+    if (!activeEdition) return;
+
+    // Update form data and calculations to ensure everything is current
+    updateFormData();
+    const results = updateCalculations(formData, activeEdition);
+    const integrityCode = createIntegrityCode(formData, activeEdition, results);
+    const qrCode = new SafeHtml(qrCodeToSvg(createQrCode(getShareUrl()), { size: '1.1in' }));
+    const dynoChartImage = createDynoChartImage();
+    
+    const dateGenerated = new Date().toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+    
+    // Get all form values
+    const formValues = getReportValues();
+    
+    const notProvided = html`<span class="empty">Not provided</span>`;
+    const notSelected = html`<span class="empty">Not selected</span>`;
+    
+    // Build HTML content optimized for single page
+    // Every value goes through html`` so user-entered text is escaped
+    const printContent = html`<!DOCTYPE html>
+<html>
+<head>
     <meta charset="UTF-8">
     <title>WCMA Classing Calculator - Print</title>
     <style>
@@ -713,6 +1689,48 @@ function handlePrint() {
             margin-top: 3px;
             font-size: 10pt;
         }
+        .results-row {
+            display: flex;
+            align-items: center;
+            gap: 12px;
+            margin: 10px 0;
+        }
+        .results-row .results-box {
+            flex: 1;
+            margin: 0;
+        }
+        .qr-link {
+            width: 1.1in;
+            text-align: center;
+            font-size: 7pt;
+            color: #666;
+        }
+        .qr-link svg {
+            display: block;
+        }
+        .integrity-code {
+            margin-top: 6px;
+            font-size: 8pt;
+            text-align: center;
+        }
+        .integrity-code strong {
+            font-family: 'Courier New', monospace;
+            font-size: 10pt;
+            letter-spacing: 1px;
+        }
+        .dyno-curve {
+            margin-bottom: 10px;
+        }
+        .dyno-curve img {
+            display: block;
+            width: 100%;
+            height: auto;
+        }
+        .dyno-curve-note {
+            font-size: 8pt;
+            color: #666;
+            margin-top: 2px;
+        }
         .class-ranges {
             margin-top: 10px;
             border-top: 1px solid #333;
@@ -737,12 +1755,40 @@ function handlePrint() {
             color: #999;
             font-style: italic;
         }
+        .breakdown-section {
+            margin-bottom: 6px;
+        }
+        .breakdown-title {
+            font-size: 9pt;
+            font-weight: bold;
+            margin-bottom: 2px;
+        }
+        .breakdown-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 8pt;
+        }
+        .breakdown-table th,
+        .breakdown-table td {
+            text-align: left;
+            padding: 1px 4px;
+            border-bottom: 1px solid #ddd;
+        }
+        .breakdown-table .breakdown-value {
+            text-align: right;
+            white-space: nowrap;
+        }
+        .breakdown-empty {
+            color: #999;
+            font-style: italic;
+            font-size: 8pt;
+        }
     </style>
 </head>
 <body>
     <div class="header">
-        <h1>WCMA Classing Calculator - 2026</h1>
-        <div class="date-generated">Date Generated: ${dateGenerated}</div>
+        <h1>WCMA Classing Calculator - ${activeEdition.edition}</h1>
+        <div class="date-generated">Rules: ${activeEdition.title} &middot; Date Generated: ${dateGenerated}</div>
     </div>
     
     <div class="content-grid">
@@ -750,115 +1796,111 @@ function handlePrint() {
             <div class="section-title">Contact Information</div>
             <div class="form-row">
                 <div class="form-label">Name:</div>
-                <div class="form-value">${formValues.name || '<span class="empty">Not provided</span>'}</div>
+                <div class="form-value">${formValues.name || notProvided}</div>
             </div>
             <div class="form-row">
                 <div class="form-label">Email:</div>
-                <div class="form-value">${formValues.email || '<span class="empty">Not provided</span>'}</div>
+                <div class="form-value">${formValues.email || notProvided}</div>
             </div>
             <div class="form-row">
                 <div class="form-label">Vehicle:</div>
                 <div class="form-value">${formValues.year || ''} ${formValues.make || ''} ${formValues.model || ''}</div>
             </div>
-            ${formValues.comments ? `<div class="form-row"><div class="form-label">Comments:</div><div class="form-value">${formValues.comments}</div></div>` : ''}
+            ${formValues.comments && html`<div class="form-row"><div class="form-label">Comments:</div><div class="form-value">${multiline(formValues.comments)}</div></div>`}
         </div>
         
         <div class="section">
             <div class="section-title">Vehicle Factors</div>
             <div class="form-row">
                 <div class="form-label">Competition Weight:</div>
-                <div class="form-value">${formValues.competitionWeight || '<span class="empty">Not provided</span>'}</div>
+                <div class="form-value">${formValues.competitionWeight || notProvided}</div>
             </div>
             <div class="form-row">
                 <div class="form-label">Declared HP:</div>
-                <div class="form-value">${formValues.declaredHp || '<span class="empty">Not provided</span>'}</div>
+                <div class="form-value">${formValues.declaredHp || notProvided}</div>
             </div>
-            ${formValues.dynoHp ? `<div class="form-row"><div class="form-label">Dyno HP:</div><div class="form-value">${formValues.dynoHp}</div></div>` : ''}
+            ${formValues.dynoHp && html`<div class="form-row"><div class="form-label">Dyno HP:</div><div class="form-value">${formValues.dynoHp}${formValues.dynoBasis && ` - ${formValues.dynoBasis}`}</div></div>`}
+            ${formValues.dynoNormalized && html`<div class="form-row"><div class="form-label">Dyno HP, Rules Basis:</div><div class="form-value">${formValues.dynoNormalized}</div></div>`}
+            ${formValues.dynoChecks && html`<div class="form-row"><div class="form-label">Dyno Checks:</div><div class="form-value">${multiline(formValues.dynoChecks)}</div></div>`}
             <div class="form-row">
                 <div class="form-label">Chassis:</div>
-                <div class="form-value">${formValues.chassis || '<span class="empty">Not selected</span>'}</div>
+                <div class="form-value">${formValues.chassis || notSelected}</div>
             </div>
             <div class="form-row">
                 <div class="form-label">Body Mods:</div>
-                <div class="form-value">${formValues.bodyMods || '<span class="empty">Not selected</span>'}</div>
+                <div class="form-value">${formValues.bodyMods || notSelected}</div>
             </div>
             <div class="form-row">
                 <div class="form-label">Transmission:</div>
-                <div class="form-value">${formValues.transmission || '<span class="empty">Not selected</span>'}</div>
+                <div class="form-value">${formValues.transmission || notSelected}</div>
             </div>
             <div class="form-row">
                 <div class="form-label">Drivetrain:</div>
-                <div class="form-value">${formValues.drivetrain || '<span class="empty">Not selected</span>'}</div>
+                <div class="form-value">${formValues.drivetrain || notSelected}</div>
             </div>
             <div class="form-row">
                 <div class="form-label">Tires:</div>
-                <div class="form-value">${formValues.tires || '<span class="empty">Not selected</span>'}</div>
+                <div class="form-value">${formValues.tires || notSelected}</div>
             </div>
-            ${formValues.brakeSuspension ? `<div class="form-row"><div class="form-label">Brake & Susp:</div><div class="form-value">${formValues.brakeSuspension}</div></div>` : ''}
+            ${formValues.brakeSuspension && html`<div class="form-row"><div class="form-label">Brake &amp; Susp:</div><div class="form-value">${formValues.brakeSuspension}</div></div>`}
         </div>
         
         <div class="section results-section">
-            <div class="results-box">
-                <div class="results-title">Calculation Results</div>
-                <div class="result-item">
-                    <span class="result-label">Weight Factor:</span>
-                    <span class="result-value">${results.weightFactor !== undefined && results.weightFactor !== null ? (results.weightFactor >= 0 ? '+' : '') + formatNumber(results.weightFactor) : '--'}</span>
-                </div>
-                <div class="result-item">
-                    <span class="result-label">Base Ratio:</span>
-                    <span class="result-value">${results.baseRatio > 0 ? formatNumber(results.baseRatio) : '--'}</span>
-                </div>
-                <div class="result-item">
-                    <span class="result-label">Additional Mod Factors:</span>
-                    <span class="result-value">${formatNumber(results.modificationFactor)}</span>
-                </div>
-                <div class="result-item">
-                    <span class="result-label">Modified Ratio:</span>
-                    <span class="result-value">${results.modifiedRatio > 0 ? formatNumber(results.modifiedRatio) : formatNumber(results.baseRatio)}</span>
+            <div class="results-row">
+                <div class="results-box">
+                    <div class="results-title">Calculation Results</div>
+                    <div class="result-item">
+                        <span class="result-label">Weight Factor:</span>
+                        <span class="result-value">${results.weightFactor !== undefined && results.weightFactor !== null ? (results.weightFactor >= 0 ? '+' : '') + formatNumber(results.weightFactor) : '--'}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Base Ratio:</span>
+                        <span class="result-value">${results.baseRatio > 0 ? formatNumber(results.baseRatio) : '--'}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Additional Mod Factors:</span>
+                        <span class="result-value">${formatNumber(results.modificationFactor)}</span>
+                    </div>
+                    <div class="result-item">
+                        <span class="result-label">Modified Ratio:</span>
+                        <span class="result-value">${results.modifiedRatio > 0 ? formatNumber(results.modifiedRatio) : formatNumber(results.baseRatio)}</span>
+                    </div>
+                    <div class="result-item highlight">
+                        <span class="result-label">Calculated Class:</span>
+                        <span class="result-value">${results.calculatedClass || '--'}</span>
+                    </div>
+                    <div class="integrity-code">Integrity code: <strong>${integrityCode}</strong> - check it with Verify a Printout in the calculator</div>
                 </div>
-                <div class="result-item highlight">
-                    <span class="result-label">Calculated Class:</span>
-                    <span class="result-value">${results.calculatedClass || '--'}</span>
+                <div class="qr-link">
+                    ${qrCode}
+                    Scan to open this configuration in the calculator
                 </div>
             </div>
             
+            ${dynoChartImage && html`<div class="dyno-curve">
+                <div class="section-title">Dyno Curve</div>
+                <img src="${dynoChartImage}" alt="HP and torque against RPM from the uploaded dyno table">
+                <div class="dyno-curve-note">From ${dynoTable.fileName}: peak ${formatNumber(dynoTable.run.peakHp, 1)} HP at ${Math.round(dynoTable.run.peakHpRpm)} rpm${dynoTable.run.averageHp !== null && `, averaged ${formatNumber(dynoTable.run.averageHp, 1)} HP from ${Math.round(dynoTable.run.averageFromRpm)} to ${Math.round(dynoTable.run.averageToRpm)} rpm (shaded)`}</div>
+            </div>`}
+            
+            <div class="breakdown">
+                <div class="section-title">Calculation Breakdown</div>
+                ${buildBreakdownHtml(results.breakdown)}
+            </div>
+            
             <div class="class-ranges">
                 <div class="section-title">Class Ranges</div>
                 <div class="class-ranges-grid">
-                    <div class="class-range-item ${results.calculatedClass === 'GTU' ? 'active' : ''}">
-                        <span>GTU</span>
-                        <span>&lt; 6.00</span>
-                    </div>
-                    <div class="class-range-item ${results.calculatedClass === 'GT1' ? 'active' : ''}">
-                        <span>GT1</span>
-                        <span>6.00-7.99</span>
-                    </div>
-                    <div class="class-range-item ${results.calculatedClass === 'GT2' ? 'active' : ''}">
-                        <span>GT2</span>
-                        <span>8.00-9.99</span>
-                    </div>
-                    <div class="class-range-item ${results.calculatedClass === 'GT3' ? 'active' : ''}">
-                        <span>GT3</span>
-                        <span>10.00-11.99</span>
-                    </div>
-                    <div class="class-range-item ${results.calculatedClass === 'GT4' ? 'active' : ''}">
-                        <span>GT4</span>
-                        <span>12.00-13.99</span>
-                    </div>
-                    <div class="class-range-item ${results.calculatedClass === 'IT1' ? 'active' : ''}">
-                        <span>IT1</span>
-                        <span>14.00-17.99</span>
-                    </div>
-                    <div class="class-range-item ${results.calculatedClass === 'IT2' ? 'active' : ''}">
-                        <span>IT2</span>
-                        <span>&gt;= 18.00</span>
-                    </div>
+                    ${activeEdition.classes.map(classDef => html`<div class="class-range-item ${results.calculatedClass === classDef.name ? 'active' : ''}">
+                        <span>${classDef.name}</span>
+                        <span>${formatClassRange(classDef)}</span>
+                    </div>`)}
                 </div>
             </div>
         </div>
     </div>
 </body>
-</html>`;
+</html>`.toString();
     
     // Try to open new window
     const printWindow = window.open('', '_blank', 'width=900,height=700');
@@ -920,284 +1962,1284 @@ function handlePrint() {
 }
 
 /**
- * Get the display text for a selected option
+ * Get the display text for a selected option
+ */
+function getSelectedOptionText(selectId) {
+    const select = document.getElementById(selectId);
+    if (!select || !select.value) return '';
+    const selectedOption = select.options[select.selectedIndex];
+    return selectedOption ? selectedOption.textContent.replace(/\s*\([^)]*\)\s*$/, '') : '';
+}
+
+/**
+ * Get brake/suspension selections as formatted text
+ */
+function getBrakeSuspensionSelections() {
+    const checkboxes = document.querySelectorAll('#brake-suspension-options input[type="checkbox"]:checked');
+    if (checkboxes.length === 0) return '';
+    const selections = Array.from(checkboxes).map(cb => {
+        const label = document.querySelector(`label[for="${cb.id}"]`);
+        if (label) {
+            return label.textContent.replace(/\s*\([^)]*\)\s*$/, '');
+        }
+        return '';
+    }).filter(text => text);
+    return selections.join(', ');
+}
+
+/**
+ * Get all form data for saving (excluding file inputs)
+ */
+function getAllFormDataForSave() {
+    return {
+        name: document.getElementById('name')?.value || '',
+        email: document.getElementById('email')?.value || '',
+        year: document.getElementById('year')?.value || '',
+        make: document.getElementById('make')?.value || '',
+        model: document.getElementById('model')?.value || '',
+        comments: document.getElementById('comments')?.value || '',
+        // Stored in pounds and HP, with the units to show them in
+        competitionWeight: getCanonicalValue('competition-weight', 'weight'),
+        declaredHp: getCanonicalValue('declared-hp', 'power'),
+        dynoHp: getCanonicalValue('dyno-hp', 'power'),
+        weightUnit: getUnit('weight'),
+        powerUnit: getUnit('power'),
+        dynoCorrection: document.getElementById('dyno-correction')?.value || '',
+        dynoType: document.getElementById('dyno-type')?.value || '',
+        dynoTemperature: document.getElementById('dyno-temperature')?.value || '',
+        dynoPressure: document.getElementById('dyno-pressure')?.value || '',
+        dynoHumidity: document.getElementById('dyno-humidity')?.value || '',
+        chassis: document.getElementById('chassis')?.value || '',
+        bodyMods: document.getElementById('body-mods')?.value || '',
+        transmission: document.getElementById('transmission')?.value || '',
+        drivetrain: document.getElementById('drivetrain')?.value || '',
+        tires: document.getElementById('tires')?.value || '',
+        brakeSuspension: getBrakeSuspensionValues(),
+        edition: activeEdition.edition,
+        savedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Open the garage, moving configurations saved by earlier versions into it first
+ * @returns {Promise} Resolves once the garage can be used; rejects if it can't be opened
+ */
+function openGarage() {
+    if (!garageReady) {
+        garageReady = migrateLegacyConfigurations().then(count => {
+            if (count > 0) {
+                showMessage(`Moved ${count} saved configuration${count === 1 ? '' : 's'} into the garage`, 'success');
+            }
+        }).catch(error => {
+            garageReady = null; // Try again next time
+            throw error;
+        });
+    }
+    return garageReady;
+}
+
+/**
+ * Read every garage setup, with its car's name attached as car
+ * @returns {Promise<Array>} Setups
+ */
+async function getGarageSetups() {
+    await openGarage();
+    const { cars, setups } = await getGarage();
+    return setups.map(setup => {
+        const car = cars.find(c => c.id === setup.carId);
+        return { ...setup, car: car ? car.name : '' };
+    });
+}
+
+/**
+ * Show the save dialog: pick or name the car, name and tag the setup
+ */
+async function showSaveModal() {
+    let garage;
+    try {
+        await openGarage();
+        garage = await getGarage();
+    } catch (error) {
+        console.error('Error opening the garage:', error);
+        alert('Configurations cannot be saved because the garage could not be opened: ' + error.message);
+        return;
+    }
+
+    let modal = document.getElementById('save-config-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'save-config-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Save to Garage</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body garage-save-form">
+                    <div class="form-group">
+                        <label for="save-car">Car</label>
+                        <select id="save-car"></select>
+                    </div>
+                    <div class="form-group" id="save-new-car">
+                        <label for="save-car-name">New car name</label>
+                        <input type="text" id="save-car-name">
+                    </div>
+                    <div class="form-group">
+                        <label for="save-setup">Save as</label>
+                        <select id="save-setup"></select>
+                        <p class="solver-note" id="save-setup-note">The setup's previous values are kept in the car's history.</p>
+                    </div>
+                    <div class="form-group">
+                        <label for="save-setup-name">Setup name</label>
+                        <input type="text" id="save-setup-name" placeholder="e.g. Dry setup">
+                    </div>
+                    <div class="form-group">
+                        <label for="save-setup-tags">Tags</label>
+                        <input type="text" id="save-setup-tags" placeholder="e.g. 2026 season, wet setup">
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-primary" id="confirm-save-config">Save</button>
+                    <button type="button" class="btn btn-secondary" id="cancel-save-config">Cancel</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const closeSave = () => {
+            modal.style.display = 'none';
+        };
+        modal.querySelector('.modal-close').addEventListener('click', closeSave);
+        modal.querySelector('#cancel-save-config').addEventListener('click', closeSave);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeSave();
+        });
+
+        // The car name is only asked for when saving to a new car
+        modal.querySelector('#save-car').addEventListener('change', (e) => {
+            modal.querySelector('#save-new-car').style.display = e.target.value ? 'none' : '';
+            populateSaveSetupOptions(e.target.value, '');
+        });
+        modal.querySelector('#save-setup').addEventListener('change', (e) => {
+            selectSaveSetup(e.target.value);
+        });
+        modal.querySelector('#confirm-save-config').addEventListener('click', saveConfiguration);
+    }
+
+    saveDialogSetups = garage.setups;
+    
+    // Preselect the setup last loaded, or else the car matching the year, make and model in the form
+    const carName = getCarName(getAllFormDataForSave());
+    const cars = [...garage.cars].sort((a, b) => a.name.localeCompare(b.name));
+    const loadedSetup = garage.setups.find(setup => setup.id === loadedSetupId);
+    const matchingCar = loadedSetup
+        ? cars.find(car => car.id === loadedSetup.carId)
+        : cars.find(car => car.name.toLowerCase() === carName.toLowerCase());
+
+    const carSelect = modal.querySelector('#save-car');
+    carSelect.innerHTML = html`
+        <option value="">New car</option>
+        ${cars.map(car => html`<option value="${car.id}">${car.name}</option>`)}
+    `.toString();
+    carSelect.value = matchingCar ? matchingCar.id : '';
+    modal.querySelector('#save-new-car').style.display = matchingCar ? 'none' : '';
+    modal.querySelector('#save-car-name').value = carName;
+    populateSaveSetupOptions(carSelect.value, loadedSetup ? loadedSetup.id : '');
+
+    modal.style.display = 'flex';
+    modal.querySelector('#save-setup-name').focus();
+}
+
+/**
+ * Fill the save dialog's setup list with the setups of a car
+ * @param {string} carId - Car id, or empty for a new car
+ * @param {string} setupId - Setup to select, or empty for a new setup
+ */
+function populateSaveSetupOptions(carId, setupId) {
+    const setups = saveDialogSetups
+        .filter(setup => carId && setup.carId === carId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    
+    const setupSelect = document.getElementById('save-setup');
+    setupSelect.innerHTML = html`
+        <option value="">New setup</option>
+        ${setups.map(setup => html`<option value="${setup.id}">Update "${setup.name}"</option>`)}
+    `.toString();
+    setupSelect.value = setups.some(setup => setup.id === setupId) ? setupId : '';
+    selectSaveSetup(setupSelect.value);
+}
+
+/**
+ * Fill the save dialog's name and tags from the setup being updated
+ * @param {string} setupId - Setup id, or empty for a new setup
+ */
+function selectSaveSetup(setupId) {
+    const setup = saveDialogSetups.find(s => s.id === setupId);
+    document.getElementById('save-setup-name').value = setup ? setup.name : '';
+    document.getElementById('save-setup-tags').value = setup ? setup.tags.join(', ') : '';
+    document.getElementById('save-setup-note').style.display = setup ? '' : 'none';
+}
+
+/**
+ * Save the current form as a setup, using the choices in the save dialog
+ * @returns {Promise<Object|null>} Saved setup, or null if it wasn't saved
+ */
+async function saveConfiguration() {
+    const modal = document.getElementById('save-config-modal');
+    const carId = modal.querySelector('#save-car').value;
+    const carName = modal.querySelector('#save-car-name').value;
+
+    if (!carId && !carName.trim()) {
+        showMessage('Please enter a name for the new car', 'error');
+        return null;
+    }
+
+    try {
+        const { car, setup, updated } = await saveSetup({
+            carId,
+            carName,
+            setupId: carId ? modal.querySelector('#save-setup').value : '',
+            name: modal.querySelector('#save-setup-name').value,
+            tags: parseTags(modal.querySelector('#save-setup-tags').value),
+            data: getAllFormDataForSave()
+        });
+        console.log('Configuration saved:', car.name, setup.name);
+
+        loadedSetupId = setup.id;
+        modal.style.display = 'none';
+        showMessage(updated
+            ? `Updated "${setup.name}" - the previous values are in ${car.name}'s history`
+            : `Saved "${setup.name}" to ${car.name}`, 'success');
+        return setup;
+    } catch (error) {
+        console.error('Error saving configuration:', error);
+        if (error.name === 'QuotaExceededError') {
+            alert('Storage quota exceeded. Please delete some saved setups first.');
+        } else {
+            alert('An error occurred while saving the configuration: ' + error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Restore the rules edition and vehicle factors into the form and recalculate
+ * Contact details are left as they are
+ * @param {Object} data - Saved configuration data or a decoded share link
+ * @returns {Promise} Resolves once the form is restored; rejects if the edition can't be loaded
+ */
+async function restoreVehicleFactors(data) {
+    // Configurations saved before editions existed were made under the default rules
+    await setActiveEdition(data.edition || getDefaultEditionId());
+    
+    // Configurations saved before units could be chosen are in pounds and HP; unknown units are ignored
+    if (document.getElementById('weight-unit')) document.getElementById('weight-unit').value = isKnownUnit('weight', data.weightUnit) ? data.weightUnit : getCanonicalUnit('weight');
+    if (document.getElementById('power-unit')) document.getElementById('power-unit').value = isKnownUnit('power', data.powerUnit) ? data.powerUnit : getCanonicalUnit('power');
+    if (document.getElementById('competition-weight')) document.getElementById('competition-weight').value = fromCanonical('weight', data.competitionWeight || '', getUnit('weight'));
+    if (document.getElementById('declared-hp')) document.getElementById('declared-hp').value = fromCanonical('power', data.declaredHp || '', getUnit('power'));
+    if (document.getElementById('dyno-hp')) document.getElementById('dyno-hp').value = fromCanonical('power', data.dynoHp || '', getUnit('power'));
+    if (document.getElementById('dyno-correction')) document.getElementById('dyno-correction').value = data.dynoCorrection || '';
+    if (document.getElementById('dyno-type')) document.getElementById('dyno-type').value = data.dynoType || '';
+    if (document.getElementById('dyno-temperature')) document.getElementById('dyno-temperature').value = data.dynoTemperature || '';
+    if (document.getElementById('dyno-pressure')) document.getElementById('dyno-pressure').value = data.dynoPressure || '';
+    if (document.getElementById('dyno-humidity')) document.getElementById('dyno-humidity').value = data.dynoHumidity || '';
+    
+    // Update form data first to populate modifier options
+    updateFormData();
+    updateModificationFieldsState();
+    
+    // Wait a moment for modifier options to populate, then set values
+    await new Promise(resolve => setTimeout(resolve, 100));
+    
+    if (document.getElementById('chassis')) document.getElementById('chassis').value = data.chassis || '';
+    if (document.getElementById('body-mods')) document.getElementById('body-mods').value = data.bodyMods || '';
+    if (document.getElementById('transmission')) document.getElementById('transmission').value = data.transmission || '';
+    if (document.getElementById('drivetrain')) document.getElementById('drivetrain').value = data.drivetrain || '';
+    if (document.getElementById('tires')) document.getElementById('tires').value = data.tires || '';
+    
+    // Handle brake/suspension checkboxes - clear all first, then check saved ones
+    const brakeContainer = document.getElementById('brake-suspension-options');
+    if (brakeContainer) {
+        // Clear all checkboxes first
+        const allCheckboxes = brakeContainer.querySelectorAll('input[type="checkbox"]');
+        allCheckboxes.forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        
+        // Check the saved ones
+        if (data.brakeSuspension && Array.isArray(data.brakeSuspension)) {
+            data.brakeSuspension.forEach(optionId => {
+                const checkbox = document.getElementById(`brake-${optionId}`);
+                if (checkbox) {
+                    checkbox.checked = true;
+                }
+            });
+        }
+    }
+    
+    // Update form data and recalculate
+    updateFormData();
+    handleCalculationUpdate();
+}
+
+/**
+ * Restore the contact and car description fields into the form
+ * @param {Object} data - Saved configuration data or a draft
+ */
+function restoreContactFields(data) {
+    if (document.getElementById('name')) document.getElementById('name').value = data.name || '';
+    if (document.getElementById('email')) document.getElementById('email').value = data.email || '';
+    if (document.getElementById('year')) document.getElementById('year').value = data.year || '';
+    if (document.getElementById('make')) document.getElementById('make').value = data.make || '';
+    if (document.getElementById('model')) document.getElementById('model').value = data.model || '';
+    if (document.getElementById('comments')) document.getElementById('comments').value = data.comments || '';
+}
+
+/**
+ * Load a garage setup into the form
+ * @param {string} setupId - Setup id
+ */
+async function loadConfiguration(setupId) {
+    let config;
+    try {
+        config = await getSetup(setupId);
+    } catch (error) {
+        console.error('Error reading setup from the garage:', error);
+    }
+    
+    if (!config) {
+        showMessage('Configuration not found', 'error');
+        return;
+    }
+    
+    const data = config.data;
+    
+    try {
+        await restoreVehicleFactors(data);
+    } catch (error) {
+        console.error('Error loading rulebook for configuration:', error);
+        showMessage(`This configuration uses rules edition ${data.edition}, which could not be loaded`, 'error');
+        return;
+    }
+    
+    restoreContactFields(data);
+    loadedSetupId = config.id;
+    
+    // Close modal if open
+    closeLoadModal();
+    
+    showMessage('Configuration loaded successfully!', 'success');
+}
+
+/**
+ * Autosave the form as a draft once typing pauses
+ */
+function scheduleDraftSave() {
+    // Don't overwrite a draft the user hasn't decided about yet
+    if (draftPromptOpen) return;
+    
+    clearTimeout(draftTimer);
+    draftTimer = setTimeout(flushDraftSave, DRAFT_SAVE_DELAY);
+}
+
+/**
+ * Save a pending draft autosave now (e.g., when the page is being closed)
+ */
+function flushDraftSave() {
+    if (draftTimer === null) return;
+    clearTimeout(draftTimer);
+    draftTimer = null;
+    saveDraft(getAllFormDataForSave());
+}
+
+/**
+ * Offer to restore a draft left by an earlier visit
+ */
+function showDraftPrompt() {
+    const draft = loadDraft();
+    const banner = document.getElementById('draft-banner');
+    if (!draft || !banner) return;
+    
+    const savedAt = new Date(draft.savedAt);
+    const description = [draft.data.year, draft.data.make, draft.data.model].filter(v => v).join(' ');
+    document.getElementById('draft-banner-text').textContent =
+        `You have an unsaved draft${description ? ` for the ${description}` : ''} from ` +
+        `${savedAt.toLocaleDateString()} ${savedAt.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}. ` +
+        'Restore it? Attached files are not kept in drafts.';
+    
+    draftPromptOpen = true;
+    banner.style.display = 'flex';
+}
+
+/**
+ * Close the draft prompt and resume autosaving
+ */
+function closeDraftPrompt() {
+    draftPromptOpen = false;
+    const banner = document.getElementById('draft-banner');
+    if (banner) banner.style.display = 'none';
+}
+
+/**
+ * Restore the stored draft into the form
+ */
+async function restoreDraft() {
+    const draft = loadDraft();
+    closeDraftPrompt();
+    if (!draft) return;
+    
+    try {
+        await restoreVehicleFactors(draft.data);
+    } catch (error) {
+        console.error('Error loading rulebook for draft:', error);
+        showMessage(`The draft uses rules edition ${draft.data.edition}, which could not be loaded`, 'error');
+        return;
+    }
+    restoreContactFields(draft.data);
+    
+    showMessage('Draft restored', 'success');
+}
+
+/**
+ * Throw the stored draft away, keeping what is in the form now
+ * (saveDraft() removes the draft when the form is empty)
+ */
+function discardDraft() {
+    closeDraftPrompt();
+    
+    // Anything entered while the prompt was open becomes the new draft
+    saveDraft(getAllFormDataForSave());
+}
+
+/**
+ * Register the service worker that caches the calculator for offline use
+ */
+function registerServiceWorker() {
+    // Not available when the page is opened from disk; it still works online then
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    
+    navigator.serviceWorker.register(new URL('../sw.js', import.meta.url)).catch(error => {
+        console.error('Error registering the service worker:', error);
+    });
+}
+
+/**
+ * Show the outbox: submissions waiting to be sent and ones the server rejected
+ * @param {boolean} sending - Whether the outbox is being sent right now
+ */
+async function refreshOutbox(sending = false) {
+    const section = document.getElementById('outbox');
+    if (!section) return;
+    
+    let entries;
+    try {
+        entries = await getOutbox();
+    } catch (error) {
+        console.error('Error reading the outbox:', error);
+        section.style.display = 'none';
+        return;
+    }
+    
+    // Keep trying while anything is waiting, in case the online event never comes
+    const pending = entries.filter(entry => entry.status === 'pending').length;
+    if (pending > 0 && !outboxRetryTimer) {
+        outboxRetryTimer = setInterval(flushOutbox, OUTBOX_RETRY_INTERVAL);
+    } else if (pending === 0 && outboxRetryTimer) {
+        clearInterval(outboxRetryTimer);
+        outboxRetryTimer = null;
+    }
+    
+    section.style.display = entries.length > 0 ? 'block' : 'none';
+    if (entries.length === 0) return;
+    
+    const offline = navigator.onLine === false;
+    const failed = entries.length - pending;
+    const status = [];
+    if (sending) {
+        status.push('Sending queued submissions...');
+    } else if (pending > 0) {
+        status.push(`${pending} submission${pending === 1 ? '' : 's'} waiting to be sent` +
+            (offline ? ` - you are offline, ${pending === 1 ? 'it' : 'they'} will be sent when the connection is back.` : '.'));
+    }
+    if (failed > 0) {
+        status.push(`${failed} rejected by the server - correct the form and submit again, or retry or cancel ${failed === 1 ? 'it' : 'them'} below.`);
+    }
+    document.getElementById('outbox-status').textContent = status.join(' ');
+    document.getElementById('outbox-send').disabled = sending || offline || pending === 0;
+    
+    document.getElementById('outbox-list').innerHTML = entries.map(entry => html`
+        <li class="outbox-item${entry.status === 'failed' ? ' failed' : ''}">
+            <div class="outbox-info">
+                <div class="outbox-name">${entry.summary.car || 'Unnamed car'}${entry.summary.calculatedClass && html` <span class="garage-class">${entry.summary.calculatedClass}</span>`}</div>
+                <div class="outbox-meta">${entry.summary.name} - queued ${formatSaveTime(entry.queuedAt)}${entry.attempts > 0 && `, ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}`}</div>
+                ${entry.lastError && html`<div class="outbox-error">${entry.status === 'failed' ? 'Not sent' : 'Last attempt'}: ${entry.lastError}</div>`}
+            </div>
+            <div class="saved-config-actions">
+                <button type="button" class="btn btn-small btn-secondary" data-outbox-action="retry" data-outbox-id="${entry.id}"${sending || offline ? ' disabled' : ''}>Retry</button>
+                <button type="button" class="btn btn-small btn-danger" data-outbox-action="cancel" data-outbox-id="${entry.id}"${sending ? ' disabled' : ''}>Cancel</button>
+            </div>
+        </li>
+    `).join('');
+}
+
+/**
+ * Send the pending submissions in the outbox and report how it went
+ */
+async function flushOutbox() {
+    if (document.getElementById('outbox')?.style.display === 'block') {
+        await refreshOutbox(true);
+    }
+    
+    try {
+        const { sent, failed } = await sendQueuedSubmissions();
+        if (failed > 0) {
+            showMessage(`The server rejected ${failed} queued submission${failed === 1 ? '' : 's'} - see the outbox`, 'error');
+        } else if (sent > 0) {
+            showMessage(`${sent} queued submission${sent === 1 ? '' : 's'} sent`, 'success');
+        }
+    } catch (error) {
+        console.error('Error sending the outbox:', error);
+    }
+    
+    await refreshOutbox();
+}
+
+/**
+ * Run a Retry or Cancel button in the outbox list
+ * @param {HTMLElement} button - Button with data-outbox-action and data-outbox-id
+ */
+async function handleOutboxAction(button) {
+    const id = button.getAttribute('data-outbox-id');
+    
+    try {
+        if (button.getAttribute('data-outbox-action') === 'retry') {
+            await updateOutboxEntry(id, { status: 'pending', lastError: '' });
+            await flushOutbox();
+            return;
+        }
+        if (!confirm('Cancel this submission? It will not be sent.')) return;
+        await removeFromOutbox(id);
+    } catch (error) {
+        console.error('Error updating the outbox:', error);
+        showMessage(error.message, 'error');
+    }
+    
+    await refreshOutbox();
+}
+
+/**
+ * Link that opens the calculator with the current vehicle factors (no contact details)
+ * @returns {string} Absolute URL
+ */
+function getShareUrl() {
+    return `${window.location.origin}${window.location.pathname}${buildShareHash(getAllFormDataForSave())}`;
+}
+
+/**
+ * Copy a link to the current vehicle factors (no contact details) to the clipboard
+ */
+async function copyShareLink() {
+    const url = getShareUrl();
+    
+    try {
+        await navigator.clipboard.writeText(url);
+        showMessage('Link copied - it contains the vehicle factors only, no contact details', 'success');
+    } catch (error) {
+        // Clipboard access needs a secure context and permission - let the user copy it instead
+        console.error('Error copying link:', error);
+        window.prompt('Copy this link:', url);
+    }
+}
+
+/**
+ * Restore the form from a share link in the URL fragment, if there is one
+ */
+async function restoreFromShareLink() {
+    const data = parseShareHash(window.location.hash);
+    if (!data) return;
+    
+    try {
+        await restoreVehicleFactors(data);
+    } catch (error) {
+        console.error('Error loading rulebook for shared link:', error);
+        showMessage(`This link uses rules edition ${data.edition}, which could not be loaded`, 'error');
+        return;
+    }
+    
+    // A shared car is not the setup loaded before
+    loadedSetupId = null;
+    
+    // Drop the fragment so later edits aren't mistaken for the shared state on reload
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    showMessage('Configuration loaded from link', 'success');
+}
+
+/**
+ * Show the garage: saved cars and setups, with search, sort and setup actions
+ */
+async function showLoadModal() {
+    let modal = document.getElementById('load-config-modal');
+    
+    if (!modal) {
+        // Create modal if it doesn't exist
+        modal = document.createElement('div');
+        modal.id = 'load-config-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content modal-wide">
+                <div class="modal-header">
+                    <h2>Garage</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="garage-toolbar">
+                    <input type="search" id="garage-search" placeholder="Search cars, setups and tags" aria-label="Search the garage">
+                    <label for="garage-sort">Sort</label>
+                    <select id="garage-sort">
+                        ${Object.entries(SORT_ORDERS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="modal-body" id="saved-configs-list">
+                    <!-- Populated by JavaScript -->
+                </div>
+                <div class="modal-footer">
+                    <label class="btn btn-secondary" for="import-configs-file">Import&hellip;</label>
+                    <input type="file" id="import-configs-file" accept=".json,application/json" hidden>
+                    <button type="button" class="btn btn-secondary" id="export-selected-configs" disabled>Export Selected</button>
+                    <button type="button" class="btn btn-secondary" id="export-all-configs">Export All</button>
+                    <button type="button" class="btn btn-primary" id="compare-configs" disabled>Compare Selected</button>
+                    <button type="button" class="btn btn-secondary" id="close-load-modal">Close</button>
+                </div>
+            </div>
+        `;
+        // Append to body to ensure it's on top
+        document.body.appendChild(modal);
+        
+        // Close handlers
+        modal.querySelector('.modal-close').addEventListener('click', closeLoadModal);
+        modal.querySelector('#close-load-modal').addEventListener('click', closeLoadModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeLoadModal();
+        });
+        
+        // Search and sort work on the setups already read from the garage
+        modal.querySelector('#garage-search').addEventListener('input', renderGarageList);
+        modal.querySelector('#garage-sort').addEventListener('change', renderGarageList);
+        
+        const getSelectedIds = () => Array.from(modal.querySelectorAll('[data-select-id]:checked'))
+            .map(checkbox => checkbox.getAttribute('data-select-id'));
+        
+        // Compare the checked setups
+        modal.querySelector('#compare-configs').addEventListener('click', () => {
+            showCompareModal(getSelectedIds());
+        });
+        
+        // Export the checked setups, or all of them
+        modal.querySelector('#export-selected-configs').addEventListener('click', async () => {
+            const ids = getSelectedIds();
+            exportConfigurations((await getGarageSetups()).filter(setup => ids.includes(setup.id)));
+        });
+        modal.querySelector('#export-all-configs').addEventListener('click', async () => {
+            exportConfigurations(await getGarageSetups());
+        });
+        
+        // Import from a file chosen with the Import button
+        const importInput = modal.querySelector('#import-configs-file');
+        importInput.addEventListener('change', () => {
+            handleConfigImportFile(importInput.files[0]);
+            importInput.value = ''; // Allow the same file to be chosen again
+        });
+        
+        const listContainer = modal.querySelector('#saved-configs-list');
+        
+        // Comparison needs at least two setups, export at least one
+        listContainer.addEventListener('change', () => {
+            const checked = getSelectedIds().length;
+            modal.querySelector('#compare-configs').disabled = checked < 2;
+            modal.querySelector('#export-selected-configs').disabled = checked < 1;
+        });
+        
+        // Setup and car buttons
+        listContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) handleGarageAction(button);
+        });
+    }
+    
+    // Show modal with proper display - use flexbox for centering
+    document.body.style.overflow = 'hidden';
+    modal.style.display = 'flex';
+    modal.style.flexDirection = 'column';
+    modal.style.justifyContent = 'center';
+    modal.style.alignItems = 'center';
+    
+    await refreshGarageList();
+}
+
+/**
+ * Find the class of a setup under its own rules edition, for display and sorting
+ * @param {Object} setup - Garage setup
+ * @returns {Promise<Object>} { setup, calculatedClass, classRank } - classRank is null
+ *                            if the setup can't be classed
+ */
+async function classifySetup(setup) {
+    try {
+        const edition = await loadEdition(setup.data.edition || getDefaultEditionId());
+        const { calculatedClass } = updateCalculations(setup.data, edition);
+        const rank = edition.classes.findIndex(c => c.name === calculatedClass);
+        return { setup, calculatedClass, classRank: rank === -1 ? null : rank };
+    } catch (error) {
+        // A setup whose edition can't be loaded is still listed, unclassed
+        console.error(`Error classing setup ${setup.name}:`, error);
+        return { setup, calculatedClass: '', classRank: null };
+    }
+}
+
+/**
+ * Read the garage again and redraw the list
+ */
+async function refreshGarageList() {
+    const listContainer = document.getElementById('saved-configs-list');
+    
+    try {
+        await openGarage();
+        const { cars, setups } = await getGarage();
+        garageView = { cars, entries: await Promise.all(setups.map(classifySetup)) };
+    } catch (error) {
+        console.error('Error reading the garage:', error);
+        garageView = null;
+        listContainer.innerHTML = html`<p class="garage-empty">The garage could not be opened: ${error.message}</p>`.toString();
+        return;
+    }
+    
+    renderGarageList();
+}
+
+/**
+ * Draw the garage list from the last read, applying the search and sort
+ */
+function renderGarageList() {
+    const modal = document.getElementById('load-config-modal');
+    const listContainer = modal.querySelector('#saved-configs-list');
+    if (!garageView) return;
+    
+    // Selections don't survive a redraw
+    modal.querySelector('#compare-configs').disabled = true;
+    modal.querySelector('#export-selected-configs').disabled = true;
+    
+    if (garageView.entries.length === 0) {
+        listContainer.innerHTML = '<p class="garage-empty">No saved configurations found.</p>';
+        return;
+    }
+    
+    const groups = groupGarage(garageView.cars, garageView.entries,
+        modal.querySelector('#garage-search').value, modal.querySelector('#garage-sort').value);
+    if (groups.length === 0) {
+        listContainer.innerHTML = '<p class="garage-empty">No setups match your search.</p>';
+        return;
+    }
+    
+    listContainer.innerHTML = groups.map(({ car, entries }) => html`
+        <section class="garage-car">
+            <div class="garage-car-header">
+                <h3>${car.name}</h3>
+                <div class="saved-config-actions">
+                    <button type="button" class="btn btn-small btn-secondary" data-action="history" data-car-id="${car.id}">History</button>
+                    <button type="button" class="btn btn-small btn-secondary" data-action="rename-car" data-car-id="${car.id}">Rename</button>
+                    <button type="button" class="btn btn-small btn-danger" data-action="delete-car" data-car-id="${car.id}">Delete Car</button>
+                </div>
+            </div>
+            ${entries.map(({ setup, calculatedClass }) => {
+                return html`
+                <div class="saved-config-item">
+                    <label class="saved-config-select" title="Select to compare or export">
+                        <input type="checkbox" data-select-id="${setup.id}" aria-label="Select ${setup.name}">
+                    </label>
+                    <div class="saved-config-info">
+                        <div class="saved-config-name">${setup.name}${calculatedClass && html` <span class="garage-class">${calculatedClass}</span>`}</div>
+                        ${setup.tags.length > 0 && html`<div class="garage-tags">${setup.tags.map(tag => html`<span class="garage-tag">${tag}</span>`)}</div>`}
+                        <div class="saved-config-date">Saved: ${formatSaveTime(setup.timestamp)}</div>
+                    </div>
+                    <div class="saved-config-actions">
+                        <button type="button" class="btn btn-small btn-primary" data-action="load" data-setup-id="${setup.id}">Load</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-action="rename" data-setup-id="${setup.id}">Rename</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-action="tags" data-setup-id="${setup.id}">Tags</button>
+                        <button type="button" class="btn btn-small btn-secondary" data-action="duplicate" data-setup-id="${setup.id}">Duplicate</button>
+                        <button type="button" class="btn btn-small btn-danger" data-action="delete" data-setup-id="${setup.id}">Delete</button>
+                    </div>
+                </div>`;
+            })}
+        </section>
+    `).join('');
+}
+
+/**
+ * Run a setup or car button in the garage list
+ * @param {HTMLElement} button - Button with data-action and data-setup-id or data-car-id
+ */
+async function handleGarageAction(button) {
+    const action = button.getAttribute('data-action');
+    const entry = garageView.entries.find(e => e.setup.id === button.getAttribute('data-setup-id'));
+    const setup = entry ? entry.setup : null;
+    const car = garageView.cars.find(c => c.id === button.getAttribute('data-car-id'));
+    
+    try {
+        if (action === 'load') {
+            await loadConfiguration(setup.id);
+            return;
+        } else if (action === 'history') {
+            await showHistoryModal(car);
+            return;
+        } else if (action === 'rename') {
+            const name = prompt('Setup name:', setup.name);
+            if (name === null) return;
+            await updateSetup(setup.id, { name });
+        } else if (action === 'tags') {
+            const tags = prompt('Tags, separated by commas:', setup.tags.join(', '));
+            if (tags === null) return;
+            await updateSetup(setup.id, { tags: parseTags(tags) });
+        } else if (action === 'duplicate') {
+            const copy = await duplicateSetup(setup.id);
+            showMessage(`Created "${copy.name}"`, 'success');
+        } else if (action === 'delete') {
+            const isLast = garageView.entries.filter(e => e.setup.carId === setup.carId).length === 1;
+            if (!confirm(isLast
+                ? 'This is the car\'s last setup - deleting it also removes the car and its history. Continue?'
+                : 'Are you sure you want to delete this setup? Its earlier saves stay in the car\'s history.')) return;
+            const carDeleted = await deleteSetup(setup.id);
+            showMessage(carDeleted ? 'Setup deleted, along with its car' : 'Setup deleted', 'success');
+        } else if (action === 'rename-car') {
+            const name = prompt('Car name:', car.name);
+            if (name === null) return;
+            await renameCar(car.id, name);
+        } else if (action === 'delete-car') {
+            const count = garageView.entries.filter(e => e.setup.carId === car.id).length;
+            if (!confirm(`Delete ${car.name}, its ${count} setup${count === 1 ? '' : 's'} and its history?`)) return;
+            await deleteCar(car.id);
+            showMessage('Car deleted', 'success');
+        }
+    } catch (error) {
+        console.error(`Error in garage action ${action}:`, error);
+        showMessage(error.message, 'error');
+        return;
+    }
+    
+    await refreshGarageList();
+}
+
+/**
+ * Format a save time for the garage and history lists
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Local date and time
+ */
+function formatSaveTime(timestamp) {
+    const date = new Date(timestamp);
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+}
+
+/**
+ * Show a car's history: every save of its setups, with what changed each time
+ * @param {Object} car - Garage car
+ */
+async function showHistoryModal(car) {
+    let revisions;
+    let entries;
+    try {
+        revisions = await getCarHistory(car.id);
+        // Each revision is calculated under its own rules edition
+        entries = await Promise.all(revisions.map(async revision => ({
+            name: revision.setupName,
+            data: revision.data,
+            edition: await loadEdition(revision.data.edition || getDefaultEditionId())
+        })));
+    } catch (error) {
+        console.error('Error reading car history:', error);
+        showMessage(`Could not read the history of ${car.name}: ${error.message}`, 'error');
+        return;
+    }
+    historyView = { car, revisions, entries };
+
+    let modal = document.getElementById('history-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'history-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content modal-wide">
+                <div class="modal-header">
+                    <h2 id="history-title">History</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div id="history-list"></div>
+                    <div id="history-diff" aria-live="polite"></div>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-primary" id="compare-revisions" disabled>Compare Selected</button>
+                    <button type="button" class="btn btn-secondary" id="close-history-modal">Back</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const closeHistory = () => {
+            modal.style.display = 'none';
+        };
+        modal.querySelector('.modal-close').addEventListener('click', closeHistory);
+        modal.querySelector('#close-history-modal').addEventListener('click', closeHistory);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeHistory();
+        });
+
+        const getSelectedIndexes = () => Array.from(modal.querySelectorAll('[data-revision-index]:checked'))
+            .map(checkbox => Number(checkbox.getAttribute('data-revision-index')))
+            .sort((a, b) => a - b);
+
+        // Any two revisions can be compared, older one first
+        const historyList = modal.querySelector('#history-list');
+        historyList.addEventListener('change', () => {
+            modal.querySelector('#compare-revisions').disabled = getSelectedIndexes().length !== 2;
+        });
+        modal.querySelector('#compare-revisions').addEventListener('click', () => {
+            const [before, after] = getSelectedIndexes();
+            renderRevisionDiff(before, after);
+        });
+
+        // Each revision against the one before it
+        historyList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-diff-index]');
+            if (!button) return;
+            const index = Number(button.getAttribute('data-diff-index'));
+            const previous = getPreviousRevision(historyView.revisions, index);
+            renderRevisionDiff(historyView.revisions.indexOf(previous), index);
+        });
+    }
+
+    modal.querySelector('#history-title').textContent = `History - ${car.name}`;
+    modal.querySelector('#compare-revisions').disabled = true;
+    modal.querySelector('#history-diff').innerHTML = '';
+
+    const items = revisions.map((revision, index) => {
+        const results = updateCalculations(revision.data, entries[index].edition);
+        const previous = getPreviousRevision(revisions, index);
+        const diff = previous ? diffConfigurations(entries[revisions.indexOf(previous)], entries[index]) : null;
+        const sameSetup = previous && previous.setupId === revision.setupId;
+
+        let summary;
+        if (!previous) {
+            summary = html`<p class="history-summary">First save of this car</p>`;
+        } else if (diff.changes.length === 0) {
+            summary = html`<p class="history-summary">No changes from ${sameSetup ? 'the previous save' : `"${previous.setupName}"`}</p>`;
+        } else {
+            summary = html`
+                <p class="history-summary">Changed from ${sameSetup ? 'the previous save' : `"${previous.setupName}"`}:</p>
+                <ul class="history-changes">
+                    ${diff.changes.map(change => html`<li><strong>${change.label}:</strong> ${change.from || 'none'} &rarr; ${change.to || 'none'}</li>`)}
+                </ul>`;
+        }
+
+        return html`
+            <div class="saved-config-item history-item">
+                <label class="saved-config-select" title="Select two saves to compare">
+                    <input type="checkbox" data-revision-index="${index}" aria-label="Select save of ${formatSaveTime(revision.timestamp)}">
+                </label>
+                <div class="saved-config-info">
+                    <div class="saved-config-name">${revision.setupName}${results.calculatedClass && html` <span class="garage-class">${results.calculatedClass}</span>`}</div>
+                    <div class="saved-config-date">Saved: ${formatSaveTime(revision.timestamp)} - Modified ratio ${formatNumber(results.modifiedRatio)}${diff && diff.classChange.direction !== 'same' && ` (class ${diff.classChange.from || '--'} → ${diff.classChange.to || '--'})`}</div>
+                    ${summary}
+                </div>
+                ${previous && html`
+                <div class="saved-config-actions">
+                    <button type="button" class="btn btn-small btn-secondary" data-diff-index="${index}">Details</button>
+                </div>`}
+            </div>`;
+    });
+
+    // Newest first
+    modal.querySelector('#history-list').innerHTML = items.length > 0
+        ? html`${items.reverse()}`.toString()
+        : '<p class="garage-empty">No saves recorded for this car.</p>';
+
+    modal.style.display = 'flex';
+}
+
+/**
+ * Show every input and result of two revisions side by side, with the ratio changes
+ * @param {number} beforeIndex - Position of the earlier revision in the history
+ * @param {number} afterIndex - Position of the later revision in the history
  */
-function getSelectedOptionText(selectId) {
-    const select = document.getElementById(selectId);
-    if (!select || !select.value) return '';
-    const selectedOption = select.options[select.selectedIndex];
-    return selectedOption ? selectedOption.textContent.replace(/\s*\([^)]*\)\s*$/, '') : '';
+function renderRevisionDiff(beforeIndex, afterIndex) {
+    const { revisions, entries } = historyView;
+    const before = revisions[beforeIndex];
+    const after = revisions[afterIndex];
+    const diff = diffConfigurations(entries[beforeIndex], entries[afterIndex]);
+
+    const change = diff.classChange;
+    const classNote = change.direction === 'same'
+        ? html`Class unchanged (${change.to || '--'})`
+        : html`Class ${change.from || '--'} &rarr; ${change.to || '--'}`;
+
+    const inputRows = diff.changes.length > 0
+        ? diff.changes.map(row => html`
+            <tr class="compare-input"><th scope="row">${row.label}</th><td>${row.from || '—'}</td><td class="compare-diff">${row.to || '—'}</td><td></td></tr>`)
+        : html`<tr class="compare-input"><th scope="row">Inputs</th><td colspan="3">No changes</td></tr>`;
+
+    const resultRows = diff.results.map((row, i) => {
+        const from = parseFloat(row.from);
+        const to = parseFloat(row.to);
+        const delta = row.changed && !isNaN(from) && !isNaN(to) ? formatSignedNumber(to - from) : '';
+        return html`
+            <tr class="compare-result${i === 0 ? ' compare-section-start' : ''}"><th scope="row">${row.label}</th><td>${row.from}</td><td class="${row.changed ? 'compare-diff' : ''}">${row.to}</td><td>${delta}</td></tr>`;
+    });
+
+    document.getElementById('history-diff').innerHTML = html`
+        <h3 class="history-diff-title">${before.setupName} (${formatSaveTime(before.timestamp)}) &rarr; ${after.setupName} (${formatSaveTime(after.timestamp)})</h3>
+        <p class="compare-legend">${classNote}</p>
+        <div class="compare-scroll">
+            <table class="compare-table">
+                <thead><tr><th></th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+                <tbody>${inputRows}${resultRows}</tbody>
+            </table>
+        </div>
+    `.toString();
+    document.getElementById('history-diff').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
 /**
- * Get brake/suspension selections as formatted text
+ * Download garage setups as a JSON file
+ * @param {Array} configs - Setups to export, with their car names
  */
-function getBrakeSuspensionSelections() {
-    const checkboxes = document.querySelectorAll('#brake-suspension-options input[type="checkbox"]:checked');
-    if (checkboxes.length === 0) return '';
-    const selections = Array.from(checkboxes).map(cb => {
-        const label = document.querySelector(`label[for="${cb.id}"]`);
-        if (label) {
-            return label.textContent.replace(/\s*\([^)]*\)\s*$/, '');
-        }
-        return '';
-    }).filter(text => text);
-    return selections.join(', ');
+function exportConfigurations(configs) {
+    if (configs.length === 0) {
+        showMessage('There are no saved configurations to export', 'error');
+        return;
+    }
+
+    const blob = new Blob([buildConfigExport(configs)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wcma-configurations-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+    showMessage(`Exported ${configs.length} configuration${configs.length === 1 ? '' : 's'}`, 'success');
 }
 
 /**
- * Get all form data for saving (excluding file inputs)
+ * Read a configuration export file and show the import preview
+ * @param {File} file - JSON file chosen by the user
  */
-function getAllFormDataForSave() {
-    return {
-        name: document.getElementById('name')?.value || '',
-        email: document.getElementById('email')?.value || '',
-        year: document.getElementById('year')?.value || '',
-        make: document.getElementById('make')?.value || '',
-        model: document.getElementById('model')?.value || '',
-        comments: document.getElementById('comments')?.value || '',
-        competitionWeight: document.getElementById('competition-weight')?.value || '',
-        declaredHp: document.getElementById('declared-hp')?.value || '',
-        dynoHp: document.getElementById('dyno-hp')?.value || '',
-        chassis: document.getElementById('chassis')?.value || '',
-        bodyMods: document.getElementById('body-mods')?.value || '',
-        transmission: document.getElementById('transmission')?.value || '',
-        drivetrain: document.getElementById('drivetrain')?.value || '',
-        tires: document.getElementById('tires')?.value || '',
-        brakeSuspension: getBrakeSuspensionValues(),
-        savedAt: new Date().toISOString()
-    };
+async function handleConfigImportFile(file) {
+    if (!file) return;
+
+    let text;
+    try {
+        text = await file.text();
+    } catch (error) {
+        console.error('Error reading configuration file:', error);
+        showMessage(`Could not read ${file.name}`, 'error');
+        return;
+    }
+
+    const parsed = parseConfigImport(text);
+    if (!parsed.isValid) {
+        showMessage(parsed.errors.join('. '), 'error');
+        return;
+    }
+
+    let existing;
+    try {
+        existing = await getGarageSetups();
+    } catch (error) {
+        console.error('Error reading the garage:', error);
+        showMessage(`The garage could not be opened: ${error.message}`, 'error');
+        return;
+    }
+
+    showImportPreview(planConfigImport(parsed.configs, existing), parsed.errors);
 }
 
 /**
- * Save current configuration to localStorage
+ * Show the configurations in an import file and add the chosen ones to the garage
+ * @param {Array} plan - Import plan from planConfigImport()
+ * @param {Array} warnings - Entries of the file that were skipped
  */
-function saveConfiguration() {
-    try {
-        // Check if localStorage is available
-        if (typeof(Storage) === "undefined") {
-            alert('LocalStorage is not available in your browser. Cannot save configuration.');
-            console.error('LocalStorage not available');
-            return null;
-        }
+function showImportPreview(plan, warnings) {
+    let modal = document.getElementById('import-config-modal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'import-config-modal';
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h2>Import Configurations</h2>
+                    <button class="modal-close" aria-label="Close">&times;</button>
+                </div>
+                <div class="modal-body" id="import-preview"></div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-primary" id="confirm-import">Import Selected</button>
+                    <button type="button" class="btn btn-secondary" id="cancel-import">Cancel</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
 
-        const configData = getAllFormDataForSave();
-        
-        // Get existing saved configurations
-        const savedConfigs = getSavedConfigurations();
-        
-        // Generate a name for this configuration
-        const configName = `${configData.year} ${configData.make} ${configData.model}`.trim() || 
-                           `Configuration ${savedConfigs.length + 1}`;
-        
-        const configEntry = {
-            id: Date.now().toString(),
-            name: configName,
-            data: configData,
-            timestamp: new Date().toISOString()
+        const closeImport = () => {
+            modal.style.display = 'none';
         };
-        
-        // Add to list
-        savedConfigs.push(configEntry);
-        
-        // Save to localStorage (limit to 10 most recent)
-        const configsToSave = savedConfigs.slice(-10);
-        
+        modal.querySelector('.modal-close').addEventListener('click', closeImport);
+        modal.querySelector('#cancel-import').addEventListener('click', closeImport);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeImport();
+        });
+    }
+
+    const rows = plan.map(({ config, status }, i) => {
+        const details = [
+            describeStoredValue('weight', config.data.competitionWeight, config.data.weightUnit),
+            describeStoredValue('power', config.data.declaredHp, config.data.powerUnit),
+            config.data.edition && `Rules ${config.data.edition}`
+        ].filter(text => text).join(', ');
+        return html`
+            <div class="saved-config-item">
+                <label class="saved-config-select">
+                    <input type="checkbox" data-import-index="${i}" ${status === 'new' ? 'checked' : 'disabled'} aria-label="Import ${config.name}">
+                </label>
+                <div class="saved-config-info">
+                    <div class="saved-config-name">${config.car || getCarName(config.data)} - ${config.name}</div>
+                    <div class="saved-config-date">Saved: ${new Date(config.timestamp).toLocaleDateString()}${details && ` - ${details}`}</div>
+                </div>
+                <span class="import-status import-${status}">${status === 'new' ? 'New' : 'Already saved'}</span>
+            </div>`;
+    });
+    const newCount = plan.filter(item => item.status === 'new').length;
+
+    modal.querySelector('#import-preview').innerHTML = html`
+        <p class="compare-legend">${newCount} of ${plan.length} configurations in the file are new. Configurations already in the garage (same car details and modifications) are skipped.</p>
+        ${warnings.length > 0 && html`<ul class="import-warnings">${warnings.map(warning => html`<li>${warning}</li>`)}</ul>`}
+        ${rows}
+    `.toString();
+
+    modal.querySelector('#confirm-import').onclick = async () => {
+        const chosen = Array.from(modal.querySelectorAll('[data-import-index]:checked'))
+            .map(checkbox => plan[Number(checkbox.getAttribute('data-import-index'))].config);
+        if (chosen.length === 0) {
+            showMessage('No configurations selected to import', 'error');
+            return;
+        }
+
         try {
-            localStorage.setItem('wcma-saved-configs', JSON.stringify(configsToSave));
-            console.log('Configuration saved:', configEntry.name);
+            await importSetups(chosen);
         } catch (e) {
-            if (e.name === 'QuotaExceededError') {
-                alert('Storage quota exceeded. Please delete some saved configurations first.');
-                console.error('LocalStorage quota exceeded');
-                return null;
-            }
-            throw e;
+            console.error('Error saving imported configurations:', e);
+            showMessage('Could not save the imported configurations: ' + e.message, 'error');
+            return;
         }
-        
-        // Show success message
-        showMessage('Configuration saved successfully!', 'success');
-        
-        return configEntry;
-    } catch (error) {
-        console.error('Error saving configuration:', error);
-        alert('An error occurred while saving the configuration: ' + error.message);
-        return null;
-    }
+
+        modal.style.display = 'none';
+        showLoadModal();
+        showMessage(`Imported ${chosen.length} configuration${chosen.length === 1 ? '' : 's'}`, 'success');
+    };
+
+    modal.style.display = 'flex';
 }
 
 /**
- * Get all saved configurations from localStorage
+ * Show saved configurations side by side, with differences highlighted
+ * @param {Array} configIds - IDs of the configurations to compare (first is the baseline)
  */
-function getSavedConfigurations() {
+async function showCompareModal(configIds) {
+    let configs;
     try {
-        const saved = localStorage.getItem('wcma-saved-configs');
-        return saved ? JSON.parse(saved) : [];
-    } catch (e) {
-        console.error('Error loading saved configurations:', e);
-        return [];
+        configs = await getGarageSetups();
+    } catch (error) {
+        console.error('Error reading the garage:', error);
+        showMessage(`The garage could not be opened: ${error.message}`, 'error');
+        return;
     }
-}
-
-/**
- * Load a saved configuration into the form
- */
-function loadConfiguration(configId) {
-    const configs = getSavedConfigurations();
-    const config = configs.find(c => c.id === configId);
-    
-    if (!config) {
-        showMessage('Configuration not found', 'error');
+    const selected = configIds.map(id => configs.find(c => c.id === id)).filter(c => c);
+    if (selected.length < 2) {
+        showMessage('Select at least two configurations to compare', 'error');
         return;
     }
-    
-    const data = config.data;
-    
-    // Populate all form fields (basic fields first)
-    if (document.getElementById('name')) document.getElementById('name').value = data.name || '';
-    if (document.getElementById('email')) document.getElementById('email').value = data.email || '';
-    if (document.getElementById('year')) document.getElementById('year').value = data.year || '';
-    if (document.getElementById('make')) document.getElementById('make').value = data.make || '';
-    if (document.getElementById('model')) document.getElementById('model').value = data.model || '';
-    if (document.getElementById('comments')) document.getElementById('comments').value = data.comments || '';
-    if (document.getElementById('competition-weight')) document.getElementById('competition-weight').value = data.competitionWeight || '';
-    if (document.getElementById('declared-hp')) document.getElementById('declared-hp').value = data.declaredHp || '';
-    if (document.getElementById('dyno-hp')) document.getElementById('dyno-hp').value = data.dynoHp || '';
-    
-    // Update form data first to populate modifier options
-    updateFormData();
-    updateModificationFieldsState();
-    
-    // Wait a moment for modifier options to populate, then set values
-    setTimeout(() => {
-        if (document.getElementById('chassis')) document.getElementById('chassis').value = data.chassis || '';
-        if (document.getElementById('body-mods')) document.getElementById('body-mods').value = data.bodyMods || '';
-        if (document.getElementById('transmission')) document.getElementById('transmission').value = data.transmission || '';
-        if (document.getElementById('drivetrain')) document.getElementById('drivetrain').value = data.drivetrain || '';
-        if (document.getElementById('tires')) document.getElementById('tires').value = data.tires || '';
-        
-        // Handle brake/suspension checkboxes - clear all first, then check saved ones
-        const brakeContainer = document.getElementById('brake-suspension-options');
-        if (brakeContainer) {
-            // Clear all checkboxes first
-            const allCheckboxes = brakeContainer.querySelectorAll('input[type="checkbox"]');
-            allCheckboxes.forEach(checkbox => {
-                checkbox.checked = false;
-            });
-            
-            // Check the saved ones
-            if (data.brakeSuspension && Array.isArray(data.brakeSuspension)) {
-                data.brakeSuspension.forEach(optionId => {
-                    const checkbox = document.getElementById(`brake-${optionId}`);
-                    if (checkbox) {
-                        checkbox.checked = true;
-                    }
-                });
-            }
-        }
-        
-        // Update form data and recalculate
-        updateFormData();
-        handleCalculationUpdate();
-        
-        // Close modal if open
-        closeLoadModal();
-        
-        showMessage('Configuration loaded successfully!', 'success');
-    }, 100);
-}
 
-/**
- * Delete a saved configuration
- */
-function deleteConfiguration(configId) {
-    const configs = getSavedConfigurations();
-    const filtered = configs.filter(c => c.id !== configId);
-    localStorage.setItem('wcma-saved-configs', JSON.stringify(filtered));
-    showLoadModal(); // Refresh the modal
-    showMessage('Configuration deleted', 'success');
-}
+    // Each configuration is calculated under its own rules edition
+    let entries;
+    try {
+        entries = await Promise.all(selected.map(async config => ({
+            name: `${config.car} - ${config.name}`,
+            data: config.data,
+            edition: await loadEdition(config.data.edition || getDefaultEditionId())
+        })));
+    } catch (error) {
+        console.error('Error loading rulebook for comparison:', error);
+        showMessage(`Could not load the rules for one of the configurations: ${error.message}`, 'error');
+        return;
+    }
 
-/**
- * Show load configuration modal
- */
-function showLoadModal() {
-    let modal = document.getElementById('load-config-modal');
-    
+    const { columns, rows } = compareConfigurations(entries);
+
+    const classChangeLabels = { faster: '&uarr; faster class', slower: '&darr; slower class', changed: 'class changed' };
+    const headerCells = columns.map((column, i) => {
+        const change = column.classChange;
+        const note = i === 0
+            ? '<span class="compare-note">Baseline</span>'
+            : `<span class="compare-note compare-${change.direction}">${change.direction === 'same' ? 'Same class' : `${escapeHtml(change.from)} &rarr; ${escapeHtml(change.to)} (${classChangeLabels[change.direction]})`}</span>`;
+        return `<th>${escapeHtml(column.name)}${note}</th>`;
+    }).join('');
+
+    const bodyRows = rows.map((row, index) => {
+        const sectionStart = index > 0 && rows[index - 1].section !== row.section ? ' compare-section-start' : '';
+        const cells = row.values.map((value, i) =>
+            `<td class="${row.differs[i] ? 'compare-diff' : ''}">${value ? escapeHtml(value) : '&mdash;'}</td>`
+        ).join('');
+        return `<tr class="compare-${row.section}${sectionStart}"><th scope="row">${escapeHtml(row.label)}</th>${cells}</tr>`;
+    }).join('');
+
+    let modal = document.getElementById('compare-config-modal');
     if (!modal) {
-        // Create modal if it doesn't exist
         modal = document.createElement('div');
-        modal.id = 'load-config-modal';
+        modal.id = 'compare-config-modal';
         modal.className = 'modal-overlay';
         modal.innerHTML = `
-            <div class="modal-content">
+            <div class="modal-content modal-wide">
                 <div class="modal-header">
-                    <h2>Saved Configurations</h2>
+                    <h2>Compare Configurations</h2>
                     <button class="modal-close" aria-label="Close">&times;</button>
                 </div>
-                <div class="modal-body" id="saved-configs-list">
-                    <!-- Populated by JavaScript -->
-                </div>
+                <div class="modal-body" id="compare-configs-table"></div>
                 <div class="modal-footer">
-                    <button type="button" class="btn btn-secondary" id="close-load-modal">Close</button>
+                    <button type="button" class="btn btn-secondary" id="close-compare-modal">Back</button>
                 </div>
             </div>
         `;
-        // Append to body to ensure it's on top
         document.body.appendChild(modal);
-        
-        // Close handlers
-        modal.querySelector('.modal-close').addEventListener('click', closeLoadModal);
-        modal.querySelector('#close-load-modal').addEventListener('click', closeLoadModal);
+
+        const closeCompare = () => {
+            modal.style.display = 'none';
+        };
+        modal.querySelector('.modal-close').addEventListener('click', closeCompare);
+        modal.querySelector('#close-compare-modal').addEventListener('click', closeCompare);
         modal.addEventListener('click', (e) => {
-            if (e.target === modal) closeLoadModal();
-        });
-    }
-    
-    // Populate with saved configurations
-    const configs = getSavedConfigurations();
-    const listContainer = modal.querySelector('#saved-configs-list');
-    
-    if (configs.length === 0) {
-        listContainer.innerHTML = '<p style="text-align: center; color: #666; padding: 2rem;">No saved configurations found.</p>';
-    } else {
-        listContainer.innerHTML = configs.reverse().map(config => {
-            const date = new Date(config.timestamp);
-            const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-            return `
-                <div class="saved-config-item">
-                    <div class="saved-config-info">
-                        <div class="saved-config-name">${escapeHtml(config.name)}</div>
-                        <div class="saved-config-date">Saved: ${dateStr}</div>
-                    </div>
-                    <div class="saved-config-actions">
-                        <button type="button" class="btn btn-small btn-primary" data-load-id="${config.id}">Load</button>
-                        <button type="button" class="btn btn-small btn-danger" data-delete-id="${config.id}">Delete</button>
-                    </div>
-                </div>
-            `;
-        }).join('');
-        
-        // Add event listeners for load/delete buttons
-        listContainer.querySelectorAll('[data-load-id]').forEach(btn => {
-            btn.addEventListener('click', () => loadConfiguration(btn.getAttribute('data-load-id')));
-        });
-        
-        listContainer.querySelectorAll('[data-delete-id]').forEach(btn => {
-            btn.addEventListener('click', () => {
-                if (confirm('Are you sure you want to delete this configuration?')) {
-                    deleteConfiguration(btn.getAttribute('data-delete-id'));
-                }
-            });
+            if (e.target === modal) closeCompare();
         });
     }
-    
-    // Show modal with proper display - use flexbox for centering
-    document.body.style.overflow = 'hidden';
+
+    modal.querySelector('#compare-configs-table').innerHTML = `
+        <p class="compare-legend">Highlighted cells differ from the first column.</p>
+        <div class="compare-scroll">
+            <table class="compare-table">
+                <thead><tr><th></th>${headerCells}</tr></thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+        </div>
+    `;
+
     modal.style.display = 'flex';
-    modal.style.flexDirection = 'column';
-    modal.style.justifyContent = 'center';
-    modal.style.alignItems = 'center';
 }
 
 /**
@@ -1211,15 +3253,6 @@ function closeLoadModal() {
     }
 }
 
-/**
- * Escape HTML to prevent XSS
- */
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 /**
  * Show message to user
  */
@@ -1262,7 +3295,20 @@ function initializeEventListeners() {
         
         // Update form data and calculate results
         updateFormData();
-        const results = updateCalculations(formData);
+        const results = updateCalculations(formData, activeEdition);
+
+        // The dyno figure can't be judged without the weather its correction needs
+        const dynoNormalization = updateDynoNormalization();
+        if (!dynoNormalization.isValid) {
+            showMessage(`Dyno HP: ${dynoNormalization.errors.join('. ')}`, 'error');
+            return;
+        }
+        const dynoChecks = updateDynoChecks(dynoNormalization);
+        if (!dynoChecks.isValid) {
+            showFieldError('dyno-chart', dynoChecks.errors.join('. '));
+            showMessage(dynoChecks.errors.join('. '), 'error');
+            return;
+        }
         
         // Add all calculation results as hidden fields for email
         const fieldsToAdd = {
@@ -1270,7 +3316,14 @@ function initializeEventListeners() {
             'base_ratio': results.baseRatio > 0 ? results.baseRatio.toFixed(2) : '--',
             'modified_ratio': results.modifiedRatio > 0 ? results.modifiedRatio.toFixed(2) : '--',
             'modification_factor': results.modificationFactor.toFixed(2),
-            'weight_factor': results.weightFactor.toFixed(2)
+            'weight_factor': results.weightFactor.toFixed(2),
+            'integrity_code': createIntegrityCode(formData, activeEdition, results),
+            'dyno_hp_normalized': dynoNormalization.hp !== null ? dynoNormalization.hp.toFixed(1) : '',
+            'dyno_checks': describeDynoChecks(dynoChecks),
+            // Weight and power in pounds and HP, whatever unit they were entered in
+            'converted_competition_weight': formData.competitionWeight,
+            'converted_declared_hp': formData.declaredHp,
+            'converted_dyno_hp': formData.dynoHp
         };
         
         // Remove any existing hidden calculation fields
@@ -1297,7 +3350,9 @@ function initializeEventListeners() {
             'tires_display': getSelectedOptionText('tires')
         };
         
+        // Replace any display fields left by an earlier submit
         Object.keys(modifierDisplayFields).forEach(name => {
+            form.querySelector(`input[name="${name}"]`)?.remove();
             const hiddenField = document.createElement('input');
             hiddenField.type = 'hidden';
             hiddenField.name = name;
@@ -1306,16 +3361,40 @@ function initializeEventListeners() {
         });
         
         // Also add as JSON for convenience
+        form.querySelector('input[name="calculated_results"]')?.remove();
         const hiddenResults = document.createElement('input');
         hiddenResults.type = 'hidden';
         hiddenResults.name = 'calculated_results';
         hiddenResults.value = JSON.stringify(results);
         form.appendChild(hiddenResults);
 
+        // Send the committee the same PDF the entrant can download
+        const attachments = [];
+        if (document.getElementById('attach-classing-sheet')?.checked) {
+            try {
+                const sheet = createClassingSheet();
+                attachments.push({ name: 'classing_sheet', file: sheet.blob, filename: sheet.filename });
+            } catch (error) {
+                console.error('Error building classing sheet for submission:', error);
+            }
+        }
+
         try {
             console.log('Calling handleFormSubmit...');
-            await handleFormSubmit(form);
+            const result = await handleFormSubmit(form, null, attachments);
             console.log('Form submission completed successfully');
+            
+            // The entry went through, or is safe in the outbox - nothing left to recover
+            clearTimeout(draftTimer);
+            draftTimer = null;
+            clearDraft();
+            
+            if (result.queued) {
+                await refreshOutbox();
+            } else {
+                // The server is reachable again - send anything queued earlier
+                await flushOutbox();
+            }
         } catch (error) {
             console.error('=== UI Controller: Submission error ===');
             console.error('Error:', error);
@@ -1330,8 +3409,15 @@ function initializeEventListeners() {
     // Real-time calculation triggers
     const calculationFields = [
         'competition-weight',
+        'weight-unit',
         'declared-hp',
+        'power-unit',
         'dyno-hp',
+        'dyno-correction',
+        'dyno-type',
+        'dyno-temperature',
+        'dyno-pressure',
+        'dyno-humidity',
         'chassis',
         'body-mods',
         'transmission',
@@ -1347,6 +3433,23 @@ function initializeEventListeners() {
         }
     });
     
+    // Rulebook edition selector
+    const editionSelect = document.getElementById('rules-edition');
+    if (editionSelect) {
+        editionSelect.addEventListener('change', async () => {
+            const previousEdition = activeEdition.edition;
+            try {
+                await setActiveEdition(editionSelect.value);
+            } catch (error) {
+                console.error('Error switching rulebook edition:', error);
+                showMessage(error.message, 'error');
+                editionSelect.value = previousEdition;
+                return;
+            }
+            handleCalculationUpdate();
+        });
+    }
+    
     // Handle brake-suspension checkboxes
     const brakeContainer = document.getElementById('brake-suspension-options');
     if (brakeContainer) {
@@ -1375,6 +3478,69 @@ function initializeEventListeners() {
         }
     });
 
+    // A dyno figure needs a dyno chart to back it up
+    document.getElementById('dyno-chart')?.addEventListener('change', () => {
+        updateDynoChecks(updateDynoNormalization());
+    });
+
+    // Dyno curve readout follows the pointer, and the curve follows the column width
+    const dynoCurve = document.getElementById('dyno-curve-canvas');
+    if (dynoCurve) {
+        dynoCurve.addEventListener('pointermove', handleDynoChartPointer);
+        dynoCurve.addEventListener('pointerleave', handleDynoChartPointer);
+        window.addEventListener('resize', () => renderDynoChart());
+    }
+
+    // Target class solver
+    ['solver-target-class', 'solver-mode'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', updateSolver);
+        }
+    });
+
+    // Modification what-if
+    const whatIfSelect = document.getElementById('whatif-target-class');
+    if (whatIfSelect) {
+        whatIfSelect.addEventListener('change', updateWhatIf);
+    }
+
+    // Printout verification; a result no longer applies once the form changes
+    document.getElementById('verify-button')?.addEventListener('click', verifyPrintout);
+    document.getElementById('verify-code')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            verifyPrintout();
+        }
+    });
+    form.addEventListener('input', () => {
+        const resultEl = document.getElementById('verify-result');
+        if (resultEl) resultEl.innerHTML = '';
+    });
+
+    // Batch classing: file drop and file chooser
+    const batchDropZone = document.getElementById('batch-drop-zone');
+    const batchInput = document.getElementById('batch-csv');
+    if (batchDropZone && batchInput) {
+        batchInput.addEventListener('change', () => {
+            handleBatchFile(batchInput.files[0]);
+            batchInput.value = ''; // Allow the same file to be dropped again after editing
+        });
+
+        batchDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            batchDropZone.classList.add('drag-over');
+        });
+        batchDropZone.addEventListener('dragleave', () => {
+            batchDropZone.classList.remove('drag-over');
+        });
+        batchDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            batchDropZone.classList.remove('drag-over');
+            handleBatchFile(e.dataTransfer.files[0]);
+        });
+    }
+
     // Print button handler
     const printButton = document.getElementById('print-button');
     if (printButton) {
@@ -1384,6 +3550,15 @@ function initializeEventListeners() {
         });
     }
 
+    // PDF button handler
+    const pdfButton = document.getElementById('pdf-button');
+    if (pdfButton) {
+        pdfButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            downloadClassingSheet();
+        });
+    }
+
     // Save configuration button handler
     const saveButton = document.getElementById('save-config-button');
     if (saveButton) {
@@ -1392,7 +3567,7 @@ function initializeEventListeners() {
             e.stopPropagation();
             console.log('Save configuration button clicked');
             try {
-                saveConfiguration();
+                showSaveModal();
             } catch (error) {
                 console.error('Error in save button handler:', error);
                 alert('An error occurred: ' + error.message);
@@ -1411,6 +3586,35 @@ function initializeEventListeners() {
         });
     }
 
+    // Share link button
+    const shareButton = document.getElementById('share-link-button');
+    if (shareButton) {
+        shareButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            copyShareLink();
+        });
+    }
+
+    // A share link opened in an already open page only changes the fragment
+    window.addEventListener('hashchange', restoreFromShareLink);
+
+    // Draft autosave: any edit (including brake/suspension checkboxes) schedules a save,
+    // and a pending save is written before the page goes away
+    form.addEventListener('input', scheduleDraftSave);
+    form.addEventListener('change', scheduleDraftSave);
+    window.addEventListener('pagehide', flushDraftSave);
+    document.getElementById('restore-draft')?.addEventListener('click', restoreDraft);
+    document.getElementById('discard-draft')?.addEventListener('click', discardDraft);
+
+    // Outbox: send queued submissions when the connection comes back
+    window.addEventListener('online', flushOutbox);
+    window.addEventListener('offline', () => refreshOutbox());
+    document.getElementById('outbox-send')?.addEventListener('click', flushOutbox);
+    document.getElementById('outbox-list')?.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-outbox-action]');
+        if (button) handleOutboxAction(button);
+    });
+
     // Real-time validation for required fields
     const requiredFields = ['name', 'email', 'year', 'make', 'model', 'competition-weight', 'declared-hp'];
     requiredFields.forEach(fieldId => {
@@ -1501,17 +3705,32 @@ function initializeEventListeners() {
  */
 function initialize() {
     // Ensure DOM is fully ready
-    const initFunction = () => {
+    const initFunction = async () => {
         const form = document.getElementById('classing-form');
         if (!form) {
             setTimeout(initFunction, 100);
             return;
         }
         
+        // Load the rule set before wiring up the form - a broken rulebook
+        // must not leave a half-working calculator on screen
+        try {
+            await setActiveEdition();
+        } catch (error) {
+            showRulebookError(error);
+            return;
+        }
+        
+        populateEditionSelector();
+        populateUnitOptions();
         initializeEventListeners();
         updateFormData();
         updateModificationFieldsState();
         updateResultsDisplay();
+        await restoreFromShareLink();
+        showDraftPrompt();
+        registerServiceWorker();
+        await flushOutbox();
     };
     
     // Wait for DOM to be ready
@@ -0,0 +1,148 @@
+/**
+ * Units Module
+ * Converts competition weight and power entered in metric units to the pounds and
+ * horsepower the rules are written in
+ *
+ * The calculator always works on the converted (canonical) values; the form keeps
+ * what was entered and the unit it was entered in. Converted values are rounded to
+ * one decimal, which is close enough to convert back to the whole number entered.
+ * Reports print the converted value exactly as rounded, so it is also the figure the
+ * integrity code covers: re-entering a printed "(2866 lb)" gives the same code as
+ * the 1300 kg it came from.
+ */
+
+// Decimals the converted values are rounded to
+const CANONICAL_DECIMALS = 1;
+
+// Units for each kind of value; factor converts to the canonical unit (listed first).
+// car-classing.php keeps a copy; test/units.test.js checks the two match
+export const UNITS = {
+    weight: {
+        lb: { label: 'lb', factor: 1 },
+        kg: { label: 'kg', factor: 2.20462262 }
+    },
+    power: {
+        hp: { label: 'HP', factor: 1 },
+        kw: { label: 'kW', factor: 1.34102209 },
+        ps: { label: 'PS', factor: 0.98632007 }
+    }
+};
+
+/**
+ * List the units a kind of value can be entered in
+ * @param {string} kind - 'weight' or 'power'
+ * @returns {Array} { id, label } for each unit, canonical unit first
+ */
+export function getUnitOptions(kind) {
+    return Object.entries(UNITS[kind]).map(([id, { label }]) => ({ id, label }));
+}
+
+/**
+ * Get the unit the rules use for a kind of value
+ * @param {string} kind - 'weight' or 'power'
+ * @returns {string} Unit id ('lb' or 'hp')
+ */
+export function getCanonicalUnit(kind) {
+    return Object.keys(UNITS[kind])[0];
+}
+
+/**
+ * Check that a unit id is known for a kind of value
+ * @param {string} kind - 'weight' or 'power'
+ * @param {string} unit - Unit id
+ * @returns {boolean} True if the unit can be used
+ */
+export function isKnownUnit(kind, unit) {
+    return Object.prototype.hasOwnProperty.call(UNITS[kind], unit);
+}
+
+/**
+ * Get the display label of a unit
+ * @param {string} kind - 'weight' or 'power'
+ * @param {string} unit - Unit id
+ * @returns {string} Label (e.g., "kg")
+ */
+export function getUnitLabel(kind, unit) {
+    return (UNITS[kind][unit] || UNITS[kind][getCanonicalUnit(kind)]).label;
+}
+
+/**
+ * Convert an entered value to the canonical unit
+ * @param {string} kind - 'weight' or 'power'
+ * @param {string} value - Value as entered
+ * @param {string} unit - Unit it was entered in
+ * @returns {string} Value in pounds or HP; returned unchanged when it is blank, not a
+ *                   number or already in the canonical unit
+ */
+export function toCanonical(kind, value, unit) {
+    const number = parseFloat(value);
+    if (!isKnownUnit(kind, unit) || unit === getCanonicalUnit(kind) || isNaN(number)) {
+        return value;
+    }
+    const scale = 10 ** CANONICAL_DECIMALS;
+    return String(Math.round(number * UNITS[kind][unit].factor * scale) / scale);
+}
+
+/**
+ * Convert a canonical value to a unit, rounded to a whole number as the form takes it
+ * @param {string} kind - 'weight' or 'power'
+ * @param {string|number} value - Value in pounds or HP
+ * @param {string} unit - Unit to convert to
+ * @returns {string} Value in the unit; unchanged when it is blank, not a number or the
+ *                   unit is the canonical one
+ */
+export function fromCanonical(kind, value, unit) {
+    const number = parseFloat(value);
+    if (!isKnownUnit(kind, unit) || unit === getCanonicalUnit(kind) || isNaN(number)) {
+        return String(value ?? '');
+    }
+    return String(Math.round(number / UNITS[kind][unit].factor));
+}
+
+/**
+ * Convert an amount in pounds or HP (e.g. a margin) to a unit and label it
+ * @param {string} kind - 'weight' or 'power'
+ * @param {number} amount - Amount in pounds or HP
+ * @param {string} unit - Unit to show it in
+ * @returns {string} Amount rounded to one decimal with its unit, e.g. "48.2 kg"
+ */
+export function formatAmount(kind, amount, unit) {
+    const shown = isKnownUnit(kind, unit) ? unit : getCanonicalUnit(kind);
+    const value = Math.round(amount / UNITS[kind][shown].factor * 10) / 10;
+    return `${value} ${UNITS[kind][shown].label}`;
+}
+
+/**
+ * Describe an entered value with its conversion, for reports
+ * @param {string} kind - 'weight' or 'power'
+ * @param {string} value - Value as entered
+ * @param {string} unit - Unit it was entered in
+ * @returns {string} e.g. "1300 kg (2866 lb)", with the converted value as the calculator
+ *                   uses it; the value alone when it is in the canonical unit, or empty
+ *                   string when blank
+ */
+export function describeEnteredValue(kind, value, unit) {
+    if (!value || !isKnownUnit(kind, unit) || unit === getCanonicalUnit(kind)) {
+        return value || '';
+    }
+    const converted = toCanonical(kind, value, unit);
+    return `${value} ${getUnitLabel(kind, unit)} (${converted} ${getUnitLabel(kind, getCanonicalUnit(kind))})`;
+}
+
+/**
+ * Describe a stored value (in pounds or HP) in the unit it was entered in, for lists
+ * and comparisons of saved configurations
+ * @param {string} kind - 'weight' or 'power'
+ * @param {string} value - Stored value in pounds or HP
+ * @param {string} unit - Unit it was entered in (blank for configurations saved before units)
+ * @returns {string} e.g. "2900 lb" or "1300 kg (2866 lb)", or empty string when blank
+ */
+export function describeStoredValue(kind, value, unit) {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+    if (!isKnownUnit(kind, unit) || unit === getCanonicalUnit(kind)) {
+        return `${value} ${getUnitLabel(kind, getCanonicalUnit(kind))}`;
+    }
+    return describeEnteredValue(kind, fromCanonical(kind, value, unit), unit);
+}
@@ -0,0 +1,160 @@
+/**
+ * Service Worker
+ * Caches the calculator - page, styles, modules and rulebooks - so it keeps working
+ * without a connection after the first visit
+ *
+ * The page and the rulebooks are fetched from the network first, so rule updates are
+ * picked up whenever there is a connection, falling back to the cache when the network
+ * fails or is slow. Everything else is served from the cache and refreshed in the
+ * background. Submissions (POSTs) are never cached; the page queues them in its outbox.
+ *
+ * Bump CACHE_VERSION when files are added to or removed from APP_FILES.
+ */
+
+const CACHE_VERSION = 7;
+const CACHE_PREFIX = 'wcma-calculator-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// How long to wait for the network before using the cached page or rulebook
+const NETWORK_TIMEOUT = 3000;
+
+// Files the calculator needs, relative to this script
+const APP_FILES = [
+    'car-classing.html',
+    'css/calculator.css',
+    'favicon.svg',
+    'js/batch.js',
+    'js/calculator.js',
+    'js/classing-sheet.js',
+    'js/compare.js',
+    'js/config-file.js',
+    'js/draft.js',
+    'js/dyno-chart.js',
+    'js/dyno-checks.js',
+    'js/dyno-correction.js',
+    'js/dyno-table.js',
+    'js/form-handler.js',
+    'js/garage.js',
+    'js/html-template.js',
+    'js/idb.js',
+    'js/integrity.js',
+    'js/modifiers.js',
+    'js/optimizer.js',
+    'js/outbox.js',
+    'js/pdf-writer.js',
+    'js/qr-code.js',
+    'js/rulebook.js',
+    'js/share-link.js',
+    'js/solver.js',
+    'js/ui-controller.js',
+    'js/units.js',
+    'rules/index.json'
+];
+
+/**
+ * Store a response in the cache if it is usable
+ * @param {Cache} cache - Cache to store in
+ * @param {Request} request - Request the response answers
+ * @param {Response} response - Response from the network
+ * @returns {Response} The response, unread
+ */
+function cacheResponse(cache, request, response) {
+    // Opaque responses (cross-origin images such as the logo) have status 0
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Find a cached response, ignoring the ?v= cache-busting query on script URLs
+ * @param {Cache} cache - Cache to search
+ * @param {Request} request - Request to answer
+ * @returns {Promise<Response|undefined>} Cached response
+ */
+async function matchCached(cache, request) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached || request.mode !== 'navigate') {
+        return cached;
+    }
+    // Share links and the app's directory URL all open the calculator page
+    return cache.match('car-classing.html');
+}
+
+/**
+ * Answer from the network, or from the cache if the network fails or takes too long
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const network = fetch(event.request).then(response => cacheResponse(cache, event.request, response));
+    // A slow response still refreshes the cache after the cached copy is used
+    event.waitUntil(network.catch(() => {}));
+
+    const timeout = new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('Network timeout')), NETWORK_TIMEOUT);
+    });
+    try {
+        return await Promise.race([network, timeout]);
+    } catch (error) {
+        const cached = await matchCached(cache, event.request);
+        // Nothing cached: keep waiting on the network (or report its failure)
+        return cached || network;
+    }
+}
+
+/**
+ * Answer from the cache and refresh the cached copy in the background
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await matchCached(cache, event.request);
+    const network = fetch(event.request).then(response => cacheResponse(cache, event.request, response));
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_FILES);
+
+        // Every rulebook edition the index lists, so any edition can be chosen offline
+        const index = await (await cache.match('rules/index.json')).json();
+        await cache.addAll(index.editions.map(entry => `rules/${entry.file}`));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    // Other sites are left alone, apart from images such as the header logo
+    if (!sameOrigin && request.destination !== 'image') return;
+
+    if (request.mode === 'navigate' || (sameOrigin && url.pathname.includes('/rules/'))) {
+        event.respondWith(networkFirst(event));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for js/batch.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { parseCsv, toCsv, classifyEntryList, RESULT_COLUMNS } from '../js/batch.js';
+
+const edition = await loadEditionFromDisk('2026');
+
+test('classifyEntryList rejects a row with body mods its chassis excludes', () => {
+    const { entries, summary } = classifyEntryList([
+        'year,make,model,weight,hp,chassis,body',
+        '2004,Honda,S2000,2900,300,chassis1,body1',
+        '2004,Honda,S2000,2900,300,chassis3,body1'
+    ].join('\n'), edition);
+
+    assert.deepEqual(summary, { total: 2, classed: 1, failed: 1 });
+    assert.equal(entries[0].results, null);
+    assert.deepEqual(entries[0].errors, ["Body Mods options can't be used with chassis1 (got body1)"]);
+    assert.ok(entries[1].results.calculatedClass);
+});
+
+test('classifyEntryList numbers entries by the file line their row starts on', () => {
+    const { entries } = classifyEntryList([
+        'year,make,model,weight,hp',
+        '',
+        '2004,"Honda',
+        'Motor",S2000,2900,300',
+        '1999,Mazda,Miata,abc,140'
+    ].join('\r\n'), edition);
+
+    assert.deepEqual(entries.map(entry => entry.line), [3, 5]);
+    assert.equal(entries[0].make, 'Honda\r\nMotor');
+    assert.deepEqual(entries[1].errors, ['Invalid weight: abc']);
+});
+
+test('classifyEntryList warns about cells beyond the header', () => {
+    const { entries, csv } = classifyEntryList([
+        'year,make,model,weight,hp',
+        '2004,Honda,S2000,2900,300,late entry,',
+        '1999,Mazda,Miata,2400,140,,'
+    ].join('\n'), edition);
+
+    assert.deepEqual(entries[0].warnings, ['1 cell beyond the header left out of the annotated CSV: late entry']);
+    assert.deepEqual(entries[1].warnings, []);
+    assert.ok(!csv.includes('late entry'));
+});
+
+test('classifyEntryList keeps copied cells from starting a spreadsheet formula', () => {
+    const { csv } = classifyEntryList([
+        'year,make,model,weight,hp',
+        '2004,"=HYPERLINK(""http://example.com"")",+S2000,2900,300',
+        '1999,@SUM(A1),-Miata,-5,140'
+    ].join('\n'), edition);
+    const lines = csv.split('\r\n');
+
+    assert.ok(lines[1].startsWith(`2004,"'=HYPERLINK(""http://example.com"")",'+S2000,2900,300,`));
+    assert.ok(lines[2].startsWith("1999,'@SUM(A1),'-Miata,'-5,140,"));
+    // Negative factors in the result columns are numbers, not formulas
+    assert.ok(/,-\d+\.\d\d,/.test(lines[1]));
+});
+
+test('parseCsv handles quoted cells, a byte order mark and blank lines', () => {
+    assert.deepEqual(parseCsv('﻿a,"b,c"\r\n\r\n"say ""hi""",\n'), [['a', 'b,c'], ['say "hi"', '']]);
+});
+
+test('toCsv quotes cells that need it and round-trips through parseCsv', () => {
+    const rows = [['plain', 'with, comma', 'with "quotes"', 'two\nlines', null, 42]];
+    const text = toCsv(rows);
+    assert.equal(text, 'plain,"with, comma","with ""quotes""","two\nlines",,42\r\n');
+    assert.deepEqual(parseCsv(text), [['plain', 'with, comma', 'with "quotes"', 'two\nlines', '', '42']]);
+});
+
+test('classifyEntryList matches headers loosely and appends the result columns', () => {
+    const { csv, entries, summary, errors } = classifyEntryList([
+        'Year,Make,Model,Competition Weight,Declared HP,Tires,Brake/Susp',
+        '2004,Honda,S2000,2500,160,tire4,brake1;brake2'
+    ].join('\n'), edition);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(summary, { total: 1, classed: 1, failed: 0 });
+    assert.equal(entries[0].results.calculatedClass, 'IT1');
+    assert.deepEqual(entries[0].brakeSuspension, 'brake1;brake2');
+    assert.deepEqual(parseCsv(csv)[0].slice(7), RESULT_COLUMNS);
+    assert.equal(parseCsv(csv)[1][7], 'IT1');
+});
+
+test('classifyEntryList reports missing columns and unknown option ids', () => {
+    assert.deepEqual(classifyEntryList('year,make,model\n2004,Honda,S2000', edition).errors,
+        ['Missing weight column', 'Missing declared HP column']);
+    assert.deepEqual(classifyEntryList('', edition).errors, ['The CSV file is empty']);
+
+    const { entries } = classifyEntryList('weight,hp,tires\n2500,160,tire7', edition);
+    assert.deepEqual(entries[0].errors, ['Unknown Tires option id: tire7']);
+});
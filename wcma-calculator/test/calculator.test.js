@@ -0,0 +1,86 @@
+/**
+ * Tests for js/calculator.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { selectionsFromOptionIds, validateSelections, updateCalculations } from '../js/calculator.js';
+
+const edition = await loadEditionFromDisk('2026');
+
+test('validateSelections accepts one option per single-select group and several brake options', () => {
+    const result = validateSelections({
+        chassis: 'chassis3', bodyMods: '', transmission: 'trans2', drivetrain: '', tires: 'tire4',
+        brakeSuspension: ['brake1', 'brake2']
+    }, edition);
+    assert.deepEqual(result, { isValid: true, errors: [] });
+});
+
+test('validateSelections rejects two options in a single-select group', () => {
+    const result = validateSelections({ bodyMods: ['body1', 'body2'] }, edition);
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.errors, ['Only one Body Mods option allowed (got body1, body2)']);
+});
+
+test('validateSelections rejects body mods with a chassis that excludes them', () => {
+    const result = validateSelections({ chassis: 'chassis1', bodyMods: 'body1' }, edition);
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.errors, ["Body Mods options can't be used with chassis1 (got body1)"]);
+});
+
+test('selectionsFromOptionIds applies the same combination rules', () => {
+    assert.deepEqual(selectionsFromOptionIds(['chassis2', 'body3'], edition).errors,
+        ["Body Mods options can't be used with chassis2 (got body3)"]);
+    assert.deepEqual(selectionsFromOptionIds(['body1', 'body2'], edition).errors,
+        ['Only one Body Mods option allowed (got body1 and body2)']);
+
+    const { selections, errors } = selectionsFromOptionIds(['chassis1', 'tire4', 'brake2'], edition);
+    assert.deepEqual(errors, []);
+    assert.equal(selections.chassis, 'chassis1');
+    assert.deepEqual(selections.brakeSuspension, ['brake2']);
+});
+
+test('updateCalculations itemizes applied and skipped options with their lookup class', () => {
+    const results = updateCalculations({
+        competitionWeight: '2500', declaredHp: '160', tires: 'tire4', brakeSuspension: ['brake1', 'brake99']
+    }, edition);
+    assert.equal(results.calculatedClass, 'IT1');
+    assert.equal(results.breakdown.edition, '2026');
+    assert.equal(results.breakdown.baseClass, 'IT1');
+    assert.deepEqual(results.breakdown.modifiers.map(m => [m.optionId, m.lookupClass, m.value]),
+        [['tire4', 'IT1', 0.5], ['brake1', 'IT1', -0.2]]);
+    assert.deepEqual(results.breakdown.skipped.map(s => [s.optionId, s.reason]), [['brake99', 'Unknown option']]);
+});
+
+test('updateCalculations skips options that have no value for the base class', () => {
+    const results = updateCalculations({
+        competitionWeight: '2900', declaredHp: '300', chassis: 'chassis3', brakeSuspension: ['brake1']
+    }, edition);
+    assert.equal(results.calculatedClass, 'GT2');
+    assert.equal(results.modificationFactor, 0);
+    assert.deepEqual(results.breakdown.modifiers, []);
+    assert.deepEqual(results.breakdown.skipped.map(s => [s.groupLabel, s.optionId, s.reason]), [
+        ['Chassis', 'chassis3', 'Not applicable to GT2'],
+        ['Brake & Suspension', 'brake1', 'Not applicable to GT2']
+    ]);
+});
+
+test('updateCalculations records every pass of the weight factor loop', () => {
+    // The IT1 weight factor drops the car into GT4, which has its own weight bands
+    const { breakdown } = updateCalculations({ competitionWeight: '2100', declaredHp: '150' }, edition);
+    assert.deepEqual(breakdown.weightFactorPasses.map(p => [p.pass, p.triedClass, p.weightBand, p.weightFactor, p.resultingClass]), [
+        [1, 'IT1', 'Under 2150 lbs', -0.6, 'GT4'],
+        [2, 'GT4', 'Under 2200 lbs', -0.3, 'GT4']
+    ]);
+    assert.equal(breakdown.weightBand.lookupClass, 'GT4');
+    assert.deepEqual(breakdown.weightBand.band, { below: 2200, factor: -0.3 });
+});
+
+test('updateCalculations returns an empty breakdown without a weight and HP', () => {
+    const results = updateCalculations({ competitionWeight: '', declaredHp: '150', tires: 'tire4' }, edition);
+    assert.equal(results.calculatedClass, '');
+    assert.deepEqual(results.breakdown.modifiers, []);
+    assert.deepEqual(results.breakdown.weightFactorPasses, []);
+});
@@ -0,0 +1,29 @@
+/**
+ * Tests for js/draft.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isDraftEmpty } from '../js/draft.js';
+
+// A blank form, as getAllFormDataForSave() reads it
+const blankFields = {
+    name: '', email: '', year: '', make: '', model: '', comments: '',
+    competitionWeight: '', declaredHp: '', dynoHp: '',
+    weightUnit: 'lb', powerUnit: 'hp',
+    dynoCorrection: '', dynoType: '', dynoTemperature: '', dynoPressure: '', dynoHumidity: '',
+    chassis: '', bodyMods: '', transmission: '', drivetrain: '', tires: '', brakeSuspension: [],
+    edition: '2026'
+};
+
+test('isDraftEmpty treats a blank form as empty, whatever units are selected', () => {
+    assert.equal(isDraftEmpty(blankFields), true);
+    assert.equal(isDraftEmpty({ ...blankFields, weightUnit: 'kg', powerUnit: 'kw' }), true);
+});
+
+test('isDraftEmpty keeps a draft with anything entered', () => {
+    assert.equal(isDraftEmpty({ ...blankFields, make: 'Honda' }), false);
+    assert.equal(isDraftEmpty({ ...blankFields, competitionWeight: '1300', weightUnit: 'kg' }), false);
+    assert.equal(isDraftEmpty({ ...blankFields, brakeSuspension: ['brake1'] }), false);
+});
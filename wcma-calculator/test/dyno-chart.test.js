@@ -0,0 +1,70 @@
+/**
+ * Tests for js/dyno-chart.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getChartLayout, readRunAt, drawDynoChart } from '../js/dyno-chart.js';
+import { summarizeDynoRun } from '../js/dyno-table.js';
+
+const samples = [
+    { rpm: 5000, hp: 250, torque: 262.6 },
+    { rpm: 3000, hp: 150, torque: 262.6 },
+    { rpm: 4000, hp: 210, torque: 275.8 }
+];
+
+/**
+ * Drawing context that records the text drawn and ignores everything else
+ * @returns {Object} Context with a texts array
+ */
+function createRecordingContext() {
+    const texts = [];
+    return new Proxy({ texts }, {
+        get(target, name) {
+            if (name in target) return target[name];
+            if (name === 'fillText') return (text) => texts.push(String(text));
+            if (name === 'measureText') return (text) => ({ width: String(text).length * 6 });
+            return () => {};
+        },
+        set() {
+            return true;
+        }
+    });
+}
+
+test('getChartLayout rounds the axes out to whole steps around the run', () => {
+    const layout = getChartLayout(samples, 600, 300);
+
+    assert.deepEqual(layout.rpm, { min: 3000, max: 5000, step: 500 });
+    assert.deepEqual(layout.hp, { min: 0, max: 300, step: 50 });
+    assert.equal(layout.torque.max / layout.torque.step, layout.hp.max / layout.hp.step);
+    assert.ok(layout.torque.max >= 275.8);
+    assert.equal(layout.xForRpm(3000), layout.left);
+    assert.equal(layout.rpmForX(layout.right), 5000);
+    assert.equal(layout.yForHp(0), layout.bottom);
+});
+
+test('getChartLayout leaves no room for a torque axis without torque readings', () => {
+    const layout = getChartLayout(samples.map(sample => ({ ...sample, torque: null })), 600, 300);
+    assert.equal(layout.torque, null);
+    assert.equal(layout.right, 600 - 16);
+});
+
+test('readRunAt follows straight lines between readings', () => {
+    assert.deepEqual(readRunAt(samples, 3500), { rpm: 3500, hp: 180, torque: (262.6 + 275.8) / 2 });
+    assert.deepEqual(readRunAt(samples, 3000), { rpm: 3000, hp: 150, torque: 262.6 });
+    assert.equal(readRunAt(samples, 2999), null);
+    assert.equal(readRunAt(samples, 5001), null);
+});
+
+test('drawDynoChart labels the peaks and the averaged span', () => {
+    const context = createRecordingContext();
+    const run = summarizeDynoRun(samples, { edition: 'test', dynoAveraging: { rpmWindow: 1000 } });
+    drawDynoChart(context, 600, 300, samples, run);
+
+    assert.ok(context.texts.includes('Peak 250.0 HP @ 5000'));
+    assert.ok(context.texts.includes('275.8 lb-ft @ 4000'));
+    assert.ok(context.texts.includes(`Avg ${run.averageHp.toFixed(1)}`));
+    assert.ok(context.texts.includes('Averaged over 1000 rpm'));
+});
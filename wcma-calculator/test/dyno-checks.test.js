@@ -0,0 +1,57 @@
+/**
+ * Tests for js/dyno-checks.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { checkDynoConsistency, describeDynoChecks } from '../js/dyno-checks.js';
+
+const published = await loadEditionFromDisk('2026');
+
+// The 2026 rules set no dyno checks, so these tests add them
+const edition = { ...published, dynoChecks: { tolerancePercent: 5, requireChart: true } };
+
+const car = { competitionWeight: '2900', declaredHp: '300' };
+
+test('checkDynoConsistency has nothing to check without a dyno figure', () => {
+    assert.deepEqual(checkDynoConsistency(car, edition, { hp: null, hasChart: false }),
+        { isValid: true, errors: [], warnings: [], classChange: null });
+});
+
+test('checkDynoConsistency needs a chart when the edition requires one', () => {
+    const checks = checkDynoConsistency(car, edition, { hp: 300, hasChart: false });
+    assert.equal(checks.isValid, false);
+    assert.deepEqual(checks.errors, ['A dyno chart must be attached when a dyno HP figure is given']);
+
+    assert.equal(checkDynoConsistency(car, edition, { hp: 300, hasChart: true }).isValid, true);
+    assert.equal(checkDynoConsistency(car, published, { hp: 300, hasChart: false }).isValid, true);
+});
+
+test('checkDynoConsistency warns when the dyno figure is above the declared HP by more than the tolerance', () => {
+    assert.deepEqual(checkDynoConsistency(car, edition, { hp: 315, hasChart: true }).warnings, []);
+    assert.deepEqual(checkDynoConsistency(car, edition, { hp: 330, hasChart: true }).warnings,
+        ['Dyno HP (330.0) is 10.0% above the declared HP (300); the rules allow 5%']);
+    assert.deepEqual(checkDynoConsistency(car, published, { hp: 330, hasChart: true }).warnings, []);
+});
+
+test('checkDynoConsistency shows the class the car would get on the dyno figure', () => {
+    const same = checkDynoConsistency(car, edition, { hp: 330, hasChart: true }).classChange;
+    assert.deepEqual([same.declaredClass, same.dynoClass], ['GT2', 'GT2']);
+    assert.match(same.message, /^On the dyno figure the car stays in GT2 \(ratio 8\.\d\d instead of 9\.57\)$/);
+
+    const faster = checkDynoConsistency(car, edition, { hp: 370, hasChart: true }).classChange;
+    assert.deepEqual([faster.declaredClass, faster.dynoClass], ['GT2', 'GT1']);
+    assert.match(faster.message, /^On the dyno figure the car would be in GT1 instead of GT2 /);
+});
+
+test('describeDynoChecks lists errors, warnings and the class line', () => {
+    const checks = checkDynoConsistency(car, edition, { hp: 370, hasChart: false });
+    assert.deepEqual(describeDynoChecks(checks).split('\n'), [
+        'Error: A dyno chart must be attached when a dyno HP figure is given',
+        'Warning: Dyno HP (370.0) is 23.3% above the declared HP (300); the rules allow 5%',
+        checks.classChange.message
+    ]);
+    assert.equal(describeDynoChecks(checkDynoConsistency(car, edition, { hp: null, hasChart: false })), '');
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for js/dyno-correction.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { validateRulebook } from '../js/rulebook.js';
+import { getCorrectionFactor, normalizeDynoHp } from '../js/dyno-correction.js';
+
+const published = await loadEditionFromDisk('2026');
+
+// The 2026 rules set no dyno basis, so these tests add one
+const edition = {
+    ...published,
+    dynoBasis: { correction: 'sae-j1349', dynoType: 'engine', drivetrainLoss: { hub: 0.1, chassis: 0.15 } }
+};
+
+const dryDay = { temperature: 77, pressure: 29.235, humidity: 0 };
+
+test('getCorrectionFactor is 1 at each standard\'s reference conditions', () => {
+    assert.equal(getCorrectionFactor('sae-j1349', dryDay).toFixed(6), '1.000000');
+    assert.equal(getCorrectionFactor('std', { temperature: 60, pressure: 29.92, humidity: 0 }).toFixed(6), '1.000000');
+    assert.equal(getCorrectionFactor('uncorrected', dryDay), 1);
+});
+
+test('getCorrectionFactor corrects up on a hot, humid, low-pressure day', () => {
+    const factor = getCorrectionFactor('sae-j1349', { temperature: 95, pressure: 29.0, humidity: 60 });
+    assert.ok(factor > 1.04 && factor < 1.08, String(factor));
+});
+
+test('normalizeDynoHp adds back the drivetrain loss of a chassis dyno', () => {
+    const result = normalizeDynoHp({ hp: '170', correction: 'sae-j1349', dynoType: 'chassis' }, edition);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.hp.toFixed(6), '200.000000');
+    assert.equal(result.enteredBasis, 'SAE J1349, Chassis dyno at the wheels');
+    assert.deepEqual(result.steps.map(step => step.label), [
+        'Entered: SAE J1349, Chassis dyno at the wheels',
+        'At the crank: Chassis dyno at the wheels loss of 15% added back'
+    ]);
+});
+
+test('normalizeDynoHp converts between hub and wheel figures through the crank', () => {
+    const wheelBasis = { ...edition, dynoBasis: { ...edition.dynoBasis, dynoType: 'chassis' } };
+    const result = normalizeDynoHp({ hp: '180', correction: 'sae-j1349', dynoType: 'hub' }, wheelBasis);
+    assert.equal(result.hp.toFixed(3), '170.000');
+    assert.equal(result.steps.length, 3);
+});
+
+test('normalizeDynoHp takes an uncorrected figure to the rules standard with the weather', () => {
+    const weather = { temperature: '95', pressure: '29.0', humidity: '60' };
+    const result = normalizeDynoHp({ hp: '200', correction: 'uncorrected', dynoType: 'engine', ...weather }, edition);
+    const factor = getCorrectionFactor('sae-j1349', { temperature: 95, pressure: 29.0, humidity: 60 });
+
+    assert.equal(result.hp, 200 * factor);
+    assert.equal(result.steps[1].label, `SAE J1349: multiplied by the factor ${factor.toFixed(3)} (95 F, 29 inHg, 60% humidity)`);
+});
+
+test('normalizeDynoHp needs the weather to change the correction standard', () => {
+    const result = normalizeDynoHp({ hp: '200', correction: 'std', dynoType: 'engine', pressure: '35' }, edition);
+    assert.equal(result.isValid, false);
+    assert.equal(result.hp, null);
+    assert.deepEqual(result.errors, [
+        'Enter the temperature and humidity during the run to convert from STD (SAE J607) to SAE J1349',
+        'Barometric pressure must be between 20 and 32 inHg'
+    ]);
+});
+
+test('normalizeDynoHp uses the figure as entered without a basis or on the rules basis', () => {
+    assert.equal(normalizeDynoHp({ hp: '200', dynoType: 'chassis' }, published).hp, 200);
+    assert.deepEqual(normalizeDynoHp({ hp: '' }, edition), { isValid: true, errors: [], hp: null, steps: [], enteredBasis: '' });
+
+    const onBasis = normalizeDynoHp({ hp: '200', correction: '', dynoType: '' }, edition);
+    assert.equal(onBasis.hp, 200);
+    assert.equal(onBasis.steps[0].label, 'Entered: SAE J1349, Engine dyno at the crank - already on the rules basis');
+});
+
+test('validateRulebook checks the dyno basis', () => {
+    assert.deepEqual(validateRulebook(edition).errors, []);
+    assert.deepEqual(validateRulebook({
+        ...published,
+        dynoBasis: { correction: 'din', dynoType: 'chassis', drivetrainLoss: { engine: 0.1, chassis: 1 } }
+    }).errors, [
+        'dynoBasis.correction must be one of sae-j1349, std, uncorrected',
+        'dynoBasis.drivetrainLoss.engine is not a dyno type with a drivetrain loss (expected hub or chassis)',
+        'dynoBasis.drivetrainLoss.chassis must be a share of crank power from 0 up to 1'
+    ]);
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for js/dyno-table.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDynoTable, summarizeDynoRun } from '../js/dyno-table.js';
+
+// The 2026 rules have no averaging span, so the averaging tests bring their own
+const averaging = (rpmWindow) => ({ edition: 'test', dynoAveraging: { rpmWindow } });
+
+// Triangular run peaking at 200 HP at 4000 RPM
+const triangle = [[3000, 100], [3500, 150], [4000, 200], [4500, 150], [5000, 100]]
+    .map(([rpm, hp]) => ({ rpm, hp, torque: null }));
+
+test('parseDynoTable skips run details and reads the columns a header names', () => {
+    const { samples, errors, columns } = parseDynoTable([
+        'Run 3 - Dynojet 224x',
+        'Torque (lb-ft),Engine Speed (RPM),Power (HP)',
+        '300,4000,228.5',
+        '310,5000,295.1'
+    ].join('\n'));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(columns, { rpm: 'Engine Speed (RPM)', power: 'Power (HP)', torque: 'Torque (lb-ft)' });
+    assert.deepEqual(samples, [{ rpm: 4000, hp: 228.5, torque: 300 }, { rpm: 5000, hp: 295.1, torque: 310 }]);
+});
+
+test('parseDynoTable converts kW and Nm from a units row and reads decimal commas', () => {
+    const { samples, errors } = parseDynoTable('RPM;Power;Torque\nrpm;kW;Nm\n4000;100,0;400\n5000;150,0;420\n');
+
+    assert.deepEqual(errors, []);
+    assert.equal(samples[0].hp.toFixed(2), '134.10');
+    assert.equal(samples[0].torque.toFixed(2), '295.02');
+});
+
+test('parseDynoTable works out power from torque and reads a table without a header', () => {
+    assert.equal(parseDynoTable('RPM\tTorque\n5252\t200\n6000\t180').samples[0].hp, 200);
+
+    const { samples, columns } = parseDynoTable('4000 228.5\n5000 295.1\n');
+    assert.deepEqual(columns, { rpm: 'column 1', power: 'column 2', torque: '' });
+    assert.deepEqual(samples.map(s => s.hp), [228.5, 295.1]);
+});
+
+test('parseDynoTable reports bad rows by line and files without a table', () => {
+    const { errors } = parseDynoTable('RPM,HP\n4000,228\n4500\n5000,abc\n0,10\n5500,-1\n');
+    assert.deepEqual(errors, [
+        { line: 3, message: 'Expected 2 columns, found 1' },
+        { line: 4, message: 'Power "abc" is not a number' },
+        { line: 5, message: 'RPM must be greater than zero' },
+        { line: 6, message: "Power can't be negative" },
+        { line: null, message: 'The table needs at least two rows of readings' }
+    ]);
+
+    assert.deepEqual(parseDynoTable('Customer: Pat\nCar: S2000\n').errors,
+        [{ line: null, message: 'No dyno table found - expected RPM and HP (or torque) columns' }]);
+});
+
+test('summarizeDynoRun finds the peaks whatever order the samples are in', () => {
+    const summary = summarizeDynoRun([...triangle].reverse(), averaging(1000));
+    assert.deepEqual([summary.peakHp, summary.peakHpRpm, summary.minRpm, summary.maxRpm], [200, 4000, 3000, 5000]);
+    assert.equal(summary.peakTorque, null);
+});
+
+test('summarizeDynoRun averages the best span of the rule width', () => {
+    const summary = summarizeDynoRun(triangle, averaging(1000));
+    assert.deepEqual([summary.averageHp, summary.averageFromRpm, summary.averageToRpm], [175, 3500, 4500]);
+});
+
+test('summarizeDynoRun finds a best span that starts between readings', () => {
+    const summary = summarizeDynoRun(triangle, averaging(600));
+    assert.equal(summary.averageHp.toFixed(3), '185.000');
+    assert.equal(Math.round(summary.averageFromRpm), 3700);
+});
+
+test('summarizeDynoRun has no average without an averaging rule or for a narrow run', () => {
+    assert.equal(summarizeDynoRun(triangle, { edition: '2026' }).averageHp, null);
+    assert.equal(summarizeDynoRun(triangle, averaging(2500)).averageHp, null);
+    assert.equal(summarizeDynoRun(triangle, averaging(2000)).averageHp, 150);
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for js/html-template.js
+ * Hostile values in the print report's fields must come out as plain text
+ *
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SafeHtml, escapeHtml, html, multiline } from '../js/html-template.js';
+
+// A print report row, built the way handlePrint() builds them
+const reportRow = (label, value) => html`<div class="form-row"><div class="form-label">${label}:</div><div class="form-value">${value}</div></div>`;
+
+test('escapeHtml escapes markup characters and quotes', () => {
+    assert.equal(escapeHtml('<b>Tom & "Jerry\'s"</b>'), '&lt;b&gt;Tom &amp; &quot;Jerry&#39;s&quot;&lt;/b&gt;');
+});
+
+test('escapeHtml turns null and undefined into empty text and other values into strings', () => {
+    assert.equal(escapeHtml(null), '');
+    assert.equal(escapeHtml(undefined), '');
+    assert.equal(escapeHtml(0), '0');
+    assert.equal(escapeHtml(false), 'false');
+});
+
+test('escapeHtml escapes an ampersand once', () => {
+    assert.equal(escapeHtml('&lt;'), '&amp;lt;');
+});
+
+test('html escapes a <script> name', () => {
+    const row = reportRow('Name', '<script>alert("x")</script>').toString();
+    assert.equal(row, '<div class="form-row"><div class="form-label">Name:</div>' +
+        '<div class="form-value">&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</div></div>');
+    assert.ok(!row.includes('<script'));
+});
+
+test('html escapes an <img onerror> make and model', () => {
+    const row = reportRow('Vehicle', `2004 <img src=x onerror="alert(1)"> S2000`).toString();
+    assert.ok(row.includes('2004 &lt;img src=x onerror=&quot;alert(1)&quot;&gt; S2000'));
+    assert.ok(!row.includes('<img'));
+});
+
+test('html escapes quotes in attribute values', () => {
+    const email = `a"onmouseover="alert(1)'@example.com`;
+    const link = html`<a title="${email}" href="mailto:${email}">${email}</a>`.toString();
+    assert.equal(link, '<a title="a&quot;onmouseover=&quot;alert(1)&#39;@example.com" ' +
+        'href="mailto:a&quot;onmouseover=&quot;alert(1)&#39;@example.com">' +
+        'a&quot;onmouseover=&quot;alert(1)&#39;@example.com</a>');
+});
+
+test('html returns SafeHtml and keeps nested template output unescaped', () => {
+    const notProvided = html`<span class="empty">Not provided</span>`;
+    assert.ok(notProvided instanceof SafeHtml);
+    assert.equal(reportRow('Email', '' || notProvided).toString(),
+        '<div class="form-row"><div class="form-label">Email:</div>' +
+        '<div class="form-value"><span class="empty">Not provided</span></div></div>');
+});
+
+test('html passes SafeHtml through as it is', () => {
+    const svg = new SafeHtml('<svg viewBox="0 0 1 1"><rect width="1" height="1"/></svg>');
+    assert.equal(html`<div class="qr-link">${svg}</div>`.toString(),
+        '<div class="qr-link"><svg viewBox="0 0 1 1"><rect width="1" height="1"/></svg></div>');
+});
+
+test('html does not trust plain objects that look like SafeHtml', () => {
+    const fake = { markup: '<script>alert(1)</script>', toString: () => '<script>alert(1)</script>' };
+    assert.equal(html`${fake}`.toString(), '&lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('html renders arrays item by item and skips null, undefined and false', () => {
+    const classes = ['GT1', '<b>GT2</b>'].map(name => html`<span>${name}</span>`);
+    assert.equal(html`${classes}|${null}|${undefined}|${false}|${0}`.toString(),
+        '<span>GT1</span><span>&lt;b&gt;GT2&lt;/b&gt;</span>||||0');
+});
+
+test('multiline escapes comments and keeps their line breaks', () => {
+    const comments = 'Line one\n<script>alert(1)</script>\r\nLine "three"\rLast';
+    assert.equal(multiline(comments).toString(),
+        'Line one<br>&lt;script&gt;alert(1)&lt;/script&gt;<br>Line &quot;three&quot;<br>Last');
+});
+
+test('multiline output is kept as markup inside a report row', () => {
+    const row = reportRow('Comments', multiline('Fast <img src=x onerror=alert(1)>\nsecond line')).toString();
+    assert.ok(row.includes('Fast &lt;img src=x onerror=alert(1)&gt;<br>second line'));
+    assert.ok(!row.includes('<img'));
+});
+
+test('multiline of empty text is empty', () => {
+    assert.equal(multiline('').toString(), '');
+    assert.equal(multiline(undefined).toString(), '');
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for js/integrity.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { updateCalculations } from '../js/calculator.js';
+import { sha256, createIntegrityCode, normalizeIntegrityCode, verifyIntegrityCode } from '../js/integrity.js';
+
+const edition = await loadEditionFromDisk('2026');
+
+const data = { competitionWeight: '2900', declaredHp: '300', tires: 'tire4', brakeSuspension: [] };
+
+test('sha256 matches node:crypto across the padding block boundaries', () => {
+    [0, 1, 55, 56, 63, 64, 65, 200].forEach(length => {
+        const bytes = new Uint8Array(length).map((_, i) => (i * 31 + 7) & 0xff);
+        const expected = createHash('sha256').update(bytes).digest('hex');
+        assert.equal(Buffer.from(sha256(bytes)).toString('hex'), expected, `${length} bytes`);
+    });
+});
+
+test('createIntegrityCode is ten base32 characters and stable for the same inputs', () => {
+    const code = createIntegrityCode(data, edition, updateCalculations(data, edition));
+    assert.match(code, /^[0-9A-HJKMNP-TV-Z]{5}-[0-9A-HJKMNP-TV-Z]{5}$/);
+
+    const retyped = { ...data, declaredHp: '300.0' };
+    assert.equal(createIntegrityCode(retyped, edition, updateCalculations(retyped, edition)), code);
+
+    const edited = { ...data, declaredHp: '301' };
+    assert.notEqual(createIntegrityCode(edited, edition, updateCalculations(edited, edition)), code);
+});
+
+test('normalizeIntegrityCode ignores case, spaces and dashes and reads look-alike letters', () => {
+    assert.equal(normalizeIntegrityCode(' 7k2qd m9xaf '), '7K2QD-M9XAF');
+    assert.equal(normalizeIntegrityCode('OIL00-00000'), '01100-00000');
+    assert.equal(normalizeIntegrityCode('7K2QD-M9XA'), null);
+    assert.equal(normalizeIntegrityCode('7K2QD-M9XAU'), null);
+});
+
+test('verifyIntegrityCode accepts an unchanged printout and flags an edited one', () => {
+    const code = createIntegrityCode(data, edition, updateCalculations(data, edition));
+    const ok = verifyIntegrityCode({ code: code.toLowerCase(), printedClass: 'GT3' }, data, edition);
+    assert.deepEqual([ok.isValid, ok.errors, ok.code], [true, [], code]);
+
+    // The HP was raised on the printout, which moves the car to GT2
+    const edited = verifyIntegrityCode({ code, printedClass: 'GT3' }, { ...data, declaredHp: '320' }, edition);
+    assert.equal(edited.isValid, false);
+    assert.equal(edited.errors.length, 2);
+    assert.equal(edited.errors[0], "The printed class GT3 doesn't match the calculated class GT2");
+    assert.match(edited.errors[1], /^The integrity code doesn't match these vehicle factors under /);
+
+    assert.deepEqual(verifyIntegrityCode({ code: 'nope' }, data, edition).errors,
+        ['An integrity code is 10 letters and digits, e.g. 7K2QD-M9XAF']);
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for js/optimizer.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { findModificationPaths, describeChange } from '../js/optimizer.js';
+
+const edition = await loadEditionFromDisk('2026');
+
+const car = { competitionWeight: '2900', declaredHp: '300' };
+
+test('findModificationPaths lists single changes into the next class, most comfortable first', () => {
+    const result = findModificationPaths(car, 'GT3', edition);
+
+    assert.equal(result.currentClass, 'GT2');
+    assert.equal(result.inTarget, false);
+    assert.equal(result.totalPaths, 5);
+    assert.ok(result.paths.every(path => path.changes.length === 1 && path.results.calculatedClass === 'GT3'));
+    assert.deepEqual(result.paths[0].changes.map(describeChange), ['Add Tires tire4']);
+});
+
+test('findModificationPaths only goes to larger change sets when no smaller one works', () => {
+    const result = findModificationPaths(car, 'GTU', edition);
+
+    assert.ok(result.paths.length > 0);
+    assert.ok(result.paths.every(path => path.changes.length === 2 && path.results.calculatedClass === 'GTU'));
+    assert.equal(findModificationPaths(car, 'GTU', edition, { maxChanges: 1 }).totalPaths, 0);
+});
+
+test('findModificationPaths never proposes body mods with a chassis that excludes them', () => {
+    const result = findModificationPaths({ ...car, chassis: 'chassis1' }, 'GT3', edition);
+
+    assert.equal(result.currentClass, 'GT1');
+    assert.ok(result.paths.length > 0);
+    result.paths.forEach(path => {
+        const selected = { chassis: 'chassis1', body: '' };
+        path.changes.forEach(change => { selected[change.group] = change.to; });
+        const excluded = ['chassis1', 'chassis2'].includes(selected.chassis) && selected.body;
+        assert.ok(!excluded, path.changes.map(describeChange).join(', '));
+    });
+    assert.deepEqual(result.paths[0].changes.map(describeChange), ['Remove Chassis chassis1', 'Add Tires tire4']);
+});
+
+test('findModificationPaths splits single changes into keepers and dropouts for a car in the target class', () => {
+    const result = findModificationPaths(car, 'GT2', edition);
+
+    assert.equal(result.inTarget, true);
+    assert.ok(result.paths.every(path => path.results.calculatedClass === 'GT2'));
+    assert.ok(result.dropouts.every(path => path.results.calculatedClass !== 'GT2'));
+    assert.ok(result.dropouts.some(path => describeChange(path.changes[0]) === 'Add Chassis chassis1'));
+});
+
+test('findModificationPaths needs a target class and a classed car', () => {
+    assert.equal(findModificationPaths(car, 'GT9', edition).error, 'Please choose a target class');
+    assert.equal(findModificationPaths({ competitionWeight: '2900' }, 'GT2', edition).error,
+        'Enter competition weight and declared HP first');
+});
+
+test('describeChange words additions, removals and switches', () => {
+    assert.equal(describeChange({ groupLabel: 'Tires', from: '', to: 'tire1' }), 'Add Tires tire1');
+    assert.equal(describeChange({ groupLabel: 'Tires', from: 'tire1', to: '' }), 'Remove Tires tire1');
+    assert.equal(describeChange({ groupLabel: 'Tires', from: 'tire4', to: 'tire1' }), 'Switch Tires from tire4 to tire1');
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for js/pdf-writer.js and js/classing-sheet.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { updateCalculations } from '../js/calculator.js';
+import { PdfDocument } from '../js/pdf-writer.js';
+import { buildClassingSheet } from '../js/classing-sheet.js';
+
+const edition = await loadEditionFromDisk('2026');
+
+/**
+ * Read PDF bytes back as a string, one character per byte
+ * @param {Uint8Array} bytes - PDF file contents
+ * @returns {string} File text
+ */
+function toLatin1(bytes) {
+    return Buffer.from(bytes).toString('latin1');
+}
+
+/**
+ * Check the cross-reference table points at each object and the trailer at the table
+ * @param {string} file - PDF file text
+ * @returns {number} Number of objects (not counting object 0)
+ */
+function checkXref(file) {
+    const xrefOffset = Number(file.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.ok(file.startsWith('xref\n', xrefOffset));
+
+    const [, count] = file.slice(xrefOffset).match(/^xref\n0 (\d+)\n/);
+    const entries = file.slice(xrefOffset).split('\n').slice(3, 2 + Number(count));
+    entries.forEach((entry, i) => {
+        assert.ok(file.startsWith(`${i + 1} 0 obj\n`, Number(entry.slice(0, 10))), `object ${i + 1}`);
+    });
+    return entries.length;
+}
+
+test('PdfDocument writes a cross-reference table that matches the objects', () => {
+    const pdf = new PdfDocument({ title: 'Test', creationDate: new Date(Date.UTC(2026, 2, 1, 12, 30)) });
+    pdf.text(36, 50, 'Page one');
+    pdf.addPage();
+    pdf.rect(36, 60, 100, 20, { fill: [1, 0, 0] });
+    const file = toLatin1(pdf.toBytes());
+
+    assert.ok(file.startsWith('%PDF-1.4\n'));
+    assert.equal(checkXref(file), 4 + 2 * 2 + 1);
+    assert.ok(file.includes('/Count 2'));
+    assert.ok(file.includes('/CreationDate (D:20260301123000Z)'));
+});
+
+test('PdfDocument flips y and escapes text for the content stream', () => {
+    const pdf = new PdfDocument();
+    pdf.text(36, 100, 'Cost (est.) \\ 5€ → 6');
+    const file = toLatin1(pdf.toBytes());
+
+    assert.ok(file.includes('1 0 0 1 36 692 Tm (Cost \\(est.\\) \\\\ 5\x80 -> 6) Tj'));
+    assert.equal(pdf.textWidth('Ab', 'regular', 10), (667 + 556) / 100);
+});
+
+test('PdfDocument wraps text to a width, breaking words that do not fit', () => {
+    const pdf = new PdfDocument();
+    const width = pdf.textWidth('aaaa aaaa', 'regular', 10);
+    assert.deepEqual(pdf.wrapText('aaaa aaaa aaaa\nbb', width), ['aaaa aaaa', 'aaaa', 'bb']);
+    assert.deepEqual(pdf.wrapText('aaaaaaaaaaaa', pdf.textWidth('aaaaa')), ['aaaaa', 'aaaaa', 'aa']);
+});
+
+test('buildClassingSheet writes the vehicle, class, integrity code and class table', () => {
+    const formData = { competitionWeight: '2900', declaredHp: '300', tires: 'tire4' };
+    const bytes = buildClassingSheet({
+        edition,
+        results: updateCalculations(formData, edition),
+        values: { name: 'Pat Driver', year: '2004', make: 'Honda', model: 'S2000', competitionWeight: '2900', declaredHp: '300' },
+        integrityCode: 'ABCD-EFGH',
+        link: 'https://example.com/?w=2900&hp=300',
+        generatedAt: new Date(Date.UTC(2026, 2, 1))
+    });
+    const file = toLatin1(bytes);
+
+    checkXref(file);
+    assert.ok(file.includes('/Title (WCMA Classing Sheet - 2004 Honda S2000)'));
+    assert.ok(file.includes('(Pat Driver) Tj'));
+    assert.ok(file.includes('(GT3) Tj'));
+    assert.ok(file.includes('(Integrity code: ABCD-EFGH'));
+    edition.classes.forEach(classDef => assert.ok(file.includes(`(${classDef.name}) Tj`), classDef.name));
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for js/qr-code.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQrCode, qrCodeToSvg } from '../js/qr-code.js';
+
+// Error correction level of each format information level code (ISO/IEC 18004 table 12)
+const LEVELS = { 1: 'L', 0: 'M', 3: 'Q', 2: 'H' };
+
+/**
+ * Read the format information next to the top left finder
+ * @param {Object} qr - QR code from createQrCode()
+ * @returns {Object|null} { level, mask }, or null if the bits aren't a valid format code
+ */
+function readFormat(qr) {
+    const dark = (x, y) => (qr.modules[y][x] ? 1 : 0);
+    const positions = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8],
+        [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+    const bits = positions.reduce((value, [x, y], i) => value | (dark(x, y) << i), 0);
+
+    for (let data = 0; data < 32; data++) {
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        if ((((data << 10) | remainder) ^ 0x5412) === bits) {
+            return { level: LEVELS[data >> 3], mask: data & 7 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Decode a version 1 or 2 byte mode QR code with a single error correction block
+ * @param {Object} qr - QR code from createQrCode()
+ * @param {number} dataCodewords - Data codewords for the version and level
+ * @returns {string} Decoded text
+ */
+function decodeSmallQrCode(qr, dataCodewords) {
+    const { size } = qr;
+    const { mask } = readFormat(qr);
+    const isFunction = (x, y) => (x < 9 && y < 9) || (x >= size - 8 && y < 9) || (x < 9 && y >= size - 8)
+        || x === 6 || y === 6
+        || (qr.version === 2 && x >= 16 && x <= 20 && y >= 16 && y <= 20);
+    const masks = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    // Two-column zigzag from the bottom right, skipping the vertical timing column
+    const bits = [];
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let step = 0; step < size; step++) {
+            const y = upward ? size - 1 - step : step;
+            for (const x of [right, right - 1]) {
+                if (!isFunction(x, y)) {
+                    bits.push(qr.modules[y][x] !== masks[mask](x, y) ? 1 : 0);
+                }
+            }
+        }
+    }
+
+    const readBits = (start, count) => bits.slice(start, start + count).reduce((value, bit) => value * 2 + bit, 0);
+    assert.equal(readBits(0, 4), 0b0100, 'byte mode');
+    const length = readBits(4, 8);
+    assert.ok(length <= dataCodewords - 2);
+    const bytes = Array.from({ length }, (_, i) => readBits(12 + i * 8, 8));
+    return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+test('createQrCode picks the smallest version that fits the text', () => {
+    assert.deepEqual([createQrCode('WCMA 2026').version, createQrCode('WCMA 2026').size], [1, 21]);
+    assert.equal(createQrCode('https://example.com/wcma').version, 2);
+    // Version 10 at level M holds 213 bytes (ISO/IEC 18004 table 7)
+    assert.equal(createQrCode('x'.repeat(213)).version, 10);
+    assert.equal(createQrCode('x'.repeat(214)).version, 11);
+});
+
+test('createQrCode writes the requested error correction level in the format information', () => {
+    ['L', 'M', 'Q', 'H'].forEach(level => {
+        assert.equal(readFormat(createQrCode('WCMA', level)).level, level);
+    });
+    assert.throws(() => createQrCode('WCMA', 'X'), { message: 'Unknown QR error correction level: X' });
+});
+
+test('createQrCode draws the finder patterns and the dark module', () => {
+    const qr = createQrCode('WCMA 2026');
+    const finderRow = [true, true, true, true, true, true, true, false];
+    assert.deepEqual(qr.modules[0].slice(0, 8), finderRow);
+    assert.deepEqual(qr.modules[0].slice(qr.size - 8).reverse(), finderRow);
+    assert.deepEqual(qr.modules[qr.size - 1].slice(0, 8), finderRow);
+    assert.equal(qr.modules[qr.size - 8][8], true);
+});
+
+test('createQrCode data modules decode back to the text', () => {
+    assert.equal(decodeSmallQrCode(createQrCode('WCMA 2026'), 16), 'WCMA 2026');
+    assert.equal(decodeSmallQrCode(createQrCode('https://example.com/wcma'), 28), 'https://example.com/wcma');
+    assert.equal(decodeSmallQrCode(createQrCode('Größe'), 16), 'Größe');
+});
+
+test('qrCodeToSvg draws one square per dark module inside the quiet zone', () => {
+    const qr = createQrCode('WCMA 2026');
+    const svg = qrCodeToSvg(qr, { size: '2cm', quietZone: 2 });
+    const dark = qr.modules.flat().filter(Boolean).length;
+
+    assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 25 25" width="2cm" height="2cm"'));
+    assert.equal(svg.match(/h1v1h-1z/g).length, dark);
+    assert.ok(svg.includes('M2 2h1v1h-1z'));
+});
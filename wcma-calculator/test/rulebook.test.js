@@ -0,0 +1,88 @@
+/**
+ * Tests for js/rulebook.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { validateRulebook, validateRulebookIndex, formatClassRange } from '../js/rulebook.js';
+
+const edition = await loadEditionFromDisk('2026');
+
+test('validateRulebook accepts the published 2026 edition', () => {
+    assert.deepEqual(validateRulebook(edition), { isValid: true, errors: [] });
+});
+
+test('validateRulebook rejects a rulebook that is not an object', () => {
+    assert.deepEqual(validateRulebook([]), { isValid: false, errors: ['Rulebook must be a JSON object'] });
+});
+
+test('validateRulebook reports gaps and overlaps between classes', () => {
+    const data = structuredClone(edition);
+    data.classes[1].min += 0.5;
+    data.classes[3].min -= 0.5;
+    const { isValid, errors } = validateRulebook(data);
+    assert.equal(isValid, false);
+    assert.ok(errors.some(e => e.startsWith(`Gap between ${data.classes[0].name}`)), errors.join('\n'));
+    assert.ok(errors.some(e => e.startsWith(`${data.classes[2].name} (max`) && e.includes('overlaps')), errors.join('\n'));
+});
+
+test('validateRulebook needs an open lowest and highest class', () => {
+    const data = structuredClone(edition);
+    data.classes[0].min = 1;
+    data.classes[data.classes.length - 1].max = 99;
+    const { errors } = validateRulebook(data);
+    assert.ok(errors.includes(`Class ${data.classes[0].name} is the lowest class and must have min null`));
+    assert.ok(errors.includes(`Class ${data.classes[data.classes.length - 1].name} is the highest class and must have max null`));
+});
+
+test('validateRulebook checks every option has a value for every class', () => {
+    const data = structuredClone(edition);
+    const option = data.modifierGroups.find(g => g.id === 'body').options[0];
+    delete option.values[data.classes[0].name];
+    option.values.XX = 0.1;
+    const { errors } = validateRulebook(data);
+    assert.ok(errors.includes(`Option ${option.id} has no value for class ${data.classes[0].name}`));
+    assert.ok(errors.includes(`Option ${option.id} has a value for unknown class XX`));
+});
+
+test('validateRulebook rejects unknown and duplicate modifier groups', () => {
+    const data = structuredClone(edition);
+    data.modifierGroups.push({ ...data.modifierGroups[0] }, { ...data.modifierGroups[0], id: 'aero' });
+    const { errors } = validateRulebook(data);
+    assert.ok(errors.includes('Group chassis is defined more than once'));
+    assert.ok(errors.some(e => e.startsWith('Group aero is not a known modifier group')));
+});
+
+test('validateRulebookIndex needs the default edition to be listed once', () => {
+    assert.equal(validateRulebookIndex({ default: '2026', editions: [] }).isValid, false);
+    const entry = { edition: '2026', title: '2026 Rules', file: '2026.json' };
+    assert.deepEqual(validateRulebookIndex({ default: '2025', editions: [entry, entry] }).errors, [
+        'Edition 2026 is listed more than once',
+        'Default edition 2025 is not listed in editions'
+    ]);
+});
+
+test('loadEdition rejects an edition the index does not list', async () => {
+    await assert.rejects(loadEditionFromDisk('1999'), { message: 'Unknown rulebook edition: 1999' });
+});
+
+test('loadEdition reports the validation errors of an invalid edition file', async () => {
+    // A fresh copy of the module, so the index and editions cached above aren't reused
+    const { loadEdition: loadFresh } = await import('../js/rulebook.js?invalid-file');
+    const readJson = (url) => (url.pathname.endsWith('index.json')
+        ? { default: '2026', editions: [{ edition: '2026', title: '2026 Rules', file: '2026.json' }] }
+        : { ...edition, edition: '2025', classes: [] });
+    await assert.rejects(loadFresh('2026', readJson), (error) => {
+        assert.equal(error.message, 'The 2026 Rules rulebook (rules/2026.json) is invalid');
+        assert.equal(error.errors[0], 'classes must be a non-empty array');
+        return true;
+    });
+});
+
+test('formatClassRange shows open ends and an inclusive upper bound', () => {
+    assert.equal(formatClassRange({ name: 'GTU', min: null, max: 6 }), '< 6.00');
+    assert.equal(formatClassRange({ name: 'GT1', min: 6, max: 8 }), '6.00 - 7.99');
+    assert.equal(formatClassRange({ name: 'IT2', min: 18, max: null }), '>= 18.00');
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for js/share-link.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildShareHash, parseShareHash } from '../js/share-link.js';
+
+// Vehicle factors as getAllFormDataForSave() reads them
+const vehicle = {
+    edition: '2026',
+    competitionWeight: '2866',
+    declaredHp: '201.2',
+    dynoHp: '214.6',
+    weightUnit: 'kg',
+    powerUnit: 'kw',
+    dynoCorrection: 'sae-j1349',
+    dynoType: 'hub',
+    dynoTemperature: '-4.5',
+    dynoPressure: '29.92',
+    dynoHumidity: '40',
+    chassis: 'chassis3',
+    bodyMods: '',
+    transmission: 'trans2',
+    drivetrain: '',
+    tires: 'tire4',
+    brakeSuspension: ['brake1', 'brake2']
+};
+
+test('a share link round-trips the vehicle factors, units and dyno sheet details', () => {
+    assert.deepEqual(parseShareHash(buildShareHash(vehicle)), vehicle);
+});
+
+test('a share link leaves out contact details', () => {
+    const hash = buildShareHash({ ...vehicle, name: 'Bob', email: 'bob@example.com', comments: 'Fast' });
+    assert.ok(!hash.includes('Bob') && !hash.includes('example.com') && !hash.includes('Fast'));
+});
+
+test('parseShareHash drops values that are not the expected kind', () => {
+    const data = parseShareHash('#w=2900&hp=300&dc=<script>&dtype=hub&temp=warm&baro=-29&rh=40&tire=tire4');
+    assert.equal(data.dynoCorrection, '');
+    assert.equal(data.dynoType, 'hub');
+    assert.equal(data.dynoTemperature, '');
+    assert.equal(data.dynoPressure, '');
+    assert.equal(data.dynoHumidity, '40');
+    assert.equal(data.tires, 'tire4');
+});
+
+test('parseShareHash ignores fragments without a weight or HP', () => {
+    assert.equal(parseShareHash('#dc=std&tire=tire4'), null);
+    assert.equal(parseShareHash(''), null);
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for js/solver.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { updateCalculations } from '../js/calculator.js';
+import { solveHpForClass, solveWeightForClass, calculateClassMargins } from '../js/solver.js';
+
+const edition = await loadEditionFromDisk('2026');
+
+/**
+ * Class a car lands in with one field changed
+ * @param {Object} formData - Form data
+ * @param {string} field - Field to change
+ * @param {number} value - New value
+ * @returns {string} Calculated class
+ */
+function classWith(formData, field, value) {
+    return updateCalculations({ ...formData, [field]: String(value) }, edition).calculatedClass;
+}
+
+test('solveHpForClass finds the HP range of a class at a fixed weight', () => {
+    const formData = { competitionWeight: '2900' };
+    const result = solveHpForClass(formData, 'GT2', edition);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.ranges, [{ from: 288, to: 358 }]);
+    assert.equal(result.limit, 358);
+    assert.equal(result.limitResults.calculatedClass, 'GT2');
+    assert.equal(classWith(formData, 'declaredHp', 287), 'GT3');
+    assert.equal(classWith(formData, 'declaredHp', 359), 'GT1');
+});
+
+test('solveHpForClass leaves the open ends of the class list open', () => {
+    const formData = { competitionWeight: '2900' };
+    assert.deepEqual(solveHpForClass(formData, 'GTU', edition).ranges, [{ from: 476, to: null }]);
+    assert.equal(solveHpForClass(formData, 'GTU', edition).limit, null);
+    assert.deepEqual(solveHpForClass(formData, 'IT2', edition).ranges, [{ from: 1, to: 161 }]);
+});
+
+test('solveWeightForClass finds the minimum weight for a class at a fixed HP', () => {
+    const formData = { declaredHp: '310' };
+    const result = solveWeightForClass(formData, 'GT2', edition);
+
+    assert.deepEqual(result.ranges, [{ from: 2544, to: 3098 }]);
+    assert.equal(result.limit, 2544);
+    assert.equal(classWith(formData, 'competitionWeight', 2543), 'GT1');
+    assert.equal(classWith(formData, 'competitionWeight', 3099), 'GT3');
+    assert.deepEqual(solveWeightForClass(formData, 'GTU', edition).ranges, [{ from: null, to: 1951 }]);
+});
+
+test('solveHpForClass and solveWeightForClass validate their input', () => {
+    assert.equal(solveHpForClass({ competitionWeight: '' }, 'GT2', edition).error, 'Competition weight must be a positive number');
+    assert.equal(solveHpForClass({ competitionWeight: '2900' }, 'GT9', edition).error, 'Please choose a target class');
+    assert.equal(solveWeightForClass({ declaredHp: '-5' }, 'GT2', edition).error, 'Declared HP must be a positive number');
+    assert.equal(solveWeightForClass({ declaredHp: '310' }, 'GT2', null).error, 'No rulebook edition loaded');
+});
+
+test('calculateClassMargins gives the HP and weight a car can change before its class does', () => {
+    const formData = { competitionWeight: '2900', declaredHp: '300' };
+    const margins = calculateClassMargins(formData, edition);
+
+    assert.equal(margins.currentClass, 'GT2');
+    assert.equal(margins.faster.className, 'GT1');
+    assert.equal(margins.slower.className, 'GT3');
+    assert.deepEqual([margins.faster.hp, margins.faster.lbs, margins.slower.hp, margins.slower.lbs], [58, 438, 12, 99]);
+    assert.equal(classWith(formData, 'declaredHp', 300 + 58), 'GT2');
+    assert.equal(classWith(formData, 'declaredHp', 300 + 59), 'GT1');
+    assert.equal(classWith(formData, 'competitionWeight', 2900 + 99), 'GT2');
+    assert.equal(classWith(formData, 'competitionWeight', 2900 + 100), 'GT3');
+});
+
+test('calculateClassMargins has no slower neighbour in the last class and needs a weight and HP', () => {
+    const margins = calculateClassMargins({ competitionWeight: '2900', declaredHp: '100' }, edition);
+    assert.equal(margins.currentClass, 'IT2');
+    assert.equal(margins.slower, null);
+    assert.equal(margins.faster.className, 'IT1');
+
+    assert.equal(calculateClassMargins({ competitionWeight: '2900', declaredHp: '' }, edition).isValid, false);
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for js/units.js
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+    UNITS, toCanonical, fromCanonical, formatAmount, describeEnteredValue, describeStoredValue
+} from '../js/units.js';
+
+/**
+ * Read the $units table out of car-classing.php
+ * @returns {Object} Units in the same shape as UNITS
+ */
+function readPhpUnits() {
+    const php = readFileSync(new URL('../car-classing.php', import.meta.url), 'utf8');
+    const table = php.match(/^\$units = \[\n([\s\S]*?)\n\];$/m);
+    assert.ok(table, 'car-classing.php has a $units table');
+
+    const units = {};
+    let kind = null;
+    table[1].split('\n').forEach(line => {
+        const kindMatch = line.match(/^\s*'(\w+)' => \[$/);
+        const unitMatch = line.match(/^\s*'(\w+)' => \['label' => '([^']*)', 'factor' => ([\d.]+)\],?$/);
+        if (kindMatch) {
+            kind = kindMatch[1];
+            units[kind] = {};
+        } else if (unitMatch) {
+            units[kind][unitMatch[1]] = { label: unitMatch[2], factor: Number(unitMatch[3]) };
+        } else {
+            assert.match(line, /^\s*\],?$/, `unexpected line in $units: ${line}`);
+        }
+    });
+    return units;
+}
+
+test('car-classing.php converts with the same units and factors as js/units.js', () => {
+    assert.deepEqual(readPhpUnits(), UNITS);
+});
+
+test('toCanonical converts metric entries to pounds and HP, rounded to one decimal', () => {
+    assert.equal(toCanonical('weight', '1300', 'kg'), '2866');
+    assert.equal(toCanonical('power', '220', 'kw'), '295');
+    assert.equal(toCanonical('power', '200', 'ps'), '197.3');
+    assert.equal(toCanonical('weight', '2900', 'lb'), '2900');
+    assert.equal(toCanonical('weight', 'abc', 'kg'), 'abc');
+    assert.equal(toCanonical('weight', '1300', 'stone'), '1300');
+});
+
+test('fromCanonical gives back every whole number entered in a metric unit', () => {
+    [['weight', 'kg', 3000], ['power', 'kw', 1000], ['power', 'ps', 1000]].forEach(([kind, unit, max]) => {
+        for (let value = 1; value <= max; value++) {
+            assert.equal(fromCanonical(kind, toCanonical(kind, String(value), unit), unit), String(value), `${value} ${unit}`);
+        }
+    });
+    assert.equal(fromCanonical('weight', '', 'kg'), '');
+});
+
+test('formatAmount shows an amount in pounds or HP in the chosen unit', () => {
+    assert.equal(formatAmount('weight', 100, 'kg'), '45.4 kg');
+    assert.equal(formatAmount('power', 12, 'kw'), '8.9 kW');
+    assert.equal(formatAmount('power', 12, 'hp'), '12 HP');
+    assert.equal(formatAmount('weight', 99, 'stone'), '99 lb');
+});
+
+test('describeEnteredValue and describeStoredValue show the conversion for reports and lists', () => {
+    assert.equal(describeEnteredValue('weight', '1300', 'kg'), '1300 kg (2866 lb)');
+    assert.equal(describeEnteredValue('weight', '2900', 'lb'), '2900');
+    assert.equal(describeStoredValue('weight', '2866', 'kg'), '1300 kg (2866 lb)');
+    assert.equal(describeStoredValue('power', '300', ''), '300 HP');
+    assert.equal(describeStoredValue('power', '', 'kw'), '');
+});
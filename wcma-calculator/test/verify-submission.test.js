@@ -0,0 +1,123 @@
+/**
+ * Tests for cli/verify-submission.js
+ * The server must reject what the page's form would never send
+ *
+ * Run with: npm test (or node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEditionFromDisk } from '../cli/load-rules.js';
+import { validateSubmission, recalculateSubmission, readVehicleFactors } from '../cli/verify-submission.js';
+import { updateCalculations } from '../js/calculator.js';
+import { createIntegrityCode } from '../js/integrity.js';
+
+const edition = await loadEditionFromDisk('2026');
+
+/**
+ * Build a submitted form with the given vehicle fields
+ * @param {Array} entries - [name, value] pairs (repeat a name for several values)
+ * @returns {FormData} Submitted form
+ */
+function submission(entries) {
+    const formData = new FormData();
+    [['competition_weight', '2900'], ['declared_hp', '300'], ...entries]
+        .forEach(([name, value]) => formData.append(name, value));
+    return formData;
+}
+
+test('readVehicleFactors reads a valid combination without errors', () => {
+    const { carData, errors } = readVehicleFactors(submission([
+        ['chassis', 'chassis3'], ['tires', 'tire4'], ['brake_suspension[]', 'brake1'], ['brake_suspension[]', 'brake2']
+    ]), edition);
+    assert.deepEqual(errors, []);
+    assert.equal(carData.chassis, 'chassis3');
+    assert.deepEqual(carData.brakeSuspension, ['brake1', 'brake2']);
+});
+
+test('recalculateSubmission rejects body mods with a chassis that excludes them', () => {
+    const result = recalculateSubmission(submission([['chassis', 'chassis1'], ['body_mods', 'body1']]), edition);
+    assert.equal(result.isValid, false);
+    assert.equal(result.results, null);
+    assert.deepEqual(result.errors, ["Body Mods options can't be used with chassis1 (got body1)"]);
+});
+
+test('recalculateSubmission rejects two values in a single-select group', () => {
+    const result = recalculateSubmission(submission([['body_mods', 'body1'], ['body_mods', 'body2']]), edition);
+    assert.equal(result.isValid, false);
+    assert.equal(result.results, null);
+    assert.deepEqual(result.errors, ['Only one Body Mods option allowed (got body1, body2)']);
+});
+
+/**
+ * Hidden result fields as the page would post them for a car
+ * @param {Object} carData - Vehicle factors (calculator form data)
+ * @returns {Array} [name, value] pairs
+ */
+function reportedResults(carData) {
+    const results = updateCalculations(carData, edition);
+    return [
+        ['calculated_class', results.calculatedClass],
+        ['base_ratio', results.baseRatio.toFixed(2)],
+        ['modified_ratio', results.modifiedRatio.toFixed(2)],
+        ['modification_factor', results.modificationFactor.toFixed(2)],
+        ['weight_factor', results.weightFactor.toFixed(2)],
+        ['integrity_code', createIntegrityCode(carData, edition, results)]
+    ];
+}
+
+test('recalculateSubmission finds no discrepancies when the browser reported the same results', () => {
+    const carData = { competitionWeight: '2900', declaredHp: '300', dynoHp: '', tires: 'tire4', brakeSuspension: [] };
+    const result = recalculateSubmission(submission([['tires', 'tire4'], ...reportedResults(carData)]), edition);
+    assert.equal(result.isValid, true);
+    assert.equal(result.results.calculatedClass, 'GT3');
+    assert.deepEqual(result.discrepancies, []);
+});
+
+test('recalculateSubmission lists each reported result that differs from the server', () => {
+    const carData = { competitionWeight: '2900', declaredHp: '300', dynoHp: '', tires: 'tire4', brakeSuspension: [] };
+    // The class and ratios were worked out before the tires were changed
+    const reported = reportedResults({ ...carData, tires: '' });
+    const result = recalculateSubmission(submission([['tires', 'tire4'], ...reported,
+        ['calculated_results', '{"calculatedClass":"GT2"}']]), edition);
+
+    assert.equal(result.isValid, true);
+    assert.deepEqual(result.discrepancies, [
+        'Calculated class: browser reported GT2, server calculated GT3',
+        'Modified ratio: browser reported 9.57, server calculated 10.47',
+        'Modification factor: browser reported 0.00, server calculated 0.90',
+        `Integrity code: browser reported ${reported[5][1]}, server calculated ${result.integrityCode}`,
+        'calculated_results: browser reported class GT2, server calculated GT3'
+    ]);
+});
+
+test('recalculateSubmission converts metric entries before recalculating', () => {
+    const formData = new FormData();
+    [['competition_weight', '1300'], ['weight_unit', 'kg'], ['declared_hp', '220'], ['power_unit', 'kw'],
+        ['converted_competition_weight', '2866'], ['converted_declared_hp', '290']]
+        .forEach(([name, value]) => formData.append(name, value));
+    const result = recalculateSubmission(formData, edition);
+
+    assert.equal(result.carData.competitionWeight, '2866');
+    assert.equal(result.carData.declaredHp, '295');
+    assert.ok(result.discrepancies.includes('Converted declared HP: browser reported 290, server calculated 295'));
+    assert.ok(!result.discrepancies.some(line => line.startsWith('Converted competition weight')));
+});
+
+test('readVehicleFactors rejects option ids that are not in their group', () => {
+    const { errors } = readVehicleFactors(submission([['tires', 'brake1'], ['brake_suspension[]', 'brake99']]), edition);
+    assert.deepEqual(errors, ['Unknown Tires option: brake1', 'Unknown Brake & Suspension option: brake99']);
+});
+
+test('validateSubmission checks contact details, numbers, units and file types', () => {
+    const formData = submission([
+        ['name', 'Pat Driver'], ['email', 'pat@'], ['year', '04'], ['make', 'Honda'], ['model', 'S2000'],
+        ['power_unit', 'bhp'], ['car_image', new File(['x'], 'car.gif')]
+    ]);
+    assert.deepEqual(validateSubmission(formData).errors, [
+        'Please enter a valid email address',
+        'Year must be 4 digits',
+        'Unknown power unit: bhp',
+        'car.gif: Invalid file type. Allowed types: .jpg, .jpeg, .png'
+    ]);
+});